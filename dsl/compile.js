@@ -1,24 +1,46 @@
 const wfd = require('./wfd-dsl');
+const loadDescription = require('./resolve-imports');
+const validateDescription = require('./validate-description');
+const loadSchemas = require('./load-schemas');
+const ProcessDefinitionCheck = require('../packages/component-workflow-model/dsl-model/process-definition-check');
 const fs = require('fs');
-const args = process.argv.slice(2);
+const path = require('path');
+
+// Usage: compile.js <source.wfd> [dest.json] [--bpmn <process.bpmn>] [--task-handlers <task-handlers/index.js>]
+// When a BPMN process definition is supplied, the description is also cross-checked against it (and against
+// the external task topics subscribed to by the task handlers, if supplied).
+
+const args = [];
+const flags = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+    if (argv[i].indexOf('--') === 0) {
+        flags[argv[i].substring(2)] = argv[++i];
+    } else {
+        args.push(argv[i]);
+    }
+}
 
 const sourceFile = args[0];
 const destFile = args[1];
 
-const toParse = fs.readFileSync(sourceFile, 'utf8');
-
 console.log(
     `Compile Workflow Form Description: ${sourceFile} to file ${destFile}`
 );
 
 let parsed;
+let errors = [];
 try {
-    parsed = wfd.parse(toParse);
+    const loaded = loadDescription(wfd, sourceFile);
+    parsed = loaded.description;
+    errors = loaded.errors;
 } catch(err) {
     console.error(`Unable to parse workflow description due to :`);
     console.error(`${err.toString()}`);
     console.error(`\tfound: ${err.found}`);
-    console.error(`\tlocation: ${err.location.start.line}:${err.location.start.column} => ${err.location.end.line}:${err.location.end.column}`);
+    if (err.location) {
+        console.error(`\tlocation: ${err.location.source || sourceFile} ${err.location.start.line}:${err.location.start.column} => ${err.location.end.line}:${err.location.end.column}`);
+    }
 }
 
 if (!parsed) {
@@ -26,6 +48,37 @@ if (!parsed) {
     return process.exit(-1);
 }
 
+if (!errors.length) {
+    errors = loadSchemas(parsed, sourceFile);
+}
+
+if (!errors.length) {
+    errors = validateDescription(parsed);
+}
+
+if (errors.length) {
+    console.error(`Workflow description contains ${errors.length} error(s):`);
+    errors.forEach(err => {
+        const file = (err.location && err.location.source) ? path.relative(process.cwd(), err.location.source) : sourceFile;
+        const location = err.location ? `${err.location.line}:${err.location.column}` : '-';
+        console.error(`\t${file}:${location}\t${err.message}`);
+    });
+    return process.exit(-1);
+}
+
+if (flags.bpmn) {
+
+    const processDefinition = ProcessDefinitionCheck.parseProcessDefinition(fs.readFileSync(flags.bpmn, 'utf8'));
+    const subscribedTopics = flags['task-handlers'] ? ProcessDefinitionCheck.topicsSubscribedBySource(flags['task-handlers']) : null;
+    const problems = ProcessDefinitionCheck.checkDescriptionAgainstProcessDefinition(parsed, processDefinition, subscribedTopics);
+
+    if (problems.length) {
+        console.error(`Workflow description is inconsistent with process definition ${flags.bpmn}, ${problems.length} problem(s):`);
+        problems.forEach(p => console.error(`\t${p.message}`));
+        return process.exit(-1);
+    }
+}
+
 if (destFile) {
     fs.writeFileSync(destFile, JSON.stringify(parsed, null, 4), 'utf8');
 } else {
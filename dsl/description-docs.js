@@ -0,0 +1,432 @@
+const Condition = require('../packages/client-workflow-model/Condition');
+
+// Workflow Description Documentation
+// ---
+// Builds a reference document from a compiled workflow description (and optionally the BPMN process definition it is
+// paired with, as parsed by process-definition-check.js), covering enums and their display mappings, the model of each
+// instance type, forms along with their buttons and outcomes, validation sets and an ACL matrix. The document is
+// built as a list of headings, paragraphs, lists and tables which can then be rendered as either Markdown or HTML.
+
+const CustomFormKeyPrefix = 'custom:';
+
+const ModelElementOptions = {
+    state: () => 'state',
+    listingFilter: (v, e) => e.listingFilterMultiple ? 'listing filter (multiple)' : 'listing filter',
+    listingSorting: () => 'listing sortable',
+    input: v => v === false ? 'excluded from input' : 'input',
+    idSequence: v => `id sequence "${v}"`,
+    holdsOwnerId: () => 'owner',
+    joinField: v => `join field "${v}"`,
+    joinToField: (v, e) => e.childInstances ? `child instances joined to "${v}"` : `joined to "${v}"`,
+    inheritOwner: () => 'inherits owner',
+    inheritAccess: () => 'inherits access',
+    accessors: v => `accessors: ${v.join(', ')}`,
+    fileLabels: () => 'file labels',
+    fileTypes: () => 'file types',
+    defaultValue: v => `default: ${JSON.stringify(v)}`,
+    defaultEnumKey: (v, e) => `default: ${e.defaultEnum}.${v}`,
+    computed: v => `computed: ${_conditionDescription(v)}`,
+    jsonSchema: v => `schema "${v}"`
+};
+
+const IgnoredModelElementOptions = ['field', 'type', 'array', 'listingFilterMultiple', 'defaultEnum', 'childInstances'];
+
+
+function documentForDescription(description, processDefinition = null, title = 'Workflow Description') {
+
+    const doc = new DocumentBuilder();
+    const enums = description.enums || {};
+    const mappings = Object.values(description.mappings || {});
+
+    doc.heading(1, title);
+
+    // Enums along with any mappings used to display them.
+
+    if(Object.keys(enums).length) {
+
+        doc.heading(2, 'Enums');
+
+        Object.values(enums).forEach(e => {
+
+            const enumMappings = mappings.filter(m => m.enum === e.name);
+            const columns = ['Key', 'Value'].concat(enumMappings.map(m => m.name));
+            const rows = Object.keys(e.values || {}).map(key => {
+                return [key, e.values[key]].concat(enumMappings.map(m => {
+                    const mapped = (m.mappings || []).find(v => v.enumValue === key);
+                    return mapped ? mapped.value : '';
+                }));
+            });
+
+            doc.heading(3, e.name);
+            doc.table(columns, rows);
+        });
+    }
+
+    Object.values(description.tasks || {}).forEach(instance => {
+        _documentInstance(doc, instance, description, processDefinition);
+    });
+
+    return doc.blocks;
+}
+
+
+function _documentInstance(doc, instance, description, processDefinition) {
+
+    const options = instance.options || {};
+    const process = (processDefinition && options.processKey) ? (processDefinition.processes || {})[options.processKey] : null;
+    const userTasks = process ? Object.values(process.userTasks) : [];
+
+    doc.heading(2, `Instance: ${instance.name}`);
+
+    const details = [];
+    if(options.processKey) {
+        details.push(`Process key: ${options.processKey}${process && process.name ? ` (${process.name})` : ''}`);
+    }
+    if(options.listingAccessor) {
+        details.push(`Listing query: ${options.listingAccessor}`);
+    }
+    if(details.length) {
+        doc.list(details);
+    }
+
+
+    // Model
+
+    const elements = (instance.model && instance.model.elements) || [];
+
+    doc.heading(3, 'Model');
+    doc.table(['Field', 'Type', 'Options'], elements.map(e => {
+        return [e.field, e.array ? `[${e.type}]` : e.type, _modelElementOptions(e).join(', ')];
+    }));
+
+
+    // Forms, along with the buttons within them and the outcomes they trigger.
+
+    const layouts = {};
+    (instance.layouts || []).forEach(l => layouts[l.layout.toLowerCase()] = l);
+
+    (instance.forms || []).forEach(form => {
+
+        doc.heading(3, `Form: ${form.form}`);
+
+        const formDetails = [];
+        const tasks = userTasks.filter(t => t.formKey && t.formKey.toLowerCase() === `${CustomFormKeyPrefix}${form.form}`.toLowerCase());
+        if(tasks.length) {
+            formDetails.push(`User tasks: ${tasks.map(_userTaskDescription).join(', ')}`);
+        }
+        if(form.validations && form.validations.length) {
+            formDetails.push(`Validations: ${form.validations.join(', ')}`);
+        }
+
+        const elements = _formElements(form, layouts);
+        const bindings = [];
+        elements.forEach(e => {
+            if(e.binding && bindings.indexOf(e.binding) === -1) {
+                bindings.push(e.binding);
+            }
+        });
+        if(bindings.length) {
+            formDetails.push(`Fields: ${bindings.join(', ')}`);
+        }
+        if(formDetails.length) {
+            doc.list(formDetails);
+        }
+
+        const outcomes = form.outcomes || [];
+        const buttons = elements.filter(e => e.options && e.options.outcome);
+
+        doc.table(['Button', 'Shown When', 'Outcome', 'Result', 'Changes'], outcomes.map(o => {
+
+            const outcomeButtons = buttons.filter(b => b.options.outcome === o.type);
+            const changes = _outcomeChanges(o);
+
+            outcomeButtons.forEach(b => {
+                if(b.options.confirmationValidation) {
+                    changes.push(`confirmation validations: ${[].concat(b.options.confirmationValidation).join(', ')}`);
+                }
+            });
+
+            return [
+                outcomeButtons.map(b => b.options.label || b.element).join(', '),
+                outcomeButtons.map(b => b.condition ? _conditionDescription(b.condition) : 'always').join(', '),
+                o.type,
+                o.result || '',
+                changes.join('; ')
+            ];
+        }));
+    });
+
+
+    // Validation sets
+
+    (instance.validations || []).forEach(set => {
+
+        doc.heading(3, `Validations: ${set.name}`);
+        doc.table(['Field', 'Severity', 'Condition', 'Message'], (set.entries || []).map(entry => {
+            const severity = (entry.options && entry.options.severity) || 'error';
+            return [entry.target || '', severity, _conditionDescription(entry.condition), entry.warning || ''];
+        }));
+    });
+
+
+    _documentAcl(doc, instance, userTasks);
+}
+
+
+function _documentAcl(doc, instance, userTasks) {
+
+    const acl = instance.acl || {};
+    const rules = acl.rules || [];
+    const fieldSets = acl.fields || {};
+    const taskSets = acl.tasks || {};
+
+    if(!rules.length) {
+        return;
+    }
+
+    doc.heading(3, 'Access Control');
+
+    // The matrix has a row per field group (or task set), with a column per role. Rules without a grouping apply to
+    // either all fields or to the instance as a whole.
+
+    const roles = [];
+    const groupings = [];
+    const cells = {};
+
+    rules.forEach(rule => {
+
+        if(roles.indexOf(rule.target) === -1) {
+            roles.push(rule.target);
+        }
+
+        const grouping = rule.grouping || '(all)';
+        if(groupings.indexOf(grouping) === -1) {
+            groupings.push(grouping);
+        }
+
+        const key = `${grouping}\n${rule.target}`;
+        const actions = (rule.actions || []).map(a => a.restriction ? `${a.type}:${a.restriction}` : a.type).join(', ');
+        const permission = rule.permission === 'allow' ? actions : `deny ${actions}`;
+        const entry = rule.condition ? `${permission} when ${_conditionDescription(rule.condition)}` : permission;
+
+        (cells[key] = cells[key] || []).push(entry);
+    });
+
+    doc.table(['Group'].concat(roles), groupings.map(grouping => {
+        return [grouping].concat(roles.map(role => (cells[`${grouping}\n${role}`] || []).join('; ')));
+    }));
+
+    if(Object.keys(fieldSets).length) {
+        doc.heading(4, 'Field Groups');
+        doc.table(['Group', 'Fields'], Object.values(fieldSets).map(s => [s.name, (s.fields || []).join(', ')]));
+    }
+
+    if(Object.keys(taskSets).length) {
+        doc.heading(4, 'Task Groups');
+        doc.table(['Group', 'User Tasks'], Object.values(taskSets).map(s => {
+            return [s.name, (s.tasks || []).map(id => {
+                const task = userTasks.find(t => t.id === id);
+                return task ? _userTaskDescription(task) : id;
+            }).join(', ')];
+        }));
+    }
+}
+
+
+function _modelElementOptions(e) {
+
+    const options = [];
+    Object.keys(e).forEach(key => {
+        if(IgnoredModelElementOptions.indexOf(key) !== -1) {
+            return;
+        }
+        const describe = ModelElementOptions[key];
+        options.push(describe ? describe(e[key], e) : `${key}: ${JSON.stringify(e[key])}`);
+    });
+    return options;
+}
+
+function _formElements(form, layouts) {
+
+    // Flattens the elements of a form, including those from the layout it extends and any layouts it includes.
+
+    const elements = [];
+    const visited = {};
+
+    const visitLayout = (name) => {
+        const layout = name ? layouts[name.toLowerCase()] : null;
+        if(layout && !visited[layout.layout]) {
+            visited[layout.layout] = true;
+            visit(layout.elements);
+        }
+    };
+
+    const visit = (list) => {
+        (list || []).forEach(e => {
+            elements.push(e);
+            if(e.element === 'Layout' && e.options) {
+                visitLayout(e.options.layout);
+            }
+            visit(e.children);
+        });
+    };
+
+    visitLayout(form.extend);
+    visit(form.elements);
+    return elements;
+}
+
+function _outcomeChanges(outcome) {
+
+    const changes = [];
+
+    Object.keys(outcome.state || {}).forEach(field => {
+        const v = outcome.state[field];
+        changes.push(`${field} = ${v.type === 'enum' ? v.value : JSON.stringify(v.value)}`);
+    });
+    (outcome.dateAssignments || []).forEach(d => changes.push(`${d.field} = current date`));
+    (outcome.sequenceAssignment || []).forEach(field => changes.push(`${field} = next in sequence`));
+    if(outcome.identityAssignment) {
+        changes.push(`${outcome.identityAssignment} = current user`);
+    }
+    if(outcome.skipValidations) {
+        changes.push('skips validations');
+    }
+    if(outcome.requiresValidatedSubmitter) {
+        changes.push('requires validated submitter');
+    }
+    if(outcome.snapshot) {
+        changes.push(`snapshots field set "${outcome.snapshot}"`);
+    }
+    return changes;
+}
+
+function _userTaskDescription(task) {
+    return task.name ? `${task.name.replace(/\s+/g, ' ')} (${task.id})` : task.id;
+}
+
+function _conditionDescription(condition) {
+    if(!condition || !condition.expression) {
+        return '';
+    }
+    const c = new Condition(JSON.parse(JSON.stringify(condition)), v => v);
+    return c.description.replace(/^\((.*)\)$/, '$1');
+}
+
+
+class DocumentBuilder {
+
+    constructor() {
+        this.blocks = [];
+        this.headingIds = {};
+    }
+
+    heading(level, text) {
+
+        // Heading ids are used as anchors within the HTML output, so are kept unique.
+
+        const base = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        let id = base;
+        for(let i = 2; this.headingIds[id]; i++) {
+            id = `${base}-${i}`;
+        }
+        this.headingIds[id] = true;
+        this.blocks.push({type:'heading', level, text, id});
+    }
+
+    list(items) {
+        this.blocks.push({type:'list', items});
+    }
+
+    table(columns, rows) {
+        this.blocks.push({type:'table', columns, rows});
+    }
+}
+
+
+// Rendering
+// ---
+
+function renderMarkdown(blocks) {
+
+    const md = (v) => `${v}`.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+    return blocks.map(b => {
+        switch(b.type) {
+            case 'heading':
+                return `${'#'.repeat(b.level)} ${b.text}`;
+            case 'list':
+                return b.items.map(i => `- ${md(i)}`).join('\n');
+            case 'table':
+                if(!b.rows.length) {
+                    return '_None_';
+                }
+                return [
+                    `| ${b.columns.map(md).join(' | ')} |`,
+                    `| ${b.columns.map(() => '---').join(' | ')} |`
+                ].concat(b.rows.map(r => `| ${r.map(md).join(' | ')} |`)).join('\n');
+        }
+        return '';
+    }).join('\n\n') + '\n';
+}
+
+
+function renderHtml(blocks) {
+
+    const esc = (v) => `${v}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const title = blocks.find(b => b.type === 'heading');
+    const contents = blocks.filter(b => b.type === 'heading' && b.level > 1 && b.level <= 3).map(b => {
+        return `<li class="level-${b.level}"><a href="#${b.id}">${esc(b.text)}</a></li>`;
+    });
+
+    const body = blocks.map(b => {
+        switch(b.type) {
+            case 'heading':
+                return `<h${b.level} id="${b.id}">${esc(b.text)}</h${b.level}>`;
+            case 'list':
+                return `<ul>${b.items.map(i => `<li>${esc(i)}</li>`).join('')}</ul>`;
+            case 'table':
+                if(!b.rows.length) {
+                    return '<p class="empty">None</p>';
+                }
+                return `<table>\n<thead><tr>${b.columns.map(c => `<th>${esc(c)}</th>`).join('')}</tr></thead>\n<tbody>\n` +
+                    b.rows.map(r => `<tr>${r.map(c => `<td>${esc(c)}</td>`).join('')}</tr>`).join('\n') + '\n</tbody>\n</table>';
+        }
+        return '';
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(title ? title.text : 'Workflow Description')}</title>
+<style>
+body { font-family: sans-serif; font-size: 14px; margin: 0; display: flex; }
+nav { position: sticky; top: 0; height: 100vh; overflow-y: auto; min-width: 240px; padding: 16px; background: #f4f4f4; box-sizing: border-box; }
+nav ul { list-style: none; padding: 0; margin: 0; }
+nav li.level-3 { padding-left: 12px; }
+nav a { color: #333; text-decoration: none; line-height: 1.6; }
+main { padding: 16px 32px; overflow-x: auto; }
+table { border-collapse: collapse; margin-bottom: 16px; }
+th, td { border: 1px solid #d0d0d0; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #ebebeb; }
+.empty { color: #b3b3b3; }
+</style>
+</head>
+<body>
+<nav><ul>
+${contents.join('\n')}
+</ul></nav>
+<main>
+${body.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+
+exports.documentForDescription = documentForDescription;
+exports.renderMarkdown = renderMarkdown;
+exports.renderHtml = renderHtml;
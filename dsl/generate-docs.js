@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const DescriptionDocs = require('./description-docs');
+const ProcessDefinitionCheck = require('../packages/component-workflow-model/dsl-model/process-definition-check');
+
+// Usage: generate-docs.js <description.json> [--bpmn <process.bpmn>] [--out <file.html|file.md>] [--format html|markdown] [--title <title>]
+//
+// Generates a reference document for a compiled workflow description, covering enums and their display mappings, the
+// model fields, forms with their buttons and outcomes, validation sets and an ACL matrix. When the BPMN process
+// definition is supplied, the user tasks using each form and within each ACL task set are also named. The format is
+// determined from the output file extension unless specified, with the document written to stdout if no output is given.
+
+const args = [];
+const flags = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+    if (argv[i].indexOf('--') === 0) {
+        flags[argv[i].substring(2)] = argv[++i];
+    } else {
+        args.push(argv[i]);
+    }
+}
+
+const descriptionFile = args[0];
+const format = flags.format || (flags.out && path.extname(flags.out).toLowerCase() === '.md' ? 'markdown' : 'html');
+
+if (!descriptionFile || (format !== 'html' && format !== 'markdown')) {
+    console.error('Usage: generate-docs.js <description.json> [--bpmn <process.bpmn>] [--out <file>] [--format html|markdown] [--title <title>]');
+    return process.exit(-1);
+}
+
+
+const description = JSON.parse(fs.readFileSync(descriptionFile, 'utf8'));
+const processDefinition = flags.bpmn ? ProcessDefinitionCheck.parseProcessDefinition(fs.readFileSync(flags.bpmn, 'utf8')) : null;
+
+const blocks = DescriptionDocs.documentForDescription(description, processDefinition, flags.title);
+const output = format === 'markdown' ? DescriptionDocs.renderMarkdown(blocks) : DescriptionDocs.renderHtml(blocks);
+
+if (flags.out) {
+    fs.writeFileSync(flags.out, output, 'utf8');
+    console.info(`Workflow description documentation written to ${flags.out}`);
+} else {
+    process.stdout.write(output);
+}
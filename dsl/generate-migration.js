@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const MigrationSchema = require('./migration-schema');
+
+// Usage: generate-migration.js <description.json> (--previous <previous-description.json> | --live) [--out <migrations directory>] [--name <migration name>]
+//
+// Compares the database schema implied by the compiled workflow description against either a previously compiled
+// description or the live database (using the "pubsweet-server.db" config of the app package) and writes a pubsweet
+// SQL migration containing the required changes. The generated migration should be reviewed before being committed,
+// in particular any DROP statements.
+
+const args = [];
+const flags = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--live') {
+        flags.live = true;
+    } else if (argv[i].indexOf('--') === 0) {
+        flags[argv[i].substring(2)] = argv[++i];
+    } else {
+        args.push(argv[i]);
+    }
+}
+
+const descriptionFile = args[0];
+const outputDirectory = flags.out || 'packages/app/migrations';
+const migrationName = flags.name || 'model-changes';
+
+if (!descriptionFile || (!flags.previous && !flags.live)) {
+    console.error('Usage: generate-migration.js <description.json> (--previous <previous-description.json> | --live) [--out <dir>] [--name <name>]');
+    return process.exit(-1);
+}
+
+
+async function previousSchema(currentSchema) {
+
+    if (flags.previous) {
+        const previousDescription = JSON.parse(fs.readFileSync(flags.previous, 'utf8'));
+        return MigrationSchema.schemaForDescription(previousDescription);
+    }
+
+    process.env.NODE_CONFIG_DIR = process.env.NODE_CONFIG_DIR || './packages/app/config/';
+
+    const config = require('config');
+    const { Client } = require('pg');
+
+    const client = new Client(config.get('pubsweet-server.db'));
+    await client.connect();
+
+    try {
+        return await MigrationSchema.schemaFromDatabase(client, currentSchema);
+    } finally {
+        await client.end();
+    }
+}
+
+
+async function generateMigration() {
+
+    const description = JSON.parse(fs.readFileSync(descriptionFile, 'utf8'));
+    const currentSchema = MigrationSchema.schemaForDescription(description);
+    const statements = MigrationSchema.migrationStatementsForSchemas(await previousSchema(currentSchema), currentSchema);
+
+    if (!statements.length) {
+        console.info('No model changes requiring a migration were found.');
+        return;
+    }
+
+    const migrationFile = path.join(outputDirectory, `${Math.floor(Date.now() / 1000)}-${migrationName}.sql`);
+    fs.writeFileSync(migrationFile, statements.join('\n\n') + '\n', 'utf8');
+
+    console.info(`Migration written to ${migrationFile}:`);
+    console.info('');
+    console.info(statements.join('\n\n'));
+}
+
+
+generateMigration().catch(err => {
+    console.error(`Unable to generate migration due to: ${err.toString()}`);
+    process.exit(-1);
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON Schemas
+// ---
+// JSON model fields can be declared with a named JSON schema (e.g. "authors: JSON <schema:"authors">"). The schemas are
+// shipped alongside the workflow description, within a "schemas" directory next to the root description file
+// (e.g. definitions/schemas/authors.json), and are embedded into the compiled description so that the server can
+// validate values against them and derive the GraphQL types of the fields.
+
+const SchemasDirectory = 'schemas';
+
+
+function loadSchemas(description, sourceFile) {
+
+    const schemas = {};
+    const errors = [];
+    const schemasDir = path.resolve(path.dirname(sourceFile), SchemasDirectory);
+
+    _schemaFields(description).forEach(element => {
+
+        const name = element.jsonSchema;
+        if(schemas.hasOwnProperty(name) || errors.find(e => e.schema === name)) {
+            return;
+        }
+
+        const file = path.join(schemasDir, `${name}.json`);
+        if(!fs.existsSync(file)) {
+            errors.push({schema:name, message:`Field '${element.field}' references schema '${name}' which was not found (expected at ${path.relative(process.cwd(), file)}).`, location:element.location || null});
+            return;
+        }
+
+        try {
+            schemas[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch(err) {
+            errors.push({schema:name, message:`Schema '${name}' is not valid JSON: ${err.message}`, location:element.location || null});
+        }
+    });
+
+    if(Object.keys(schemas).length) {
+        description.schemas = schemas;
+    }
+
+    return errors.map(({message, location}) => ({message, location}));
+}
+
+module.exports = loadSchemas;
+
+
+function _schemaFields(description) {
+
+    const fields = [];
+    Object.values(description.tasks || {}).forEach(instance => {
+        if(instance.model && instance.model.elements) {
+            instance.model.elements.filter(e => e.jsonSchema).forEach(e => fields.push(e));
+        }
+    });
+    return fields;
+}
@@ -0,0 +1,265 @@
+// Model Schema Migrations
+// ---
+// Derives the database schema implied by the instance models within a compiled workflow description (mirroring the
+// table, column and join table naming used by WorkflowModel and the knex snake case mappers), compares two such schemas
+// and produces the SQL statements required to migrate from one to the other.
+//
+// The previous schema can either be derived from a previously compiled description, or read from a live database
+// (in which case only the tables and sequences implied by the current description are inspected).
+
+const BaseElementTypes = {
+    String: 'text',
+    Int: 'int',
+    Integer: 'int',
+    Float: 'double precision',
+    ID: 'uuid',
+    DateTime: 'timestamptz',
+    Date: 'date',
+    Boolean: 'boolean',
+    JSON: 'JSONB'
+};
+
+const InstanceTableBaseColumns = [
+    {name:'id', type:'uuid', definition:'"id" uuid PRIMARY KEY DEFAULT uuid_generate_v4()'},
+    {name:'created', type:'timestamptz', definition:'"created" timestamptz NOT NULL DEFAULT current_timestamp'},
+    {name:'updated', type:'timestamptz', definition:'"updated" timestamptz NOT NULL DEFAULT current_timestamp'}
+];
+
+const JoinTableBaseColumns = [
+    {name:'id', type:'int', definition:'"id" INT GENERATED BY DEFAULT AS IDENTITY'}
+];
+
+// Postgres information schema data types mapped onto the types used within generated migrations.
+const LiveDataTypes = {
+    'text': 'text',
+    'character varying': 'text',
+    'integer': 'int',
+    'uuid': 'uuid',
+    'timestamp with time zone': 'timestamptz',
+    'date': 'date',
+    'double precision': 'double precision',
+    'boolean': 'boolean',
+    'jsonb': 'JSONB'
+};
+
+
+function schemaForDescription(description) {
+
+    const enums = description.enums || {};
+    const tables = {};
+    const sequences = [];
+
+    Object.values(description.tasks || {}).forEach(instance => {
+
+        const tableName = tableNameForEntityName(instance.name);
+        const columns = [...InstanceTableBaseColumns];
+        const elements = (instance.model && instance.model.elements) || [];
+
+        tables[tableName] = {name:tableName, columns};
+
+        elements.forEach(e => {
+
+            if(e.idSequence && sequences.indexOf(e.idSequence) === -1) {
+                sequences.push(e.idSequence);
+            }
+
+            // Computed fields are derived from other fields when read and have no column of their own.
+            if(e.computed) {
+                return;
+            }
+
+            const isRelation = !BaseElementTypes.hasOwnProperty(e.type) && !enums.hasOwnProperty(e.type);
+
+            // Multi-valued scalar and enum fields (e.g. "[String]") are stored as a JSON array.
+            if(!isRelation) {
+                columns.push(_column(columnNameForField(e.field), e.array === true ? 'JSONB' : (BaseElementTypes[e.type] || 'text')));
+                return;
+            }
+
+            // Relations declared with "join-to-field" store the join on the related table, which is owned by
+            // the related model rather than this instance (instance relations declared with "join-to" are added below).
+            if(e.joinToField) {
+                return;
+            }
+
+            const destTableName = tableNameForEntityName(e.type);
+
+            if(e.array !== true) {
+                if(e.joinField) {
+                    columns.push(_column(columnNameForField(e.joinField), 'uuid', destTableName));
+                }
+                return;
+            }
+
+            const joinTableName = `${tableName}-${tableNameForEntityName(e.field)}`;
+            const joinColumns = [
+                ...JoinTableBaseColumns,
+                _column(columnNameForField(joinTableFieldNameForEntityName(instance.name)), 'uuid', tableName),
+                _column(columnNameForField(joinTableFieldNameForEntityName(e.type)), 'uuid', destTableName)
+            ];
+
+            // Files support additional fields on the relations (order, as well as labels and types).
+            if(e.type === 'File') {
+                joinColumns.push(_column('order', 'int'));
+                if(e.fileLabels === true) {
+                    joinColumns.push(_column('label', 'text'));
+                }
+                if(e.fileTypes === true) {
+                    joinColumns.push(_column('type', 'text'));
+                }
+                joinColumns.push(_column('removed', 'boolean'));
+            }
+
+            tables[joinTableName] = {name:joinTableName, columns:joinColumns, joinTable:true};
+        });
+    });
+
+    // Child instances (declared with "join-to") hold the join to their parent instance within their own table.
+
+    Object.values(description.tasks || {}).forEach(instance => {
+
+        const elements = (instance.model && instance.model.elements) || [];
+
+        elements.filter(e => e.childInstances && e.joinToField).forEach(e => {
+
+            const childTable = tables[tableNameForEntityName(e.type)];
+            const column = columnNameForField(e.joinToField);
+
+            if(childTable && !childTable.columns.find(c => c.name === column)) {
+                childTable.columns.push(_column(column, 'uuid', tableNameForEntityName(instance.name)));
+            }
+        });
+    });
+
+    return {tables, sequences};
+}
+
+
+async function schemaFromDatabase(client, expectedSchema) {
+
+    // Only tables and sequences implied by the expected schema are inspected, a live database also contains
+    // tables for the shared models and pubsweet itself which are not managed by the workflow description.
+
+    const tableNames = Object.keys(expectedSchema.tables);
+    const tables = {};
+
+    if(tableNames.length) {
+
+        const result = await client.query(
+            `SELECT table_name, column_name, data_type FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = ANY($1) ORDER BY table_name, ordinal_position`,
+            [tableNames]
+        );
+
+        result.rows.forEach(row => {
+            if(!tables[row.table_name]) {
+                tables[row.table_name] = {name:row.table_name, columns:[], joinTable:!!(expectedSchema.tables[row.table_name] || {}).joinTable};
+            }
+            tables[row.table_name].columns.push(_column(row.column_name, LiveDataTypes[row.data_type] || row.data_type));
+        });
+    }
+
+    const sequences = [];
+
+    if(expectedSchema.sequences.length) {
+
+        const result = await client.query(
+            `SELECT sequence_name FROM information_schema.sequences WHERE sequence_schema = current_schema() AND sequence_name = ANY($1)`,
+            [expectedSchema.sequences]
+        );
+        result.rows.forEach(row => sequences.push(row.sequence_name));
+    }
+
+    return {tables, sequences};
+}
+
+
+function migrationStatementsForSchemas(previous, current) {
+
+    const statements = [];
+
+    const createdTables = Object.values(current.tables).filter(t => !previous.tables[t.name]);
+    const droppedTables = Object.values(previous.tables).filter(t => !current.tables[t.name]);
+
+    current.sequences.filter(s => previous.sequences.indexOf(s) === -1).forEach(s => {
+        statements.push(`CREATE SEQUENCE ${s};`);
+    });
+
+    // Instance tables are created before join tables, as join tables reference them.
+    [...createdTables.filter(t => !t.joinTable), ...createdTables.filter(t => t.joinTable)].forEach(table => {
+        const columns = table.columns.map(c => `    ${_columnDefinition(c)}`);
+        statements.push(`CREATE TABLE "${table.name}" (\n${columns.join(',\n')}\n);`);
+    });
+
+    Object.values(current.tables).filter(t => previous.tables[t.name]).forEach(table => {
+
+        const previousColumns = previous.tables[table.name].columns;
+        const alterations = [];
+
+        table.columns.forEach(column => {
+            const existing = previousColumns.find(c => c.name === column.name);
+            if(!existing) {
+                alterations.push(`ADD COLUMN ${_columnDefinition(column)}`);
+            } else if(existing.type.toLowerCase() !== column.type.toLowerCase()) {
+                alterations.push(`ALTER COLUMN "${column.name}" TYPE ${column.type} USING "${column.name}"::${column.type}`);
+            }
+        });
+
+        previousColumns.filter(c => !table.columns.find(column => column.name === c.name)).forEach(column => {
+            alterations.push(`DROP COLUMN "${column.name}"`);
+        });
+
+        if(alterations.length) {
+            statements.push(`ALTER TABLE "${table.name}"\n    ${alterations.join(',\n    ')};`);
+        }
+    });
+
+    [...droppedTables.filter(t => t.joinTable), ...droppedTables.filter(t => !t.joinTable)].forEach(table => {
+        statements.push(`DROP TABLE "${table.name}";`);
+    });
+
+    previous.sequences.filter(s => current.sequences.indexOf(s) === -1).forEach(s => {
+        statements.push(`DROP SEQUENCE ${s};`);
+    });
+
+    return statements;
+}
+
+
+function tableNameForEntityName(name) {
+    // Matches WorkflowModel.tableNameForEntityName
+    return name.replace(/^(.)/g, (a) => a.toLowerCase()).replace(/([A-Z])/g, (a) => '-' + a.toLowerCase());
+}
+
+function joinTableFieldNameForEntityName(name) {
+    // Matches WorkflowModel.joinTableFieldNameForEntityName
+    return name.replace(/^(.)/g, (a) => a.toLowerCase()) + 'Id';
+}
+
+function columnNameForField(field) {
+    // Model fields are mapped onto snake case column names (knex snake case mappers).
+    return field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+
+exports.schemaForDescription = schemaForDescription;
+exports.schemaFromDatabase = schemaFromDatabase;
+exports.migrationStatementsForSchemas = migrationStatementsForSchemas;
+exports.tableNameForEntityName = tableNameForEntityName;
+exports.columnNameForField = columnNameForField;
+
+
+function _column(name, type, references = null) {
+    const c = {name, type};
+    if(references) {
+        c.references = references;
+    }
+    return c;
+}
+
+function _columnDefinition(column) {
+    if(column.definition) {
+        return column.definition;
+    }
+    return `"${column.name}" ${column.type}` + (column.references ? ` REFERENCES "${column.references}"` : '');
+}
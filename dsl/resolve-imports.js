@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import Resolution
+// ---
+// A workflow description can be split over multiple files using the "import" directive. Import paths are resolved
+// relative to the file containing the directive.
+//
+// At the top level of a file, an import includes the enums, mappings, models, extensions and instances defined within
+// the imported file. Within an instance, an import also includes the layouts and validation sets defined at the top
+// level of the imported file into that instance, allowing them to be shared between multiple instance types.
+//
+// Each file is only parsed and included once (so two files can both import a common file of enums), any definition
+// made within more than one file or a file that (indirectly) imports itself is reported as an error.
+
+
+class DescriptionLoader {
+
+    constructor(parser) {
+        this.parser = parser;
+        this.parsedFiles = {};
+        this.includedFiles = {};
+        this.definedAt = {};
+        this.errors = [];
+    }
+
+    load(sourceFile) {
+
+        const description = {};
+        const rootFile = path.resolve(sourceFile);
+        const root = this.includeFile(description, rootFile, [], null);
+
+        if(root) {
+            this.checkNoSharedDefinitions(root, rootFile, null, 'can only be used by an instance that imports the file they are defined within');
+        }
+
+        return description;
+    }
+
+    error(message, ...nodes) {
+        const located = nodes.find(n => n && n.location);
+        this.errors.push({message, location:located ? located.location : null});
+    }
+
+    parseFile(file) {
+
+        if(this.parsedFiles.hasOwnProperty(file)) {
+            return this.parsedFiles[file];
+        }
+
+        // Syntax errors are thrown as-is (with the source file added to their location), as with a single file.
+        const source = fs.readFileSync(file, 'utf8');
+        try {
+            this.parsedFiles[file] = this.parser.parse(source, {source:file});
+        } catch(err) {
+            if(err.location) {
+                err.location.source = file;
+            }
+            throw err;
+        }
+
+        return this.parsedFiles[file];
+    }
+
+    includeFile(description, file, importChain, importNode) {
+
+        if(importChain.indexOf(file) !== -1) {
+            const chain = [...importChain, file].map(f => path.basename(f)).join(' -> ');
+            this.error(`Circular import detected: ${chain}`, importNode);
+            return null;
+        }
+
+        if(!fs.existsSync(file)) {
+            this.error(`Unable to import '${file}', the file does not exist.`, importNode);
+            return null;
+        }
+
+        const parsed = this.parseFile(file);
+        if(this.includedFiles[file]) {
+            return parsed;
+        }
+        this.includedFiles[file] = true;
+
+        const chain = [...importChain, file];
+
+        (parsed.imports || []).forEach(imp => {
+            const imported = this.includeFile(description, _resolveImportPath(file, imp.path), chain, imp);
+            if(imported) {
+                this.checkNoSharedDefinitions(imported, imp.path, imp, 'must be imported from within an instance');
+            }
+        });
+        delete parsed.imports;
+
+        ['enums', 'mappings', 'models', 'tasks'].forEach(kind => this.mergeDefinitions(description, parsed, kind));
+
+        if(parsed.extensions) {
+            description.extensions = description.extensions || [];
+            parsed.extensions.forEach(ext => {
+                if(description.extensions.indexOf(ext) === -1) {
+                    description.extensions.push(ext);
+                }
+            });
+        }
+
+        Object.values(parsed.tasks || {}).forEach(instance => {
+            (instance.imports || []).forEach(imp => {
+                const imported = this.includeFile(description, _resolveImportPath(file, imp.path), chain, imp);
+                if(imported) {
+                    this.mergeSharedDefinitions(instance, imported, 'layouts', 'layout', imp);
+                    this.mergeSharedDefinitions(instance, imported, 'validations', 'name', imp);
+                }
+            });
+            delete instance.imports;
+        });
+
+        return parsed;
+    }
+
+    mergeDefinitions(description, parsed, kind) {
+
+        if(!parsed[kind]) {
+            return;
+        }
+
+        description[kind] = description[kind] || {};
+
+        Object.keys(parsed[kind]).forEach(name => {
+
+            const definition = parsed[kind][name];
+            const key = `${kind}:${name}`;
+
+            if(this.definedAt.hasOwnProperty(key)) {
+                this.error(`Duplicate definition of ${_kindName(kind)} '${name}', previously defined at ${_formatLocation(this.definedAt[key])}.`, definition);
+                return;
+            }
+
+            this.definedAt[key] = definition.location || null;
+            description[kind][name] = definition;
+        });
+    }
+
+    mergeSharedDefinitions(instance, imported, kind, nameProperty, importNode) {
+
+        if(!imported[kind]) {
+            return;
+        }
+
+        instance[kind] = instance[kind] || [];
+
+        imported[kind].forEach(definition => {
+
+            const name = definition[nameProperty];
+            const existing = instance[kind].find(d => d[nameProperty].toLowerCase() === name.toLowerCase());
+
+            if(existing === definition) {
+                return;
+            }
+
+            if(existing) {
+                this.error(`Duplicate definition of ${_kindName(kind)} '${name}' imported into instance '${instance.name}', previously defined at ${_formatLocation(existing.location)}.`, definition, importNode);
+                return;
+            }
+
+            instance[kind].push(definition);
+        });
+    }
+
+    checkNoSharedDefinitions(parsed, file, importNode, reason) {
+
+        (parsed.layouts || []).forEach(layout => {
+            this.error(`Shared layout '${layout.layout}' (${file}) ${reason}.`, importNode, layout);
+        });
+
+        (parsed.validations || []).forEach(v => {
+            this.error(`Shared validation set '${v.name}' (${file}) ${reason}.`, importNode, v);
+        });
+    }
+}
+
+
+function loadDescription(parser, sourceFile) {
+
+    const loader = new DescriptionLoader(parser);
+    const description = loader.load(sourceFile);
+
+    return {description, errors:loader.errors};
+}
+
+module.exports = loadDescription;
+
+
+function _resolveImportPath(importingFile, importPath) {
+    return path.resolve(path.dirname(importingFile), importPath);
+}
+
+function _kindName(kind) {
+    return {enums:'enum', mappings:'mapping', models:'model', tasks:'instance', layouts:'layout', validations:'validation set'}[kind] || kind;
+}
+
+function _formatLocation(location) {
+    if(!location) {
+        return 'an unknown location';
+    }
+    return `${location.source ? path.relative(process.cwd(), location.source) : '-'}:${location.line}:${location.column}`;
+}
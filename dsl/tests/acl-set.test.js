@@ -0,0 +1,58 @@
+const wfd = require('../wfd-dsl');
+const WorkflowDescription = require('../../packages/client-workflow-model/WorkflowDescription');
+
+const AclActions = require('../../packages/client-workflow-model/AclRule').Actions;
+
+
+function submissionAcl() {
+
+    // The enum values used by conditions differ between the client (the enum key) and the server (the stored value).
+
+    const description = wfd.parse(`
+enum SubmissionPhase {
+    Pending => "pending",
+    Submitted => "submitted"
+}
+
+instance Submission {
+
+    model {
+        phase: SubmissionPhase <state>
+    }
+
+    acl {
+        allow <owner> [access:all]
+        allow <owner> [destroy] where (phase == SubmissionPhase.Pending)
+        deny <owner> [access:all] where (phase == SubmissionPhase.Submitted)
+    }
+}
+`);
+    return new WorkflowDescription(description).instanceTypes.Submission.acl;
+}
+
+function data(values) {
+    return {
+        getFieldValue: field => values[field]
+    };
+}
+
+
+describe('acl set', () => {
+
+    it('applies conditional allow rules against server values for the server audience', () => {
+
+        const acl = submissionAcl();
+
+        expect(acl.applyRules(['owner'], AclActions.Destroy, data({phase:"pending"}), 'server').allow).toBe(true);
+        expect(acl.applyRules(['owner'], AclActions.Destroy, data({phase:"Pending"}), 'server').allow).toBe(false);
+        expect(acl.applyRules(['owner'], AclActions.Destroy, data({phase:"Pending"}), 'client').allow).toBe(true);
+    });
+
+    it('applies conditional deny rules against server values for the server audience', () => {
+
+        const acl = submissionAcl();
+
+        expect(acl.applyRules(['owner'], AclActions.Access, data({phase:"submitted"}), 'server').allow).toBe(false);
+        expect(acl.applyRules(['owner'], AclActions.Access, data({phase:"pending"}), 'server').allow).toBe(true);
+    });
+});
@@ -0,0 +1,201 @@
+const wfd = require('../wfd-dsl');
+const Condition = require('../../packages/client-workflow-model/Condition');
+const Model = require('../../packages/client-workflow-model/Model');
+
+const DayMilliseconds = 24 * 60 * 60 * 1000;
+
+const Phases = {
+    Pending: {client:"Pending", server:"pending"},
+    Submitted: {client:"Submitted", server:"submitted"}
+};
+
+function enumResolver(value, audience) {
+    const entry = Phases[value.split('.')[1]];
+    return entry ? entry[audience] : undefined;
+}
+
+function condition(source) {
+
+    // Conditions are parsed as written within a description, as the condition of a validation entry.
+
+    const description = wfd.parse(`
+instance Submission {
+    model {
+        title: String
+    }
+    validations "conditions" {
+        { title => (${source}), "Condition failed." }
+    }
+}
+`);
+    return new Condition(description.tasks.Submission.validations[0].entries[0].condition, enumResolver);
+}
+
+function data(values) {
+    return {
+        getFieldValue: field => field.split('.').reduce((v, p) => (v !== null && v !== undefined) ? v[p] : undefined, values)
+    };
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DayMilliseconds).toISOString();
+}
+
+
+describe('condition', () => {
+
+    describe('matches', () => {
+
+        it('tests a string against a regular expression', () => {
+
+            const c = condition(`title matches /^The .* model$/i`);
+
+            expect(c.evaluate(data({title:"The cardiac model"}), 'client')).toBe(true);
+            expect(c.evaluate(data({title:"the Cardiac Model"}), 'client')).toBe(true);
+            expect(c.evaluate(data({title:"A cardiac model"}), 'client')).toBe(false);
+        });
+
+        it('does not match values that are not strings', () => {
+
+            const c = condition(`title matches /.*/`);
+
+            expect(c.evaluate(data({title:null}), 'client')).toBe(false);
+            expect(c.evaluate(data({title:12}), 'client')).toBe(false);
+        });
+
+        it('gives the same result for repeated evaluations with global or sticky flags', () => {
+
+            const c = condition(`title matches /model/gy`);
+            const matches = [1, 2, 3].map(() => c.evaluate(data({title:"model"}), 'client'));
+
+            expect(matches).toEqual([true, true, true]);
+        });
+
+        it('accepts a string pattern', () => {
+
+            const c = condition(`title matches "^[A-Z]"`);
+
+            expect(c.evaluate(data({title:"Model"}), 'client')).toBe(true);
+            expect(c.evaluate(data({title:"model"}), 'client')).toBe(false);
+        });
+    });
+
+
+    describe('contains', () => {
+
+        it('tests for a substring within a string', () => {
+
+            const c = condition(`title contains "heart"`);
+
+            expect(c.evaluate(data({title:"A model of the heart"}), 'client')).toBe(true);
+            expect(c.evaluate(data({title:"A model of the lung"}), 'client')).toBe(false);
+            expect(c.evaluate(data({title:null}), 'client')).toBe(false);
+        });
+
+        it('tests for a value within a list', () => {
+
+            const c = condition(`keywords contains "cardiac"`);
+
+            expect(c.evaluate(data({keywords:["renal", "cardiac"]}), 'client')).toBe(true);
+            expect(c.evaluate(data({keywords:["renal"]}), 'client')).toBe(false);
+        });
+
+        it('requires all enum values to be within a multi-valued field', () => {
+
+            const c = condition(`phases contains [Phase.Pending, Phase.Submitted]`);
+
+            expect(c.evaluate(data({phases:["Pending", "Submitted"]}), 'client')).toBe(true);
+            expect(c.evaluate(data({phases:["pending"]}), 'server')).toBe(false);
+            expect(c.evaluate(data({phases:["submitted", "pending"]}), 'server')).toBe(true);
+        });
+    });
+
+
+    describe('date arithmetic', () => {
+
+        it('compares the time elapsed since a date against a duration', () => {
+
+            const c = condition(`current() - submissionDate > days(28)`);
+
+            expect(c.evaluate(data({submissionDate:daysAgo(30)}), 'client')).toBe(true);
+            expect(c.evaluate(data({submissionDate:new Date(Date.now() - 30 * DayMilliseconds)}), 'server')).toBe(true);
+            expect(c.evaluate(data({submissionDate:daysAgo(10)}), 'client')).toBe(false);
+        });
+
+        it('compares a date against an offset from the current date', () => {
+
+            const c = condition(`submissionDate < current() - weeks(2)`);
+
+            expect(c.evaluate(data({submissionDate:daysAgo(15)}), 'client')).toBe(true);
+            expect(c.evaluate(data({submissionDate:daysAgo(13)}), 'client')).toBe(false);
+        });
+
+        it('fails comparisons when a date is missing', () => {
+
+            const c = condition(`current() - submissionDate > hours(1)`);
+
+            expect(c.evaluate(data({submissionDate:null}), 'client')).toBe(false);
+        });
+
+        it('supports arithmetic over numbers', () => {
+
+            const c = condition(`price * 2 >= 100`);
+
+            expect(c.evaluate(data({price:50}), 'client')).toBe(true);
+            expect(c.evaluate(data({price:49}), 'client')).toBe(false);
+        });
+    });
+
+
+    describe('where filters', () => {
+
+        const authors = [
+            {name:"A", isCorresponding:true, orcid:"0000-0001"},
+            {name:"B", isCorresponding:false, orcid:null},
+            {name:"C", isCorresponding:true, orcid:null}
+        ];
+
+        it('only passes the items matching the where condition to the function', () => {
+
+            expect(condition(`count(authors where isCorresponding == true) == 2`).evaluate(data({authors}), 'client')).toBe(true);
+            expect(condition(`count(authors where hasValue(orcid)) == 1`).evaluate(data({authors}), 'client')).toBe(true);
+            expect(condition(`count(authors where isCorresponding == true && hasValue(orcid)) == 1`).evaluate(data({authors}), 'client')).toBe(true);
+        });
+
+        it('treats a missing collection as empty', () => {
+
+            expect(condition(`any(authors where isCorresponding == true)`).evaluate(data({}), 'client')).toBe(false);
+            expect(condition(`count(authors where isCorresponding == true) == 0`).evaluate(data({authors:null}), 'client')).toBe(true);
+        });
+
+        it('does not treat fields within the where condition as bindings of the condition', () => {
+
+            expect(condition(`count(authors where hasValue(orcid)) > 0`).bindings).toEqual(['authors']);
+        });
+    });
+
+    describe('computed values', () => {
+
+        function computedModel(elements) {
+            const description = wfd.parse(`instance Submission { model { ${elements} } }`);
+            return new Model(description.tasks.Submission.model, enumResolver);
+        }
+
+        it('evaluates numeric fields as whole days since a date', () => {
+
+            const model = computedModel(`submissionDate: DateTime, daysSinceSubmission: Int <computed:((current() - submissionDate) / days(1))>`);
+
+            expect(model.computedFieldBindings('daysSinceSubmission')).toEqual(['submissionDate']);
+            expect(model.evaluateComputedField('daysSinceSubmission', data({submissionDate:daysAgo(3.5)}), 'client')).toBe(3);
+            expect(model.evaluateComputedField('daysSinceSubmission', data({submissionDate:null}), 'client')).toBeNull();
+        });
+
+        it('evaluates date fields from an offset in milliseconds', () => {
+
+            const model = computedModel(`submissionDate: DateTime, reviewDue: DateTime <computed:(submissionDate + days(2))>`);
+            const due = model.evaluateComputedField('reviewDue', data({submissionDate:"2020-01-01T00:00:00Z"}), 'server');
+
+            expect(due).toEqual(new Date("2020-01-03T00:00:00Z"));
+        });
+    });
+});
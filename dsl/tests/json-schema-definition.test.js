@@ -0,0 +1,24 @@
+const JsonSchemaDefinition = require('../../packages/client-workflow-model/JsonSchemaDefinition');
+const WorkflowDescription = require('../../packages/client-workflow-model/WorkflowDescription');
+
+const AuthorsSchema = require('../../definitions/schemas/authors.json');
+
+
+describe('json schema definition', () => {
+
+    it('fetches the id of list items, used by editors to identify items', () => {
+
+        const fields = new JsonSchemaDefinition('authors', AuthorsSchema).fetchFields();
+
+        expect(fields.id).toBeNull();
+        expect(fields.name).toBeNull();
+        expect(fields.affiliations).toEqual({organization:null, department:null});
+    });
+
+    it('lists the object types derived from the schemas of a description', () => {
+
+        const description = new WorkflowDescription({schemas:{authors:AuthorsSchema}});
+
+        expect(description.schemaObjectTypeNames()).toEqual(['Author', 'AuthorAffiliation']);
+    });
+});
@@ -0,0 +1,65 @@
+const wfd = require('../wfd-dsl');
+const WorkflowDescription = require('../../packages/client-workflow-model/WorkflowDescription');
+const { schemaFieldViolations, formSchemaFieldViolations } = require('../../packages/component-workflow-model/dsl-model/json-schema-validation');
+
+const AuthorsSchema = require('../../definitions/schemas/authors.json');
+const KeywordsSchema = require('../../definitions/schemas/keywords.json');
+
+
+function submissionType() {
+
+    const description = wfd.parse(`
+instance Submission {
+
+    model {
+        title: String,
+        authors: JSON <schema:"authors">,
+        keywords: JSON <schema:"keywords">
+    }
+
+    form "details" {
+        elements: {
+            { TextInput => title }
+            { Panel, children: {
+                { AuthorsEditor => authors }
+            } }
+        }
+    }
+}
+`);
+    description.schemas = {authors:AuthorsSchema, keywords:KeywordsSchema};
+    return new WorkflowDescription(description).instanceTypes.Submission;
+}
+
+const InvalidAuthors = [{id:1, name:"Author", unknownProperty:true}];
+const InvalidKeywords = {keyword:"not a list"};
+
+
+describe('json schema validation', () => {
+
+    it('reports the violations of a value against the schema of its field', () => {
+
+        const { model } = submissionType();
+        const violations = schemaFieldViolations(model, {authors:InvalidAuthors});
+
+        expect(violations).toEqual([{field:'authors', message:"authors[0] should NOT have additional properties"}]);
+    });
+
+    it('ignores fields that are not set', () => {
+
+        const { model } = submissionType();
+
+        expect(schemaFieldViolations(model, {authors:null})).toEqual([]);
+    });
+
+    it('only reports violations for the fields bound to by a form, including nested elements', () => {
+
+        const submission = submissionType();
+        const form = submission.formDefinitionForFormName('details');
+
+        const violations = formSchemaFieldViolations(submission.model, {authors:InvalidAuthors, keywords:InvalidKeywords}, form);
+        expect(violations.map(v => v.field)).toEqual(['authors']);
+
+        expect(formSchemaFieldViolations(submission.model, {authors:[{id:1, name:"Author"}], keywords:InvalidKeywords}, form)).toEqual([]);
+    });
+});
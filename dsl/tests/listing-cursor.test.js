@@ -0,0 +1,72 @@
+const { listingCursorCondition } = require('../../packages/component-workflow-model/dsl-model/listing-cursor');
+
+
+function conditionSql(ordering, values, isAfter) {
+
+    // Records the condition applied to a query builder as SQL, with identifier ("??") and value ("?") bindings
+    // substituted inline.
+
+    const groups = [];
+    const builder = {
+        orWhere: fn => {
+            const clauses = [];
+            fn({whereRaw: (sql, bindings) => {
+                const remaining = bindings.slice();
+                clauses.push(sql.replace(/\?\?|\?/g, m => m === '??' ? remaining.shift() : JSON.stringify(remaining.shift())));
+            }});
+            groups.push(clauses.join(' AND '));
+        }
+    };
+
+    listingCursorCondition(builder, ordering, values, isAfter);
+    return groups.map(g => `(${g})`).join(' OR ');
+}
+
+const TitleOrdering = [
+    {field:'title', sql:'??', bindings:['title'], descending:false},
+    {field:'id', sql:'??', bindings:['id'], descending:false}
+];
+
+const CreatedDescendingOrdering = [
+    {field:'created', sql:'??', bindings:['created'], descending:true},
+    {field:'id', sql:'??', bindings:['id'], descending:false}
+];
+
+
+describe('listing cursor', () => {
+
+    it('pages past ties on the sort column using the instance id', () => {
+
+        expect(conditionSql(TitleOrdering, ['Model', 'b'], true)).toEqual(
+            `((title > "Model" OR title IS NULL)) OR (title = "Model" AND (id > "b" OR id IS NULL))`
+        );
+    });
+
+    it('pages backwards past ties on the sort column using the instance id', () => {
+
+        expect(conditionSql(TitleOrdering, ['Model', 'b'], false)).toEqual(
+            `(title < "Model") OR (title = "Model" AND id < "b")`
+        );
+    });
+
+    it('only pages through the remaining null values after a null sort value', () => {
+
+        expect(conditionSql(TitleOrdering, [null, 'b'], true)).toEqual(
+            `(false) OR (title IS NULL AND (id > "b" OR id IS NULL))`
+        );
+    });
+
+    it('includes all non-null values when paging backwards from a null sort value', () => {
+
+        expect(conditionSql(TitleOrdering, [null, 'b'], false)).toEqual(
+            `(title IS NOT NULL) OR (title IS NULL AND id < "b")`
+        );
+    });
+
+    it('reverses the comparison for descending columns', () => {
+
+        expect(conditionSql(CreatedDescendingOrdering, ['2020-01-01T00:00:00Z', 'b'], true)).toEqual(
+            `((created < "2020-01-01T00:00:00Z" OR created IS NULL)) OR (created = "2020-01-01T00:00:00Z" AND (id > "b" OR id IS NULL))`
+        );
+    });
+});
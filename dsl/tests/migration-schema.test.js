@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+const wfd = require('../wfd-dsl');
+const loadDescription = require('../resolve-imports');
+const MigrationSchema = require('../migration-schema');
+
+const MigrationsDirectory = path.join(__dirname, '../../packages/app/migrations');
+
+// Fields added to the submission model by the curation checks migration (1590661916-submission.sql).
+const CurationCheckFields = [
+    'suitableForPhysiome', 'manuscriptFormatted', 'modelImplExecutable', 'reprodGoalAchieved', 'modelReproducible',
+    'modificationExplained', 'modelAppropriateStandards', 'paramSourceStated', 'provenanceClear',
+    'overlapPaperManuscriptCode', 'articleFitForPublication'
+];
+
+const EmptySchema = {tables:{}, sequences:[]};
+
+
+function physiomeDescription() {
+    const {description} = loadDescription(wfd, path.join(__dirname, '../../definitions/physiome-submission.wfd'));
+    return description;
+}
+
+function committedMigration(name) {
+    return fs.readFileSync(path.join(MigrationsDirectory, name), 'utf8');
+}
+
+function createTableStatements(sql) {
+    return sql.match(/CREATE TABLE "[^"]+" \([\s\S]*?\n\);/g);
+}
+
+function columnDefinitions(statement) {
+    return statement.split('\n').map(line => line.trim().replace(/^ADD COLUMN /, '').replace(/[,;]$/, '')).filter(line => line.indexOf('"') === 0);
+}
+
+function statementsForModels(previousModel, currentModel) {
+
+    const description = model => wfd.parse(`
+enum SubmissionPhase {
+    Pending => "pending"
+}
+
+instance Submission {
+    model+input {
+        ${model}
+    }
+}
+`);
+
+    const previous = previousModel ? MigrationSchema.schemaForDescription(description(previousModel)) : EmptySchema;
+    return MigrationSchema.migrationStatementsForSchemas(previous, MigrationSchema.schemaForDescription(description(currentModel)));
+}
+
+
+describe('migration schema', () => {
+
+    describe('physiome submission description', () => {
+
+        it('reproduces the committed curation checks migration', () => {
+
+            const current = physiomeDescription();
+            const previous = physiomeDescription();
+            previous.tasks.Submission.model.elements = previous.tasks.Submission.model.elements.filter(e => CurationCheckFields.indexOf(e.field) === -1);
+
+            const statements = MigrationSchema.migrationStatementsForSchemas(MigrationSchema.schemaForDescription(previous), MigrationSchema.schemaForDescription(current));
+
+            expect(statements.join('\n\n')).toEqual(committedMigration('1590661916-submission.sql').trim());
+        });
+
+        it('reproduces the join tables of the committed initial migration', () => {
+
+            const statements = MigrationSchema.migrationStatementsForSchemas(EmptySchema, MigrationSchema.schemaForDescription(physiomeDescription()));
+            const committed = createTableStatements(committedMigration('1571094261-submission.sql')).filter(s => s.indexOf('CREATE TABLE "submission-') === 0);
+
+            expect(committed.length).toEqual(3);
+            expect(statements).toEqual(expect.arrayContaining(committed));
+        });
+
+        it('reproduces the submission table columns of the committed migrations', () => {
+
+            const statements = MigrationSchema.migrationStatementsForSchemas(EmptySchema, MigrationSchema.schemaForDescription(physiomeDescription()));
+            const generated = statements.find(s => s.indexOf('CREATE TABLE "submission" (') === 0);
+
+            const [initial] = createTableStatements(committedMigration('1571094261-submission.sql'));
+            const committed = [...columnDefinitions(initial), ...columnDefinitions(committedMigration('1590661916-submission.sql'))];
+
+            expect(statements[0]).toEqual('CREATE SEQUENCE manuscript_id;');
+            expect(columnDefinitions(generated).sort()).toEqual(committed.sort());
+        });
+
+        it('requires no migration when the description is unchanged', () => {
+
+            const schema = MigrationSchema.schemaForDescription(physiomeDescription());
+            expect(MigrationSchema.migrationStatementsForSchemas(schema, MigrationSchema.schemaForDescription(physiomeDescription()))).toEqual([]);
+        });
+    });
+
+
+    it('maps field types onto column types', () => {
+
+        const statements = statementsForModels(null, `
+            title: String,
+            count: Int,
+            score: Float,
+            published: Date,
+            submitted: DateTime,
+            accepted: Boolean,
+            details: JSON,
+            phase: SubmissionPhase,
+            keywords: [String],
+            phases: [SubmissionPhase]
+        `);
+
+        expect(columnDefinitions(statements[0]).slice(3)).toEqual([
+            '"title" text', '"count" int', '"score" double precision', '"published" date', '"submitted" timestamptz',
+            '"accepted" boolean', '"details" JSONB', '"phase" text', '"keywords" JSONB', '"phases" JSONB'
+        ]);
+    });
+
+    it('does not create columns for computed fields', () => {
+
+        const statements = statementsForModels(`title: String`, `
+            title: String,
+            hasTitle: Boolean <computed:(hasValue(title))>
+        `);
+
+        expect(statements).toEqual([]);
+    });
+
+    it('adds, alters and drops columns of existing tables', () => {
+
+        const statements = statementsForModels(`
+            title: String,
+            count: String,
+            abstract: String
+        `, `
+            title: String,
+            count: Int,
+            keywords: [String]
+        `);
+
+        expect(statements).toEqual([
+            'ALTER TABLE "submission"\n' +
+            '    ALTER COLUMN "count" TYPE int USING "count"::int,\n' +
+            '    ADD COLUMN "keywords" JSONB,\n' +
+            '    DROP COLUMN "abstract";'
+        ]);
+    });
+
+    it('creates and drops join tables for multi-valued relations', () => {
+
+        expect(statementsForModels(`title: String`, `
+            title: String,
+            files: [File] <set>
+        `)).toEqual([
+            'CREATE TABLE "submission-files" (\n' +
+            '    "id" INT GENERATED BY DEFAULT AS IDENTITY,\n' +
+            '    "submission_id" uuid REFERENCES "submission",\n' +
+            '    "file_id" uuid REFERENCES "file",\n' +
+            '    "order" int,\n' +
+            '    "removed" boolean\n' +
+            ');'
+        ]);
+
+        expect(statementsForModels(`files: [File] <set>`, `title: String`)).toEqual([
+            'ALTER TABLE "submission"\n    ADD COLUMN "title" text;',
+            'DROP TABLE "submission-files";'
+        ]);
+    });
+
+    it('creates sequences used by id-sequence fields', () => {
+
+        const statements = statementsForModels(`title: String`, `
+            title: String,
+            manuscriptId: String <id-sequence:"manuscript_id">
+        `);
+
+        expect(statements).toEqual([
+            'CREATE SEQUENCE manuscript_id;',
+            'ALTER TABLE "submission"\n    ADD COLUMN "manuscript_id" text;'
+        ]);
+    });
+});
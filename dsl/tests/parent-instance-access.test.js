@@ -0,0 +1,60 @@
+const wfd = require('../wfd-dsl');
+const WorkflowDescription = require('../../packages/client-workflow-model/WorkflowDescription');
+const { parentInstanceAccessDenial } = require('../../packages/component-workflow-model/dsl-model/parent-instance-access');
+
+
+function parentModel(aclTargets) {
+
+    // The parent's model class as used by the check, with the identity resolved onto fixed ACL targets (ownership is
+    // given by the "owner" target).
+
+    const description = wfd.parse(`
+instance Submission {
+
+    model {
+        title: String,
+        reviewNotes: String
+    }
+
+    acl {
+        fields "submit" { title }
+        fields "review" { title, reviewNotes }
+
+        allow <owner> [access:own]
+        allow <owner> [write] on "submit"
+        allow <editor> [access:all]
+        allow <editor> [write] on "review"
+    }
+}
+`);
+
+    return {
+        aclSet: new WorkflowDescription(description).instanceTypes.Submission.acl,
+        userToAclTargets: () => [aclTargets, aclTargets.indexOf('owner') !== -1],
+        restrictionsApplyToUser: (restrictions, isOwner) => !restrictions || restrictions.indexOf('all') !== -1 || (isOwner && restrictions.indexOf('own') !== -1),
+        _debugAclMatching: () => {}
+    };
+}
+
+const user = {id:'user'};
+const parent = {id:'submission', getFieldValue: () => null};
+const reviewNotesField = {field:'reviewNotes'};
+
+
+describe('parent instance access', () => {
+
+    it('rejects a user without write access to the child field of the parent', () => {
+
+        expect(parentInstanceAccessDenial(parentModel(['user', 'owner']), user, parent, reviewNotesField)).toEqual("You do not have write access on the following fields: reviewNotes");
+    });
+
+    it('rejects a user without access to the parent', () => {
+
+        expect(parentInstanceAccessDenial(parentModel(['user']), user, parent, reviewNotesField)).toEqual("You do not have access to the parent instance.");
+    });
+
+    it('allows a user with write access to the child field of the parent', () => {
+
+        expect(parentInstanceAccessDenial(parentModel(['user', 'editor']), user, parent, reviewNotesField)).toBeNull();
+    });
+});
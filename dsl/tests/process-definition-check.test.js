@@ -0,0 +1,85 @@
+const wfd = require('../wfd-dsl');
+const ProcessDefinitionCheck = require('../../packages/component-workflow-model/dsl-model/process-definition-check');
+
+
+const ProcessDefinition = ProcessDefinitionCheck.parseProcessDefinition(`<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:camunda="http://camunda.org/schema/1.0/bpmn" id="Definitions">
+  <bpmn:process id="submission" isExecutable="true">
+    <bpmn:userTask id="Task_Details" name="Details" camunda:formKey="custom:details" />
+    <bpmn:userTask id="Task_Checks" name="Checks" camunda:formKey="custom:checks" />
+    <bpmn:serviceTask id="Task_Publish" camunda:type="external" camunda:topic="publish-submission" />
+    <bpmn:serviceTask id="Task_TimeOut" camunda:type="external" camunda:topic="time-out-submission" />
+    <bpmn:boundaryEvent id="Event_Timer" attachedToRef="Task_Details" />
+    <bpmn:sequenceFlow id="Flow_Timer" sourceRef="Event_Timer" targetRef="Task_TimeOut" />
+  </bpmn:process>
+</bpmn:definitions>
+`);
+
+function check(body, subscribedTopics = null, processKey = "submission") {
+
+    const description = wfd.parse(`
+instance Submission {
+
+    processKey: "${processKey}"
+
+    model {
+        title: String
+    }
+
+    ${body}
+}
+`);
+    return ProcessDefinitionCheck.checkDescriptionAgainstProcessDefinition(description, ProcessDefinition, subscribedTopics).map(p => p.message);
+}
+
+
+describe('process definition check', () => {
+
+    it('accepts a description matching the process definition', () => {
+
+        const problems = check(`
+            acl {
+                tasks "owner" { "Task_Details" }
+            }
+            form "details" { }
+            form "decisions" { }
+            view "details" {
+                elements: {
+                    { InlineTaskForm, form:"decisions", tasks:[ "checks" ] }
+                }
+            }
+        `, ['publish-submission', 'time-out-submission']);
+
+        expect(problems).toEqual([]);
+    });
+
+    it('reports a process key missing from the process definition', () => {
+
+        expect(check(``, null, "unknown")).toEqual(["Instance 'Submission' uses process key 'unknown' which is not defined within the BPMN process definition."]);
+    });
+
+    it('reports mismatched user tasks, form keys and external task topics', () => {
+
+        const problems = check(`
+            acl {
+                tasks "owner" { "Task_Missing" }
+            }
+            form "details" { }
+            form "unused" { }
+        `, ['publish-submission', 'retired-topic']);
+
+        expect(problems).toEqual([
+            "ACL task set 'owner' (instance 'Submission') references user task 'Task_Missing' which does not exist within process 'submission'.",
+            "User task 'Task_Checks' within process 'submission' uses form key 'custom:checks' which has no matching form or InlineTaskForm task within instance 'Submission'.",
+            "Form 'unused' (instance 'Submission') is not referenced by the form key of any user task within process 'submission' or by an InlineTaskForm.",
+            "External task topic 'time-out-submission' within process 'submission' has no subscribed task handler.",
+            "Task handler subscribes to external task topic 'retired-topic' which is not used within the BPMN process definition."
+        ]);
+    });
+
+    it('determines the task a boundary event flowing into an external task is attached to', () => {
+
+        expect(ProcessDefinitionCheck.boundaryEventTaskForTopic(ProcessDefinition, "submission", "time-out-submission")).toEqual("Task_Details");
+        expect(ProcessDefinitionCheck.boundaryEventTaskForTopic(ProcessDefinition, "submission", "publish-submission")).toBeNull();
+    });
+});
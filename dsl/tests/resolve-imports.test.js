@@ -0,0 +1,253 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const wfd = require('../wfd-dsl');
+const loadDescription = require('../resolve-imports');
+
+
+const SharedEnums = `
+enum SubmissionPhase {
+    Pending => "pending",
+    Submitted => "submitted"
+}
+`;
+
+const SharedLayouts = `
+layout "summary" {
+    { StaticText => title, label:"Title" }
+}
+
+validations "titled" {
+    { title => (length(title) > 0), "A title is required." }
+}
+`;
+
+function submissionInstance(body = "") {
+    return `
+instance Submission {
+    ${body}
+    model+input {
+        title: String,
+        phase: SubmissionPhase <state>
+    }
+}
+`;
+}
+
+
+describe('resolve imports', () => {
+
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wfd-imports-'));
+    });
+
+    afterEach(() => {
+        _removeDirectory(directory);
+    });
+
+    function writeFiles(files) {
+        Object.keys(files).forEach(name => {
+            const file = path.join(directory, name);
+            fs.mkdirSync(path.dirname(file), {recursive:true});
+            fs.writeFileSync(file, files[name], 'utf8');
+        });
+    }
+
+    function load(name) {
+        const {description, errors} = loadDescription(wfd, path.join(directory, name));
+        return {description, errors:errors.map(e => e.message)};
+    }
+
+
+    it('includes the definitions of imported files', () => {
+
+        writeFiles({
+            'main.wfd': `import "enums.wfd"\n${submissionInstance()}`,
+            'enums.wfd': SharedEnums
+        });
+
+        const {description, errors} = load('main.wfd');
+
+        expect(errors).toEqual([]);
+        expect(Object.keys(description.enums)).toEqual(['SubmissionPhase']);
+        expect(Object.keys(description.tasks)).toEqual(['Submission']);
+        expect(description.imports).toBeUndefined();
+    });
+
+    it('resolves import paths relative to the importing file', () => {
+
+        writeFiles({
+            'main.wfd': `import "common/index.wfd"\n${submissionInstance()}`,
+            'common/index.wfd': `import "enums.wfd"`,
+            'common/enums.wfd': SharedEnums
+        });
+
+        const {description, errors} = load('main.wfd');
+
+        expect(errors).toEqual([]);
+        expect(Object.keys(description.enums)).toEqual(['SubmissionPhase']);
+    });
+
+    it('only includes a file imported by multiple files once', () => {
+
+        writeFiles({
+            'main.wfd': `import "a.wfd"\nimport "b.wfd"\n${submissionInstance()}`,
+            'a.wfd': `import "enums.wfd"`,
+            'b.wfd': `import "enums.wfd"`,
+            'enums.wfd': SharedEnums
+        });
+
+        const {description, errors} = load('main.wfd');
+
+        expect(errors).toEqual([]);
+        expect(Object.keys(description.enums)).toEqual(['SubmissionPhase']);
+    });
+
+    it('reports definitions made within more than one file', () => {
+
+        writeFiles({
+            'main.wfd': `import "enums.wfd"\n${SharedEnums}\n${submissionInstance()}`,
+            'enums.wfd': SharedEnums
+        });
+
+        const {errors} = load('main.wfd');
+
+        expect(errors).toEqual([expect.stringMatching(/^Duplicate definition of enum 'SubmissionPhase', previously defined at .*enums\.wfd:2:1\.$/)]);
+    });
+
+    it('reports circular imports', () => {
+
+        writeFiles({
+            'main.wfd': `import "a.wfd"\n${submissionInstance()}`,
+            'a.wfd': `import "b.wfd"`,
+            'b.wfd': `import "a.wfd"`
+        });
+
+        const {errors} = load('main.wfd');
+
+        expect(errors).toEqual(["Circular import detected: main.wfd -> a.wfd -> b.wfd -> a.wfd"]);
+    });
+
+    it('reports imports of files that do not exist', () => {
+
+        writeFiles({
+            'main.wfd': `import "missing.wfd"\n${submissionInstance()}`
+        });
+
+        const {errors} = load('main.wfd');
+
+        expect(errors).toEqual([`Unable to import '${path.join(directory, 'missing.wfd')}', the file does not exist.`]);
+    });
+
+    it('reports syntax errors against the file they occur within', () => {
+
+        writeFiles({
+            'main.wfd': `import "enums.wfd"\n${submissionInstance()}`,
+            'enums.wfd': `enum SubmissionPhase {\n    Pending: "pending"\n}`
+        });
+
+        let error = null;
+        try {
+            load('main.wfd');
+        } catch(err) {
+            error = err;
+        }
+
+        expect(error).not.toBeNull();
+        expect(error.location).toEqual(expect.objectContaining({source:path.join(directory, 'enums.wfd')}));
+        expect(error.location.start.line).toEqual(2);
+    });
+
+
+    describe('shared layouts and validation sets', () => {
+
+        it('are included into instances that import them', () => {
+
+            writeFiles({
+                'main.wfd': `${SharedEnums}\n${submissionInstance('import "shared.wfd"')}`,
+                'shared.wfd': SharedLayouts
+            });
+
+            const {description, errors} = load('main.wfd');
+            const instance = description.tasks.Submission;
+
+            expect(errors).toEqual([]);
+            expect(instance.layouts.map(l => l.layout)).toEqual(['summary']);
+            expect(instance.validations.map(v => v.name)).toEqual(['titled']);
+            expect(instance.imports).toBeUndefined();
+        });
+
+        it('can be shared between multiple instances', () => {
+
+            writeFiles({
+                'main.wfd': `${SharedEnums}\n${submissionInstance('import "shared.wfd"')}
+instance Review {
+    import "shared.wfd"
+    model+input {
+        title: String
+    }
+}`,
+                'shared.wfd': SharedLayouts
+            });
+
+            const {description, errors} = load('main.wfd');
+
+            expect(errors).toEqual([]);
+            expect(description.tasks.Review.layouts).toEqual(description.tasks.Submission.layouts);
+        });
+
+        it('must be imported from within an instance', () => {
+
+            writeFiles({
+                'main.wfd': `import "shared.wfd"\n${SharedEnums}\n${submissionInstance()}`,
+                'shared.wfd': SharedLayouts
+            });
+
+            const {errors} = load('main.wfd');
+
+            expect(errors).toEqual([
+                "Shared layout 'summary' (shared.wfd) must be imported from within an instance.",
+                "Shared validation set 'titled' (shared.wfd) must be imported from within an instance."
+            ]);
+        });
+
+        it('report duplicates of layouts already defined by the instance', () => {
+
+            writeFiles({
+                'main.wfd': `${SharedEnums}\n${submissionInstance(`import "shared.wfd"\n    ${SharedLayouts.split('validations')[0]}`)}`,
+                'shared.wfd': SharedLayouts
+            });
+
+            const {errors} = load('main.wfd');
+
+            expect(errors).toEqual([expect.stringMatching(/^Duplicate definition of layout 'summary' imported into instance 'Submission'/)]);
+        });
+    });
+
+
+    it('loads the physiome submission description without errors', () => {
+
+        const {description, errors} = loadDescription(wfd, path.join(__dirname, '../../definitions/physiome-submission.wfd'));
+
+        expect(errors).toEqual([]);
+        expect(description.tasks.Submission).toBeDefined();
+        expect(description.enums.SubmissionPhase).toBeDefined();
+    });
+});
+
+
+function _removeDirectory(directory) {
+
+    fs.readdirSync(directory).forEach(name => {
+        const file = path.join(directory, name);
+        if(fs.statSync(file).isDirectory()) {
+            _removeDirectory(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(directory);
+}
@@ -0,0 +1,194 @@
+const wfd = require('../wfd-dsl');
+const validateDescription = require('../validate-description');
+
+function validate(source) {
+    return validateDescription(wfd.parse(source)).map(e => e.message);
+}
+
+function describeInstance(model, body = "") {
+    return `
+enum SubmissionPhase {
+    Pending => "pending",
+    Submitted => "submitted"
+}
+
+instance Submission {
+
+    model+input {
+        ${model}
+    }
+
+    ${body}
+}
+`;
+}
+
+
+describe('validate description', () => {
+
+    it('accepts a description with no unresolved references', () => {
+
+        const source = describeInstance(`
+            title: String,
+            phase: SubmissionPhase <state, default:SubmissionPhase.Pending>,
+            keywords: [String],
+            hasTitle: Boolean <computed:(hasValue(title)), listing-filter>
+        `, `
+            validations "submission" {
+                { title => (length(title) > 0), "A title is required." }
+                { keywords => (length(keywords) > 0), "No keywords provided.", severity: "warning" }
+            }
+        `);
+
+        expect(validate(source)).toEqual([]);
+    });
+
+    it('reports unknown field types and enum references', () => {
+
+        const source = describeInstance(`
+            title: Strin,
+            phase: SubmissionPhase <default:SubmissionPhase.Unknown>
+        `);
+
+        expect(validate(source)).toEqual([
+            "Field 'title' has unknown type 'Strin'.",
+            "Enum 'SubmissionPhase' does not define a value for 'SubmissionPhase.Unknown'."
+        ]);
+    });
+
+    it('reports fields defined multiple times', () => {
+
+        const source = describeInstance(`
+            title: String,
+            title: String
+        `);
+
+        expect(validate(source)).toEqual(["Field 'title' is defined multiple times in the model for instance 'Submission'."]);
+    });
+
+    it('only allows strings and enums to be multi-valued', () => {
+
+        const source = describeInstance(`
+            counts: [Int],
+            phases: [SubmissionPhase]
+        `);
+
+        expect(validate(source)).toEqual(["Field 'counts' can't be declared as a list of 'Int', only String and enum values can be multi-valued."]);
+    });
+
+    it('reports unknown validation severities and fields referenced by validations', () => {
+
+        const source = describeInstance(`
+            title: String
+        `, `
+            validations "submission" {
+                { title => (length(titl) > 0), "A title is required.", severity: "notice" }
+            }
+        `);
+
+        expect(validate(source)).toEqual(expect.arrayContaining([
+            "Validation set 'submission' has an entry with unknown severity 'notice', expected one of: error, warning.",
+            "Unknown field 'titl' referenced, instance 'Submission' does not define it within its model."
+        ]));
+    });
+
+    it('includes the source location of reported problems', () => {
+
+        const source = describeInstance(`
+            title: Strin
+        `);
+
+        const [error] = validateDescription(wfd.parse(source));
+        expect(error.location).toEqual(expect.objectContaining({line:11, column:13}));
+    });
+
+
+    describe('computed fields', () => {
+
+        it('must be derived from stored fields', () => {
+
+            const source = describeInstance(`
+                title: String,
+                hasTitle: Boolean <computed:(hasValue(title))>,
+                derived: Boolean <computed:(hasValue(hasTitle))>
+            `);
+
+            expect(validate(source)).toEqual(["Computed field 'derived' references computed field 'hasTitle', computed fields can only be derived from stored fields."]);
+        });
+
+        it('must be of a boolean, numeric or date type', () => {
+
+            const source = describeInstance(`
+                title: String,
+                hasTitle: String <computed:(hasValue(title))>
+            `);
+
+            expect(validate(source)).toEqual(["Computed field 'hasTitle' must be of type 'Boolean', 'Int', 'Integer', 'Float', 'DateTime'."]);
+        });
+
+        it('allows numeric and date fields derived from a value', () => {
+
+            const source = describeInstance(`
+                submissionDate: DateTime,
+                reviewDays: Int,
+                daysSinceSubmission: Int <computed:((current() - submissionDate) / days(1)), listing-sortable>,
+                reviewDue: DateTime <computed:(submissionDate + days(reviewDays)), listing-filter>,
+                titleLength: Float <computed:(length(title))>,
+                title: String
+            `);
+
+            expect(validate(source)).toEqual([]);
+        });
+
+        it('must derive numeric and date fields from a value rather than a condition', () => {
+
+            const source = describeInstance(`
+                submissionDate: DateTime,
+                overdue: Int <computed:(current() - submissionDate > days(28))>,
+                submitted: Boolean <computed:(submissionDate)>
+            `);
+
+            expect(validate(source)).toEqual([
+                "Computed field 'overdue' of type 'Int' must be derived from a value rather than a condition.",
+                "Computed field 'submitted' of type 'Boolean' must be the outcome of a condition."
+            ]);
+        });
+
+        it('can only use translatable conditions when used for listings', () => {
+
+            const source = describeInstance(`
+                title: String,
+                submissionDate: DateTime,
+                titleMatches: Boolean <computed:(title matches /^A/), listing-filter>,
+                wordy: Boolean <computed:(wordCount(title) > 10), listing-sortable>,
+                overdue: Boolean <computed:(current() - submissionDate > days(28)), listing-filter>,
+                unsorted: Boolean <computed:(wordCount(title) > 10)>
+            `);
+
+            expect(validate(source)).toEqual([
+                "Computed field 'titleMatches' is used for listings but can't be evaluated within a listing query, unable to translate operator 'matches'.",
+                "Computed field 'wordy' is used for listings but can't be evaluated within a listing query, unable to translate function 'wordCount'."
+            ]);
+        });
+
+        it('can only reference fields stored on the instance when used for listings', () => {
+
+            const source = describeInstance(`
+                submitter: Identity <join-field:"submitterId">,
+                hasSubmitterName: Boolean <computed:(hasValue(submitter.displayName)), listing-filter>
+            `);
+
+            expect(validate(source)).toEqual(["Computed field 'hasSubmitterName' is used for listings but references 'submitter.displayName' which is not stored on the instance."]);
+        });
+
+        it('allows enum sets within listing conditions', () => {
+
+            const source = describeInstance(`
+                phase: SubmissionPhase <state>,
+                active: Boolean <computed:(phase in [SubmissionPhase.Pending, SubmissionPhase.Submitted]), listing-filter>
+            `);
+
+            expect(validate(source)).toEqual([]);
+        });
+    });
+});
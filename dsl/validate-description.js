@@ -0,0 +1,652 @@
+// Semantic Validation
+// ---
+// The grammar only ensures that a workflow description is syntactically valid. References between the different
+// parts of a description (enums, mappings, layouts, forms, validation sets, model fields and ACL groupings) are
+// only resolved at runtime, where a typo results in an element silently not rendering or an ACL rule never applying.
+// This pass resolves every named reference within a parsed description and reports all problems found, along with
+// the source location (where available) of the offending node.
+
+const Model = require('../packages/client-workflow-model/Model');
+const { computedValueToSql } = require('../packages/client-workflow-model/ConditionQuery');
+
+const BaseElementTypes = Model.BaseElementTypes;
+const ComputedElementTypes = Model.ComputedElementTypes;
+const MultiValuedElementTypes = Model.MultiValuedElementTypes;
+
+// Models provided by the shared-model within component-workflow-model, these are not defined within the
+// workflow description itself but are available as field types.
+const SharedModelTypes = ['File', 'ExtendedFile', 'Identity'];
+
+// Options that imply a field is stored or written to, which can't apply to a computed field.
+const NonComputedFieldOptions = {
+    state: 'state', idSequence: 'id-sequence', defaultValue: 'default', defaultEnum: 'default', joinField: 'join-field',
+    joinToField: 'join-to-field', accessors: 'add/remove/set', holdsOwnerId: 'owner-id'
+};
+
+const ValidationSeverities = ['error', 'warning'];
+
+const FieldAclActions = ['read', 'write'];
+const TaskAclActions = ['task'];
+
+
+class DescriptionValidator {
+
+    constructor(description) {
+        this.description = description;
+        this.enums = description.enums || {};
+        this.mappings = description.mappings || {};
+        this.models = description.models || {};
+        this.errors = [];
+    }
+
+    validate() {
+
+        Object.values(this.mappings).forEach(mapping => this.validateMapping(mapping));
+
+        if(this.description.tasks) {
+            Object.values(this.description.tasks).forEach(instance => this.validateInstance(instance));
+        }
+
+        return this.errors;
+    }
+
+    error(message, ...nodes) {
+        const located = nodes.find(n => n && n.location);
+        this.errors.push({message, location:located ? located.location : null});
+    }
+
+
+    // Enums and Mappings
+    // ---
+
+    validateMapping(mapping) {
+
+        const enumDef = this.enums[mapping.enum];
+        if(!enumDef) {
+            this.error(`Mapping '${mapping.name}' is defined on unknown enum '${mapping.enum}'.`, mapping);
+            return;
+        }
+
+        (mapping.mappings || []).forEach(entry => {
+            if(!_enumHasKey(enumDef, entry.enumValue)) {
+                this.error(`Mapping '${mapping.name}' references value '${entry.enumValue}' which is not defined in enum '${mapping.enum}'.`, entry, mapping);
+            }
+        });
+    }
+
+    validateEnumRef(enumRef, ...nodes) {
+
+        const [enumName, key] = enumRef.split(".");
+        const enumDef = this.enums[enumName];
+
+        if(!enumDef) {
+            this.error(`Unknown enum '${enumName}' referenced by '${enumRef}'.`, ...nodes);
+            return null;
+        }
+
+        if(!key || !_enumHasKey(enumDef, key)) {
+            this.error(`Enum '${enumName}' does not define a value for '${enumRef}'.`, ...nodes);
+            return null;
+        }
+
+        return enumName;
+    }
+
+    validateMappingRef(mappingRef, field, ...nodes) {
+
+        const mapping = this.mappings[mappingRef.mapping];
+        if(!mapping) {
+            this.error(`Unknown mapping '${mappingRef.mapping}' referenced.`, mappingRef, ...nodes);
+            return;
+        }
+
+        if(field && this.enums[field.type] && mapping.enum !== field.type) {
+            this.error(`Mapping '${mapping.name}' is defined on enum '${mapping.enum}' but is used with field '${field.field}' of type '${field.type}'.`, mappingRef, ...nodes);
+        }
+    }
+
+
+    // Instances
+    // ---
+
+    validateInstance(instance) {
+
+        const context = {
+            instance,
+            fields: {},
+            forms: _namedSet(this, instance, instance.forms, 'form', 'form'),
+            views: _namedSet(this, instance, instance.views, 'view', 'view'),
+            layouts: _namedSet(this, instance, instance.layouts, 'layout', 'layout'),
+            validations: _namedSet(this, instance, instance.validations, 'name', 'validation set'),
+            acl: instance.acl || {fields:{}, tasks:{}, rules:[]}
+        };
+
+        if(!instance.model) {
+            this.error(`Instance '${instance.name}' does not define a model.`, instance);
+        } else {
+            (instance.model.elements || []).forEach(element => {
+                if(context.fields[element.field]) {
+                    this.error(`Field '${element.field}' is defined multiple times in the model for instance '${instance.name}'.`, element);
+                }
+                context.fields[element.field] = element;
+            });
+            (instance.model.elements || []).forEach(element => this.validateModelField(context, element));
+        }
+
+        this.validateAcl(context);
+
+        Object.values(context.validations).forEach(set => {
+            (set.entries || []).forEach(entry => {
+                this.validateFieldRef(context, entry.target, entry, set);
+                this.validateCondition(context, entry.condition, entry, set);
+
+                const severity = entry.options && entry.options.severity;
+                if(severity !== undefined && ValidationSeverities.indexOf(severity) === -1) {
+                    this.error(`Validation set '${set.name}' has an entry with unknown severity '${severity}', expected one of: ${ValidationSeverities.join(", ")}.`, entry, set);
+                }
+            });
+        });
+
+        Object.values(context.layouts).forEach(layout => this.validateElements(context, layout.elements, null, layout));
+        Object.values(context.views).forEach(view => this.validateElements(context, view.elements, null, view));
+        Object.values(context.forms).forEach(form => this.validateForm(context, form));
+    }
+
+    validateModelField(context, element) {
+
+        const type = element.type;
+        const instances = this.description.tasks || {};
+        if(BaseElementTypes.indexOf(type) === -1 && SharedModelTypes.indexOf(type) === -1 && !this.enums[type] && !this.models[type] && !instances[type]) {
+            this.error(`Field '${element.field}' has unknown type '${type}'.`, element);
+        }
+
+        if(element.array && BaseElementTypes.indexOf(type) !== -1 && MultiValuedElementTypes.indexOf(type) === -1) {
+            this.error(`Field '${element.field}' can't be declared as a list of '${type}', only ${MultiValuedElementTypes.join(", ")} and enum values can be multi-valued.`, element);
+        }
+
+        if(element.defaultEnum) {
+            const enumName = this.validateEnumRef(`${element.defaultEnum}.${element.defaultEnumKey || ""}`, element);
+            if(enumName && enumName !== type) {
+                this.error(`Field '${element.field}' of type '${type}' has a default value from enum '${enumName}'.`, element);
+            }
+        }
+
+        if(element.computed) {
+            this.validateComputedField(context, element);
+        }
+
+        if(element.jsonSchema) {
+            this.validateFieldSchema(element);
+        }
+
+        if(element.childInstances) {
+            this.validateChildInstancesField(context, element);
+        } else if(element.inheritOwner || element.inheritAccess) {
+            this.error(`Field '${element.field}' can only inherit ACL details when declared as a relation to instances with 'join-to'.`, element);
+        }
+    }
+
+    validateChildInstancesField(context, element) {
+
+        const child = (this.description.tasks || {})[element.type];
+        if(!child || element.array !== true) {
+            this.error(`Field '${element.field}' declared with 'join-to' must be a list of another instance type (e.g. '[${element.type}]').`, element);
+            return;
+        }
+
+        const childElements = (child.model && child.model.elements) || [];
+        const conflicting = childElements.find(e => e.field === element.joinToField || (e.joinField === element.joinToField && e.type !== context.instance.name));
+        if(conflicting) {
+            this.error(`Field '${element.field}' joins to '${element.joinToField}' which is already used by field '${conflicting.field}' of instance '${child.name}'.`, element, conflicting);
+        }
+
+        if(element.inheritOwner) {
+
+            const parentOwned = (context.instance.model.elements || []).some(e => e.holdsOwnerId && e.joinField);
+            const childOwned = childElements.some(e => e.holdsOwnerId && e.joinField);
+            if(!parentOwned || !childOwned) {
+                this.error(`Field '${element.field}' inherits the owner of the instance, both '${context.instance.name}' and '${child.name}' require an 'owner-id' field.`, element);
+            }
+        }
+    }
+
+    validateFieldSchema(element) {
+
+        if(element.type !== 'JSON' || element.array) {
+            this.error(`Field '${element.field}' of type '${element.type}' can't declare a schema, only JSON fields can be validated against a schema.`, element);
+        }
+
+        const schema = (this.description.schemas || {})[element.jsonSchema];
+        if(!schema || typeof(schema) !== 'object' || schema instanceof Array) {
+            this.error(`Field '${element.field}' references schema '${element.jsonSchema}' which is not defined.`, element);
+        }
+    }
+
+    validateComputedField(context, element) {
+
+        // Boolean computed fields are the outcome of a condition, while numeric and date computed fields are derived
+        // from a single value (e.g. "(current() - submittedDate) / days(1)").
+
+        const expressions = element.computed.expression || [];
+        const isValue = expressions.length === 1 && (expressions[0].op === "value" || expressions[0].op === "function");
+        let validType = false;
+
+        if(ComputedElementTypes.indexOf(element.type) === -1 || element.array) {
+            this.error(`Computed field '${element.field}' must be of type ${ComputedElementTypes.map(t => `'${t}'`).join(", ")}.`, element);
+        } else if(element.type === 'Boolean' && expressions.some(e => e.op === "value")) {
+            this.error(`Computed field '${element.field}' of type 'Boolean' must be the outcome of a condition.`, element);
+        } else if(element.type !== 'Boolean' && !isValue) {
+            this.error(`Computed field '${element.field}' of type '${element.type}' must be derived from a value rather than a condition.`, element);
+        } else {
+            validType = true;
+        }
+
+        Object.keys(NonComputedFieldOptions).forEach(option => {
+            if(element.hasOwnProperty(option)) {
+                this.error(`Computed field '${element.field}' can not also be declared with '${NonComputedFieldOptions[option]}'.`, element);
+            }
+        });
+
+        if(element.input === true) {
+            this.error(`Computed field '${element.field}' can not be included within the input type.`, element);
+        }
+
+        this.validateCondition(context, element.computed, element);
+
+        // Computed fields used as listing filters or for sorting are evaluated within the database, which requires
+        // the condition to only reference fields stored on the instance itself and to be translatable into SQL
+        // (see ConditionQuery within client-workflow-model).
+        const evaluatedInDatabase = element.listingFilter || element.listingSorting;
+        let translatable = evaluatedInDatabase && validType;
+
+        _forEachConditionValue(element.computed.expression, value => {
+
+            if(value.type === "model") {
+                const field = context.fields[value.value.split(".")[0]];
+                if(field && field.computed) {
+                    this.error(`Computed field '${element.field}' references computed field '${field.field}', computed fields can only be derived from stored fields.`, value, element);
+                    translatable = false;
+                } else if(evaluatedInDatabase && (value.value.indexOf(".") !== -1 || (field && !_isStoredType(this, field)))) {
+                    this.error(`Computed field '${element.field}' is used for listings but references '${value.value}' which is not stored on the instance.`, value, element);
+                    translatable = false;
+                }
+            }
+        });
+
+        if(translatable) {
+            try {
+                computedValueToSql(element.computed.expression, context.fields, element.type);
+            } catch(err) {
+                this.error(`Computed field '${element.field}' is used for listings but can't be evaluated within a listing query, ${err.message}.`, element);
+            }
+        }
+    }
+
+    validateFieldRef(context, target, ...nodes) {
+
+        // Bindings and condition targets may reference a property on a related model (e.g. "submitter.displayName"),
+        // only the top level field is resolvable against the instance model.
+
+        const fieldName = target.split(".")[0];
+        const field = context.fields[fieldName];
+        if(!field) {
+            this.error(`Unknown field '${fieldName}' referenced, instance '${context.instance.name}' does not define it within its model.`, ...nodes);
+            return null;
+        }
+        return field;
+    }
+
+
+    validateAssignedFieldRef(context, target, ...nodes) {
+
+        const field = this.validateFieldRef(context, target, ...nodes);
+        if(field && field.computed) {
+            this.error(`Computed field '${field.field}' can not be assigned a value.`, ...nodes);
+        }
+        return field;
+    }
+
+
+    // ACL
+    // ---
+
+    validateAcl(context) {
+
+        const acl = context.acl;
+
+        Object.values(acl.fields || {}).forEach(fieldSet => {
+            (fieldSet.fields || []).forEach(f => {
+                if(!context.fields[f]) {
+                    this.error(`ACL field set '${fieldSet.name}' references unknown field '${f}'.`, fieldSet);
+                }
+            });
+        });
+
+        (acl.rules || []).forEach(rule => {
+
+            if(rule.grouping) {
+
+                const actionTypes = rule.actions.map(a => a.type);
+                const usesFields = actionTypes.some(t => FieldAclActions.indexOf(t) !== -1);
+                const usesTasks = actionTypes.some(t => TaskAclActions.indexOf(t) !== -1);
+
+                if(usesFields && !(acl.fields && acl.fields[rule.grouping])) {
+                    this.error(`ACL rule references unknown field set '${rule.grouping}'.`, rule);
+                }
+
+                if(usesTasks && !(acl.tasks && acl.tasks[rule.grouping])) {
+                    this.error(`ACL rule references unknown task set '${rule.grouping}'.`, rule);
+                }
+
+                if(!usesFields && !usesTasks) {
+                    this.error(`ACL rule grouping '${rule.grouping}' is only applicable to read, write or task actions.`, rule);
+                }
+            }
+
+            if(rule.condition) {
+                this.validateCondition(context, rule.condition, rule);
+            }
+
+            (rule.validations || []).forEach(name => this.validateValidationSetRef(context, name, rule));
+        });
+    }
+
+    validateValidationSetRef(context, name, ...nodes) {
+        if(!context.validations[name.toLowerCase()]) {
+            this.error(`Unknown validation set '${name}' referenced.`, ...nodes);
+        }
+    }
+
+
+    // Forms, Views and Layouts
+    // ---
+
+    validateForm(context, form) {
+
+        (form.validations || []).forEach(name => this.validateValidationSetRef(context, name, form));
+
+        (form.outcomes || []).forEach(outcome => {
+
+            if(outcome.state) {
+                Object.keys(outcome.state).forEach(key => {
+                    const stateValue = outcome.state[key];
+                    const field = this.validateAssignedFieldRef(context, key, stateValue, outcome);
+                    if(stateValue.type === "enum") {
+                        const enumName = this.validateEnumRef(stateValue.value, stateValue, outcome);
+                        if(field && enumName && enumName !== field.type) {
+                            this.error(`Outcome '${outcome.type}' assigns a value from enum '${enumName}' to field '${key}' of type '${field.type}'.`, stateValue, outcome);
+                        }
+                    }
+                });
+            }
+
+            if(outcome.identityAssignment) {
+                this.validateAssignedFieldRef(context, outcome.identityAssignment, outcome);
+            }
+
+            (outcome.sequenceAssignment || []).forEach(f => {
+                const field = this.validateAssignedFieldRef(context, f, outcome);
+                if(field && !field.idSequence) {
+                    this.error(`Outcome '${outcome.type}' assigns a sequence to field '${f}' which does not declare an id-sequence.`, outcome);
+                }
+            });
+
+            (outcome.dateAssignments || []).forEach(d => this.validateAssignedFieldRef(context, d.field, d, outcome));
+
+            if(outcome.snapshot !== undefined) {
+                if(outcome.result !== "Complete") {
+                    this.error(`Outcome '${outcome.type}' specifies a snapshot, only 'Complete' outcomes can snapshot field sets.`, outcome);
+                } else if(typeof(outcome.snapshot) !== "string" || !(context.acl.fields && context.acl.fields[outcome.snapshot])) {
+                    this.error(`Outcome '${outcome.type}' snapshots unknown ACL field set '${outcome.snapshot}'.`, outcome);
+                }
+            }
+        });
+
+        this.validateElements(context, form.elements, form, form);
+    }
+
+    validateElements(context, elements, form, parent) {
+
+        if(!elements) {
+            return;
+        }
+
+        elements.forEach(element => {
+
+            const field = element.binding ? this.validateFieldRef(context, element.binding, element, parent) : null;
+
+            if(element.condition) {
+                this.validateCondition(context, element.condition, element, parent);
+            }
+
+            const options = element.options || {};
+
+            if(element.element === "Layout") {
+                if(!options.layout) {
+                    this.error(`Layout element does not specify the layout to use.`, element, parent);
+                } else if(!context.layouts[options.layout.toLowerCase()]) {
+                    this.error(`Unknown layout '${options.layout}' referenced.`, element, parent);
+                }
+            }
+
+            if(element.element === "InlineTaskForm" && options.form && !context.forms[options.form.toLowerCase()]) {
+                this.error(`Unknown form '${options.form}' referenced.`, element, parent);
+            }
+
+            if(options.confirmationValidation) {
+                const names = Array.isArray(options.confirmationValidation) ? options.confirmationValidation : [options.confirmationValidation];
+                names.forEach(name => this.validateValidationSetRef(context, name, element, parent));
+            }
+
+            if(element.element === "ValidationWarnings") {
+                const names = Array.isArray(options.validations) ? options.validations : (options.validations ? [options.validations] : []);
+                if(!names.length) {
+                    this.error(`ValidationWarnings element does not specify the validation sets to display.`, element, parent);
+                }
+                names.forEach(name => this.validateValidationSetRef(context, name, element, parent));
+            }
+
+            if(element.element === "AclExplorer") {
+                (options.identities || []).forEach(name => {
+                    const identityField = this.validateFieldRef(context, name, element, parent);
+                    if(identityField && identityField.type !== "Identity") {
+                        this.error(`AclExplorer element references field '${name}' which is not an Identity.`, element, parent);
+                    }
+                });
+            }
+
+            if(form && options.outcome && !(form.outcomes || []).find(o => o.type === options.outcome)) {
+                this.error(`Unknown outcome '${options.outcome}' referenced, form '${form.form}' does not define it.`, element, parent);
+            }
+
+            Object.values(options).forEach(value => {
+                if(value && value.type === "mapping") {
+                    this.validateMappingRef(value, field, element, parent);
+                } else if(Array.isArray(value) && value.length && value.every(v => v && v.element)) {
+                    this.validateElements(context, value, form, element);
+                }
+            });
+
+            // Layout parameters override options of elements within the layout, so are not bound to a single field.
+            Object.values(element.parameters || {}).forEach(value => {
+                if(value && value.type === "mapping") {
+                    this.validateMappingRef(value, null, element, parent);
+                }
+            });
+
+            this.validateElements(context, element.children, form, element);
+        });
+    }
+
+
+    // Conditions
+    // ---
+
+    validateCondition(context, condition, ...nodes) {
+        this.validateConditionExpressions(context, condition.expression, nodes);
+    }
+
+    validateConditionExpressions(context, expressions, nodes) {
+
+        (expressions || []).forEach(e => {
+
+            // Continuations ("&&", "||") wrap either a group or a single expression.
+            const expression = (e.op === "&&" || e.op === "||") ? e.expression : e;
+
+            if(expression.type === "group") {
+                this.validateConditionExpressions(context, expression.expression, nodes);
+            } else if(expression.op === "function") {
+                this.validateConditionFunction(context, expression, nodes);
+            } else if(expression.op === "value") {
+                this.validateConditionValue(context, expression.value, null, nodes);
+            } else {
+                const field = this.validateConditionValue(context, expression.lhs, null, nodes);
+                this.validateConditionValue(context, expression.rhs, field, nodes);
+                if(expression.op === "matches" && expression.rhs && expression.rhs.type === "simple") {
+                    this.validateConditionPattern(expression.rhs.value, "", expression.rhs, nodes);
+                }
+            }
+        });
+    }
+
+    validateConditionFunction(context, f, nodes) {
+
+        this.validateConditionValue(context, f.argument, null, nodes);
+
+        if(f.where) {
+
+            // Items within a collection aren't described by the model, so only the enums referenced by the where
+            // condition can be checked.
+
+            if(!f.argument || f.argument.type !== "model") {
+                this.error(`Condition function '${f.function}' can only filter a collection field using 'where'.`, f, ...nodes);
+            }
+            this.validateConditionExpressions(Object.assign({}, context, {collectionItem:true}), f.where, nodes);
+        }
+    }
+
+    validateConditionPattern(pattern, flags, value, nodes) {
+        try {
+            new RegExp(pattern, flags);
+        } catch(err) {
+            this.error(`Condition contains an invalid regular expression '${pattern}' (${err.message}).`, value, ...nodes);
+        }
+    }
+
+    validateConditionValue(context, value, comparedField, nodes) {
+
+        if(!value) {
+            return null;
+        }
+
+        switch(value.type) {
+
+            case "model":
+                return context.collectionItem ? null : this.validateFieldRef(context, value.value, value, ...nodes);
+
+            case "function":
+                this.validateConditionFunction(context, value, nodes);
+                return null;
+
+            case "arithmetic":
+                this.validateConditionValue(context, value.lhs, null, nodes);
+                this.validateConditionValue(context, value.rhs, null, nodes);
+                return null;
+
+            case "regex":
+                this.validateConditionPattern(value.value, value.flags, value, nodes);
+                return null;
+
+            case "enum":
+            case "enum-set": {
+                const refs = value.type === "enum" ? [value.value] : value.value;
+                refs.forEach(ref => {
+                    const enumName = this.validateEnumRef(ref, value, ...nodes);
+                    if(enumName && comparedField && enumName !== comparedField.type) {
+                        this.error(`Condition compares field '${comparedField.field}' of type '${comparedField.type}' against value '${ref}'.`, value, ...nodes);
+                    }
+                });
+                return null;
+            }
+
+            default:
+                return null;
+        }
+    }
+}
+
+
+function validateDescription(description) {
+    return new DescriptionValidator(description).validate();
+}
+
+module.exports = validateDescription;
+
+
+function _enumHasKey(enumDef, key) {
+    return !!(enumDef.values && Object.prototype.hasOwnProperty.call(enumDef.values, key));
+}
+
+function _namedSet(validator, instance, list, nameProperty, kind) {
+
+    // Forms, views, layouts and validation sets are all looked up case insensitively at runtime
+    // (see InstanceDefinition), so duplicates are also detected in a case insensitive manner.
+
+    const set = {};
+    (list || []).forEach(entry => {
+        const name = entry[nameProperty];
+        if(!name) {
+            return;
+        }
+        const key = name.toLowerCase();
+        if(set[key]) {
+            validator.error(`Duplicate ${kind} '${name}' defined within instance '${instance.name}'.`, entry);
+        }
+        set[key] = entry;
+    });
+    return set;
+}
+
+function _isStoredType(validator, field) {
+    return BaseElementTypes.indexOf(field.type) !== -1 || !!validator.enums[field.type];
+}
+
+function _forEachConditionExpression(expressions, fn) {
+
+    (expressions || []).forEach(e => {
+
+        const expression = (e.op === "&&" || e.op === "||") ? e.expression : e;
+
+        if(expression.type === "group") {
+            _forEachConditionExpression(expression.expression, fn);
+            return;
+        }
+
+        fn(expression);
+    });
+}
+
+function _forEachConditionValue(expressions, fn) {
+
+    // Fields referenced within a collection filter ("count(authors where ...)") belong to the items of the
+    // collection, so where conditions are not visited.
+
+    _forEachConditionExpression(expressions, expression => {
+
+        // Function evaluations ("hasValue(x)") are passed through as-is, they share the shape of a function value.
+        const values = expression.op === "function" ? [expression] : (expression.op === "value" ? [expression.value] : [expression.lhs, expression.rhs]);
+        values.forEach(function visit(v) {
+            if(!v) {
+                return;
+            }
+            fn(v);
+            if(v.argument) {
+                visit(v.argument);
+            }
+            if(v.type === "arithmetic") {
+                visit(v.lhs);
+                visit(v.rhs);
+            }
+        });
+    });
+}
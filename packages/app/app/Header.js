@@ -7,6 +7,8 @@ import PersonIcon from 'ds-theme/static/person.svg';
 import useCurrentUser from 'component-authentication/client/withCurrentUser';
 import AuthenticatedUserContext from 'component-authentication/client/AuthenticatedUserContext';
 
+import NotificationMenu from './NotificationMenu';
+
 
 const Header = styled.header`
     min-height: 68px;
@@ -91,6 +93,7 @@ export default ({hideUser=false}) => {
                     </Person>
                 </Link>)
                 : null}
+            {currentUser ? <NotificationMenu /> : null}
         </BaseHeader>
     );
 };
\ No newline at end of file
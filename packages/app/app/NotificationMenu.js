@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import moment from 'moment';
+
+import BellIcon from 'ds-theme/static/bell.svg';
+
+import useNotifications from './queries/notifications';
+import useMarkNotificationsReadMutation, { useMarkAllNotificationsReadMutation } from './mutations/markNotificationsRead';
+import useNotificationReceivedSubscription from './subscriptions/notificationReceived';
+
+
+/* Bell menu listing the unread notifications for the current user, with each notification linking through to the
+ * details page of the instance it relates to (marking it as read).
+ * */
+
+export default function NotificationMenu() {
+
+    const { notifications, unreadCount, refetch } = useNotifications(true);
+    const markNotificationsRead = useMarkNotificationsReadMutation();
+    const markAllNotificationsRead = useMarkAllNotificationsReadMutation();
+
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useNotificationReceivedSubscription(() => {
+        refetch();
+    });
+
+    useEffect(() => {
+
+        if(!isOpen) {
+            return;
+        }
+
+        const handleDocumentClick = (e) => {
+            if(menuRef.current && !menuRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleDocumentClick);
+        return () => document.removeEventListener('mousedown', handleDocumentClick);
+
+    }, [isOpen]);
+
+    const handleOpenNotification = (notification) => {
+        setIsOpen(false);
+        markNotificationsRead([notification.id]).then(() => refetch());
+    };
+
+    const handleMarkAllRead = () => {
+        markAllNotificationsRead().then(() => refetch());
+    };
+
+    return (
+        <NotificationMenuHolder ref={menuRef}>
+            <div className="bell" onClick={() => setIsOpen(!isOpen)}>
+                <img alt="notifications" src={BellIcon} />
+                {unreadCount ? <span className="count">{unreadCount > 99 ? "99+" : unreadCount}</span> : null}
+            </div>
+            {isOpen ?
+                <div className="menu">
+                    <div className="heading">
+                        <span>Notifications</span>
+                        {unreadCount ? <span className="mark-all" onClick={handleMarkAllRead}>Mark all as read</span> : null}
+                    </div>
+                    {notifications && notifications.length ?
+                        <ol>
+                            {notifications.map(notification =>
+                                <li key={notification.id}>
+                                    <Link to={`/details/${encodeURI(notification.instanceId)}`} onClick={() => handleOpenNotification(notification)}>
+                                        <span className="message">{notification.message}</span>
+                                        <span className="date">{moment(notification.created).fromNow()}</span>
+                                    </Link>
+                                </li>
+                            )}
+                        </ol>
+                        : <div className="empty">You have no unread notifications.</div>}
+                </div>
+                : null}
+        </NotificationMenuHolder>
+    );
+}
+
+
+const NotificationMenuHolder = styled.div`
+    position: relative;
+    float: right;
+    line-height: normal;
+    text-transform: none;
+    font-size: 14px;
+    font-family: AcuminProLight, sans-serif;
+
+    .bell {
+        position: relative;
+        height: 36px;
+        padding: 16px 8px;
+        cursor: pointer;
+    }
+
+    .bell > img {
+        height: 36px;
+    }
+
+    .bell .count {
+        position: absolute;
+        top: 12px;
+        right: 2px;
+        min-width: 18px;
+        padding: 1px 4px;
+        box-sizing: border-box;
+        border-radius: 9px;
+        background: #d10f00;
+        color: white;
+        font-size: 11px;
+        text-align: center;
+    }
+
+    .menu {
+        position: absolute;
+        right: 0;
+        z-index: 100;
+        width: 340px;
+        max-height: 420px;
+        overflow-y: auto;
+        background: white;
+        border: 1px solid #d0d0d0;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+    }
+
+    .heading {
+        display: flex;
+        justify-content: space-between;
+        padding: 8px 10px;
+        border-bottom: 1px solid #ebebeb;
+        font-weight: 500;
+    }
+
+    .mark-all {
+        color: #3e3476;
+        font-weight: normal;
+        cursor: pointer;
+    }
+
+    ol {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+    }
+
+    li {
+        border-bottom: 1px solid #ebebeb;
+    }
+
+    li a,
+    li a:visited {
+        display: block;
+        padding: 8px 10px;
+        color: black;
+    }
+
+    li a:hover {
+        background: #f6f6f6;
+    }
+
+    .message {
+        display: block;
+    }
+
+    .date {
+        font-size: 12px;
+        color: #636363;
+    }
+
+    .empty {
+        padding: 10px;
+        color: #b3b3b3;
+    }
+`;
@@ -16,7 +16,7 @@ import { WebSocketLink } from 'apollo-link-ws';
 import { split } from 'apollo-link';
 import { getMainDefinition } from 'apollo-utilities';
 import { setContext } from 'apollo-link-context';
-import { InMemoryCache } from 'apollo-cache-inmemory';
+import { InMemoryCache, defaultDataIdFromObject } from 'apollo-cache-inmemory';
 import { Normalize } from 'styled-normalize';
 
 import desc from './../config/description.json';
@@ -27,6 +27,14 @@ import AuthenticationTokenContext from 'component-authentication/client/Authenti
 
 const clientWorkflowDescription = new WorkflowDescription(desc);
 
+// Objects of JSON schema derived types (e.g. authors) are identified by an id local to the list they are within, so
+// they are stored within their parent object in the cache rather than being normalised by type and id.
+const UnnormalisedTypeNames = new Set(clientWorkflowDescription.schemaObjectTypeNames());
+
+function dataIdFromObject(object) {
+    return UnnormalisedTypeNames.has(object.__typename) ? null : defaultDataIdFromObject(object);
+}
+
 
 const makeApolloClient = (makeConfig, connectToWebSocket, authContext) => {
     const httpLink = createHttpLink();
@@ -76,7 +84,7 @@ const makeApolloClient = (makeConfig, connectToWebSocket, authContext) => {
 
     const config = {
         link,
-        cache: new InMemoryCache()
+        cache: new InMemoryCache({dataIdFromObject})
     };
 
     return {client:new ApolloClient(makeConfig ? makeConfig(config) : config), subscriptionClient};
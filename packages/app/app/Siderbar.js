@@ -4,7 +4,7 @@ import styled from 'styled-components';
 
 import HomeIcon from 'ds-theme/static/home.svg';
 import ExpandIcon from 'ds-theme/static/expand.svg';
-import { FaTrashAlt } from 'react-icons/fa'
+import { FaTrashAlt, FaBan } from 'react-icons/fa'
 
 
 const Sidebar = styled.nav`
@@ -38,11 +38,12 @@ export default () => {
 
     const pathIsPublished = (window.location.pathname || []).toLowerCase() === '/published';
     const pathIsRejected = (window.location.pathname || []).toLowerCase() === '/rejected';
+    const pathIsCancelled = (window.location.pathname || []).toLowerCase() === '/cancelled';
 
     return (
         <Sidebar>
 
-            <div className={(!pathIsPublished && !pathIsRejected) ? "selected" : ""}>
+            <div className={(!pathIsPublished && !pathIsRejected && !pathIsCancelled) ? "selected" : ""}>
                 <Link to={`/`}>
                     <img alt="Home" src={HomeIcon} />
                 </Link>
@@ -60,6 +61,12 @@ export default () => {
                 </Link>
             </div>
 
+            <div className={pathIsCancelled ? "selected" : ""}>
+                <Link to={`/cancelled`}>
+                    <FaBan />
+                </Link>
+            </div>
+
         </Sidebar>
     );
 };
\ No newline at end of file
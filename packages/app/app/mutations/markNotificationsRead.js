@@ -0,0 +1,46 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+
+
+const markNotificationsReadMutation = gql`
+    mutation MarkNotificationsRead($ids:[ID]!) {
+        result: markNotificationsRead(ids:$ids)
+    }
+`;
+
+const markAllNotificationsReadMutation = gql`
+    mutation MarkAllNotificationsRead {
+        result: markAllNotificationsRead
+    }
+`;
+
+
+export default (opts = {}) => {
+
+    const mutation = useMutation(markNotificationsReadMutation);
+
+    return function wrappedMarkNotificationsReadMutation(ids) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { ids };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
+
+
+const useMarkAllNotificationsReadMutation = (opts = {}) => {
+
+    const mutation = useMutation(markAllNotificationsReadMutation);
+
+    return function wrappedMarkAllNotificationsReadMutation() {
+
+        return mutation(Object.assign({}, opts)).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
+
+export { useMarkAllNotificationsReadMutation };
@@ -0,0 +1,58 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const NotificationFields = `
+    id
+    created
+    instanceId
+    instanceType
+    kind
+    message
+    actor {
+        id
+        displayName
+    }
+    read
+`;
+
+const notificationsQuery = gql`
+    query Notifications($unreadOnly:Boolean, $first:Int) {
+        result:notifications(unreadOnly:$unreadOnly, first:$first) {
+            results {
+                ${NotificationFields}
+            }
+            unreadCount
+        }
+    }
+`;
+
+
+export default (unreadOnly = true, first = 20, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                unreadOnly,
+                first
+            }
+        });
+        return queryOptions;
+
+    }, [unreadOnly, first, opts]);
+
+    const {data, loading, error, refetch} = useQuery(notificationsQuery, queryOptions);
+    const result = (data && data.result) || null;
+
+    return {notifications:result ? result.results : null, unreadCount:result ? result.unreadCount : 0, loading, error, refetch};
+};
+
+export { NotificationFields };
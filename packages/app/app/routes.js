@@ -10,6 +10,7 @@ import {
     PageDashboardActiveSubmissions,
     PageDashboardPublishedSubmissions,
     PageDashboardRejectedSubmissions,
+    PageDashboardCancelledSubmissions,
     PageDashboardSubmitterSubmissions,
     PageSubmissionForm,
     PageSubmissionRevisionForm,
@@ -72,6 +73,14 @@ const Routes = () => (
             );
         }} />
 
+        <Route path="/cancelled" render={props => {
+            return (
+                <LoginRequiredRoute message="To start a new submission please login using your ORCID ID." renderApplication={renderAppDefault}>
+                    <PageDashboardCancelledSubmissions history={props.history} />
+                </LoginRequiredRoute>
+            );
+        }} />
+
         <Route path="/logout" render={props => {
             return <LogoutRoute history={props.history} />
         }} />
@@ -0,0 +1,27 @@
+import gql from 'graphql-tag';
+import { useSubscription } from 'react-apollo-hooks';
+
+import { NotificationFields } from '../queries/notifications';
+
+
+const notificationReceivedSubscription = gql`
+    subscription NotificationReceived {
+        notification: notificationReceived {
+            ${NotificationFields}
+        }
+    }
+`;
+
+
+const useNotificationReceivedSubscription = (notifier, opts = {}) => {
+
+    return useSubscription(notificationReceivedSubscription, {
+        onSubscriptionData: ({client, subscriptionData}) => {
+            notifier(subscriptionData.data.notification);
+        },
+        ...opts
+    });
+};
+
+
+export default useNotificationReceivedSubscription;
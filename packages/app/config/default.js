@@ -70,7 +70,8 @@ const values = {
 
     workflow: {
         apiUri: process.env.WORKFLOW_API_URI || 'http://127.0.0.1:8080/engine-rest',
-        deploymentName: 'physiome-submission'
+        deploymentName: 'physiome-submission',
+        processDefinitionFile: path.resolve(__dirname, '../../../definitions/physiome-submission.bpmn')
     },
 
     'workflow-files': {
@@ -93,6 +94,11 @@ const values = {
         restrictedEmailAddresses: process.env.EMAIL_RESTRICTED_TO ? JSON.parse(process.env.EMAIL_RESTRICTED_TO).map(v => v.indexOf("regex:") === 0 ? new RegExp(v.split(':')[1], 'i') : v) : null
     },
 
+    'workflow-trash' : {
+        retentionDays: process.env.TRASH_RETENTION_DAYS ? parseInt(process.env.TRASH_RETENTION_DAYS) : 30,
+        purgeIntervalMinutes: 60
+    },
+
     'workflow-publish-output' : {
         directory: `${__dirname}/../../../published`,
     },
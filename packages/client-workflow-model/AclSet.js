@@ -79,7 +79,7 @@ class AclSet {
         for(let i = 0; i < allowLength; i++) {
 
             const rule = allowRules[i];
-            let match = rule.doesApply(targets, action, object);
+            let match = rule.doesApply(targets, action, object, audience);
 
             if(match && match.match) {
                 allowMatches.push(match);
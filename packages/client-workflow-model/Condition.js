@@ -1,5 +1,10 @@
 const { ConditionFunctions } = require('./ConditionFunctions');
 
+const ComparisonOperators = ["!=", "==", "in", "contains", "matches", ">=", "<=", ">", "<"];
+
+// ISO 8601 dates (as supplied by GraphQL for Date and DateTime fields client-side).
+const DateStringPattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
 class Condition {
 
     constructor(condition, enumResolver, mappingResolver) {
@@ -20,6 +25,11 @@ class Condition {
             if(e.type === "function" && e.argument) {
                 _addBindings(e.argument);
             }
+
+            if(e.type === "arithmetic") {
+                _addBindings(e.lhs);
+                _addBindings(e.rhs);
+            }
         }
 
         function _resolveEnumsOnValue(value) {
@@ -32,28 +42,47 @@ class Condition {
             } else if(value.type === "enum-set") {
                 value._clientValue = value.value.map(v => enumResolver(v, 'client'));
                 value._serverValue = value.value.map(v => enumResolver(v, 'server'));
-            } else if(value.type === "function" && value.argument) {
+            } else if(value.type === "function") {
                 _resolveEnumsOnValue(value.argument);
+                _resolveEnumsOnWhere(value.where);
+            } else if(value.type === "arithmetic") {
+                _resolveEnumsOnValue(value.lhs);
+                _resolveEnumsOnValue(value.rhs);
+            }
+        }
+
+        function _resolveEnumsOnWhere(where) {
+
+            // Collection filters are evaluated against each item of the collection, the fields they reference
+            // are not bindings on the model itself.
+
+            if(where) {
+                where.forEach(e => _resolveEnums(e, false));
             }
         }
 
-        function _resolveEnums(expression) {
+        function _resolveEnums(expression, addBindings = true) {
 
-            _addBindings(expression.lhs);
-            _addBindings(expression.rhs);
-            _addBindings(expression.argument);
+            if(addBindings) {
+                _addBindings(expression.lhs);
+                _addBindings(expression.rhs);
+                _addBindings(expression.argument);
+                _addBindings(expression.value);
+            }
 
             _resolveEnumsOnValue(expression.lhs);
             _resolveEnumsOnValue(expression.rhs);
             _resolveEnumsOnValue(expression.argument);
+            _resolveEnumsOnValue(expression.value);
+            _resolveEnumsOnWhere(expression.where);
 
             if(expression.expression) {
                 if(expression.expression instanceof Array) {
                     expression.expression.forEach(e => {
-                        _resolveEnums(e);
+                        _resolveEnums(e, addBindings);
                     });
                 } else {
-                    _resolveEnums(expression.expression);
+                    _resolveEnums(expression.expression, addBindings);
                 }
             }
         }
@@ -78,119 +107,269 @@ class Condition {
             return true;
         }
 
-        function _resolveValue(v) {
-            if(v.type === "model") {
-                return data.getFieldValue(v.value);
-            } else if(v.type === "function") {
-                const arg = v.argument ? _resolveValue(v.argument) : undefined;
-                return _resolveFunction(v.function, arg);
-            } else if(v.type === "enum" || v.type === "enum-set") {
-                return audience === 'client' ? v._clientValue : v._serverValue;
-            }
-            return v.value;
-        }
+        return _evaluateExpression(this.expression, data, audience);
+    }
 
-        function _resolveFunction(fnName, v) {
+    get bindings() {
+        return this._bindings;
+    }
 
-            if(ConditionFunctions.hasOwnProperty(fnName)) {
-                return ConditionFunctions[fnName](v);
-            }
+    get description() {
+        return expressionDescription(this.expression);
+    };
+
+}
+
+
+
+function _evaluateExpression(expression, data, audience) {
+
+    function _resolveValue(v) {
+        if(!v) {
             return undefined;
+        } else if(v.type === "model") {
+            return data.getFieldValue(v.value);
+        } else if(v.type === "function") {
+            return _resolveFunction(v);
+        } else if(v.type === "enum" || v.type === "enum-set") {
+            return audience === 'client' ? v._clientValue : v._serverValue;
+        } else if(v.type === "arithmetic") {
+            return _arithmetic(v.op, _resolveValue(v.lhs), _resolveValue(v.rhs));
+        } else if(v.type === "regex") {
+            return _regexForValue(v);
         }
+        return v.value;
+    }
 
-        function _reduceExpressionList(expressions) {
+    function _resolveFunction(f) {
 
-            return expressions.reduce((accumulator, e, index) => {
+        if(!ConditionFunctions.hasOwnProperty(f.function)) {
+            return undefined;
+        }
 
-                if(index === 0) {
-                    return _evalExpression(e);
-                }
+        let arg = f.argument ? _resolveValue(f.argument) : undefined;
 
-                const r = _evalExpression(e);
+        // "count(authors where isCorresponding == true)", only items within the collection that match the
+        // where condition are passed onto the function.
 
-                if(e.op === "||") {
-                    return accumulator || r;
-                }
+        if(f.where) {
+            arg = (arg instanceof Array ? arg : []).filter(item => _evaluateExpression(f.where, _itemData(item), audience));
+        }
 
-                return accumulator && r;
+        return ConditionFunctions[f.function](arg);
+    }
 
-            }, true);
-        }
+    function _reduceExpressionList(expressions) {
 
-        function _evalExpression(e) {
+        return expressions.reduce((accumulator, e, index) => {
 
-            if(!e) {
-                return false;
+            if(index === 0) {
+                return _evalExpression(e);
             }
 
-            if(e instanceof Array) {
-                return _reduceExpressionList(e);
+            const r = _evalExpression(e);
+
+            if(e.op === "||") {
+                return accumulator || r;
             }
 
-            if(e.op === "function") {
+            return accumulator && r;
+
+        }, true);
+    }
+
+    function _evalExpression(e) {
+
+        if(!e) {
+            return false;
+        }
+
+        if(e instanceof Array) {
+            return _reduceExpressionList(e);
+        }
+
+        if(e.op === "function") {
+
+            return _resolveFunction(e);
 
-                const arg = _resolveValue(e.argument);
-                return  _resolveFunction(e.function, arg);
+        } else if(e.op === "value") {
 
-            } else if(e.op === "!=" || e.op === "==" || e.op === "in" ||
-                        e.op === ">=" || e.op === "<=" || e.op === ">" || e.op === "<" ) {
+            // Computed fields of a numeric or date type evaluate to a value rather than the outcome of a condition.
+            return _resolveValue(e.value);
 
-                const lhs = _resolveValue(e.lhs);
-                const rhs = _resolveValue(e.rhs);
+        } else if(ComparisonOperators.indexOf(e.op) !== -1) {
 
-                switch(e.op) {
-                    case "!=":
-                        return lhs !== rhs;
-                    case "==":
-                        return lhs === rhs;
+            let lhs = _resolveValue(e.lhs);
+            let rhs = _resolveValue(e.rhs);
 
-                    case ">=":
-                        return lhs >= rhs;
-                    case "<=":
-                        return lhs <= rhs;
-                    case ">":
-                        return lhs > rhs;
-                    case "<":
-                        return lhs < rhs;
+            // Multi-valued fields (e.g. a list of enum values) are compared as sets, "in" matches when any of the
+            // values is within the right hand side and "contains" requires all of the right hand side values.
 
-                    case "in":
-                        return (rhs instanceof Array ? rhs : [rhs]).indexOf(lhs) !== -1;
+            switch(e.op) {
+                case "!=":
+                    return !_valuesEqual(lhs, rhs);
+                case "==":
+                    return _valuesEqual(lhs, rhs);
+
+                case "in":
+                    if(lhs instanceof Array) {
+                        return lhs.some(v => (rhs instanceof Array ? rhs : [rhs]).indexOf(v) !== -1);
+                    }
+                    return (rhs instanceof Array ? rhs : [rhs]).indexOf(lhs) !== -1;
+
+                case "contains":
+                    if(lhs instanceof Array) {
+                        return (rhs instanceof Array) ? rhs.every(v => lhs.indexOf(v) !== -1) : lhs.indexOf(rhs) !== -1;
+                    }
+                    return typeof lhs === "string" && rhs !== null && rhs !== undefined && lhs.indexOf(`${rhs}`) !== -1;
+
+                case "matches": {
+                    const regex = _regexForValue(e.rhs, rhs);
+                    return typeof lhs === "string" && !!regex && regex.test(lhs);
                 }
+            }
+
+            // Dates (either as Date objects or ISO strings) compared against a number or another Date are compared
+            // as milliseconds, allowing for "submissionDate < current() - days(28)".
 
-                return false;
+            if(typeof lhs === "number" || typeof rhs === "number" || lhs instanceof Date || rhs instanceof Date) {
+                lhs = _numericValue(lhs);
+                rhs = _numericValue(rhs);
             }
 
-            if(e.expression) {
-                return _evalExpression(e.expression);
+            switch(e.op) {
+                case ">=":
+                    return lhs >= rhs;
+                case "<=":
+                    return lhs <= rhs;
+                case ">":
+                    return lhs > rhs;
+                case "<":
+                    return lhs < rhs;
             }
 
             return false;
         }
 
-        return _evalExpression(this.expression);
-    }
+        if(e.expression) {
+            return _evalExpression(e.expression);
+        }
 
-    get bindings() {
-        return this._bindings;
+        return false;
     }
 
-    get description() {
-        return expressionDescription(this.expression);
+    return _evalExpression(expression);
+}
+
+
+function _itemData(item) {
+
+    // Items within a collection are plain objects, field paths are resolved directly against them.
+
+    return {
+        getFieldValue: path => path.split('.').reduce((v, p) => (v !== null && v !== undefined) ? v[p] : undefined, item)
     };
+}
+
+function _valuesEqual(lhs, rhs) {
 
+    if(lhs instanceof Array && rhs instanceof Array) {
+        return lhs.length === rhs.length && lhs.every(v => rhs.indexOf(v) !== -1) && rhs.every(v => lhs.indexOf(v) !== -1);
+    }
+    return lhs === rhs;
+}
+
+function _numericValue(v) {
+    if(v instanceof Date) {
+        return v.getTime();
+    }
+    if(typeof v === "string" && DateStringPattern.test(v)) {
+        return Date.parse(v);
+    }
+    return v;
 }
 
+function _arithmetic(op, lhs, rhs) {
+
+    // Date values are treated as milliseconds (e.g. "current() - submissionDate > days(28)"). Any missing or
+    // non-numeric operand results in no value, which fails any comparison against a number.
+
+    lhs = _numericValue(lhs);
+    rhs = _numericValue(rhs);
+
+    if(typeof lhs !== "number" || typeof rhs !== "number" || isNaN(lhs) || isNaN(rhs)) {
+        return null;
+    }
+
+    switch(op) {
+        case "+":
+            return lhs + rhs;
+        case "-":
+            return lhs - rhs;
+        case "*":
+            return lhs * rhs;
+        case "/":
+            return rhs !== 0 ? lhs / rhs : null;
+    }
+
+    return null;
+}
+
+function _regexForValue(v, resolved) {
+
+    // Regular expressions (and constant string patterns used with "matches") are compiled once and cached on the value.
+    // The global and sticky flags are dropped, they make test() stateful so that a cached expression would alternate
+    // between matching and not matching the same string.
+
+    if(v._regex) {
+        return v._regex;
+    }
+
+    const pattern = v.type === "regex" ? v.value : resolved;
+    if(typeof pattern !== "string") {
+        return null;
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(pattern, (v.flags || "").replace(/[gy]/g, ""));
+    } catch(err) {
+        return null;
+    }
+
+    if(v.type === "regex" || v.type === "simple") {
+        v._regex = regex;
+    }
+    return regex;
+}
 
 
 function _printValue(v) {
-    if(v.type === "model") {
+    if(!v) {
+        return "";
+    } else if(v.type === "model") {
         return v.value;
     } else if(v.type === "function") {
-        return `${v.function}(${_printValue(v.argument)})`;
+        return _printFunction(v);
+    } else if(v.type === "arithmetic") {
+        return `(${_printValue(v.lhs)} ${v.op} ${_printValue(v.rhs)})`;
+    } else if(v.type === "regex") {
+        return `/${v.value}/${v.flags || ""}`;
+    } else if(v.type === "enum") {
+        return v.value;
+    } else if(v.type === "enum-set") {
+        return `[${v.value.join(", ")}]`;
+    } else if(typeof v.value === "number" || typeof v.value === "boolean" || v.value === null) {
+        return `${v.value}`;
     }
     return `'${v.value}'`;
 }
 
+function _printFunction(f) {
+    const where = f.where ? ` where ${expressionDescription(f.where)}` : "";
+    return `${f.function}(${_printValue(f.argument)}${where})`;
+}
+
 function expressionDescription(expression) {
 
     if(expression instanceof Array) {
@@ -209,10 +388,13 @@ function expressionDescription(expression) {
 
     if(expression.op === "function") {
 
-        return `${expression.function}(${_printValue(expression.argument)})`;
+        return _printFunction(expression);
+
+    } else if(expression.op === "value") {
+
+        return _printValue(expression.value);
 
-    } else if(expression.op === "!=" || expression.op === "==" || expression.op === "in" ||
-        expression.op === ">=" || expression.op === "<=" || expression.op === ">" || expression.op === "<") {
+    } else if(ComparisonOperators.indexOf(expression.op) !== -1) {
 
         return _printValue(expression.lhs) + " " + expression.op + " " + _printValue(expression.rhs);
     }
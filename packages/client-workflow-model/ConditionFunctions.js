@@ -18,9 +18,42 @@ ConditionFunctions.hasValue = v => {
 };
 
 
+// Dates and durations, date arithmetic within conditions is performed in milliseconds
+// (e.g. "current() - submissionDate > days(28)").
+
+ConditionFunctions.current = () => {
+    return new Date();
+};
+
+ConditionFunctions.minutes = v => _duration(v, 60 * 1000);
+
+ConditionFunctions.hours = v => _duration(v, 60 * 60 * 1000);
+
+ConditionFunctions.days = v => _duration(v, 24 * 60 * 60 * 1000);
+
+ConditionFunctions.weeks = v => _duration(v, 7 * 24 * 60 * 60 * 1000);
+
+
+// Collections, typically used along with a where condition that filters the items passed
+// (e.g. "count(authors where hasValue(orcid)) >= 1").
+
+ConditionFunctions.count = v => {
+    return (v instanceof Array) ? v.length : 0;
+};
+
+ConditionFunctions.any = v => {
+    return (v instanceof Array) && v.length > 0;
+};
+
+
 function registerConditionFunction(name, method) {
     ConditionFunctions[name] = method;
 }
 
 exports.ConditionFunctions = ConditionFunctions;
 exports.registerConditionFunction = registerConditionFunction;
+
+
+function _duration(v, unit) {
+    return (typeof v === "number") ? v * unit : null;
+}
@@ -0,0 +1,264 @@
+// Condition Queries
+// ---
+// Conditions are normally evaluated against loaded data (see Condition.evaluate), however computed fields used as
+// listing filters or for sorting need to be evaluated within the database. This translates a condition into an
+// equivalent SQL expression (with knex raw bindings), it is shared between the server (listing queries) and the
+// description compiler (reporting conditions that can't be translated).
+//
+// Only conditions over top level stored fields, using the built-in condition functions, can be translated. Any
+// condition that can't be is reported by throwing an error describing the offending part of the condition.
+//
+// Arithmetic is performed in milliseconds for dates (as within Condition), with dates converted to and from epoch
+// milliseconds where they are combined with numbers.
+
+const TranslatableFunctions = ['hasValue', 'length', 'current', 'minutes', 'hours', 'days', 'weeks'];
+
+const DurationFunctionUnits = {
+    minutes: 60 * 1000,
+    hours: 60 * 60 * 1000,
+    days: 24 * 60 * 60 * 1000,
+    weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+// Arithmetic results are of the "Number" type, already being double precision they don't require a cast.
+const NumericTypes = ['Int', 'Integer', 'Float', 'Number'];
+const DateTypes = ['DateTime', 'Date'];
+
+
+function conditionToSql(expressions, fields) {
+
+    const bindings = [];
+    const sql = _sqlForExpressionList(expressions, fields, bindings);
+    return {sql, bindings};
+}
+
+function computedValueToSql(expressions, fields, type) {
+
+    // Boolean computed fields are the outcome of a condition, numeric and date computed fields are a single value
+    // (or function) which is coerced into the declared type (integers are rounded down, as within Model).
+
+    if(type === "Boolean") {
+        return conditionToSql(expressions, fields);
+    }
+
+    const e = (expressions && expressions.length === 1) ? expressions[0] : null;
+    if(!e || (e.op !== "value" && e.op !== "function")) {
+        throw new Error(`unable to translate a condition as a value of type '${type}'`);
+    }
+
+    const bindings = [];
+    const [sql, valueType] = (e.op === "value") ? _sqlForValue(e.value, fields, bindings) : _sqlForFunction(e, fields, bindings);
+
+    switch(type) {
+
+        case "DateTime":
+            if(DateTypes.indexOf(valueType) !== -1) {
+                return {sql: `${sql}::timestamptz`, bindings};
+            }
+            return {sql: `to_timestamp(${_numericSql(sql, valueType)} / 1000.0)`, bindings};
+
+        case "Int":
+        case "Integer":
+            return {sql: `FLOOR(${_numericSql(sql, valueType)})::integer`, bindings};
+
+        case "Float":
+            return {sql: _numericSql(sql, valueType), bindings};
+    }
+
+    throw new Error(`unable to translate a value of type '${type}'`);
+}
+
+
+exports.conditionToSql = conditionToSql;
+exports.computedValueToSql = computedValueToSql;
+exports.TranslatableFunctions = TranslatableFunctions;
+
+
+function _sqlForExpressionList(expressions, fields, bindings) {
+
+    // Conditions are evaluated left to right with no precedence between "&&" and "||" (see Condition.evaluate),
+    // so each continuation wraps the accumulated expression.
+
+    return expressions.reduce((accumulator, e, index) => {
+
+        const sql = _sqlForExpression(e, fields, bindings);
+        if(index === 0) {
+            return sql;
+        }
+        return `(${accumulator} ${e.op === "||" ? "OR" : "AND"} ${sql})`;
+
+    }, "true");
+}
+
+function _sqlForExpression(e, fields, bindings) {
+
+    if(e instanceof Array) {
+        return _sqlForExpressionList(e, fields, bindings);
+    }
+
+    if(e.op === "function") {
+        const [sql, type] = _sqlForFunction(e, fields, bindings);
+        if(type === "Boolean") {
+            return sql;
+        }
+        return DateTypes.indexOf(type) !== -1 ? `(${sql} IS NOT NULL)` : `COALESCE(${sql} <> 0, false)`;
+    }
+
+    if(e.op === "!=" || e.op === "==" || e.op === "in" || e.op === ">=" || e.op === "<=" || e.op === ">" || e.op === "<") {
+
+        const [lhs, lhsType] = _sqlForValue(e.lhs, fields, bindings);
+        const [rhs, rhsType] = _sqlForValue(e.rhs, fields, bindings);
+
+        if(lhsType === "JSON" || rhsType === "JSON") {
+            throw new Error(`unable to compare JSON values using operator '${e.op}'`);
+        }
+
+        // Dates ordered against a number (e.g. "current() - days(28)") are compared as milliseconds.
+
+        const isOrdering = (e.op !== "!=" && e.op !== "==" && e.op !== "in");
+        if(isOrdering && _isDateAndNumber(lhsType, rhsType)) {
+            return `COALESCE(${_numericSql(lhs, lhsType)} ${e.op} ${_numericSql(rhs, rhsType)}, false)`;
+        }
+
+        switch(e.op) {
+            case "!=":
+                return `(${lhs} IS DISTINCT FROM ${rhs})`;
+            case "==":
+                return `(${lhs} IS NOT DISTINCT FROM ${rhs})`;
+            case "in":
+                return rhsType === "list" ? `COALESCE(${lhs} IN ${rhs}, false)` : `(${lhs} IS NOT DISTINCT FROM ${rhs})`;
+            default:
+                return `COALESCE(${lhs} ${e.op} ${rhs}, false)`;
+        }
+    }
+
+    if(e.expression) {
+        return _sqlForExpression(e.expression, fields, bindings);
+    }
+
+    throw new Error(`unable to translate operator '${e.op}'`);
+}
+
+function _sqlForValue(v, fields, bindings) {
+
+    if(v.type === "model") {
+
+        const field = fields[v.value];
+        if(!field || field.computed || v.value.indexOf('.') !== -1) {
+            throw new Error(`unable to reference field '${v.value}'`);
+        }
+
+        // Multi-valued fields are stored as a JSON array.
+        bindings.push(v.value);
+        return ["??", field.array ? "JSON" : field.type];
+
+    } else if(v.type === "function") {
+
+        return _sqlForFunction(v, fields, bindings);
+
+    } else if(v.type === "enum") {
+
+        bindings.push(v._serverValue);
+        return ["?", null];
+
+    } else if(v.type === "enum-set") {
+
+        // Enum values are only resolved once the condition is loaded (see Condition), the description compiler
+        // translates conditions with unresolved values only to check that they can be.
+        const values = v._serverValue || v.value;
+        bindings.push(...values);
+        return [`(${values.map(() => "?").join(", ")})`, "list"];
+
+    } else if(v.type === "arithmetic") {
+
+        // Missing operands and division by zero result in no value, as within Condition.
+        const [lhs, lhsType] = _sqlForValue(v.lhs, fields, bindings);
+        const [rhs, rhsType] = _sqlForValue(v.rhs, fields, bindings);
+        const rhsNumeric = _numericSql(rhs, rhsType);
+
+        return [`(${_numericSql(lhs, lhsType)} ${v.op} ${v.op === "/" ? `NULLIF(${rhsNumeric}, 0)` : rhsNumeric})`, "Number"];
+
+    } else if(v.type !== "simple") {
+
+        // Regular expressions are only evaluated against loaded instances.
+        throw new Error(`unable to translate value of type '${v.type}'`);
+    }
+
+    if(v.value === null || v.value === undefined) {
+        return ["NULL", null];
+    }
+
+    bindings.push(v.value);
+    return ["?", typeof v.value === "number" ? "Float" : null];
+}
+
+function _sqlForFunction(f, fields, bindings) {
+
+    const fnName = f.function;
+    const argument = f.argument;
+
+    if(TranslatableFunctions.indexOf(fnName) === -1 || f.where) {
+        throw new Error(`unable to translate function '${fnName}'`);
+    }
+
+    if(fnName === "current") {
+        return ["CURRENT_TIMESTAMP", "DateTime"];
+    }
+
+    if(!argument) {
+        throw new Error(`unable to translate function '${fnName}'`);
+    }
+
+    const [arg, type] = _sqlForValue(argument, fields, bindings);
+
+    if(DurationFunctionUnits.hasOwnProperty(fnName)) {
+        return [`(${_numericSql(arg, type)} * ${DurationFunctionUnits[fnName]})`, "Number"];
+    }
+
+    // Mirrors the truthiness and length semantics of the client side ConditionFunctions.
+
+    if(fnName === "hasValue") {
+        switch(type) {
+            case "Boolean":
+                return [`COALESCE(${arg}, false)`, "Boolean"];
+            case "String":
+                return [`COALESCE(${arg} <> '', false)`, "Boolean"];
+            case "Int":
+            case "Integer":
+            case "Float":
+            case "Number":
+                return [`COALESCE(${arg} <> 0, false)`, "Boolean"];
+            default:
+                return [`(${arg} IS NOT NULL)`, "Boolean"];
+        }
+    }
+
+    if(type === "JSON") {
+        bindings.push(argument.value);
+        return [`(CASE jsonb_typeof(${arg}) WHEN 'array' THEN jsonb_array_length(${arg}) ELSE 0 END)`, "Integer"];
+    }
+
+    return [`COALESCE(char_length(${arg}::text), 0)`, "Integer"];
+}
+
+function _numericSql(sql, type) {
+
+    if(DateTypes.indexOf(type) !== -1) {
+        return `(EXTRACT(EPOCH FROM ${sql}) * 1000)`;
+    }
+
+    if(type === "Number") {
+        return sql;
+    }
+
+    if(NumericTypes.indexOf(type) !== -1 || sql === "NULL") {
+        return `(${sql})::double precision`;
+    }
+
+    throw new Error(type ? `unable to use a value of type '${type}' within arithmetic` : `unable to use a non-numeric constant within arithmetic`);
+}
+
+function _isDateAndNumber(lhsType, rhsType) {
+    return (DateTypes.indexOf(lhsType) !== -1 && NumericTypes.indexOf(rhsType) !== -1) ||
+        (NumericTypes.indexOf(lhsType) !== -1 && DateTypes.indexOf(rhsType) !== -1);
+}
@@ -13,15 +13,11 @@ class FormElement {
             this.targets = definition.targets;
         }
 
-        this.options = definition.options || {};
+        this.options = _resolveMappingOptions(definition.options || {}, mappingResolver);
 
-        Object.keys(this.options).forEach(k => {
-
-            const v = this.options[k];
-            if(v && typeof v === 'object' && v.type === "mapping" && v.mapping) {
-                this.options[k] = mappingResolver(v.mapping);
-            }
-        });
+        if(definition.parameters) {
+            this.parameters = _resolveMappingOptions(definition.parameters, mappingResolver);
+        }
 
         if(definition.condition) {
             this.condition = new Condition(definition.condition, enumResolver, mappingResolver);
@@ -32,6 +28,30 @@ class FormElement {
         }
     }
 
+    withParameters(parameters) {
+
+        // Layout parameters override the options of this element and any of its descendants. A nested layout
+        // element instead passes the parameters on to the layout it includes.
+
+        if(!parameters || !Object.keys(parameters).length) {
+            return this;
+        }
+
+        const element = Object.assign(Object.create(FormElement.prototype), this);
+
+        if(this.type === "Layout") {
+            element.parameters = Object.assign({}, this.parameters, parameters);
+        } else {
+            element.options = Object.assign({}, this.options, parameters);
+        }
+
+        if(this.children) {
+            element.children = this.children.map(child => child.withParameters(parameters));
+        }
+
+        return element;
+    }
+
     userIsTargetOfElement(user) {
 
         if(!this.targets || !this.targets.length) {
@@ -73,4 +93,18 @@ class FormElement {
     }
 }
 
-module.exports = FormElement;
\ No newline at end of file
+module.exports = FormElement;
+
+
+function _resolveMappingOptions(options, mappingResolver) {
+
+    Object.keys(options).forEach(k => {
+
+        const v = options[k];
+        if(v && typeof v === 'object' && v.type === "mapping" && v.mapping) {
+            options[k] = mappingResolver(v.mapping);
+        }
+    });
+
+    return options;
+}
\ No newline at end of file
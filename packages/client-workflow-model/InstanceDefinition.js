@@ -23,14 +23,14 @@ function nameToListingAccessor(name) {
 
 class InstanceDefinition {
 
-    constructor(taskDef, defaultName, enumResolver, mappingResolver) {
+    constructor(taskDef, defaultName, enumResolver, mappingResolver, schemaResolver = null) {
 
         this.name = taskDef.name || defaultName;
         this.model = taskDef.model;
         this.options = taskDef.options || {};
 
         if(taskDef.model) {
-            this.model = new Model(taskDef.model, enumResolver);
+            this.model = new Model(taskDef.model, enumResolver, schemaResolver);
         }
 
         const forms = {};
@@ -0,0 +1,132 @@
+// JSON Schema Definitions
+// ---
+// JSON model fields can be declared along with a JSON schema (e.g. "authors: JSON <schema:"authors">"), the schemas
+// themselves are shipped alongside the workflow description. Server-side, the schema is used to validate the values
+// written to the field and to derive the GraphQL types the field is exposed as. Client-side, the schema determines the
+// fields that are fetched for the field.
+//
+// Only objects that disallow additional properties are exposed as GraphQL object types. Any other object (e.g. an
+// organisation entity from an external lookup) is exposed using the JSON scalar, so that no values are lost when an
+// instance is fetched, modified and then saved.
+//
+// Items within a JSON field are identified by an "id" that is local to the list they are within (assigned by the
+// editors), so the object types must not be normalised by the client cache (see "schemaObjectTypeNames"), otherwise
+// items of different instances sharing an id would be merged together.
+
+const GraphQLScalarTypes = {
+    string: 'String',
+    integer: 'Int',
+    number: 'Float',
+    boolean: 'Boolean'
+};
+
+
+class JsonSchemaDefinition {
+
+    constructor(name, schema) {
+
+        this.name = name;
+        this.schema = schema || {};
+        this._objectTypes = [];
+        this._root = this._describe(this.schema, _typeName(this.schema.title || name));
+    }
+
+    get isTyped() {
+        return this._root.kind === 'object' || (this._root.kind === 'list' && this._root.of.kind !== 'json');
+    }
+
+    graphQLType() {
+        return _graphQLTypeForDescriptor(this._root);
+    }
+
+    graphQLTypeDefinitions(tab = '    ') {
+
+        return this._objectTypes.map(d => {
+            const fields = Object.keys(d.properties).map(p => `${tab}${p}: ${_graphQLTypeForDescriptor(d.properties[p])}`);
+            return `type ${d.typeName} {\n${fields.join('\n')}\n}`;
+        });
+    }
+
+    fetchFields() {
+        return _fetchFieldsForDescriptor(this._root);
+    }
+
+    objectTypeNames() {
+        return this._objectTypes.map(d => d.typeName);
+    }
+
+    _describe(schema, typeName) {
+
+        const type = _schemaType(schema);
+
+        if(type === 'array') {
+            const items = schema.items || {};
+            return {kind:'list', of:this._describe(items, items.title ? _typeName(items.title) : `${typeName}Item`)};
+        }
+
+        if(type === 'object' && schema.additionalProperties === false && schema.properties && Object.keys(schema.properties).length) {
+
+            const descriptor = {kind:'object', typeName:schema.title ? _typeName(schema.title) : typeName, properties:{}};
+            this._objectTypes.push(descriptor);
+
+            Object.keys(schema.properties).forEach(p => {
+                descriptor.properties[p] = this._describe(schema.properties[p], `${descriptor.typeName}${_typeName(p)}`);
+            });
+
+            return descriptor;
+        }
+
+        if(GraphQLScalarTypes.hasOwnProperty(type)) {
+            return {kind:'scalar', type:GraphQLScalarTypes[type]};
+        }
+
+        return {kind:'json'};
+    }
+}
+
+
+function _schemaType(schema) {
+
+    // Nullable values are declared as a list of types (e.g. ["string", "null"]), any other combination of types can
+    // only be represented as JSON.
+
+    const types = (schema.type instanceof Array ? schema.type : [schema.type]).filter(t => t && t !== 'null');
+    return types.length === 1 ? types[0] : null;
+}
+
+function _typeName(name) {
+    return `${name}`.split(/[^a-zA-Z0-9]+/).filter(p => p.length).map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
+}
+
+function _graphQLTypeForDescriptor(d) {
+
+    switch(d.kind) {
+        case 'list':
+            return `[${_graphQLTypeForDescriptor(d.of)}]`;
+        case 'object':
+            return d.typeName;
+        case 'scalar':
+            return d.type;
+    }
+    return 'JSON';
+}
+
+function _fetchFieldsForDescriptor(d) {
+
+    if(d.kind === 'list') {
+        return _fetchFieldsForDescriptor(d.of);
+    }
+
+    if(d.kind !== 'object') {
+        return null;
+    }
+
+    const fields = {};
+    Object.keys(d.properties).forEach(p => {
+        fields[p] = _fetchFieldsForDescriptor(d.properties[p]);
+    });
+    return fields;
+}
+
+
+module.exports = JsonSchemaDefinition;
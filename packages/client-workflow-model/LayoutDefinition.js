@@ -8,6 +8,28 @@ class LayoutDefinition {
         this.elements = definition.elements ? definition.elements.map(elementDescription => new FormElement(elementDescription, enumResolver, mappingResolver)) : [];
     }
 
+    elementsWithParameters(parameters) {
+
+        // The elements for a layout included with parameters are cached against the parameters object (owned by the
+        // including layout element), so that the same element instances are returned on each render.
+
+        if(!parameters || !Object.keys(parameters).length) {
+            return this.elements;
+        }
+
+        if(!this._parameterisedElements) {
+            this._parameterisedElements = new WeakMap();
+        }
+
+        let elements = this._parameterisedElements.get(parameters);
+        if(!elements) {
+            elements = this.elements.map(e => e.withParameters(parameters));
+            this._parameterisedElements.set(parameters, elements);
+        }
+
+        return elements;
+    }
+
 }
 
 module.exports = LayoutDefinition;
\ No newline at end of file
@@ -2,6 +2,7 @@ class MappingDefinition {
 
     constructor(definition, enums) {
         this.name = definition.name;
+        this.enum = definition.enum;
         this.values = {};
         this.rawValues = {};
 
@@ -1,16 +1,58 @@
+const Condition = require('./Condition');
+
 const IdentityFieldType = 'Identity';
 
 const DateTimeFieldType = 'DateTime';
+const DateFieldType = 'Date';
+
+// Scalar field types along with the GraphQL type they are exposed as ('Integer' is retained as an alias of 'Int').
+const BaseElementGraphQLTypes = {
+    String: 'String',
+    Int: 'Int',
+    Integer: 'Int',
+    Float: 'Float',
+    ID: 'ID',
+    [DateTimeFieldType]: 'DateTime',
+    [DateFieldType]: 'Date',
+    Boolean: 'Boolean',
+    JSON: 'JSON'
+};
+
+const BaseElementTypes = Object.keys(BaseElementGraphQLTypes);
 
-const BaseElementTypes = ['String', 'Integer', 'ID', DateTimeFieldType, 'Boolean', 'JSON'];
+// Scalar types that can be declared as a multi-valued field (e.g. "[String]"), enums can also be multi-valued.
+const MultiValuedElementTypes = ['String'];
+
+// Types a computed field can be declared as, Boolean fields are the outcome of a condition while numeric and date
+// fields are derived from a value (with date arithmetic performed in milliseconds, see Condition).
+const ComputedElementTypes = ['Boolean', 'Int', 'Integer', 'Float', DateTimeFieldType];
 
 
 class Model {
 
-    constructor(definition, enumResolver = null) {
+    constructor(definition, enumResolver = null, schemaResolver = null) {
         this.fields = definition.elements || [];
         this.input = definition.hasOwnProperty('input') ? !!definition.input : false;
         this.noCreate = definition.hasOwnProperty('noCreate') ? !!definition.noCreate : false;
+
+        // Computed fields have their value derived from a condition over other fields within the model.
+        this._computedConditions = {};
+        this._computedTypes = {};
+        this.fields.filter(f => f.computed).forEach(f => {
+            this._computedConditions[f.field] = new Condition(f.computed, enumResolver);
+            this._computedTypes[f.field] = f.type;
+        });
+
+        // JSON fields can be declared against a JSON schema, which the value written to the field must conform to.
+        this._fieldSchemas = {};
+        if(schemaResolver) {
+            this.fields.filter(f => f.jsonSchema).forEach(f => {
+                const schema = schemaResolver(f.jsonSchema);
+                if(schema) {
+                    this._fieldSchemas[f.field] = schema;
+                }
+            });
+        }
     }
 
 
@@ -23,6 +65,34 @@ class Model {
     }
 
 
+    static get BaseElementTypes() {
+        return BaseElementTypes;
+    }
+
+    static get MultiValuedElementTypes() {
+        return MultiValuedElementTypes;
+    }
+
+    static get ComputedElementTypes() {
+        return ComputedElementTypes;
+    }
+
+    static isBasicType(type, enums) {
+        return BaseElementTypes.indexOf(type) !== -1 || !!(enums && enums.hasOwnProperty(type));
+    }
+
+    static graphQLTypeForType(type) {
+        return BaseElementGraphQLTypes[type] || type;
+    }
+
+    static isMultiValuedField(field, enums) {
+
+        // Multi-valued fields hold a list of scalar or enum values stored directly on the instance (rather than being
+        // a relation to a list of other models).
+
+        return field.array === true && (MultiValuedElementTypes.indexOf(field.type) !== -1 || !!(enums && enums.hasOwnProperty(field.type)));
+    }
+
     static filterFieldsForBasicTypes(fields, enums) {
 
         return fields.filter(f => {
@@ -44,7 +114,60 @@ class Model {
     }
 
     inputFields() {
-        return (this.fields || []).filter(f => f.input !== false && (!f.accessors || f.accessors.length === 0));
+        return (this.fields || []).filter(f => f.input !== false && !f.computed && (!f.accessors || f.accessors.length === 0));
+    }
+
+    computedFields() {
+        return this.fields.filter(f => !!f.computed);
+    }
+
+    isComputedField(field) {
+        return this._computedConditions.hasOwnProperty(field);
+    }
+
+    computedFieldBindings(field) {
+        return this.isComputedField(field) ? this._computedConditions[field].bindings : [];
+    }
+
+    computedFieldCondition(field) {
+        return this.isComputedField(field) ? this._computedConditions[field] : null;
+    }
+
+    evaluateComputedField(field, data, audience) {
+
+        if(!this.isComputedField(field)) {
+            return undefined;
+        }
+
+        const value = this._computedConditions[field].evaluate(data, audience);
+        return _computedValueForType(value, this._computedTypes[field]);
+    }
+
+    schemaFields() {
+        return this.fields.filter(f => this._fieldSchemas.hasOwnProperty(f.field));
+    }
+
+    fieldSchema(field) {
+        return this._fieldSchemas[field] || null;
+    }
+
+    expandFetchFields(fields) {
+
+        // Fields with a typed schema are exposed as GraphQL object types, so a selection of the fields within them has
+        // to be fetched rather than the field itself.
+
+        if(!fields) {
+            return fields;
+        }
+
+        const expanded = Object.assign({}, fields);
+        Object.keys(expanded).forEach(f => {
+            const schema = this._fieldSchemas[f];
+            if(expanded[f] === null && schema && schema.isTyped) {
+                expanded[f] = schema.fetchFields();
+            }
+        });
+        return expanded;
     }
 
     relationFields(workflowDef) {
@@ -58,6 +181,14 @@ class Model {
         });
     }
 
+    childInstanceFields() {
+
+        // Relations to the instances of another instance type that belong to this instance (declared with "join-to"),
+        // the join is held on the child instances.
+
+        return this.fields.filter(f => f.childInstances === true);
+    }
+
     relationFieldsWithAccessors(workflowDef) {
 
         return this.relationFields(workflowDef).filter(f => f.accessors && f.accessors.length);
@@ -102,6 +233,38 @@ class Model {
         });
     }
 
+    dateFields() {
+
+        return this.fields.filter(f => {
+            return (f.type === DateFieldType);
+        });
+    }
+
 }
 
-module.exports = Model;
\ No newline at end of file
+module.exports = Model;
+
+
+function _computedValueForType(value, type) {
+
+    // Values are coerced into the declared type of the field, matching their evaluation within listing queries (see
+    // ConditionQuery). Integers are rounded down (e.g. whole days since a date) and dates are derived from milliseconds.
+
+    switch(type) {
+
+        case 'Int':
+        case 'Integer':
+            return (typeof value === "number" && !isNaN(value)) ? Math.floor(value) : null;
+
+        case 'Float':
+            return (typeof value === "number" && !isNaN(value)) ? value : null;
+
+        case DateTimeFieldType:
+            if(typeof value === "number") {
+                return isNaN(value) ? null : new Date(value);
+            }
+            return (value instanceof Date || typeof value === "string") ? value : null;
+    }
+
+    return value;
+}
\ No newline at end of file
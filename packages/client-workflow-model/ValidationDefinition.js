@@ -1,7 +1,19 @@
 const Condition = require('./Condition');
 
+// Validation entries with an "error" severity (the default) block the submission of a form, whereas those
+// with a "warning" severity are only displayed.
+const ValidationSeverity = {
+    Error: 'error',
+    Warning: 'warning'
+};
+
+
 class ValidationDefinition {
 
+    static get Severity() {
+        return ValidationSeverity;
+    }
+
     constructor(definition, enumResolver, mappingResolver) {
         this.name = definition.name;
         this.entries = (definition.entries || []).map(entry => new ValidationEntry(entry, enumResolver, mappingResolver));
@@ -21,6 +33,11 @@ class ValidationEntry {
 
         this.condition = new Condition(definition.condition, enumResolver, mappingResolver);
         this.options = definition.options || {};
+        this.severity = (this.options.severity === ValidationSeverity.Warning) ? ValidationSeverity.Warning : ValidationSeverity.Error;
+    }
+
+    get isWarning() {
+        return this.severity === ValidationSeverity.Warning;
     }
 
     get bindings() {
@@ -1,6 +1,7 @@
 const InstanceDefinition = require('./InstanceDefinition');
 const EnumDefinition = require('./EnumDefinition');
 const MappingDefinition = require('./MappingDefinition');
+const JsonSchemaDefinition = require('./JsonSchemaDefinition');
 
 
 class WorkflowDescription {
@@ -22,8 +23,18 @@ class WorkflowDescription {
             });
         }
 
+        // JSON schemas that JSON fields can be declared against (these are embedded into the description when compiled).
+        const schemas = {};
+
+        if(definition.schemas) {
+            Object.keys(definition.schemas).forEach(k => {
+                schemas[k] = new JsonSchemaDefinition(k, definition.schemas[k]);
+            });
+        }
+
         this.enums = enums;
         this.mappings = mappings;
+        this.schemas = schemas;
 
         const enumResolver = function(enumRef, audience) {
             return resolveEnumFromSet(enums, enumRef, audience);
@@ -33,11 +44,15 @@ class WorkflowDescription {
             return mappings[mappingRef];
         };
 
+        const schemaResolver = function(schemaRef) {
+            return schemas[schemaRef] || null;
+        };
+
         const tasks = {};
 
         if(definition.tasks) {
             Object.keys(definition.tasks).forEach(k => {
-                tasks[k] = new InstanceDefinition(definition.tasks[k], k, enumResolver, mappingResolver);
+                tasks[k] = new InstanceDefinition(definition.tasks[k], k, enumResolver, mappingResolver, schemaResolver);
             });
         }
 
@@ -59,6 +74,16 @@ class WorkflowDescription {
     resolveDisplayMapping(mappingRef) {
         return this.mappings[mappingRef] || null;
     }
+
+    schemaObjectTypeNames() {
+
+        // GraphQL object types derived from JSON schemas, values of these types are stored within their instance and
+        // have no identity of their own.
+
+        const names = new Set();
+        Object.values(this.schemas).forEach(schema => schema.objectTypeNames().forEach(n => names.add(n)));
+        return Array.from(names);
+    }
 }
 
 
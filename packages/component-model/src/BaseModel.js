@@ -81,6 +81,11 @@ class WorkflowBaseModel extends DBErrors(BaseModel) {
             throw err;
         }
 
+        // The patched instance tracks the updated timestamp that was stored (used by update preconditions).
+        if(saved) {
+            this.updated = saved.updated;
+        }
+
         return saved;
     }
 
@@ -54,7 +54,7 @@ function _FormFieldListing({ className, elements, fieldRegistry, data, binding,
                     const layout = instanceType.layoutDefinitionForLayoutName(e.options.layout);
                     if(layout && layout.elements) {
 
-                        layout.elements.forEach((layoutElement, layoutIndex) => {
+                        layout.elementsWithParameters(e.parameters).forEach((layoutElement, layoutIndex) => {
 
                             const key = `${i}-${layoutIndex}`;
                             const LayoutElementComponent = fieldRegistry[layoutElement.type];
@@ -0,0 +1,165 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import styled from 'styled-components';
+
+import withFormField, { complexFetchFields, mergeFetchFields } from './withFormField';
+import useExplainInstanceAcl from '../../queries/explainInstanceAcl';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { SmallSelect } from 'ds-theme/components/select-input';
+import DataTable from 'ds-theme/components/data-table';
+import Spinner from 'ds-theme/components/spinner';
+
+
+/* Administrator only panel that explains the outcome of the ACL rules for each action against the instance, for either
+ * the current user or one of the identities associated with the instance (e.g. the submitter or assigned curator).
+ * */
+
+const CurrentUserKey = "";
+
+
+function FormFieldAclExplorer({data, instanceId, instanceType, options = {}}) {
+
+    const identityFields = useMemo(() => options.identities || [], [options.identities]);
+    const [selectedIdentity, setSelectedIdentity] = useState(CurrentUserKey);
+    const [identityOptions, setIdentityOptions] = useState([]);
+
+    useEffect(() => {
+
+        if(!data || !data.on) {
+            return;
+        }
+
+        const updateIdentityOptions = () => {
+            const r = [{value:CurrentUserKey, display:"Current User"}];
+            identityFields.forEach(field => {
+                const identity = data.getFieldValue(field);
+                if(identity && identity.id) {
+                    r.push({value:identity.id, display:`${identity.displayName || identity.id} (${field})`});
+                }
+            });
+            setIdentityOptions(r);
+        };
+
+        updateIdentityOptions();
+        identityFields.forEach(field => data.on(`field.${field}`, updateIdentityOptions));
+
+        return () => {
+            identityFields.forEach(field => data.off(`field.${field}`, updateIdentityOptions));
+        };
+
+    }, [data, identityFields]);
+
+    const { explanation, loading, error } = useExplainInstanceAcl(instanceId, instanceType, selectedIdentity || null);
+
+    let content;
+    if(loading) {
+        content = <Spinner message="Loading…" small={true} />;
+    } else if(error || !explanation) {
+        content = <span className="empty">Unable to explain access for this identity.</span>;
+    } else {
+        content = <React.Fragment>
+            <div className="targets">
+                Roles: {explanation.targets.join(", ")}{explanation.isOwner ? " (owner)" : ""}
+            </div>
+            <DataTable>
+                <thead>
+                    <tr>
+                        <th>Action</th>
+                        <th>Outcome</th>
+                        <th>Matching Rules</th>
+                        <th>Allowed</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {explanation.actions.map(a =>
+                        <tr key={a.action}>
+                            <td>{a.action}</td>
+                            <td className={a.allow && a.restrictionsApply ? "allowed" : "denied"}>{_outcomeDescription(a)}</td>
+                            <td>{a.matchingRules.length ? a.matchingRules.map((rule, index) => <div key={index} className="rule">{rule}</div>) : <span className="empty">none</span>}</td>
+                            <td>{_allowedDescription(a)}</td>
+                        </tr>
+                    )}
+                </tbody>
+            </DataTable>
+        </React.Fragment>;
+    }
+
+    return (
+        <FormFieldAclExplorerHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {identityOptions.length > 1 ?
+                <SmallSelect className="identity" options={identityOptions} value={selectedIdentity} onChange={e => setSelectedIdentity(e.target.value)} />
+                : null}
+            {content}
+        </FormFieldAclExplorerHolder>
+    );
+}
+
+
+function _outcomeDescription(a) {
+    if(!a.allow) {
+        return "denied";
+    }
+    if(!a.restrictionsApply) {
+        return `denied (restricted to: ${a.allowedRestrictions.join(", ")})`;
+    }
+    return a.allowedRestrictions ? `allowed (${a.allowedRestrictions.join(", ")})` : "allowed";
+}
+
+function _allowedDescription(a) {
+    if(!a.allow) {
+        return "";
+    }
+    if(a.allowedFields) {
+        return `fields: ${a.allowedFields.join(", ")}`;
+    }
+    if(a.allowedTasks) {
+        return `tasks: ${a.allowedTasks.join(", ")}`;
+    }
+    return "all";
+}
+
+
+const FormFieldAclExplorerHolder = styled.div`
+  select.identity {
+    margin-bottom: 8px;
+  }
+
+  .targets {
+    font-size: 13px;
+    margin-bottom: 5px;
+  }
+
+  td {
+    vertical-align: top;
+  }
+
+  td.allowed {
+    color: #2f7d32;
+  }
+
+  td.denied {
+    color: #d10d00;
+  }
+
+  .rule {
+    font-family: monospace;
+    font-size: 12px;
+  }
+
+  .empty {
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldAclExplorer, (element) => {
+
+    // Identity fields offered for selection require their id and display name to be fetched.
+
+    const identities = (element.options && element.options.identities) || [];
+    const fetch = {};
+    identities.forEach(field => mergeFetchFields(fetch, complexFetchFields(field, ['id', 'displayName'])));
+
+    return {topLevel:identities, fetch};
+});
@@ -13,7 +13,7 @@ import { DisabledStaticText, NoteStaticText } from 'ds-theme/components/static-t
 import { FaPlus } from 'react-icons/fa';
 
 import ArticleCitationEditorCard, { RemoveButtonType } from '../article-citation-editor-card';
-import ValidationIssueListing from "ds-theme/components/validation-issue-listing";
+import ValidationIssueListing, { ValidationWarningList } from "ds-theme/components/validation-issue-listing";
 import ArticleCitation from './../article-citation';
 import { th } from "ds-theme";
 
@@ -82,7 +82,7 @@ const DraggableArticleCitationEditorCard = ({citationId, index, ...props}) => {
 function FormFieldArticleCitationListEditor({ className, data, binding, description, formDefinition, formValidator, options = {} }) {
 
     const [citations, setCitations] = useFormValueBindingForComplexObject(data, binding, []);
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const { note = null } = options;
 
     const addCitation = () => {
@@ -160,6 +160,7 @@ function FormFieldArticleCitationListEditor({ className, data, binding, descript
             </ArticleCitationEditorCardHolder>
 
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
 
         </ArticleCitationListEditorHolder>
     );
@@ -0,0 +1,125 @@
+import React from 'react';
+import styled from 'styled-components';
+import moment from 'moment';
+
+import withFormField from './withFormField';
+import useAuditTrail from '../../queries/auditTrail';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import DataTable from 'ds-theme/components/data-table';
+import Spinner from 'ds-theme/components/spinner';
+
+
+/* Listing of the recorded audit trail for the instance (who changed what and when). Changes to fields the current user
+ * is unable to read are filtered out server-side.
+ * */
+
+const ActionDescriptions = {
+    "update": "Updated",
+    "complete-task": "Completed task",
+    "destroy": "Deleted",
+    "restore": "Restored",
+    "claim": "Curator assignment",
+    "system": "System task"
+};
+
+
+function FormFieldAuditTrail({instanceId, options = {}}) {
+
+    const { entries, loading, error } = useAuditTrail(instanceId);
+
+    let content;
+    if(loading) {
+        content = <Spinner message="Loading…" small={true} />;
+    } else if(error || !entries) {
+        content = <span className="empty">Unable to load the audit trail for this instance.</span>;
+    } else if(!entries.length) {
+        content = <span className="empty">No changes have been recorded.</span>;
+    } else {
+        content = <DataTable>
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Who</th>
+                    <th>Action</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody>
+                {entries.slice().reverse().map(entry =>
+                    <tr key={entry.id}>
+                        <td className="date">{moment(entry.created).format(options.format || "MMM DD, YYYY h:mm a")}</td>
+                        <td>{entry.actor ? (entry.actor.displayName || entry.actor.id) : <span className="empty">system</span>}</td>
+                        <td>
+                            {ActionDescriptions[entry.action] || entry.action}
+                            {entry.detail ? <div className="detail">{entry.detail}</div> : null}
+                        </td>
+                        <td>
+                            {entry.changes && entry.changes.length ? entry.changes.map(change =>
+                                <div key={change.field} className="change">
+                                    <span className="field">{change.field}</span>: <span className="before">{_displayValue(change.before)}</span> &rarr; {_displayValue(change.after)}
+                                </div>
+                            ) : <span className="empty">none</span>}
+                        </td>
+                    </tr>
+                )}
+            </tbody>
+        </DataTable>;
+    }
+
+    return (
+        <FormFieldAuditTrailHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {content}
+        </FormFieldAuditTrailHolder>
+    );
+}
+
+
+function _displayValue(value) {
+
+    if(value === null || value === undefined || value === "") {
+        return "(empty)";
+    }
+
+    const s = (typeof(value) === "string") ? value : JSON.stringify(value);
+    return s.length > 120 ? `${s.substring(0, 117)}…` : s;
+}
+
+
+const FormFieldAuditTrailHolder = styled.div`
+  td {
+    vertical-align: top;
+    font-size: 13px;
+  }
+
+  td.date {
+    white-space: nowrap;
+  }
+
+  .detail {
+    font-family: monospace;
+    font-size: 12px;
+    color: #636363;
+  }
+
+  .change {
+    word-break: break-word;
+  }
+
+  .change .field {
+    font-weight: 500;
+  }
+
+  .change .before {
+    text-decoration: line-through;
+    color: #636363;
+  }
+
+  .empty {
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldAuditTrail);
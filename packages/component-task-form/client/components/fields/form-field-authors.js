@@ -9,7 +9,7 @@ import { useFormValueBindingForComplexObject } from '../../hooks/useFormValueBin
 import Label from "ds-theme/components/label";
 import InlineButton from "ds-theme/components/inline-button";
 import { NoteStaticText } from 'ds-theme/components/static-text';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 import { FaPlus } from 'react-icons/fa';
 
 
@@ -77,7 +77,7 @@ const DraggableAuthorCard = ({authorId, index, ...props}) => {
 function FormFieldAuthorsEditor({ className, data, binding, description, formDefinition, formValidator, options = {} }) {
 
     const [authors, setAuthors] = useFormValueBindingForComplexObject(data, binding);
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const { note = null } = options;
 
 
@@ -162,6 +162,7 @@ function FormFieldAuthorsEditor({ className, data, binding, description, formDef
             </AuthorEditorCardHolder>
 
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
 
         </AuthorsEditorHolder>
     );
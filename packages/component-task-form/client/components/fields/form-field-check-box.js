@@ -7,7 +7,7 @@ import useFormValidation, {formFieldClassNameWithValidations} from "../../hooks/
 import withFormField from './withFormField'
 
 import Checkbox, { CheckboxLabel } from 'ds-theme/components/checkbox-input';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 import PopoverTrigger from 'ds-theme/components/popover';
 
 import { FaQuestionCircle, FaStarOfLife } from 'react-icons/fa';
@@ -70,7 +70,7 @@ const HelpContent = styled.span`
 function FormFieldCheckbox({className, data, binding, description, formDefinition, formValidator, options = {}}) {
 
     const [value, _, handleInputChange] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const [helpIsShown, setHelpIsShown] = useState(false);
 
     const help = useMemo(() => {
@@ -110,6 +110,7 @@ function FormFieldCheckbox({className, data, binding, description, formDefinitio
                 <React.Fragment>{input}{help}{misc}</React.Fragment>
             }
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </div>
     );
 }
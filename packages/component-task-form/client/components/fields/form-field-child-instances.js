@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import moment from 'moment';
+import get from 'lodash/get';
+
+import withFormField, { complexFetchFields } from './withFormField';
+import withFormFieldData from './withFormFieldData';
+import useCreateChildInstanceMutation from '../../mutations/createChildInstance';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { InlineButton } from 'ds-theme/components/inline-button';
+import { DisabledStaticText } from 'ds-theme/components/static-text';
+
+
+/* Listing of the child instances belonging to an instance (a relation declared with "join-to"), linking through to each
+ * child instance. When "allowCreate" is set, a new child instance can be created as belonging to the instance (this
+ * requires write access on the relation field).
+ * */
+
+function FormFieldChildInstances({data, binding, instanceId, instanceType, workflowDescription, refetchData, options = {}}) {
+
+    const [children] = withFormFieldData(data, binding);
+
+    const fieldDefinition = instanceType && instanceType.model ? instanceType.model.childInstanceFields().find(f => f.field === binding) : null;
+    const childInstanceType = (fieldDefinition && workflowDescription) ? workflowDescription.findInstanceType(fieldDefinition.type) : null;
+
+    if(!fieldDefinition || !childInstanceType) {
+        return <DisabledStaticText>Field '{binding}' is not a list of child instances.</DisabledStaticText>;
+    }
+
+    return <ChildInstanceListing children={children} instanceId={instanceId} childInstanceType={childInstanceType}
+        joinField={fieldDefinition.joinToField} refetchData={refetchData} options={options} />;
+}
+
+
+function ChildInstanceListing({children, instanceId, childInstanceType, joinField, refetchData, options}) {
+
+    const createChildInstance = useCreateChildInstanceMutation(childInstanceType, joinField);
+
+    const [isCreating, setIsCreating] = useState(false);
+    const [createError, setCreateError] = useState(null);
+
+    const fields = options.fields || [];
+    const format = options.format || "MMM DD, YYYY";
+
+    const handleCreate = () => {
+
+        setIsCreating(true);
+        setCreateError(null);
+
+        createChildInstance(instanceId).then(() => {
+            setIsCreating(false);
+            if(refetchData) {
+                refetchData();
+            }
+        }).catch(err => {
+            setIsCreating(false);
+            setCreateError(err.message || "Unable to create.");
+        });
+    };
+
+    const childLink = (child) => {
+        return options.link ? options.link.replace("{id}", encodeURI(child.id)) : `/${childInstanceType.urlPath}/${encodeURI(child.id)}`;
+    };
+
+    return (
+        <ChildInstancesHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {children && children.length ?
+                <ol>
+                    {children.map(child =>
+                        <li key={child.id}>
+                            <a href={childLink(child)}>{child.created ? moment(child.created).format(format) : child.id}</a>
+                            {fields.map(field => <span key={field} className="value">{_displayValue(get(child, field))}</span>)}
+                        </li>
+                    )}
+                </ol>
+                : <DisabledStaticText>{options.emptyMessage || "None."}</DisabledStaticText>}
+            {options.allowCreate ?
+                <InlineButton bordered={true} disabled={isCreating} onClick={handleCreate}>{options.createLabel || "Add"}</InlineButton>
+                : null}
+            {createError ? <div className="error">{createError}</div> : null}
+        </ChildInstancesHolder>
+    );
+}
+
+
+function _displayValue(v) {
+
+    if(v === null || v === undefined) {
+        return "-";
+    }
+
+    if(typeof(v) === 'object') {
+        return v.displayName || v.name || v.id || "-";
+    }
+
+    return v.toString();
+}
+
+
+const ChildInstancesHolder = styled.div`
+  ol {
+    list-style: none;
+    margin: 5px 0 8px;
+    padding: 0;
+    font-size: 14px;
+  }
+
+  li {
+    margin-bottom: 4px;
+  }
+
+  li .value {
+    margin-left: 10px;
+    color: #505050;
+  }
+
+  .error {
+    margin-top: 8px;
+    font-size: 13px;
+    color: #d10f00;
+  }
+`;
+
+
+export default withFormField(FormFieldChildInstances, (element) => {
+
+    // Each child instance is fetched with its identifier and creation date, along with any additional fields to display.
+
+    const fields = (element.options && element.options.fields) || [];
+    const fetch = complexFetchFields(element.binding, ['id', 'created', ...fields]);
+
+    return {topLevel:element.binding, fetch};
+});
@@ -0,0 +1,319 @@
+import React, { useState, useContext } from 'react';
+import styled from 'styled-components';
+import moment from 'moment';
+
+import withFormField from './withFormField';
+import useComments from '../../queries/comments';
+import useCommentMentionables from '../../queries/commentMentionables';
+import useCreateCommentMutation from '../../mutations/createComment';
+import useEditCommentMutation from '../../mutations/editComment';
+import useCommentChangedSubscription from '../../subscriptions/commentChanged';
+import AuthenticatedUserContext from "component-authentication/client/AuthenticatedUserContext";
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { SmallInlineButton } from 'ds-theme/components/inline-button';
+import { SmallTextArea } from 'ds-theme/components/text-area';
+import { SmallSelect } from 'ds-theme/components/select-input';
+import Spinner from 'ds-theme/components/spinner';
+
+
+/* Comment threads attached to the instance. Internal threads are only visible to administrators (curators), shared
+ * threads are also visible to anyone else with access to the instance (e.g. the submitter). Administrators can be
+ * mentioned within comments, comments are updated live as they are added or edited by others.
+ * */
+
+const Audience = {
+    Internal: "Internal",
+    Shared: "Shared"
+};
+
+const AudienceDescriptions = {
+    [Audience.Internal]: "Curators only",
+    [Audience.Shared]: "Visible to submitter"
+};
+
+
+function FormFieldComments({instanceId, instanceType, options = {}}) {
+
+    const { comments, loading, error, refetch } = useComments(instanceId);
+    const currentUser = useContext(AuthenticatedUserContext);
+    const isAdmin = !!(currentUser && currentUser.groups && currentUser.groups.indexOf("administrator") !== -1);
+
+    useCommentChangedSubscription(instanceId, () => {
+        refetch();
+    });
+
+    let content;
+    if(loading && !comments) {
+        content = <Spinner message="Loading…" small={true} />;
+    } else if(error || !comments) {
+        content = <span className="empty">Unable to load the comments for this instance.</span>;
+    } else {
+
+        const threads = comments.filter(c => !c.threadId);
+        const repliesFor = (thread) => comments.filter(c => c.threadId === thread.id);
+
+        content = (
+            <React.Fragment>
+                {threads.length ? threads.map(thread =>
+                    <CommentThread key={thread.id} thread={thread} replies={repliesFor(thread)} instanceId={instanceId}
+                        instanceType={instanceType} currentUser={currentUser} refetch={refetch} options={options} />
+                ) : <span className="empty">{options.emptyMessage || "No comments have been made."}</span>}
+
+                <CommentComposer instanceId={instanceId} instanceType={instanceType} allowAudience={isAdmin}
+                    placeholder={options.placeholder || "Start a new thread…"} submitLabel="Comment" onCreated={refetch} />
+            </React.Fragment>
+        );
+    }
+
+    return (
+        <FormFieldCommentsHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {content}
+        </FormFieldCommentsHolder>
+    );
+}
+
+
+function CommentThread({thread, replies, instanceId, instanceType, currentUser, refetch, options}) {
+
+    const [isReplying, setIsReplying] = useState(false);
+
+    const handleCreated = () => {
+        setIsReplying(false);
+        refetch();
+    };
+
+    return (
+        <div className={`thread ${thread.audience === Audience.Internal ? 'internal' : 'shared'}`}>
+            <div className="audience">{AudienceDescriptions[thread.audience]}</div>
+            {[thread, ...replies].map(comment =>
+                <CommentEntry key={comment.id} comment={comment} currentUser={currentUser} refetch={refetch} options={options} />
+            )}
+            {isReplying ?
+                <CommentComposer instanceId={instanceId} instanceType={instanceType} threadId={thread.id} placeholder="Reply…"
+                    submitLabel="Reply" onCreated={handleCreated} onCancel={() => setIsReplying(false)} />
+                :
+                <SmallInlineButton bordered={true} onClick={() => setIsReplying(true)}>Reply</SmallInlineButton>
+            }
+        </div>
+    );
+}
+
+
+function CommentEntry({comment, currentUser, refetch, options}) {
+
+    const editComment = useEditCommentMutation();
+
+    const [editBody, setEditBody] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [editError, setEditError] = useState(null);
+
+    const format = options.format || "MMM DD, YYYY h:mm a";
+    const isAuthor = !!(currentUser && comment.author && currentUser.id === comment.author.id);
+
+    const handleSave = () => {
+
+        setEditError(null);
+        editComment(comment.id, editBody).then(() => {
+            setEditBody(null);
+            refetch();
+        }).catch(err => {
+            setEditError(err.message || "Unable to save comment.");
+        });
+    };
+
+    return (
+        <div className="comment">
+            <div className="header">
+                <span className="author">{comment.author ? (comment.author.displayName || comment.author.id) : "Unknown"}</span>
+                <span className="date">{moment(comment.created).format(format)}</span>
+                {comment.edited ?
+                    <span className="edited" onClick={() => setShowHistory(!showHistory)}>(edited {moment(comment.edited).format(format)})</span>
+                    : null}
+                {isAuthor && editBody === null ?
+                    <SmallInlineButton bordered={true} onClick={() => setEditBody(comment.body)}>Edit</SmallInlineButton>
+                    : null}
+            </div>
+            {editBody !== null ?
+                <div className="composer">
+                    <SmallTextArea value={editBody} rows={3} onChange={e => setEditBody(e.target.value)} />
+                    <SmallInlineButton bordered={true} disabled={!editBody.trim().length} onClick={handleSave}>Save</SmallInlineButton>
+                    <SmallInlineButton bordered={true} onClick={() => setEditBody(null)}>Cancel</SmallInlineButton>
+                    {editError ? <div className="error">{editError}</div> : null}
+                </div>
+                :
+                <div className="body">{comment.body}</div>
+            }
+            {showHistory && comment.edits && comment.edits.length ?
+                <ol className="history">
+                    {comment.edits.slice().reverse().map((edit, index) =>
+                        <li key={index}>
+                            <span className="date">{moment(edit.edited).format(format)}</span>
+                            <div className="body">{edit.body}</div>
+                        </li>
+                    )}
+                </ol>
+                : null}
+        </div>
+    );
+}
+
+
+function CommentComposer({instanceId, instanceType, threadId = null, allowAudience = false, placeholder, submitLabel, onCreated, onCancel}) {
+
+    const createComment = useCreateCommentMutation(instanceType);
+    const { mentionables } = useCommentMentionables(instanceId, instanceType);
+
+    const [body, setBody] = useState("");
+    const [audience, setAudience] = useState(allowAudience ? Audience.Internal : Audience.Shared);
+    const [mentions, setMentions] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submitError, setSubmitError] = useState(null);
+
+    const handleMention = (e) => {
+
+        const identity = mentionables && mentionables.find(m => m.id === e.target.value);
+        if(!identity) {
+            return;
+        }
+
+        setBody(`${body}${body.length && !body.endsWith(" ") ? " " : ""}@${identity.displayName} `);
+        if(mentions.indexOf(identity.id) === -1) {
+            setMentions([...mentions, identity.id]);
+        }
+    };
+
+    const handleSubmit = () => {
+
+        // Mentions that have since been removed from the body of the comment are not included.
+
+        const mentioned = mentions.filter(id => {
+            const identity = mentionables.find(m => m.id === id);
+            return identity && body.indexOf(`@${identity.displayName}`) !== -1;
+        });
+
+        setIsSubmitting(true);
+        setSubmitError(null);
+
+        createComment(instanceId, body, {threadId, audience:threadId ? null : audience, mentions:mentioned}).then(() => {
+            setIsSubmitting(false);
+            setBody("");
+            setMentions([]);
+            if(onCreated) {
+                onCreated();
+            }
+        }).catch(err => {
+            setIsSubmitting(false);
+            setSubmitError(err.message || "Unable to add comment.");
+        });
+    };
+
+    const mentionOptions = (mentionables || []).map(m => ({value:m.id, display:m.displayName || m.id}));
+
+    return (
+        <div className="composer">
+            <SmallTextArea value={body} rows={3} placeholder={placeholder} onChange={e => setBody(e.target.value)} />
+            <div className="controls">
+                {mentionOptions.length ?
+                    <SmallSelect className="mention" value="" placeholder="Mention…" options={mentionOptions} onChange={handleMention} />
+                    : null}
+                {allowAudience && !threadId ?
+                    <SmallSelect className="audience" value={audience} onChange={e => setAudience(e.target.value)}
+                        options={Object.keys(AudienceDescriptions).map(a => ({value:a, display:AudienceDescriptions[a]}))} />
+                    : null}
+                <SmallInlineButton bordered={true} disabled={isSubmitting || !body.trim().length} onClick={handleSubmit}>{submitLabel}</SmallInlineButton>
+                {onCancel ? <SmallInlineButton bordered={true} onClick={onCancel}>Cancel</SmallInlineButton> : null}
+            </div>
+            {submitError ? <div className="error">{submitError}</div> : null}
+        </div>
+    );
+}
+
+
+const FormFieldCommentsHolder = styled.div`
+  font-size: 14px;
+
+  .thread {
+    margin-bottom: 12px;
+    padding: 8px 10px;
+    border-left: 3px solid #2196F3;
+    background: #f7fbff;
+  }
+
+  .thread.internal {
+    border-left-color: #b3b3b3;
+    background: #f6f6f6;
+  }
+
+  .audience {
+    font-size: 12px;
+    text-transform: uppercase;
+    color: #636363;
+    margin-bottom: 4px;
+  }
+
+  .comment {
+    margin-bottom: 8px;
+  }
+
+  .comment .header > * {
+    margin-right: 8px;
+  }
+
+  .comment .author {
+    font-weight: 500;
+  }
+
+  .date, .edited {
+    font-size: 12px;
+    color: #636363;
+  }
+
+  .edited {
+    cursor: pointer;
+  }
+
+  .body {
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+
+  .history {
+    list-style: none;
+    margin: 4px 0 0 10px;
+    padding: 0;
+    color: #636363;
+    font-size: 13px;
+  }
+
+  .composer {
+    margin: 6px 0;
+  }
+
+  .composer .controls {
+    display: flex;
+    align-items: center;
+    margin-top: 4px;
+  }
+
+  .composer .controls > * {
+    width: auto;
+    margin-right: 6px;
+  }
+
+  .error {
+    margin-top: 4px;
+    font-size: 13px;
+    color: #d10f00;
+  }
+
+  .empty {
+    display: block;
+    margin-bottom: 8px;
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldComments);
@@ -0,0 +1,188 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import moment from 'moment';
+
+import withFormField from './withFormField';
+import useInstanceSnapshots from '../../queries/instanceSnapshots';
+import { diffWords, diffItems, itemDisplayValue, valuesAreEqual } from '../../utils/snapshotDiff';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { SmallSelect } from 'ds-theme/components/select-input';
+import Spinner from 'ds-theme/components/spinner';
+
+
+/* Side by side comparison of two snapshotted rounds of an instance (e.g. the original submission and a re-submission
+ * after revisions were requested). Text fields are compared word by word, lists show the added and removed items.
+ * Snapshot data is restricted server-side to the fields the current user is able to read.
+ * */
+
+function FormFieldCompareVersions({instanceId, options = {}}) {
+
+    const { snapshots, loading, error } = useInstanceSnapshots(instanceId);
+
+    const [fromRound, setFromRound] = useState(null);
+    const [toRound, setToRound] = useState(null);
+
+    const roundOptions = useMemo(() => {
+        return (snapshots || []).map(s => {
+            return {value:`${s.round}`, display:`Round ${s.round} – ${moment(s.created).format(options.format || "MMM DD, YYYY")}`};
+        });
+    }, [snapshots, options.format]);
+
+    let content;
+    if(loading) {
+        content = <Spinner message="Loading…" small={true} />;
+    } else if(error || !snapshots) {
+        content = <span className="empty">Unable to load the versions of this instance.</span>;
+    } else if(snapshots.length < 2) {
+        content = <span className="empty">{snapshots.length ? "Only a single version has been recorded." : "No versions have been recorded."}</span>;
+    } else {
+
+        // Default to comparing the latest round against the round that preceded it.
+
+        const fromValue = fromRound || `${snapshots[snapshots.length - 2].round}`;
+        const toValue = toRound || `${snapshots[snapshots.length - 1].round}`;
+
+        const from = snapshots.find(s => `${s.round}` === fromValue);
+        const to = snapshots.find(s => `${s.round}` === toValue);
+
+        content = <React.Fragment>
+            <div className="rounds">
+                <SmallSelect options={roundOptions} value={fromValue} onChange={e => setFromRound(e.target.value)} />
+                <span className="arrow">&rarr;</span>
+                <SmallSelect options={roundOptions} value={toValue} onChange={e => setToRound(e.target.value)} />
+            </div>
+            {from && to ? _compareSnapshots(from, to, options) : null}
+        </React.Fragment>;
+    }
+
+    return (
+        <FormFieldCompareVersionsHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {content}
+        </FormFieldCompareVersionsHolder>
+    );
+}
+
+
+function _compareSnapshots(from, to, options) {
+
+    const fromData = from.data || {};
+    const toData = to.data || {};
+
+    const fields = options.fields || Array.from(new Set(Object.keys(fromData).concat(Object.keys(toData))));
+    const changedFields = fields.filter(field => !valuesAreEqual(fromData[field], toData[field]));
+
+    if(!changedFields.length) {
+        return <span className="empty">No differences between the selected versions.</span>;
+    }
+
+    return changedFields.map(field =>
+        <div key={field} className="field-comparison">
+            <div className="field-name">{(options.labels && options.labels[field]) || _fieldDisplayName(field)}</div>
+            {_compareValues(fromData[field], toData[field])}
+        </div>
+    );
+}
+
+
+function _compareValues(before, after) {
+
+    if(before instanceof Array || after instanceof Array) {
+
+        const { added, removed } = diffItems(before, after);
+        return <ul className="items">
+            {removed.map((item, index) => <li key={`removed-${index}`} className="removed"><del>{itemDisplayValue(item)}</del></li>)}
+            {added.map((item, index) => <li key={`added-${index}`} className="added"><ins>{itemDisplayValue(item)}</ins></li>)}
+            {!added.length && !removed.length ? <li className="empty">reordered or edited</li> : null}
+        </ul>;
+    }
+
+    if(typeof(before) === "string" || typeof(after) === "string") {
+
+        return <div className="text">
+            {diffWords(before, after).map((part, index) => {
+                if(part.type === "added") {
+                    return <ins key={index}>{part.value}</ins>;
+                } else if(part.type === "removed") {
+                    return <del key={index}>{part.value}</del>;
+                }
+                return <span key={index}>{part.value}</span>;
+            })}
+        </div>;
+    }
+
+    return <div className="text">
+        <del>{_scalarDisplayValue(before)}</del> &rarr; <ins>{_scalarDisplayValue(after)}</ins>
+    </div>;
+}
+
+
+function _scalarDisplayValue(value) {
+
+    if(value === null || value === undefined || value === "") {
+        return "(empty)";
+    }
+
+    if(typeof(value) === "object") {
+        return itemDisplayValue(value);
+    }
+
+    return `${value}`;
+}
+
+
+function _fieldDisplayName(field) {
+    const s = field.replace(/([a-z])([A-Z])/g, '$1 $2');
+    return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+
+const FormFieldCompareVersionsHolder = styled.div`
+  .rounds {
+    display: flex;
+    align-items: center;
+    margin-bottom: 10px;
+  }
+
+  .rounds .arrow {
+    margin: 0 8px;
+  }
+
+  .field-comparison {
+    margin-bottom: 10px;
+    font-size: 13px;
+  }
+
+  .field-comparison .field-name {
+    font-weight: 500;
+    margin-bottom: 2px;
+  }
+
+  .text {
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+
+  ul.items {
+    margin: 0;
+    padding-left: 20px;
+  }
+
+  ins {
+    text-decoration: none;
+    background: #d7f5dd;
+  }
+
+  del {
+    color: #a32020;
+    background: #fbe3e3;
+  }
+
+  .empty {
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldCompareVersions);
@@ -12,11 +12,22 @@ function FormFieldDate({data, binding, options = {}}) {
     const [value, setModelValue] = useFormValueBinding(data, binding, null);
     const [focused, setFocused] = useState(false);
 
+    // Date fields (without a time) are stored as an ISO 8601 date, avoiding the day changing across timezones.
+    const fieldDefinition = (data && data.fieldDefinition) ? data.fieldDefinition(binding) : null;
+    const isDateOnly = !!fieldDefinition && fieldDefinition.type === "Date";
+
     function onDateChanged(date) {
-        setModelValue(date ? date.toDate() : null);
+        if(isDateOnly) {
+            setModelValue(date ? date.format("YYYY-MM-DD") : null);
+        } else {
+            setModelValue(date ? date.toDate() : null);
+        }
     }
 
     function valueToDate(value) {
+        if(isDateOnly) {
+            return value ? moment(value, "YYYY-MM-DD") : null;
+        }
         return value ? moment(new Date(value)) : null;
     }
 
@@ -11,7 +11,7 @@ import withFormField, { fetchFields } from './withFormField';
 import FileUploader from 'ds-theme/components/file-uploader';
 import FileListing from 'ds-theme/components/file-listing';
 import Label from 'ds-theme/components/label';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 import config from 'config';
 import {NoteStaticText} from "ds-theme/components/static-text";
 
@@ -53,7 +53,7 @@ function FormFieldFileUploader({ className, data, binding, instanceId, instanceT
     const confirmFileUpload = useConfirmUploadedFileMutation();
     const [fileListing, setFileListing] = useState([]);
     const [filesModified, setFilesModified] = useState(false);
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const [_, incrementBlockingProcesses, decrementBlockingProcesses] = useFormBlockingProcess(formValidator, 'A file is currently in the process of being uploaded to the submission system.');
 
     const pendingCompletedUploads = useRef({counter:0, files:[]});
@@ -334,6 +334,7 @@ function FormFieldFileUploader({ className, data, binding, instanceId, instanceT
             </div>
 
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : (help ? <NoteStaticText dangerouslySetInnerHTML={{__html: help}} /> : null) }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
 
         </FileUploaderHolder>
     );
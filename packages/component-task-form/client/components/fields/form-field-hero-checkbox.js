@@ -7,7 +7,7 @@ import withFormField from './withFormField'
 
 import Checkbox, { CheckboxLabel } from 'ds-theme/components/checkbox-input';
 import { BlockLabel } from 'ds-theme/components/label';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 
 
 const HeroCheckboxHolder = styled.div`
@@ -34,7 +34,7 @@ const HeroCheckboxLabel = styled(CheckboxLabel)`
 function FormFieldCheckbox({className, data, binding, description, formDefinition, formValidator, options = {}}) {
 
     const [value, _, handleInputChange] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
 
     const handleCheckedChange = options.readOnly === true ? null : (e) => {
         clearValidationIssues();
@@ -50,6 +50,7 @@ function FormFieldCheckbox({className, data, binding, description, formDefinitio
             }
             <div>
                 { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+                { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
             </div>
         </HeroCheckboxHolder>
     );
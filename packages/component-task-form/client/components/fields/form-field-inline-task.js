@@ -30,8 +30,8 @@ function useInlineFormData(instanceId, instanceType, data, saveData, topLevelFie
     }
 
     const formData = useMemo(() => {
-        return new ShadowedTaskFormData(data, topLevelFields);
-    }, [data, topLevelFields]);
+        return new ShadowedTaskFormData(data, topLevelFields, instanceType ? instanceType.model : null);
+    }, [data, topLevelFields, instanceType]);
 
     const updateInstance = useUpdateInstance(instanceType);
 
@@ -1,22 +1,32 @@
 import React, { useState } from 'react';
 import useFormValueBinding from './../../hooks/useFormValueBinding';
+import useFormValidation from "../../hooks/useFormValidation";
 import withFormField from './withFormField'
 import styled from 'styled-components';
 
 import Label from 'ds-theme/components/label';
 import TagInput from 'ds-theme/components/tag-input';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 
 import { th } from 'ds-theme';
 
 
-function _FormFieldKeywordsEditor({data, binding, options = {}}) {
+function _FormFieldKeywordsEditor({data, binding, description, formDefinition, formValidator, options = {}}) {
 
     const [value, setValue] = useFormValueBinding(data, binding, []);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
+
+    const setValueWithWarningsClear = (v) => {
+        clearValidationIssues();
+        setValue(v);
+    };
 
     return (
         <React.Fragment>
             {options.label ? <Label>{options.label}</Label> : null}
-            <TagInput value={value} onChange={setValue} placeholder={options.placeholder} />
+            <TagInput value={value} onChange={setValueWithWarningsClear} placeholder={options.placeholder} />
+            { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </React.Fragment>
     );
 }
@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import styled from 'styled-components';
+
+import { useFormValueBindingForComplexObject } from './../../hooks/useFormValueBinding';
+import useFormValidation, {formFieldClassNameWithValidations} from "../../hooks/useFormValidation";
+import withFormField from './withFormField'
+
+import { Checkbox, CheckboxLabel } from 'ds-theme/components/checkbox-input';
+import { BlockLabel } from 'ds-theme/components/label';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
+import { NoteStaticText } from "ds-theme/components/static-text";
+
+
+/* Multi-valued fields (e.g. "[String]" or a list of enum values) are edited as a set of checkboxes, one per option
+ * within the supplied mapping. The selected values are stored in the order the options are listed.
+ * */
+
+function FormFieldMultiSelect({data, binding, description, formDefinition, formValidator, options = {}}) {
+
+    const [value, setModelValue] = useFormValueBindingForComplexObject(data, binding, []);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
+    const { message = null } = options;
+
+    const optValues = useMemo(() => {
+
+        const mapping = options.options ? options.options.values : null;
+        if(!mapping) {
+            return [];
+        }
+
+        return Object.keys(mapping).map(k => {
+            return {value:k, display:mapping[k]};
+        });
+
+    }, [options, options.options]);
+
+    const selected = value || [];
+
+    const toggleOption = (optionValue) => {
+
+        if(options.readOnly) {
+            return;
+        }
+
+        clearValidationIssues();
+
+        const isSelected = selected.indexOf(optionValue) !== -1;
+        setModelValue(optValues.map(o => o.value).filter(v => v === optionValue ? !isSelected : selected.indexOf(v) !== -1));
+    };
+
+    return (
+        <React.Fragment>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            <div className={formFieldClassNameWithValidations("options", validationIssues)}>
+                {optValues.map(o =>
+                    <CheckboxLabel key={o.value}>
+                        <Checkbox checked={selected.indexOf(o.value) !== -1} disabled={options.readOnly || false} onChange={() => toggleOption(o.value)} />
+                        <span>{o.display}</span>
+                    </CheckboxLabel>
+                )}
+            </div>
+            {validationIssues ? <ValidationIssueListing issues={validationIssues} /> : (message ? <NoteStaticText dangerouslySetInnerHTML={{__html: message}} /> : null)}
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
+        </React.Fragment>
+    );
+}
+
+
+export default styled(withFormField(FormFieldMultiSelect))`
+
+  & > .options {
+      margin-top: 4px;
+  }
+
+  & > .options > ${CheckboxLabel} {
+      display: flex;
+      align-items: center;
+      margin-bottom: 2px;
+  }
+
+  & > ${NoteStaticText} {
+    display: block;
+    margin-top: 4px;
+  }
+`;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+import useFormValueBinding from './../../hooks/useFormValueBinding';
+import useFormValidation, {formFieldClassNameWithValidations} from "../../hooks/useFormValidation";
+import withFormField from './withFormField'
+
+import TextInput from 'ds-theme/components/text-input';
+import Label from 'ds-theme/components/label';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
+
+
+/* Numeric input for Int and Float model fields, the value is stored as a number (or null when empty). Whole numbers
+ * are enforced for Int fields unless a step is provided within the options.
+ * */
+
+function FormFieldNumber({data, binding, description, formDefinition, formValidator, options = {}}) {
+
+    const [value, setModelValue] = useFormValueBinding(data, binding, null);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
+
+    const fieldDefinition = (data && data.fieldDefinition) ? data.fieldDefinition(binding) : null;
+    const isInteger = !fieldDefinition || fieldDefinition.type === "Int" || fieldDefinition.type === "Integer";
+
+    const handleInputChange = (e) => {
+
+        clearValidationIssues();
+
+        const input = e.target.value;
+        const parsed = (input === "" || input === null) ? null : (isInteger ? parseInt(input, 10) : parseFloat(input));
+        setModelValue((parsed === null || isNaN(parsed)) ? null : parsed);
+    };
+
+    const numberInput = (
+        <TextInput className={formFieldClassNameWithValidations(null, validationIssues)}
+            type="number" value={(value === null || value === undefined) ? "" : value} onChange={handleInputChange}
+            min={options.min} max={options.max} step={options.step || (isInteger ? 1 : "any")}
+            placeholder={options.placeholder} issue={validationIssues && validationIssues.length} />
+    );
+
+    return (
+        <React.Fragment>
+            {options.label ? <Label>{options.label}</Label> : null}
+            {numberInput}
+            { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
+        </React.Fragment>
+    );
+}
+
+export default withFormField(FormFieldNumber);
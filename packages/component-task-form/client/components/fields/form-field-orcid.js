@@ -6,13 +6,13 @@ import withFormField from './withFormField'
 
 import ORCIDInput from 'ds-theme/components/orcid-input';
 import Label from 'ds-theme/components/label';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 
 
 function FormFieldORCID({data, binding, description, formDefinition, formValidator, options = {}}) {
 
     const [value, setValue] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
 
     const setValidationIssue = () => {
         clearValidationIssues();
@@ -23,6 +23,7 @@ function FormFieldORCID({data, binding, description, formDefinition, formValidat
             {options.label ? <Label>{options.label}</Label> : null}
             <ORCIDInput type="text" value={value || ""} setValue={setValue} issue={validationIssues && validationIssues.length} setValidationIssue={setValidationIssue} />
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </React.Fragment>
     );
 }
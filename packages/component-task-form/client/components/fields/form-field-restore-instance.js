@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import moment from 'moment';
+
+import withFormField from './withFormField';
+import useTrashEntry from '../../queries/trashEntry';
+import useRestoreInstanceMutation from '../../mutations/restoreInstance';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { InlineButton } from 'ds-theme/components/inline-button';
+import Spinner from 'ds-theme/components/spinner';
+
+
+/* Details of a cancelled (trashed) instance, including when it will be permanently removed, along with the ability to
+ * restore it back to the task it was at before being cancelled.
+ * */
+
+function FormFieldRestoreInstance({instanceId, instanceType, refetchData, options = {}}) {
+
+    const { entry, loading, error, refetch } = useTrashEntry(instanceId);
+    const restoreInstance = useRestoreInstanceMutation(instanceType);
+
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [restoreError, setRestoreError] = useState(null);
+
+    const handleRestore = () => {
+
+        setIsRestoring(true);
+        setRestoreError(null);
+
+        restoreInstance(instanceId).then(() => {
+            setIsRestoring(false);
+            refetch();
+            if(refetchData) {
+                refetchData();
+            }
+        }).catch(err => {
+            setIsRestoring(false);
+            setRestoreError(err.message || "Unable to restore.");
+        });
+    };
+
+    const format = options.format || "MMM DD, YYYY";
+
+    let content;
+    if(loading) {
+        content = <Spinner message="Loading…" small={true} />;
+    } else if(error) {
+        content = <span className="empty">Unable to load the trash details for this instance.</span>;
+    } else if(!entry) {
+        content = <span className="empty">This instance is not in the trash.</span>;
+    } else {
+        content = <React.Fragment>
+            <div className="trash-details">
+                Cancelled {moment(entry.created).format(format)}
+                {entry.actor ? ` by ${entry.actor.displayName || entry.actor.id}` : " automatically"}
+                {entry.restorable ? `, it will be permanently removed after ${moment(entry.expires).format(format)}.` : ", the retention period has expired."}
+            </div>
+            {entry.restorable ?
+                <InlineButton bordered={true} disabled={isRestoring} onClick={handleRestore}>{options.buttonLabel || "Restore"}</InlineButton>
+                : null}
+            {restoreError ? <div className="error">{restoreError}</div> : null}
+        </React.Fragment>;
+    }
+
+    return (
+        <FormFieldRestoreInstanceHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            {content}
+        </FormFieldRestoreInstanceHolder>
+    );
+}
+
+
+const FormFieldRestoreInstanceHolder = styled.div`
+  .trash-details {
+    font-size: 13px;
+    margin-bottom: 8px;
+  }
+
+  .error {
+    margin-top: 8px;
+    font-size: 13px;
+    color: #d10f00;
+  }
+
+  .empty {
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldRestoreInstance);
@@ -9,14 +9,14 @@ import { ConfirmationDialogContext } from './form-field-button';
 
 import { Select, SmallSelect } from 'ds-theme/components/select-input';
 import { BlockLabel } from 'ds-theme/components/label';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 import {NoteStaticText} from "ds-theme/components/static-text";
 
 
 function FormFieldSelect({data, binding, description, formDefinition, formValidator, context, options = {}}) {
 
     const [value, _, handleInputChange] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const isInsideConfirmationDialog = context && context[0] === ConfirmationDialogContext;
     const { message = null } = options;
 
@@ -55,6 +55,7 @@ function FormFieldSelect({data, binding, description, formDefinition, formValida
             {options.label ? <BlockLabel className={isInsideConfirmationDialog ? 'dialog' : ''}>{options.label}</BlockLabel> : null}
             {selectInput}
             {validationIssues ? <ValidationIssueListing issues={validationIssues} /> : (message ? <NoteStaticText dangerouslySetInnerHTML={{__html: message}} /> : null)}
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </React.Fragment>
     );
 }
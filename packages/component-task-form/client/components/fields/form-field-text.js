@@ -6,12 +6,12 @@ import withFormField from './withFormField'
 
 import TextInput from 'ds-theme/components/text-input';
 import Label from 'ds-theme/components/label';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 
 function FormFieldText({data, binding, description, formDefinition, formValidator, options = {}}) {
 
     const [value, _, handleInputChange] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
 
     const handleInputChangeWithWarningsClear = (e) => {
         clearValidationIssues();
@@ -29,6 +29,7 @@ function FormFieldText({data, binding, description, formDefinition, formValidato
             {options.label ? <Label>{options.label}</Label> : null}
             {textInput}
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </React.Fragment>
     );
 }
@@ -10,7 +10,7 @@ import withFormField from './withFormField'
 
 import { BlockLabel } from 'ds-theme/components/label';
 import TextArea, { SmallTextArea } from 'ds-theme/components/text-area';
-import ValidationIssueListing from 'ds-theme/components/validation-issue-listing';
+import ValidationIssueListing, { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
 
 
 const FormStyledTextArea = styled(TextArea)`
@@ -35,7 +35,7 @@ const FormStyledSmallTextArea = styled(SmallTextArea)`
 function FormFieldTextArea({data, binding, description, formDefinition, formValidator, context, options = {}}) {
 
     const [value, _, handleInputChange] = useFormValueBinding(data, binding, "", (v) => v || "");
-    const [validationIssues, clearValidationIssues] = useFormValidation(description, formDefinition, formValidator);
+    const [validationIssues, clearValidationIssues, validationWarnings] = useFormValidation(description, formDefinition, formValidator, data);
     const isInsideConfirmationDialog = context && context[0] === ConfirmationDialogContext;
     const { autoSizeHeight = false, small = false } = options;
     const TextAreaType = small ? FormStyledSmallTextArea : FormStyledTextArea;
@@ -56,6 +56,7 @@ function FormFieldTextArea({data, binding, description, formDefinition, formVali
             {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
             {textInput}
             { validationIssues ? <ValidationIssueListing issues={validationIssues} /> : null }
+            { validationWarnings ? <ValidationWarningList issues={validationWarnings} /> : null }
         </React.Fragment>
     );
 }
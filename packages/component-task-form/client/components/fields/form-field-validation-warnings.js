@@ -0,0 +1,82 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import styled from 'styled-components';
+
+import withFormField, { mergeFetchFields } from './withFormField';
+import { bindingToFetchFields } from '../../utils/helpers';
+
+import { BlockLabel } from 'ds-theme/components/label';
+import { ValidationWarningList } from 'ds-theme/components/validation-issue-listing';
+
+
+/* Displays the outcome of any validation entries with a "warning" severity (within the named validation sets) that
+ * currently fail for the instance. Warnings don't prevent a submission from being completed, so this allows them
+ * to be reviewed afterwards (e.g. by a curator within the details view of a submission).
+ * */
+
+function FormFieldValidationWarnings({data, instanceType, options = {}}) {
+
+    const [generation, setGeneration] = useState(0);
+
+    const warningEntries = useMemo(() => {
+        const entries = instanceType ? instanceType.validationListForValidationNameSet(options.validations) : null;
+        return (entries || []).filter(v => v.isWarning);
+    }, [instanceType, options.validations]);
+
+    useEffect(() => {
+
+        if(!data || !data.on) {
+            return;
+        }
+
+        const dataWasModified = () => setGeneration(g => g + 1);
+        data.on('modified', dataWasModified);
+
+        return () => {
+            data.off('modified', dataWasModified);
+        };
+
+    }, [data]);
+
+    const warnings = useMemo(() => {
+        return data ? warningEntries.filter(v => !v.evaluateCondition(data, 'client')).map(v => v.evaluateWarning(data)).filter(w => !!w) : [];
+    }, [data, warningEntries, generation]);
+
+    if(!warnings.length) {
+        return options.emptyMessage ? <FormFieldValidationWarningsHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            <span className="empty">{options.emptyMessage}</span>
+        </FormFieldValidationWarningsHolder> : null;
+    }
+
+    return (
+        <FormFieldValidationWarningsHolder>
+            {options.label ? <BlockLabel>{options.label}</BlockLabel> : null}
+            <ValidationWarningList issues={warnings} />
+        </FormFieldValidationWarningsHolder>
+    );
+}
+
+const FormFieldValidationWarningsHolder = styled.div`
+  .empty {
+    color: #b3b3b3;
+  }
+`;
+
+
+export default withFormField(FormFieldValidationWarnings, (element, instanceType) => {
+
+    // The fields bound by each of the validation warnings need to be fetched in order to evaluate them.
+
+    const entries = instanceType ? instanceType.validationListForValidationNameSet(element.options.validations) : null;
+    const topLevel = {};
+    const fetch = {};
+
+    (entries || []).filter(v => v.isWarning).forEach(v => {
+        v.bindings.forEach(b => {
+            topLevel[b.split('.')[0]] = true;
+            mergeFetchFields(fetch, bindingToFetchFields(b));
+        });
+    });
+
+    return {topLevel:Object.keys(topLevel), fetch};
+});
@@ -28,7 +28,10 @@ function FormFieldViewerEditorLayout({className, description, options = {}, ...r
         const layoutElements = children.filter(e => e.type === "Layout");
         const { instanceType } = rest;
 
-        return layoutElements.map(elememnt => instanceType.layoutDefinitionForLayoutName(elememnt.options.layout));
+        return layoutElements.map(element => {
+            const layout = instanceType.layoutDefinitionForLayoutName(element.options.layout);
+            return layout ? {elements:layout.elementsWithParameters(element.parameters)} : null;
+        });
 
     }, [description, description ? description.children : null]);
 
@@ -0,0 +1,19 @@
+import React from 'react';
+
+import { BasicMessage, BasicMessageButton } from 'component-overlay';
+
+
+export default function InstanceConflictMessage({ conflict, formData, dismissConflict, reloadInstance, mergeInstance }) {
+
+    return (
+        <BasicMessage isOpen={!!conflict} closeOverlay={() => dismissConflict()} heading="Changes Conflict"
+            message={`${conflict ? conflict.message + ". " : ""}You can either reload the latest version (discarding your changes) or keep your changes, applying them over top of the latest version.`}
+            buttons={
+                <React.Fragment>
+                    <BasicMessageButton onClick={() => reloadInstance()}>Reload</BasicMessageButton>
+                    <BasicMessageButton onClick={() => mergeInstance(formData)}>Keep My Changes</BasicMessageButton>
+                </React.Fragment>
+            }
+        />
+    );
+};
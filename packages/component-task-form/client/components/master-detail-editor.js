@@ -4,6 +4,7 @@ import useTimedMinimumDisplay from './../hooks/useTimedMinimumDisplay';
 import useEditorInstanceData from './../hooks/useEditorInstanceData';
 
 import MasterDetailLayout from './master-detail-layout';
+import InstanceConflictMessage from './instance-conflict-message';
 
 
 export default function MasterDetailEditor({ instanceId, instanceType, layoutDefinition, workflowDescription, wasSubmitted,
@@ -17,7 +18,7 @@ export default function MasterDetailEditor({ instanceId, instanceType, layoutDef
     const fd = useEditorInstanceData({instanceId, instanceType, layoutDefinition, workflowDescription, wasSubmitted,
                                       autoSave, displayIsSavingMessage, removeIsSavingMessage});
 
-    const { instance, error, loading, formData, saveFormData, refetchFormData, tasks, fieldRegistry } = fd;
+    const { instance, error, loading, formData, saveFormData, refetchFormData, tasks, fieldRegistry, instanceConflict } = fd;
 
     const fieldListingProps = {fieldRegistry, data:formData, saveData:saveFormData, refetchData:refetchFormData, tasks, instanceId, instanceType};
     if(dataContextRef) {
@@ -25,7 +26,11 @@ export default function MasterDetailEditor({ instanceId, instanceType, layoutDef
     }
 
     return (
-        <MasterDetailLayout elements={layoutDefinition.elements} data={formData} loading={loading} error={error}
-            instance={instance} fieldListingProps={fieldListingProps} renderPageAdditionsWithData={renderPageAdditionsWithData} />
+        <React.Fragment>
+            <MasterDetailLayout elements={layoutDefinition.elements} data={formData} loading={loading} error={error}
+                instance={instance} fieldListingProps={fieldListingProps} renderPageAdditionsWithData={renderPageAdditionsWithData} />
+
+            <InstanceConflictMessage formData={formData} {...instanceConflict} />
+        </React.Fragment>
     );
 };
\ No newline at end of file
@@ -5,6 +5,7 @@ import useTimedMinimumDisplay from './../hooks/useTimedMinimumDisplay';
 import useFormInstanceData from './../hooks/useFormInstanceData';
 
 import FieldListing from './field-listing';
+import InstanceConflictMessage from './instance-conflict-message';
 
 import Button from 'ds-theme/components/button';
 import Spinner from 'ds-theme/components/spinner';
@@ -64,7 +65,7 @@ function MultipleStageTaskForm({instanceId, taskId, taskName, instanceType, form
     const [showIsSaving, displayIsSavingMessage, removeIsSavingMessage] = useTimedMinimumDisplay(1000);
 
     const fd = useFormInstanceData({instanceId, taskId, taskName, instanceType, formDefinition, workflowDescription, wasSubmitted, autoSave, displayIsSavingMessage, removeIsSavingMessage});
-    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, refetchFormData, fieldRegistry} = fd;
+    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, refetchFormData, fieldRegistry, instanceConflict} = fd;
 
 
     // FIXME: placeholder messages, formatting applied below
@@ -134,6 +135,8 @@ function MultipleStageTaskForm({instanceId, taskId, taskName, instanceType, form
                 }) : null }
 
             </StagesButtonHolder>
+
+            <InstanceConflictMessage formData={formData} {...instanceConflict} />
         </Fragment>
     );
 }
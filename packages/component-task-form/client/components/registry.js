@@ -7,6 +7,8 @@ import FormFieldButton from './fields/form-field-button';
 import FormFieldCheckbox from './fields/form-field-check-box';
 import FormFieldHeroCheckbox from './fields/form-field-hero-checkbox';
 import FormFieldSelect from './fields/form-field-select';
+import FormFieldMultiSelect from './fields/form-field-multi-select';
+import FormFieldNumber from './fields/form-field-number';
 import FormFieldNote from './fields/form-field-note';
 import FormFieldORCID from './fields/form-field-orcid';
 
@@ -27,6 +29,13 @@ import FormFieldArticleCitation from './fields/form-field-article-citation';
 import FormFieldKeywords, { FormFieldKeywordsListing } from './fields/form-field-keywords';
 
 import FormFieldFigshareEmbed from './fields/form-field-figshare-embed';
+import FormFieldValidationWarnings from './fields/form-field-validation-warnings';
+import FormFieldAclExplorer from './fields/form-field-acl-explorer';
+import FormFieldAuditTrail from './fields/form-field-audit-trail';
+import FormFieldCompareVersions from './fields/form-field-compare-versions';
+import FormFieldRestoreInstance from './fields/form-field-restore-instance';
+import FormFieldChildInstances from './fields/form-field-child-instances';
+import FormFieldComments from './fields/form-field-comments';
 
 
 // Lookup registry for form fields.
@@ -41,6 +50,8 @@ const FormFieldRegistry = {
     'Checkbox' : FormFieldCheckbox,
     'HeroCheckbox' : FormFieldHeroCheckbox,
     'SelectValue' : FormFieldSelect,
+    'MultiSelectValue' : FormFieldMultiSelect,
+    'Number' : FormFieldNumber,
 
     'AuthorsEditor' : FormFieldAuthorsEditor,
     'AuthorsListing' : FormFieldAuthorsListing,
@@ -64,6 +75,13 @@ const FormFieldRegistry = {
     // Static details form fields
     'StaticText' : FormFieldStaticText,
     'Note': FormFieldNote,
+    'ValidationWarnings': FormFieldValidationWarnings,
+    'AclExplorer': FormFieldAclExplorer,
+    'AuditTrail': FormFieldAuditTrail,
+    'CompareVersions': FormFieldCompareVersions,
+    'RestoreInstance': FormFieldRestoreInstance,
+    'ChildInstances': FormFieldChildInstances,
+    'Comments': FormFieldComments,
 
     'Group': FormFieldGroup,
     'ShadowedEditor' : FormFieldShadowedEditor,
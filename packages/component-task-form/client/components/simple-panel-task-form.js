@@ -7,6 +7,7 @@ import useTimedMinimumDisplay from './../hooks/useTimedMinimumDisplay';
 import useFormInstanceData, { SubmitTaskFailureReason } from './../hooks/useFormInstanceData';
 
 import SimplePanelLayout, { DecisionPanelHolder } from './simple-panel-layout';
+import InstanceConflictMessage from './instance-conflict-message';
 
 
 const StyledSimplePanelLayout = styled(SimplePanelLayout)`
@@ -50,7 +51,7 @@ export default function SimpleTaskForm({ className, instanceId, taskId, taskName
             setShowValidatedUserRequired(true);
         } else if(reason === SubmitTaskFailureReason.FormValidationFailed) {
             setLastSubmitFailed(true);
-        } else if(reason === SubmitTaskFailureReason.FormBlockingProcesses) {
+        } else if(reason === SubmitTaskFailureReason.FormBlockingProcesses || reason === SubmitTaskFailureReason.SchemaValidationFailed) {
             setShowBlockingProcessMessage(true);
             setBlockingProcesses(data ? data.map(d => d.message) : null);
         }
@@ -61,7 +62,7 @@ export default function SimpleTaskForm({ className, instanceId, taskId, taskName
     const fd = useFormInstanceData({instanceId, taskId, taskName, instanceType, formDefinition, workflowDescription,
                                     submitDidFail:onSubmitFail, wasSubmitted, enableAutoSave:autoSave, displayIsSavingMessage,
                                     removeIsSavingMessage});
-    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, formValidator, refetchFormData, fieldRegistry} = fd;
+    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, formValidator, refetchFormData, fieldRegistry, instanceConflict} = fd;
 
     const fieldListingProps = {fieldRegistry, data:formData, refetchData:refetchFormData, formValidator, instanceId,
                                instanceType, task, taskId:resolvedTaskId, formDefinition, submitTaskOutcome};
@@ -111,6 +112,8 @@ export default function SimpleTaskForm({ className, instanceId, taskId, taskName
                     {blockingProcesses ? blockingProcesses.map((p, index)=> <li key={index}>{p}</li>) : null}
                 </BlockingProcessList>
             </BasicMessage>
+
+            <InstanceConflictMessage formData={formData} {...instanceConflict} />
         </React.Fragment>
     );
 };
\ No newline at end of file
@@ -5,6 +5,7 @@ import useTimedMinimumDisplay from './../hooks/useTimedMinimumDisplay';
 import useFormInstanceData from './../hooks/useFormInstanceData';
 
 import FieldListing from './field-listing';
+import InstanceConflictMessage from './instance-conflict-message';
 
 
 export default function TaskForm({ instanceId, taskId, taskName, instanceType, formDefinition, workflowDescription, wasSubmitted, autoSave=true }) {
@@ -13,7 +14,7 @@ export default function TaskForm({ instanceId, taskId, taskName, instanceType, f
 
     const fd = useFormInstanceData({instanceId, taskId, taskName, instanceType, formDefinition, workflowDescription, wasSubmitted,
                                     autoSave, displayIsSavingMessage, removeIsSavingMessage});
-    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, refetchData, fieldRegistry} = fd;
+    const {instance, error, loading, task, resolvedTaskId, submitTaskOutcome, formData, refetchData, fieldRegistry, instanceConflict} = fd;
 
     if(loading) {
         return <div>Loading</div>;
@@ -41,6 +42,8 @@ export default function TaskForm({ instanceId, taskId, taskName, instanceType, f
                 <FieldListing elements={formDefinition.elements} fieldRegistry={fieldRegistry} data={formData} refetchData={refetchData}
                     instanceId={instanceId} instanceType={instanceType} taskId={resolvedTaskId} submitTaskOutcome={submitTaskOutcome} />
             </div>
+
+            <InstanceConflictMessage formData={formData} {...instanceConflict} />
         </div>
     ) : (
         <div>Loading</div>
@@ -2,11 +2,13 @@ import React, { useState, useMemo, useEffect } from 'react';
 
 import useGetInstanceQuery from './../queries/getInstance';
 import useUpdateInstance from './../mutations/updateInstance';
+import useInstanceConflict from './useInstanceConflict';
 
 import resolveFieldsForFormElements from './../utils/resolveFieldsForFormElements';
 
 import FieldRegistry from './../components/registry';
 import TaskFormData from "../utils/TaskFormData";
+import { noteInstanceVersion, instanceVersion } from "../utils/instanceVersions";
 
 import pick from "lodash/pick";
 import debounce from "lodash/debounce";
@@ -25,6 +27,11 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
     const { data, error, loading, refetch } = useGetInstanceQuery(instanceId, instanceType, workflowDescription, fetchFields);
 
     const updateInstance = useUpdateInstance(instanceType);
+    const instanceConflict = useInstanceConflict(refetch);
+
+    // The updated timestamp of the instance as fetched is sent as a precondition with updates.
+
+    const expectedUpdated = () => instanceVersion(instanceId);
 
     const [formData, setFormData] = useState(null);
 
@@ -43,6 +50,7 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
         const {data} = modifiedDataSet;
         const input = {
             id: instanceId,
+            expectedUpdated: expectedUpdated(),
             ...data
         };
 
@@ -51,6 +59,9 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
         return Promise.all([
             updateInstance(input).then(() => {
                 formData.updateForSubmittedModifications(modifiedDataSet);
+            }).catch(err => {
+                instanceConflict.reportConflict(err);
+                throw err;
             }),
 
             formData.updateModifiedRelationshipsForInstance(instanceId, instanceType)
@@ -67,7 +78,13 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
         // Upon receiving the initial data set, pick the top level fields from the data set and initialise a
         // new form data set with these initial values.
 
-        setFormData(new TaskFormData(pick(data.result, topLevelFields)));
+        // Local modifications being kept after a conflict are re-applied over top of the refetched data.
+
+        noteInstanceVersion(instanceId, (data && data.result) ? data.result.updated : null);
+
+        const newFormData = new TaskFormData(pick(data.result, topLevelFields), instanceType ? instanceType.model : null);
+        instanceConflict.applyPendingMerge(newFormData);
+        setFormData(newFormData);
 
     }, [data]);
 
@@ -100,6 +117,10 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
 
         formData.on('modified', formDataWasChanged);
 
+        if(formData.getModifiedData()) {
+            formDataWasChanged();
+        }
+
         return (() => {
             formData.off('modified', formDataWasChanged);
             formDataWasChanged.cancel();
@@ -125,6 +146,8 @@ export default function useEditorInstanceData({instanceId, instanceType, layoutD
         saveFormData,
         refetchFormData,
 
+        instanceConflict,
+
         fieldRegistry:FieldRegistry
     };
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useMemo, useEffect } from 'react';
 
 import useSubmitTaskOutcome, { SubmitTaskFailureReason } from './useSubmitTaskOutcome';
+import useInstanceConflict from './useInstanceConflict';
 
 import useGetInstanceQuery from './../queries/getInstance';
 import useUpdateInstance from './../mutations/updateInstance';
@@ -9,6 +10,7 @@ import resolveFieldsForFormElements from './../utils/resolveFieldsForFormElement
 
 import FieldRegistry from './../components/registry';
 import TaskFormData from "../utils/TaskFormData";
+import { noteInstanceVersion, instanceVersion } from "../utils/instanceVersions";
 import FormValidator from '../utils/FormValidator';
 
 import pick from "lodash/pick";
@@ -35,6 +37,11 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
     const { data, error, loading, refetch } = useGetInstanceQuery(instanceId, instanceType, workflowDescription, fetchFields);
 
     const updateInstance = useUpdateInstance(instanceType);
+    const instanceConflict = useInstanceConflict(refetch);
+
+    // The updated timestamp of the instance as fetched is sent as a precondition with updates and task completions.
+
+    const expectedUpdated = () => instanceVersion(instanceId);
 
     const [formData, setFormData] = useState(null);
     const [formValidator] = useState(new FormValidator());
@@ -68,6 +75,7 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
 
         const input = {
             id: instanceId,
+            expectedUpdated: expectedUpdated(),
             ...pickedData
         };
 
@@ -78,14 +86,25 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
         return Promise.all([
             updateInstance(input).then(() => {
                 formData.updateForSubmittedModifications(modifiedDataSet);
+            }).catch(err => {
+                instanceConflict.reportConflict(err);
+                throw err;
             }),
 
             formData.updateModifiedRelationshipsForInstance(instanceId, instanceType)
         ]);
     }
 
+    function _submitDidFail(reason, data) {
+        if(reason === SubmitTaskFailureReason.InstanceConflict) {
+            instanceConflict.reportConflict(data);
+        }
+        return submitDidFail ? submitDidFail(reason, data) : Promise.resolve(reason);
+    }
+
     const submitTaskOutcome = useSubmitTaskOutcome(instanceId, formDefinition, instanceType, _updateInstanceFromFormData, 
-                                                   _validateForm, submitDidFail, wasSubmitted, _getBlockingProcesses);
+                                                   _validateForm, _submitDidFail, wasSubmitted, _getBlockingProcesses,
+                                                   expectedUpdated);
 
     const refetchFormData = () => {
         return refetch();
@@ -97,7 +116,13 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
         // Upon receiving the initial data set, pick the top level fields from the data set and initialise a
         // new form data set with these initial values.
 
-        setFormData(new TaskFormData(pick(data.result, topLevelFields)));
+        // Local modifications being kept after a conflict are re-applied over top of the refetched data.
+
+        noteInstanceVersion(instanceId, (data && data.result) ? data.result.updated : null);
+
+        const newFormData = new TaskFormData(pick(data.result, topLevelFields), instanceType ? instanceType.model : null);
+        instanceConflict.applyPendingMerge(newFormData);
+        setFormData(newFormData);
 
     }, [data]);
 
@@ -130,6 +155,10 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
 
         formData.on('modified', formDataWasChanged);
 
+        if(formData.getModifiedData()) {
+            formDataWasChanged();
+        }
+
         return (() => {
             formData.off('modified', formDataWasChanged);
             formDataWasChanged.cancel();
@@ -175,6 +204,8 @@ export default function useFormInstanceData({instanceId, taskId, taskName, insta
         formValidator,
         refetchFormData,
 
+        instanceConflict,
+
         fieldRegistry:FieldRegistry
     };
 };
@@ -3,10 +3,10 @@ import React, { useState, useMemo, useEffect } from 'react';
 const clearValidationWarningsNoop = () => {
 };
 
-function useFormValidation(description, formDefinition, formValidator) {
+function useFormValidation(description, formDefinition, formValidator, data = null) {
 
     if(!description || !formDefinition || !formValidator) {
-        return [null, clearValidationWarningsNoop];
+        return [null, clearValidationWarningsNoop, null];
     }
 
     const validations = useMemo(() => {
@@ -14,27 +14,28 @@ function useFormValidation(description, formDefinition, formValidator) {
     }, [description, formDefinition]);
 
     if(!validations || !validations.length) {
-        return [null, clearValidationWarningsNoop];
+        return [null, clearValidationWarningsNoop, null];
     }
 
+    const [validationIssues, setValidationIssues] = useState(null);
     const [validationWarnings, setValidationWarnings] = useState(null);
     if(!formDefinition) {
-        return [null, clearValidationWarningsNoop];
+        return [null, clearValidationWarningsNoop, null];
     }
 
     useEffect(() => {
 
         const interest = formValidator.createInterest((data) => {
 
-            const newWarnings = validations.map(v => {
-                if(!v.evaluateCondition(data, 'client')) {
-                    return v.evaluateWarning(data);
-                }
-                return null;
-            }).filter(w => !!w);
+            // Failed validations with a warning severity are displayed separately and do not block submission.
 
+            const failed = validations.filter(v => !v.evaluateCondition(data, 'client'));
+            const newIssues = failed.filter(v => !v.isWarning).map(v => v.evaluateWarning(data)).filter(w => !!w);
+            const newWarnings = failed.filter(v => v.isWarning).map(v => v.evaluateWarning(data)).filter(w => !!w);
+
+            setValidationIssues(newIssues.length ? newIssues : null);
             setValidationWarnings(newWarnings.length ? newWarnings : null);
-            return !newWarnings.length;
+            return !newIssues.length;
         });
 
         formValidator.registerInterest(interest);
@@ -46,7 +47,47 @@ function useFormValidation(description, formDefinition, formValidator) {
 
     }, [formValidator, validations]);
 
-    return [validationWarnings, () => setValidationWarnings(null)];
+    // Warnings don't block submission, so (when the form data is available) they are evaluated as the fields they are
+    // derived from change rather than only once the form is submitted.
+
+    const warningValidations = useMemo(() => {
+        return validations.filter(v => v.isWarning);
+    }, [validations]);
+
+    useEffect(() => {
+
+        if(!data || !warningValidations.length) {
+            return;
+        }
+
+        const evaluateWarnings = () => {
+            const newWarnings = warningValidations.filter(v => !v.evaluateCondition(data, 'client')).map(v => v.evaluateWarning(data)).filter(w => !!w);
+            setValidationWarnings(newWarnings.length ? newWarnings : null);
+        };
+
+        const bindings = new Set();
+        warningValidations.forEach(v => {
+            bindings.add(v.target);
+            v.bindings.forEach(b => bindings.add(b.split('.')[0]));
+        });
+
+        bindings.forEach(b => data.on(`field.${b}`, evaluateWarnings));
+        evaluateWarnings();
+
+        return () => {
+            bindings.forEach(b => data.off(`field.${b}`, evaluateWarnings));
+        };
+
+    }, [data, warningValidations]);
+
+    const clearValidationIssues = () => {
+        setValidationIssues(null);
+        if(!data) {
+            setValidationWarnings(null);
+        }
+    };
+
+    return [validationIssues, clearValidationIssues, validationWarnings];
 }
 
 
@@ -0,0 +1,72 @@
+import { useState, useRef, useCallback } from 'react';
+
+
+/* Hook that tracks conflicts reported by the server when saving instance data or completing a task, which occurs when
+ * another user has modified the same fields since the instance was fetched. A conflict can be resolved by either
+ * reloading the instance (discarding local modifications) or merging, where the latest instance data is fetched and
+ * the local modifications are re-applied over top of it.
+ * */
+
+function _conflictGraphQLError(err) {
+    const errors = (err && err.graphQLErrors) || [];
+    return errors.find(e => e.name === 'ConflictError' || (e.extensions && e.extensions.code === 'CONFLICT')) || null;
+}
+
+export function isConflictError(err) {
+    return !!_conflictGraphQLError(err);
+}
+
+
+export default function useInstanceConflict(refetch) {
+
+    const [conflict, setConflict] = useState(null);
+    const pendingMerge = useRef(null);
+
+    const reportConflict = useCallback((err) => {
+
+        const conflictError = _conflictGraphQLError(err);
+        if(!conflictError) {
+            return false;
+        }
+
+        setConflict({message: conflictError.message});
+        return true;
+
+    }, []);
+
+    const dismissConflict = useCallback(() => {
+        setConflict(null);
+    }, []);
+
+    const reloadInstance = useCallback(() => {
+
+        pendingMerge.current = null;
+        setConflict(null);
+        return refetch();
+
+    }, [refetch]);
+
+    const mergeInstance = useCallback((formData) => {
+
+        const modified = formData ? formData.getModifiedData() : null;
+        pendingMerge.current = modified ? modified.data : null;
+        setConflict(null);
+        return refetch();
+
+    }, [refetch]);
+
+    const applyPendingMerge = useCallback((formData) => {
+
+        // Called once the refetched instance data has been placed into a new form data set.
+
+        const merge = pendingMerge.current;
+        pendingMerge.current = null;
+
+        if(merge && formData) {
+            Object.keys(merge).forEach(field => formData.setFieldValue(field, merge[field]));
+        }
+
+    }, []);
+
+    return {conflict, reportConflict, dismissConflict, reloadInstance, mergeInstance, applyPendingMerge};
+};
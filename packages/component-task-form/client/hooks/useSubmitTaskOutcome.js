@@ -2,6 +2,7 @@ import React, { useContext } from 'react';
 import useCompleteInstanceTask from './../mutations/completeInstanceTask';
 import useDestroyInstance from './../mutations/destroyInstance';
 import AuthenticatedUserContext from 'component-authentication/client/AuthenticatedUserContext';
+import { isConflictError } from './useInstanceConflict';
 
 
 const SubmitTaskSuccessReason = 'Success';
@@ -9,12 +10,22 @@ const SubmitTaskSuccessReason = 'Success';
 const SubmitTaskFailureReason = {
     RequiresValidatedSubmitter: 'RequiresValidatedSubmitter',
     FormValidationFailed: 'FormValidationFailed',
-    FormBlockingProcesses: 'FormBlockingProcesses'
+    FormBlockingProcesses: 'FormBlockingProcesses',
+    InstanceConflict: 'InstanceConflict',
+    SchemaValidationFailed: 'SchemaValidationFailed'
 };
 
 
+function _schemaViolations(err) {
+    const errors = (err && err.graphQLErrors) || [];
+    const e = errors.find(e => e.extensions && e.extensions.code === 'BAD_USER_INPUT' && e.extensions.violations);
+    return e ? e.extensions.violations : null;
+}
+
 
-export default  function useSubmitTaskOutcome(instanceId, formDefinition, instanceType, saveInstanceData, validateForm, submitDidFail, wasSubmitted, getBlockingProcesses) {
+
+export default  function useSubmitTaskOutcome(instanceId, formDefinition, instanceType, saveInstanceData, validateForm, submitDidFail, wasSubmitted, getBlockingProcesses,
+                                              getExpectedUpdated) {
 
     const completeInstanceTask = useCompleteInstanceTask(instanceType);
     const destroyInstance = useDestroyInstance(instanceType);
@@ -30,6 +41,24 @@ export default  function useSubmitTaskOutcome(instanceId, formDefinition, instan
         );
     };
 
+    const _submitDidError = (err) => {
+
+        // Modifications made by another user since the instance was fetched are reported as a failure reason, with
+        // the error supplied so the conflict message can be displayed. Fields not conforming to their schema are
+        // reported with the list of violations returned by the server.
+
+        if(isConflictError(err)) {
+            return _submitDidFail(SubmitTaskFailureReason.InstanceConflict, err);
+        }
+
+        const violations = _schemaViolations(err);
+        if(violations) {
+            return _submitDidFail(SubmitTaskFailureReason.SchemaValidationFailed, violations);
+        }
+
+        return Promise.reject(err);
+    };
+
     return (taskId, outcomeType, options) => {
 
         // From the task definition we want to find the outcome requested.
@@ -64,7 +93,7 @@ export default  function useSubmitTaskOutcome(instanceId, formDefinition, instan
 
             return saveInstanceData().then(() => {
 
-                return completeInstanceTask(instanceId, taskId, formDefinition.name, outcome.type, state);
+                return completeInstanceTask(instanceId, taskId, formDefinition.name, outcome.type, state, getExpectedUpdated ? getExpectedUpdated() : null);
 
             }).then(result => {
 
@@ -86,7 +115,8 @@ export default  function useSubmitTaskOutcome(instanceId, formDefinition, instan
 
                     return _submitDidFail(SubmitTaskFailureReason.FormValidationFailed);
                 }
-            });
+
+            }, _submitDidError);
 
         } else if(outcome.result === "Destroy") {
 
@@ -115,7 +145,8 @@ export default  function useSubmitTaskOutcome(instanceId, formDefinition, instan
                     });
                 }
                 return SubmitTaskSuccessReason;
-            });
+
+            }, _submitDidError);
 
         }
     };
@@ -57,7 +57,7 @@ export { WorkflowTaskForm }
 
 
 import { registerConditionFunction } from 'client-workflow-model';
-import { correspondingAuthors, singleCorrespondingAuthor, validCitations, validIdentity, validUri, fileCount } from '../shared/validations';
+import { correspondingAuthors, singleCorrespondingAuthor, validCitations, validIdentity, validUri, fileCount, wordCount } from '../shared/validations';
 
 registerConditionFunction('correspondingAuthors', correspondingAuthors);
 registerConditionFunction('singleCorrespondingAuthor', singleCorrespondingAuthor);
@@ -65,4 +65,5 @@ registerConditionFunction('validCitations', validCitations);
 registerConditionFunction('validIdentity', validIdentity);
 registerConditionFunction('validUri', validUri);
 registerConditionFunction('fileCount', fileCount);
+registerConditionFunction('wordCount', wordCount);
 
@@ -6,8 +6,8 @@ import { useMemo } from 'react';
 function _generateGraphQL(instanceType) {
     const instanceTypeName = instanceType.name;
     return gql`
-        mutation CompleteInstanceTask($id:ID!, $taskId:ID!, $form:String!, $outcome:String!, $state:${instanceTypeName}StateInput) {
-          complete: completeTaskFor${instanceTypeName}(id:$id, taskId:$taskId, form:$form, outcome:$outcome, state:$state)
+        mutation CompleteInstanceTask($id:ID!, $taskId:ID!, $form:String!, $outcome:String!, $state:${instanceTypeName}StateInput, $expectedUpdated:DateTime) {
+          complete: completeTaskFor${instanceTypeName}(id:$id, taskId:$taskId, form:$form, outcome:$outcome, state:$state, expectedUpdated:$expectedUpdated)
         }
     `;
 }
@@ -19,7 +19,7 @@ export default (instanceType, opts = {}) => {
     const completeInstanceTaskMutation = useMemo(() => _generateGraphQL(instanceType), [instanceType, instanceType.name]);
     const mutation = useMutation(completeInstanceTaskMutation);
 
-    return function wrappedCompleteInstanceTaskMutation(id, taskId, form, outcome, state) {
+    return function wrappedCompleteInstanceTaskMutation(id, taskId, form, outcome, state, expectedUpdated = null) {
 
         const combinedOpts = Object.assign({}, opts);
         combinedOpts.variables = {
@@ -27,7 +27,8 @@ export default (instanceType, opts = {}) => {
             taskId,
             form,
             outcome,
-            state: state || {}
+            state: state || {},
+            expectedUpdated
         };
 
         return mutation(combinedOpts).then(result => {
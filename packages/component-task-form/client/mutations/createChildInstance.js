@@ -0,0 +1,36 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+import { useMemo } from 'react';
+
+
+function _generateGraphQL(childInstanceType, joinField) {
+    const instanceTypeName = childInstanceType.name;
+    return gql`
+        mutation CreateChildInstance($parentId:ID!) {
+          result: create${instanceTypeName}(${joinField}:$parentId) {
+            id
+            tasks {
+              id
+              formKey
+            }
+          }
+        }
+    `;
+}
+
+
+export default (childInstanceType, joinField, opts = {}) => {
+
+    const createChildInstanceMutation = useMemo(() => _generateGraphQL(childInstanceType, joinField), [childInstanceType, joinField]);
+    const mutation = useMutation(createChildInstanceMutation);
+
+    return function wrappedCreateChildInstanceMutation(parentId) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { parentId };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
@@ -0,0 +1,38 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+
+import { CommentFields } from '../queries/comments';
+
+
+const createCommentMutation = gql`
+    mutation CreateComment($input:CommentInput!) {
+        result: createComment(input:$input) {
+            ${CommentFields}
+        }
+    }
+`;
+
+
+export default (instanceType, opts = {}) => {
+
+    const mutation = useMutation(createCommentMutation);
+
+    return function wrappedCreateCommentMutation(instanceId, body, {threadId = null, audience = null, mentions = []} = {}) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = {
+            input: {
+                instanceId,
+                instanceType: instanceType.name,
+                threadId,
+                audience,
+                body,
+                mentions
+            }
+        };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
@@ -0,0 +1,29 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+
+import { CommentFields } from '../queries/comments';
+
+
+const editCommentMutation = gql`
+    mutation EditComment($id:ID!, $body:String!) {
+        result: editComment(id:$id, body:$body) {
+            ${CommentFields}
+        }
+    }
+`;
+
+
+export default (opts = {}) => {
+
+    const mutation = useMutation(editCommentMutation);
+
+    return function wrappedEditCommentMutation(id, body) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { id, body };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
@@ -0,0 +1,30 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+import { useMemo } from 'react';
+
+
+function _generateGraphQL(instanceType) {
+    const instanceTypeName = instanceType.name;
+    return gql`
+        mutation RestoreInstance($id:ID!) {
+          result: restore${instanceTypeName}(id:$id)
+        }
+    `;
+}
+
+
+export default (instanceType, opts = {}) => {
+
+    const restoreInstanceMutation = useMemo(() => _generateGraphQL(instanceType), [instanceType, instanceType.name]);
+    const mutation = useMutation(restoreInstanceMutation);
+
+    return function wrappedRestoreInstanceMutation(id) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { id };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+};
@@ -0,0 +1,49 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const auditTrailQuery = gql`
+    query AuditTrail($instanceId:ID!) {
+        result:auditTrail(instanceId:$instanceId) {
+            id
+            created
+            actor {
+                id
+                displayName
+            }
+            action
+            detail
+            changes {
+                field
+                before
+                after
+            }
+        }
+    }
+`;
+
+
+export default (instanceId, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                instanceId
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, opts]);
+
+    const {data, loading, error} = useQuery(auditTrailQuery, queryOptions);
+
+    return {entries:(data && data.result) || null, loading, error};
+};
@@ -0,0 +1,38 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const commentMentionablesQuery = gql`
+    query CommentMentionables($instanceId:ID!, $instanceType:String!) {
+        result:commentMentionables(instanceId:$instanceId, instanceType:$instanceType) {
+            id
+            displayName
+        }
+    }
+`;
+
+
+export default (instanceId, instanceType, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                instanceId,
+                instanceType: instanceType.name
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, instanceType, opts]);
+
+    const {data, loading, error} = useQuery(commentMentionablesQuery, queryOptions);
+
+    return {mentionables:(data && data.result) || null, loading, error};
+};
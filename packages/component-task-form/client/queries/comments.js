@@ -0,0 +1,60 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const CommentFields = `
+    id
+    created
+    threadId
+    audience
+    author {
+        id
+        displayName
+    }
+    body
+    mentions {
+        id
+        displayName
+    }
+    edited
+    edits {
+        body
+        edited
+    }
+`;
+
+const commentsQuery = gql`
+    query Comments($instanceId:ID!) {
+        result:comments(instanceId:$instanceId) {
+            ${CommentFields}
+        }
+    }
+`;
+
+
+export default (instanceId, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                instanceId
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, opts]);
+
+    const {data, loading, error, refetch} = useQuery(commentsQuery, queryOptions);
+
+    return {comments:(data && data.result) || null, loading, error, refetch};
+};
+
+export { CommentFields };
@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+export default (instanceId, instanceType, identityId, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                id: instanceId,
+                identityId: identityId || null
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, identityId, opts]);
+
+    const explainAclQuery = useMemo(() => gql`
+        query Explain${instanceType.name}Acl($id:ID!, $identityId:ID) {
+            result:explainAcl${instanceType.name}(id:$id, identityId:$identityId) {
+                identityId
+                targets
+                isOwner
+                actions {
+                    action
+                    allow
+                    restrictionsApply
+                    matchingRules
+                    allowedFields
+                    allowedTasks
+                    allowedRestrictions
+                }
+            }
+        }
+    `, [instanceType]);
+
+    const {data, loading, error} = useQuery(explainAclQuery, queryOptions);
+
+    return {explanation:(data && data.result) || null, loading, error};
+};
@@ -34,12 +34,16 @@ export default (instanceId, instanceType, workflowDescription, fields, opts = {}
         }
     });
 
-    const filteredFields = Object.assign({}, fields || {});
+    // Fields holding JSON declared with a schema are fetched as a selection of the fields within them.
+    const filteredFields = instanceType.model ? instanceType.model.expandFetchFields(fields || {}) : Object.assign({}, fields || {});
 
     if(!filteredFields.id) {
         filteredFields.id = null;
     }
 
+    // The updated timestamp is supplied back to the server with updates as a precondition (detecting conflicting changes).
+    filteredFields.updated = null;
+
     if(!filteredFields.tasks) {
         filteredFields.tasks = {};
     }
@@ -0,0 +1,46 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const instanceSnapshotsQuery = gql`
+    query InstanceSnapshots($instanceId:ID!) {
+        result:instanceSnapshots(instanceId:$instanceId) {
+            id
+            created
+            round
+            form
+            outcome
+            actor {
+                id
+                displayName
+            }
+            data
+        }
+    }
+`;
+
+
+export default (instanceId, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                instanceId
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, opts]);
+
+    const {data, loading, error} = useQuery(instanceSnapshotsQuery, queryOptions);
+
+    return {snapshots:(data && data.result) || null, loading, error};
+};
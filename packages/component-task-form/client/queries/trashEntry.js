@@ -0,0 +1,45 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const trashEntryQuery = gql`
+    query TrashEntry($instanceId:ID!) {
+        result:trashEntry(instanceId:$instanceId) {
+            id
+            created
+            reason
+            actor {
+                id
+                displayName
+            }
+            expires
+            restorable
+        }
+    }
+`;
+
+
+export default (instanceId, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                instanceId
+            }
+        });
+        return queryOptions;
+
+    }, [instanceId, opts]);
+
+    const {data, loading, error, refetch} = useQuery(trashEntryQuery, queryOptions);
+
+    return {entry:(data && data.result) || null, loading, error, refetch};
+};
@@ -0,0 +1,30 @@
+import gql from 'graphql-tag';
+import { useSubscription } from 'react-apollo-hooks';
+
+import { CommentFields } from '../queries/comments';
+
+
+const commentChangedSubscription = gql`
+    subscription CommentChanged($instanceId:ID!) {
+        comment: commentChanged(instanceId:$instanceId) {
+            ${CommentFields}
+        }
+    }
+`;
+
+
+const useCommentChangedSubscription = (instanceId, notifier, opts = {}) => {
+
+    // Only comments the subscriber is able to see are delivered (internal comments are restricted to administrators).
+
+    return useSubscription(commentChangedSubscription, {
+        variables: {instanceId},
+        onSubscriptionData: ({client, subscriptionData}) => {
+            notifier(subscriptionData.data.comment);
+        },
+        ...opts
+    });
+};
+
+
+export default useCommentChangedSubscription;
@@ -2,8 +2,8 @@ import TaskFormData from './TaskFormData';
 
 class ShadowedTaskFormData extends TaskFormData {
 
-    constructor(underlyingData, allowedShadowingFields) {
-        super();
+    constructor(underlyingData, allowedShadowingFields, model = null) {
+        super({}, model);
         this._underlyingData = underlyingData;
         this._allowedFields = {};
 
@@ -11,7 +11,8 @@ function _get(obj, key) {
 
 class TaskFormData {
 
-    constructor(initialData = {}) {
+    constructor(initialData = {}, model = null) {
+        this._model = model;
         this._modifiedFields = {};
         this._defaultValues = {...initialData};
         this._generation = 0;
@@ -19,6 +20,28 @@ class TaskFormData {
 
         this._relationshipModifier = {};
         this._relationshipModifierClientKeyId = 1;
+
+        // Computed fields are re-evaluated as the fields they are derived from are modified, any listeners on a
+        // computed field are notified when one of those fields changes.
+
+        if(model) {
+            model.computedFields().forEach(({field}) => {
+                const dependencies = new Set(model.computedFieldBindings(field).map(b => b.split('.')[0]));
+                dependencies.forEach(dependency => {
+                    this.on(`field.${dependency}`, () => this.emit(`field.${field}`, this, field, this.getFieldValue(field)));
+                });
+            });
+        }
+    }
+
+    fieldDefinition(fieldID) {
+
+        // The model field definition for a top level field (used by form fields to adapt to the field's type).
+
+        if(!this._model || !fieldID) {
+            return null;
+        }
+        return this._model.fields.find(f => f.field === fieldID) || null;
     }
 
     _hasDefaultValue(fieldID) {
@@ -55,6 +78,10 @@ class TaskFormData {
             return obj;
         }
 
+        if(this._model && this._model.isComputedField(fieldID)) {
+            return this._model.evaluateComputedField(fieldID, this, 'client');
+        }
+
         if(this._modifiedFields.hasOwnProperty(fieldID)) {
             return this._modifiedFields[fieldID];
         }
@@ -0,0 +1,24 @@
+/* The updated timestamp of each instance as last fetched, shared by all forms and editors displaying the instance so
+ * that they send the same version as the precondition of their updates and task completions. Only a newer timestamp
+ * replaces the one held for an instance (e.g. after one of the editors has refetched the instance following a conflict).
+ * */
+
+const _instanceVersions = new Map();
+
+function noteInstanceVersion(instanceId, updated) {
+
+    if(!instanceId || !updated) {
+        return;
+    }
+
+    const current = _instanceVersions.get(instanceId);
+    if(!current || new Date(updated).getTime() > new Date(current).getTime()) {
+        _instanceVersions.set(instanceId, updated);
+    }
+}
+
+function instanceVersion(instanceId) {
+    return _instanceVersions.get(instanceId) || null;
+}
+
+export { noteInstanceVersion, instanceVersion };
@@ -106,5 +106,15 @@ export default function resolveFieldsForFormElements(elements, instanceType, reg
 
     _resolveForElements(elements);
 
+    // Computed fields are re-evaluated client side as a form is edited, requiring the fields they are derived from.
+    if(instanceType && instanceType.model) {
+        Object.keys(topLevelFields).filter(f => instanceType.model.isComputedField(f)).forEach(f => {
+            instanceType.model.computedFieldBindings(f).forEach(b => {
+                addToFetchFields(_bindingStringToFetchFields(b));
+                addToTopLevelFields(b.split(".")[0]);
+            });
+        });
+    }
+
     return {fetchFields:fetchFields, topLevelFields:Object.keys(topLevelFields)};
 }
\ No newline at end of file
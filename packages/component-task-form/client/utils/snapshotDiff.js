@@ -0,0 +1,134 @@
+/* Helpers for comparing field values between two instance snapshots. Strings are compared word by word, while lists are
+ * compared item by item (files by their identifier, all other items by their content).
+ * */
+
+function diffWords(before, after) {
+
+    const a = _tokenize(before);
+    const b = _tokenize(after);
+
+    // Longest common subsequence table over the word tokens, walked forwards to produce the diff.
+
+    const lcs = Array(a.length + 1).fill(null).map(() => Array(b.length + 1).fill(0));
+    for(let i = a.length - 1; i >= 0; i--) {
+        for(let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = (a[i] === b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, value) => {
+        const last = parts.length ? parts[parts.length - 1] : null;
+        if(last && last.type === type) {
+            last.value += value;
+        } else {
+            parts.push({type, value});
+        }
+    };
+
+    let i = 0, j = 0;
+    while(i < a.length && j < b.length) {
+        if(a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if(lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while(i < a.length) {
+        push('removed', a[i++]);
+    }
+    while(j < b.length) {
+        push('added', b[j++]);
+    }
+
+    return parts;
+}
+
+function diffItems(before, after) {
+
+    const beforeItems = (before instanceof Array) ? before : [];
+    const afterItems = (after instanceof Array) ? after : [];
+
+    const beforeKeys = new Set(beforeItems.map(_itemKey));
+    const afterKeys = new Set(afterItems.map(_itemKey));
+
+    return {
+        added: afterItems.filter(item => !beforeKeys.has(_itemKey(item))),
+        removed: beforeItems.filter(item => !afterKeys.has(_itemKey(item))),
+        unchanged: afterItems.filter(item => beforeKeys.has(_itemKey(item)))
+    };
+}
+
+function itemDisplayValue(item) {
+
+    if(item === null || item === undefined) {
+        return "";
+    }
+
+    if(typeof(item) !== "object") {
+        return "" + item;
+    }
+
+    if(_isFile(item)) {
+        return item.fileDisplayName || item.fileName || item.id;
+    }
+
+    if(item.name) {
+        return item.name;
+    }
+
+    if(item.organization && item.organization.name) {
+        return item.organization.name;
+    }
+
+    return item.title || JSON.stringify(_withoutLocalId(item));
+}
+
+function valuesAreEqual(before, after) {
+    return JSON.stringify(_normalise(before)) === JSON.stringify(_normalise(after));
+}
+
+export { diffWords, diffItems, itemDisplayValue, valuesAreEqual };
+
+
+function _tokenize(value) {
+    if(value === null || value === undefined) {
+        return [];
+    }
+    return ("" + value).split(/(\s+)/).filter(t => t.length);
+}
+
+function _isFile(item) {
+    return item && typeof(item) === "object" && item.id && (item.fileName !== undefined || item.fileDisplayName !== undefined);
+}
+
+function _withoutLocalId(item) {
+
+    // List items edited within forms are assigned local identifiers (used for ordering and keys), which are not part of
+    // the content being compared.
+
+    const r = Object.assign({}, item);
+    delete r.id;
+    return r;
+}
+
+function _itemKey(item) {
+    if(_isFile(item)) {
+        return `file:${item.id}`;
+    }
+    return JSON.stringify(_normalise(item));
+}
+
+function _normalise(value) {
+    if(value instanceof Array) {
+        return value.map(_normalise);
+    }
+    if(value && typeof(value) === "object") {
+        return _isFile(value) ? value : _withoutLocalId(value);
+    }
+    return (value === undefined || value === "") ? null : value;
+}
@@ -1,5 +1,5 @@
 const { registerConditionFunction } = require('client-workflow-model/ConditionFunctions');
-const { correspondingAuthors, singleCorrespondingAuthor, validCitations, validIdentity, validUri, fileCount } = require('./shared/validations');
+const { correspondingAuthors, singleCorrespondingAuthor, validCitations, validIdentity, validUri, fileCount, wordCount } = require('./shared/validations');
 
 registerConditionFunction('correspondingAuthors', correspondingAuthors);
 registerConditionFunction('singleCorrespondingAuthor', singleCorrespondingAuthor);
@@ -7,6 +7,7 @@ registerConditionFunction('validCitations', validCitations);
 registerConditionFunction('validIdentity', validIdentity);
 registerConditionFunction('validUri', validUri);
 registerConditionFunction('fileCount', fileCount);
+registerConditionFunction('wordCount', wordCount);
 
 
 const resolvers = require('./server/resolvers');
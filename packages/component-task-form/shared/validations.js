@@ -67,3 +67,16 @@ function fileCount(files) {
 }
 
 exports.fileCount = fileCount;
+
+
+function wordCount(text) {
+
+    if(!text || typeof text !== 'string') {
+        return 0;
+    }
+
+    const words = text.trim().split(/\s+/);
+    return words[0] === "" ? 0 : words.length;
+}
+
+exports.wordCount = wordCount;
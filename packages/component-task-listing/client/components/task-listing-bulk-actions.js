@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+
+import { InlineButton } from 'ds-theme/components/inline-button';
+import Spinner from "ds-theme/components/spinner";
+
+
+/* Bar displayed above a listing while instances are selected, rendering the available bulk actions. Once an action has
+ * been run the per instance report is displayed (the number of instances updated along with the reason each failed
+ * instance was skipped).
+ * */
+
+const _TaskListingBulkActions = ({className, selectedIds, clearSelection, refreshListing, itemLabel, renderBulkActions}) => {
+
+    const [isRunning, setIsRunning] = useState(false);
+    const [report, setReport] = useState(null);
+
+    const runBulkAction = (label, perform) => {
+
+        setIsRunning(true);
+        setReport(null);
+
+        return perform(selectedIds.slice(0)).then(results => {
+
+            setIsRunning(false);
+            setReport({label, results:results || []});
+            clearSelection();
+            refreshListing();
+
+        }).catch(err => {
+
+            setIsRunning(false);
+            setReport({label, error:err.message || "Unable to apply the action."});
+        });
+    };
+
+    if(!selectedIds.length && !report) {
+        return null;
+    }
+
+    return (
+        <div className={className}>
+            {selectedIds.length ?
+                <div className="actions">
+                    <span className="count">{selectedIds.length} selected</span>
+                    {renderBulkActions({selectedIds, runBulkAction, isRunning})}
+                    <InlineButton disabled={isRunning} onClick={clearSelection}>Clear Selection</InlineButton>
+                    {isRunning ? <Spinner small={true} /> : null}
+                </div> : null}
+
+            {report ? _renderReport(report, itemLabel, () => setReport(null)) : null}
+        </div>
+    );
+};
+
+
+function _renderReport(report, itemLabel, dismiss) {
+
+    if(report.error) {
+        return (
+            <div className="report">
+                <span className="failed">{report.label} failed: {report.error}</span>
+                <InlineButton onClick={dismiss}>Dismiss</InlineButton>
+            </div>
+        );
+    }
+
+    const failures = report.results.filter(r => !r.success);
+    const successCount = report.results.length - failures.length;
+
+    return (
+        <div className="report">
+            <span>{report.label}: {successCount} succeeded{failures.length ? `, ${failures.length} failed` : ""}.</span>
+            <InlineButton onClick={dismiss}>Dismiss</InlineButton>
+            {failures.length ?
+                <ul>
+                    {failures.map(r => <li key={r.id} className="failed">{itemLabel(r.id)}: {r.error || "Unable to apply the action."}</li>)}
+                </ul> : null}
+        </div>
+    );
+}
+
+
+const TaskListingBulkActions = styled(_TaskListingBulkActions)`
+
+    margin-top: 12px;
+    padding: 8px 12px;
+    background: white;
+    border: 1px solid #ebebeb;
+    font-size: 14px;
+
+    & .actions {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+    }
+
+    & .actions > * {
+        margin-right: 8px;
+    }
+
+    & .count {
+        font-weight: bold;
+    }
+
+    & .report ul {
+        margin: 6px 0 0;
+        padding-left: 20px;
+    }
+
+    & .failed {
+        color: #d10f00;
+    }
+`;
+
+export default TaskListingBulkActions;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
+import moment from 'moment';
 
 import useDebouncedValue from "ds-theme/hooks/useDebouncedValue";
 import { SmallTextInput } from "ds-theme/components/text-input";
 import { Checkbox, CheckboxLabel } from "ds-theme/components/checkbox-input";
 import PopoverTrigger from "ds-theme/components/popover";
+import DateInput from "ds-theme/components/date-input";
 
 import { FaFilter } from 'react-icons/fa';
 
@@ -37,6 +39,39 @@ const FilterCheckboxListing = styled.div`
   }
 `;
 
+const DateRangeHolder = styled.div`
+  margin-top: 10px;
+  padding-top: 5px;
+  border-top: 1px solid #b9b9b9;
+
+  & > .label {
+    margin-bottom: 5px;
+  }
+
+  & > ${DateInput} + ${DateInput} {
+    margin-top: 5px;
+  }
+`;
+
+
+// Date range control, the range supplied to listeners covers the whole of both the from and to days (as ISO date times)
+// allowing it to be used directly as a listing range filter (i.e. {from, to}).
+
+function DateRangeFilter({label, range, setRange}) {
+
+    const [focusedInput, setFocusedInput] = useState(null);
+
+    return (
+        <DateRangeHolder>
+            <div className="label">{label}</div>
+            <DateInput placeholder="From" date={range.from} onDateChange={date => setRange({from:date, to:range.to})}
+                focused={focusedInput === 'from'} onFocusChange={({focused}) => setFocusedInput(focused ? 'from' : null)} />
+            <DateInput placeholder="To" date={range.to} onDateChange={date => setRange({from:range.from, to:date})}
+                focused={focusedInput === 'to'} onFocusChange={({focused}) => setFocusedInput(focused ? 'to' : null)} />
+        </DateRangeHolder>
+    );
+}
+
 
 
 function savePhases(filterOptions) {
@@ -80,7 +115,8 @@ function _determineInitialSavedPhases(allFilterPhases, defaultActiveFilterPhases
 
 const _TaskListingHeader = ({className, showSearch=true, showFilter, setFilteredPhases, allFilterPhases, defaultActiveFilterPhases,
                              searchTextDidChange, searchTextDebounceInterval=300, renderAdditionalFilters=null,
-                             searchPlaceholder='Search…'}) => {
+                             searchPlaceholder='Search…', showDateRange=false, dateRangeLabel='Date', dateRangeDidChange=null,
+                             appliedView=null, renderAdditionalControls=null}) => {
 
     const [searchText, setSearchText] = useState("");
     const [debouncedSearchText] = useDebouncedValue(searchText, searchTextDebounceInterval);
@@ -98,6 +134,18 @@ const _TaskListingHeader = ({className, showSearch=true, showFilter, setFiltered
         }
     }, [debouncedSearchText]);
 
+    const [dateRange, setDateRange] = useState({from:null, to:null});
+
+    useEffect(() => {
+        if(dateRangeDidChange) {
+            const { from, to } = dateRange;
+            dateRangeDidChange((from || to) ? {
+                from: from ? from.clone().startOf('day').toISOString() : null,
+                to: to ? to.clone().endOf('day').toISOString() : null
+            } : null);
+        }
+    }, [dateRange.from ? dateRange.from.valueOf() : null, dateRange.to ? dateRange.to.valueOf() : null]);
+
 
     // For each of the supplied filters, we create our checkbox with associated state.
     const filterOptions = allFilterPhases ? allFilterPhases.map(filter => {
@@ -128,6 +176,27 @@ const _TaskListingHeader = ({className, showSearch=true, showFilter, setFiltered
         }, [...filterOptions.map(f => f.active)]);
     }
 
+    // An applied view (e.g. a saved listing view) replaces the active phases, search text and date range.
+    useEffect(() => {
+
+        if(!appliedView) {
+            return;
+        }
+
+        if(appliedView.phases) {
+            filterOptions.forEach(f => f.setActive(appliedView.phases.indexOf(f.filter) !== -1));
+        }
+
+        setSearchText(appliedView.searchText || "");
+
+        const range = appliedView.dateRange;
+        setDateRange({
+            from: (range && range.from) ? moment(range.from) : null,
+            to: (range && range.to) ? moment(range.to) : null
+        });
+
+    }, [appliedView]);
+
     // Utility methods (save current filters, restore saved filters, deactivate all filters)
     const saveCurrentFilters = () => {
         const r = savePhases(filterOptions);
@@ -151,12 +220,13 @@ const _TaskListingHeader = ({className, showSearch=true, showFilter, setFiltered
                 <SmallTextInput value={searchText} onChange={handleOnChangeSearchText} placeholder={searchPlaceholder} />
             ) : null }
 
-            {showFilter ? (
+            {showFilter || showDateRange ? (
                 <PopoverTrigger placement="bottom" renderContent={() => {
                     return (
                         <FilterCheckboxListing>
-                            {filterOptions.map((filter, index) => <div key={index}>{filter.checkbox}</div> )}
-                            {renderAdditionalFilters ? renderAdditionalFilters(saveCurrentFilters, restoreSavedFilters, deactivateAllFilters) : null}
+                            {showFilter ? filterOptions.map((filter, index) => <div key={index}>{filter.checkbox}</div> ) : null}
+                            {showFilter && renderAdditionalFilters ? renderAdditionalFilters(saveCurrentFilters, restoreSavedFilters, deactivateAllFilters) : null}
+                            {showDateRange ? <DateRangeFilter label={dateRangeLabel} range={dateRange} setRange={setDateRange} /> : null}
                         </FilterCheckboxListing>
                     );
                 }}>
@@ -166,6 +236,8 @@ const _TaskListingHeader = ({className, showSearch=true, showFilter, setFiltered
                 </PopoverTrigger>
             ) : null }
 
+            {renderAdditionalControls ? renderAdditionalControls() : null}
+
         </FilteringHolder>
     );
 };
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+
+import useSavedListingViews from './../queries/savedListingViews';
+import { useCreateSavedListingViewMutation, useShareSavedListingViewMutation, useDeleteSavedListingViewMutation } from './../mutations/savedListingViews';
+
+import PopoverTrigger from "ds-theme/components/popover";
+import { SmallTextInput } from "ds-theme/components/text-input";
+import { Checkbox, CheckboxLabel } from "ds-theme/components/checkbox-input";
+import { InlineButton } from "ds-theme/components/inline-button";
+
+import { FaBookmark, FaTrashAlt } from 'react-icons/fa';
+
+
+/* Listing header control for saved listing views. The current listing configuration (filter, sorting, search text and
+ * visible columns) can be saved as a named view, optionally shared with a group (e.g. all administrators). Selecting a
+ * saved view passes it back to the listing to be applied. The visible columns of the listing can also be chosen here.
+ * */
+
+const _TaskListingSavedViews = ({className, listing, currentView, applyView, allColumns=null, visibleColumns=null,
+                                 setVisibleColumns=null, shareGroup=null, shareGroupLabel=null}) => {
+
+    const { views, refetch } = useSavedListingViews(listing);
+
+    const createView = useCreateSavedListingViewMutation();
+    const shareView = useShareSavedListingViewMutation();
+    const deleteView = useDeleteSavedListingViewMutation();
+
+    const [name, setName] = useState("");
+    const [shareNewView, setShareNewView] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleError = (err) => {
+        setError(err.message || "Unable to update saved views.");
+    };
+
+    const handleSave = () => {
+
+        setError(null);
+
+        createView(Object.assign({listing, name}, currentView)).then(view => {
+            return (shareNewView && shareGroup && view) ? shareView(view.id, shareGroup) : null;
+        }).then(() => {
+            setName("");
+            setShareNewView(false);
+            return refetch();
+        }).catch(handleError);
+    };
+
+    const handleToggleShared = (view) => {
+        setError(null);
+        shareView(view.id, view.sharedGroup ? null : shareGroup).then(() => refetch()).catch(handleError);
+    };
+
+    const handleDelete = (view) => {
+        setError(null);
+        deleteView(view.id).then(() => refetch()).catch(handleError);
+    };
+
+    const toggleColumn = (column) => {
+        const current = visibleColumns || allColumns;
+        setVisibleColumns(current.indexOf(column) !== -1 ? current.filter(c => c !== column) : allColumns.filter(c => c === column || current.indexOf(c) !== -1));
+    };
+
+    const renderContent = ({dismissTooltip}) => {
+
+        return (
+            <SavedViewsContent>
+                <div className="heading">Saved Views</div>
+                {views && views.length ?
+                    <ul>
+                        {views.map(view =>
+                            <li key={view.id}>
+                                <InlineButton onClick={() => { applyView(view); dismissTooltip(); }}>{view.name}</InlineButton>
+                                {!view.isOwner && view.owner ? <span className="owner">{view.owner.displayName}</span> : null}
+                                {view.isOwner && shareGroup ?
+                                    <CheckboxLabel className="shared"><Checkbox checked={!!view.sharedGroup} onChange={() => handleToggleShared(view)} />Shared</CheckboxLabel>
+                                    : null}
+                                {view.isOwner ? <InlineButton className="delete" icon={<FaTrashAlt />} onClick={() => handleDelete(view)} /> : null}
+                            </li>
+                        )}
+                    </ul>
+                    : <div className="empty">No saved views.</div>}
+
+                <div className="save">
+                    <SmallTextInput value={name} placeholder="View name…" onChange={e => setName(e.target.value || "")} />
+                    <InlineButton bordered={true} disabled={!name.trim().length} onClick={handleSave}>Save</InlineButton>
+                </div>
+                {shareGroup ?
+                    <CheckboxLabel><Checkbox checked={shareNewView} onChange={e => setShareNewView(e.target.checked)} />Share with {shareGroupLabel || shareGroup}</CheckboxLabel>
+                    : null}
+
+                {allColumns && setVisibleColumns ?
+                    <div className="columns">
+                        <div className="heading">Columns</div>
+                        {allColumns.map(column =>
+                            <div key={column}>
+                                <CheckboxLabel><Checkbox checked={!visibleColumns || visibleColumns.indexOf(column) !== -1} onChange={() => toggleColumn(column)} />{column}</CheckboxLabel>
+                            </div>
+                        )}
+                    </div> : null}
+
+                {error ? <div className="error">{error}</div> : null}
+            </SavedViewsContent>
+        );
+    };
+
+    return (
+        <div className={className}>
+            <PopoverTrigger placement="bottom" renderContent={renderContent}>
+                <SavedViewsButton>
+                    <FaBookmark />
+                </SavedViewsButton>
+            </PopoverTrigger>
+        </div>
+    );
+};
+
+
+const SavedViewsButton = styled.div`
+    color: #505050;
+    padding: 4px 4px 1px 4px;
+    border: 1px solid #505050;
+    border-radius: 4px;
+    box-shadow: 1px 1px 2px #50505073;
+    cursor: pointer;
+    &:hover {
+      color: #343434;
+      background: #50505020;
+    }
+`;
+
+const SavedViewsContent = styled.div`
+    padding: 10px;
+    min-width: 240px;
+    font-size: 14px;
+
+    .heading {
+        font-weight: bold;
+        margin-bottom: 5px;
+    }
+
+    ul {
+        margin: 0 0 10px;
+        padding: 0;
+        list-style: none;
+    }
+
+    li {
+        display: flex;
+        align-items: center;
+    }
+
+    li > * + * {
+        margin-left: 8px;
+    }
+
+    .owner, .empty {
+        color: #8c8c8c;
+    }
+
+    .empty {
+        margin-bottom: 10px;
+    }
+
+    .save {
+        display: flex;
+        align-items: center;
+        margin-bottom: 5px;
+    }
+
+    .save > * + * {
+        margin-left: 6px;
+    }
+
+    .columns {
+        margin-top: 10px;
+        padding-top: 5px;
+        border-top: 1px solid #b9b9b9;
+    }
+
+    .error {
+        margin-top: 8px;
+        color: #d10f00;
+    }
+`;
+
+
+const TaskListingSavedViews = styled(_TaskListingSavedViews)`
+    display: inline-block;
+`;
+
+export default TaskListingSavedViews;
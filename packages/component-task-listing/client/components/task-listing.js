@@ -1,14 +1,16 @@
-import React, { useMemo, useState, useEffect } from 'react';
+import React, { useMemo, useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 import debounce from 'lodash/debounce';
+import pick from 'lodash/pick';
 
 import useGetInstances from './../queries/getInstances';
-import { useInstanceWasCreatedSubscription, useInstanceWasModifiedSubscription } from './../subscriptions/instanceChanged';
+import { useInstanceChangeEventSubscription } from './../subscriptions/instanceChanged';
 
 import { mergeFetchFields } from 'component-task-form/client/utils/helpers'
 
 import Spinner from "ds-theme/components/spinner";
 import TaskTable from './task-table';
+import TaskListingBulkActions from './task-listing-bulk-actions';
 
 
 const TaskListingHeader = styled.div`
@@ -19,7 +21,7 @@ const TaskListingHeader = styled.div`
 
 const _TaskListing = ({className, children, heading, workflowDescription, instanceType, columns, history,
                        renderHeading=null, renderEmptyResults=null, filter = null, sorting = {}, pageSize = 10, additionalQueryFields = null,
-                       additionalQueryValues = null}) => {
+                       additionalQueryValues = null, renderBulkActions = null, bulkActionItemLabel = null}) => {
 
     const dependentFields = useMemo(() => {
 
@@ -29,20 +31,38 @@ const _TaskListing = ({className, children, heading, workflowDescription, instan
 
     }, [columns]);
 
-    const [page, setPage] = useState(0);
+    // Moving to the next or previous page uses the cursors of the currently displayed page, so that instances being
+    // created or modified (via the live subscriptions) don't cause rows to be skipped or duplicated between pages. Jumping
+    // directly to another page falls back to offset based paging.
+
+    const [paging, setPaging] = useState({page:0});
+    const { page } = paging;
+
+    // Instances selected for bulk actions, the selection is kept while paging but reset when the listing changes.
+
+    const [selectedIds, setSelectedIds] = useState([]);
+    const knownInstances = useRef({});
+
     useEffect(() => {
-        setPage(0);
-    }, [filter, ...(additionalQueryValues ? Object.values(additionalQueryValues) : [])]);
+        setPaging({page:0});
+        setSelectedIds([]);
+    }, [filter, JSON.stringify(sorting), ...(additionalQueryValues ? Object.values(additionalQueryValues) : [])]);
 
     const variables = useMemo(() => {
 
         const vars = {
-            first: pageSize,
-            offset: (page * pageSize),
             filter,
             sorting
         };
 
+        if(paging.after) {
+            Object.assign(vars, {first:pageSize, after:paging.after});
+        } else if(paging.before) {
+            Object.assign(vars, {last:pageSize, before:paging.before});
+        } else {
+            Object.assign(vars, {first:pageSize, offset:(paging.page * pageSize)});
+        }
+
         if(additionalQueryValues) {
             for(let k in additionalQueryValues) {
                 if(additionalQueryValues.hasOwnProperty(k)) {
@@ -53,7 +73,7 @@ const _TaskListing = ({className, children, heading, workflowDescription, instan
 
         return vars;
 
-    }, [page, pageSize, filter, sorting, additionalQueryValues]);
+    }, [paging, pageSize, filter, sorting, additionalQueryValues]);
 
     const [initialLoad, setInitialLoad] = useState(true);
 
@@ -61,20 +81,55 @@ const _TaskListing = ({className, children, heading, workflowDescription, instan
     const { data, error, loading, refetch } = useGetInstances(instanceType, dependentFields, variables, additionalQueryFields);
     const throttledRefetch = debounce(refetch, 2000, { leading: true, trailing: true, maxWait:2000 });
 
-    useInstanceWasCreatedSubscription(instanceType, nominationId => {
-        return throttledRefetch();
-    });
+    // Change events for displayed instances are patched into the listing directly when they only affect simple values
+    // that don't determine which instances are listed, anything else (new instances, relations, tasks or fields used
+    // for filtering and sorting) results in the listing being refetched.
 
-    useInstanceWasModifiedSubscription(instanceType, nominationId => {
-        return throttledRefetch();
+    const [liveValues, setLiveValues] = useState({});
+
+    useEffect(() => {
+        setLiveValues({});
+    }, [data]);
+
+    useInstanceChangeEventSubscription(instanceType, event => {
+
+        const displayed = (data && data.results && data.results.results) ? data.results.results.find(i => i.id === event.id) : null;
+        if(!displayed || !_canPatchListingInstance(displayed, event, filter, sorting)) {
+            return throttledRefetch();
+        }
+
+        setLiveValues(current => Object.assign({}, current, {[event.id]:Object.assign({}, current[event.id], pick(event.values, event.changedFields))}));
     });
 
     const refreshListing = () => {
         return throttledRefetch();
     };
 
-    const changeDisplayedPage = (page) => {
-        setPage(page - 1);
+    const changeDisplayedPage = (displayedPage) => {
+
+        const newPage = displayedPage - 1;
+        const pageInfo = (data && data.results) ? data.results.pageInfo : null;
+
+        if(pageInfo && newPage === page + 1 && pageInfo.endCursor) {
+            setPaging({page:newPage, after:pageInfo.endCursor});
+        } else if(pageInfo && newPage === page - 1 && newPage > 0 && pageInfo.startCursor) {
+            setPaging({page:newPage, before:pageInfo.startCursor});
+        } else {
+            setPaging({page:newPage});
+        }
+    };
+
+    const instances = (data && data.results && data.results.results) ? data.results.results.map(instance => {
+        return liveValues[instance.id] ? Object.assign({}, instance, liveValues[instance.id]) : instance;
+    }) : null;
+
+    if(instances) {
+        instances.forEach(instance => knownInstances.current[instance.id] = instance);
+    }
+
+    const itemLabel = (id) => {
+        const instance = knownInstances.current[id];
+        return (instance && bulkActionItemLabel) ? bulkActionItemLabel(instance) : id;
     };
 
     if(initialLoad && !loading && (data || error)) {
@@ -104,10 +159,15 @@ const _TaskListing = ({className, children, heading, workflowDescription, instan
         <div className={className}>
             {renderHeading ? renderHeading({header, heading}) : header}
 
+            {renderBulkActions ?
+                <TaskListingBulkActions selectedIds={selectedIds} clearSelection={() => setSelectedIds([])} refreshListing={refreshListing}
+                    itemLabel={itemLabel} renderBulkActions={renderBulkActions} /> : null}
+
             <TaskTable workflowDescription={workflowDescription} instanceType={instanceType} columns={columns}
                 loading={loading} error={error} history={history} refreshListing={refreshListing}
-                tasks={data && data.results ? data.results.results : null} pageInfo={data && data.results ? data.results.pageInfo : null}
-                currentPage={page + 1} pageSize={pageSize} setPage={changeDisplayedPage}  />
+                tasks={instances} pageInfo={data && data.results ? data.results.pageInfo : null}
+                currentPage={page + 1} pageSize={pageSize} setPage={changeDisplayedPage}
+                selectedIds={selectedIds} setSelectedIds={renderBulkActions ? setSelectedIds : null} />
 
             {children}
         </div>
@@ -115,6 +175,21 @@ const _TaskListing = ({className, children, heading, workflowDescription, instan
 };
 
 
+function _canPatchListingInstance(instance, event, filter, sorting) {
+
+    if(event.kind !== 'modified' || !event.changedFields || !event.values) {
+        return false;
+    }
+
+    const listingFields = Object.keys(filter || {}).concat(Object.keys(sorting || {}));
+
+    return event.changedFields.every(f => {
+        return listingFields.indexOf(f) === -1 && event.values.hasOwnProperty(f) && instance.hasOwnProperty(f)
+            && (instance[f] === null || typeof(instance[f]) !== "object");
+    });
+}
+
+
 const TaskListing = styled(_TaskListing)`
 `;
 
@@ -14,7 +14,7 @@ const TaskRow = styled.tr`
 `;
 
 
-const TaskTableRow = ({columns, task, refreshListing, history, workflowDescription, ...rest}) => {
+const TaskTableRow = ({columns, task, refreshListing, history, workflowDescription, selected, onSelectedChange, ...rest}) => {
 
     const renderedColumns = columns.map((col, index) => {
         return col.renderRowContent({columnIndex: index, task, refreshListing, history, workflowDescription})
@@ -22,6 +22,10 @@ const TaskTableRow = ({columns, task, refreshListing, history, workflowDescripti
 
     return (
         <TaskRow {...rest}>
+            {onSelectedChange ?
+                <td className="select">
+                    <input type="checkbox" checked={!!selected} onChange={() => onSelectedChange(task.id)} />
+                </td> : null}
             {renderedColumns}
         </TaskRow>
     );
@@ -19,7 +19,7 @@ const PaginationHolder = styled.div`
 
 
 const _TaskTable = ({className, columns, workflowDescription, instanceType, loading, error, tasks, pageInfo, pageSize,
-                     currentPage=1, setPage, refreshListing, history}) => {
+                     currentPage=1, setPage, refreshListing, history, selectedIds=null, setSelectedIds=null}) => {
 
     const [displayedTasks, setDisplayedTasks] = useState(tasks);
     const [displayedPageInfo, setDisplayedPageInfo] = useState(pageInfo);
@@ -36,6 +36,27 @@ const _TaskTable = ({className, columns, workflowDescription, instanceType, load
         return columns.map((col, index) => col.renderHeader(index, workflowDescription, instanceType));
     }, [columns, workflowDescription, instanceType]);
 
+
+    // Rows are selectable (e.g. for bulk actions) when the selection is managed by the parent, selecting all applies
+    // only to the currently displayed page of instances.
+
+    const isSelectable = !!setSelectedIds;
+    const columnCount = columns.length + (isSelectable ? 1 : 0);
+    const displayedIds = displayedTasks ? displayedTasks.map(t => t.id) : [];
+    const allDisplayedSelected = isSelectable && displayedIds.length > 0 && displayedIds.every(id => selectedIds.indexOf(id) !== -1);
+
+    const toggleAllDisplayed = () => {
+        if(allDisplayedSelected) {
+            setSelectedIds(selectedIds.filter(id => displayedIds.indexOf(id) === -1));
+        } else {
+            setSelectedIds(selectedIds.concat(displayedIds.filter(id => selectedIds.indexOf(id) === -1)));
+        }
+    };
+
+    const toggleSelected = (id) => {
+        setSelectedIds(selectedIds.indexOf(id) !== -1 ? selectedIds.filter(v => v !== id) : selectedIds.concat([id]));
+    };
+
     const rowProps = useMemo(() => {
 
         return {
@@ -54,13 +75,17 @@ const _TaskTable = ({className, columns, workflowDescription, instanceType, load
             <table className={className}>
                 <thead>
                     <tr className="heading">
+                        {isSelectable ?
+                            <th className="select">
+                                <input type="checkbox" checked={allDisplayedSelected} onChange={toggleAllDisplayed} disabled={!displayedIds.length} />
+                            </th> : null}
                         {columnHeaders}
                     </tr>
                 </thead>
                 <tbody>
                     {loading && !displayedTasks ? (
                         <tr>
-                            <td colSpan={columns.length}>
+                            <td colSpan={columnCount}>
                                 <Spinner center={true} />
                             </td>
                         </tr>) : null
@@ -68,7 +93,7 @@ const _TaskTable = ({className, columns, workflowDescription, instanceType, load
 
                     {error ? (
                         <tr>
-                            <td colSpan={columns.length}>
+                            <td colSpan={columnCount}>
                             An error occurred while loading the active award nominations.
                             </td>
                         </tr>) : null
@@ -76,7 +101,9 @@ const _TaskTable = ({className, columns, workflowDescription, instanceType, load
 
                     {displayedTasks ?
                         displayedTasks.map(task =>
-                            <TaskTableRow key={task.id} task={task} {...rowProps} />
+                            <TaskTableRow key={task.id} task={task} {...rowProps}
+                                selected={isSelectable ? selectedIds.indexOf(task.id) !== -1 : undefined}
+                                onSelectedChange={isSelectable ? toggleSelected : undefined} />
                         ) : null
                     }
                 </tbody>
@@ -139,6 +166,11 @@ const TaskTable = styled(_TaskTable)`
     & .actions {
         width: 75px;
     }
+
+    & .select {
+        width: 40px;
+        text-align: center;
+    }
         
     & .status {
         width: 150px;
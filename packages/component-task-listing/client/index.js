@@ -2,8 +2,10 @@
 // ---
 import TaskListing from "./components/task-listing";
 import TaskListingHeader from "./components/task-listing-header";
+import TaskListingBulkActions from "./components/task-listing-bulk-actions";
+import TaskListingSavedViews from "./components/task-listing-saved-views";
 
-export { TaskListing, TaskListingHeader };
+export { TaskListing, TaskListingHeader, TaskListingBulkActions, TaskListingSavedViews };
 
 
 // Tables
@@ -23,3 +25,17 @@ import { createIdentifierColumn, createDateColumn, createIdentityColumn, createS
 export { createColumn };
 export { TaskTableColumnContentComponent };
 export { createIdentifierColumn, createDateColumn, createIdentityColumn, createStatusColumn, createTextColumn, createMappedTextColumn };
+
+
+// Bulk actions
+// ---
+import { useBulkUpdateMutation, useBulkCompleteTaskMutation } from "./mutations/bulkActions";
+
+export { useBulkUpdateMutation, useBulkCompleteTaskMutation };
+
+
+// Subscriptions
+// ---
+import { useInstanceChangeEventSubscription, useSingleInstanceChangeEventSubscription } from "./subscriptions/instanceChanged";
+
+export { useInstanceChangeEventSubscription, useSingleInstanceChangeEventSubscription };
@@ -0,0 +1,77 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+import { useMemo } from 'react';
+
+
+const BulkActionResultFields = `
+    id
+    success
+    outcome
+    error
+`;
+
+
+function _generateBulkUpdateGraphQL(instanceType) {
+    const instanceTypeName = instanceType.name;
+    return gql`
+        mutation BulkUpdateInstances($ids:[ID!]!, $input:${instanceTypeName}BulkInput!) {
+          result: bulkUpdate${instanceTypeName}(ids:$ids, input:$input) {
+            ${BulkActionResultFields}
+          }
+        }
+    `;
+}
+
+
+function _generateBulkCompleteTaskGraphQL(instanceType, hasState) {
+    const instanceTypeName = instanceType.name;
+    return gql`
+        mutation BulkCompleteTaskForInstances($ids:[ID!]!, $taskDefinitionKey:String, $form:String!, $outcome:String! ${hasState ? `, $state:${instanceTypeName}StateInput` : ``}) {
+          result: bulkCompleteTaskFor${instanceTypeName}(ids:$ids, taskDefinitionKey:$taskDefinitionKey, form:$form, outcome:$outcome ${hasState ? `, state:$state` : ``}) {
+            ${BulkActionResultFields}
+          }
+        }
+    `;
+}
+
+
+// Bulk mutations resolve with a per instance report, in the form [{id, success, outcome, error}].
+
+function useBulkUpdateMutation(instanceType, opts = {}) {
+
+    const bulkUpdateMutation = useMemo(() => _generateBulkUpdateGraphQL(instanceType), [instanceType, instanceType.name]);
+    const mutation = useMutation(bulkUpdateMutation);
+
+    return function wrappedBulkUpdateMutation(ids, input) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { ids, input };
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+}
+
+
+function useBulkCompleteTaskMutation(instanceType, hasState = false, opts = {}) {
+
+    const bulkCompleteTaskMutation = useMemo(() => _generateBulkCompleteTaskGraphQL(instanceType, hasState), [instanceType, instanceType.name, hasState]);
+    const mutation = useMutation(bulkCompleteTaskMutation);
+
+    return function wrappedBulkCompleteTaskMutation(ids, form, outcome, taskDefinitionKey = null, state = null) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = { ids, form, outcome, taskDefinitionKey };
+        if(hasState && state) {
+            combinedOpts.variables.state = state;
+        }
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+}
+
+
+export { useBulkUpdateMutation, useBulkCompleteTaskMutation };
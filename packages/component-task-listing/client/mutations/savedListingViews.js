@@ -0,0 +1,59 @@
+import gql from 'graphql-tag';
+import { useMutation } from 'react-apollo-hooks';
+
+
+const createSavedListingViewMutation = gql`
+    mutation CreateSavedListingView($input:SavedListingViewInput!) {
+        result: createSavedListingView(input:$input) {
+            id
+        }
+    }
+`;
+
+const shareSavedListingViewMutation = gql`
+    mutation ShareSavedListingView($id:ID!, $group:String) {
+        result: shareSavedListingView(id:$id, group:$group)
+    }
+`;
+
+const deleteSavedListingViewMutation = gql`
+    mutation DeleteSavedListingView($id:ID!) {
+        result: deleteSavedListingView(id:$id)
+    }
+`;
+
+
+function _wrapMutation(mutation, opts) {
+
+    return function wrappedMutation(variables) {
+
+        const combinedOpts = Object.assign({}, opts);
+        combinedOpts.variables = variables;
+
+        return mutation(combinedOpts).then(result => {
+            return (result && result.data) ? result.data.result : null;
+        });
+    };
+}
+
+
+function useCreateSavedListingViewMutation(opts = {}) {
+    const mutation = useMutation(createSavedListingViewMutation);
+    const perform = _wrapMutation(mutation, opts);
+    return (input) => perform({input});
+}
+
+function useShareSavedListingViewMutation(opts = {}) {
+    const mutation = useMutation(shareSavedListingViewMutation);
+    const perform = _wrapMutation(mutation, opts);
+    return (id, group) => perform({id, group});
+}
+
+function useDeleteSavedListingViewMutation(opts = {}) {
+    const mutation = useMutation(deleteSavedListingViewMutation);
+    const perform = _wrapMutation(mutation, opts);
+    return (id) => perform({id});
+}
+
+
+export { useCreateSavedListingViewMutation, useShareSavedListingViewMutation, useDeleteSavedListingViewMutation };
@@ -18,8 +18,9 @@ export default (instanceType, dependentFields, variables, additionalQueryFields
     });
 
     const fields = useMemo(() => {
-        return fetchFieldsToGraphQL(Object.assign({id: null}, dependentFields || {}));
-    }, [dependentFields]);
+        const fetchFields = Object.assign({id: null}, dependentFields || {});
+        return fetchFieldsToGraphQL(instanceType.model ? instanceType.model.expandFetchFields(fetchFields) : fetchFields);
+    }, [instanceType, dependentFields]);
 
     const query = useMemo(() => {
 
@@ -28,8 +29,8 @@ export default (instanceType, dependentFields, variables, additionalQueryFields
         const additionalParamValues = keys.length ? keys.map(key => `${key}:` + "$" + `${key}`).join(",") : null;
 
         return gql`
-            query GetInstances($first:Int, $offset:Int, $filter:${instanceType.name}ListingFilterInput, $sorting:${instanceType.name}ListingSortingInput ${additionalMethodParams ? `, ${additionalMethodParams}` : ``}) {
-                results: ${instanceType.listingAccessor}(first:$first, offset:$offset, filter:$filter, sorting:$sorting ${additionalParamValues ? `, ${additionalParamValues}` : ``}) {
+            query GetInstances($first:Int, $offset:Int, $after:String, $last:Int, $before:String, $filter:${instanceType.name}ListingFilterInput, $sorting:${instanceType.name}ListingSortingInput ${additionalMethodParams ? `, ${additionalMethodParams}` : ``}) {
+                results: ${instanceType.listingAccessor}(first:$first, offset:$offset, after:$after, last:$last, before:$before, filter:$filter, sorting:$sorting ${additionalParamValues ? `, ${additionalParamValues}` : ``}) {
                     results {
                         ${fields}
                     }
@@ -37,6 +38,10 @@ export default (instanceType, dependentFields, variables, additionalQueryFields
                         pageSize
                         totalCount
                         offset
+                        hasNextPage
+                        hasPreviousPage
+                        startCursor
+                        endCursor
                     }
                 }
             }
@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const savedListingViewsQuery = gql`
+    query SavedListingViews($listing:String!) {
+        result:savedListingViews(listing:$listing) {
+            id
+            name
+            filter
+            sorting
+            searchText
+            columns
+            sharedGroup
+            isOwner
+            owner {
+                id
+                displayName
+            }
+        }
+    }
+`;
+
+
+export default (listing, opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+
+        const queryOptions = {
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        };
+        Object.assign(queryOptions, opts);
+        Object.assign(queryOptions, {
+            variables: {
+                listing
+            }
+        });
+        return queryOptions;
+
+    }, [listing, opts]);
+
+    const {data, loading, error, refetch} = useQuery(savedListingViewsQuery, queryOptions);
+
+    return {views:(data && data.result) || null, loading, error, refetch};
+};
@@ -38,6 +38,57 @@ const useInstanceWasModifiedSubscription = (instanceType, notifier, opts = {}) =
     });
 };
 
+const InstanceChangeEventFields = `
+    id
+    kind
+    changedFields
+    values
+    updated
+`;
 
+const useInstanceChangeEventSubscription = (instanceType, notifier, opts = {}) => {
 
-export { useInstanceWasCreatedSubscription, useInstanceWasModifiedSubscription };
\ No newline at end of file
+    // Change events carry the changed field names and their new values (restricted to the fields the user can read).
+
+    const query = useMemo(() => {
+        return gql`
+            subscription {
+                event: changed${instanceType.name} {
+                    ${InstanceChangeEventFields}
+                }
+            }
+        `;
+    }, [instanceType]);
+
+    return useSubscription(query, {
+        onSubscriptionData: ({client, subscriptionData}) => {
+            notifier(subscriptionData.data.event);
+        },
+        ...opts
+    });
+};
+
+const useSingleInstanceChangeEventSubscription = (instanceType, instanceId, notifier, opts = {}) => {
+
+    const query = useMemo(() => {
+        return gql`
+            subscription($id:ID!) {
+                event: instanceChanged${instanceType.name}(id:$id) {
+                    ${InstanceChangeEventFields}
+                }
+            }
+        `;
+    }, [instanceType]);
+
+    return useSubscription(query, {
+        variables: {id:instanceId},
+        onSubscriptionData: ({client, subscriptionData}) => {
+            notifier(subscriptionData.data.event);
+        },
+        ...opts
+    });
+};
+
+
+export { useInstanceWasCreatedSubscription, useInstanceWasModifiedSubscription, useInstanceChangeEventSubscription,
+    useSingleInstanceChangeEventSubscription };
\ No newline at end of file
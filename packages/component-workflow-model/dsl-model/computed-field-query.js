@@ -0,0 +1,34 @@
+// Computed Field Queries
+// ---
+// Computed fields have no column of their own, their value is evaluated from a condition (or for numeric and date
+// fields, a value) over other fields of the model (see Model.evaluateComputedField). When loaded as part of a model
+// instance the condition is evaluated directly, however listing queries need to filter and sort on computed fields
+// within the database. The condition is translated into an equivalent SQL expression of the field's type (see
+// client-workflow-model/ConditionQuery) that can be used as a selected column, within where clauses and within an
+// order by.
+//
+// Conditions that can't be translated are reported by throwing, the description compiler reports computed fields
+// marked as listing filters or sortable that can't be translated (using the same translation).
+
+const { computedValueToSql } = require('client-workflow-model/ConditionQuery');
+
+
+function computedFieldQuery(field, modelDefinition) {
+
+    const condition = modelDefinition.computedFieldCondition(field.field);
+    if(!condition) {
+        return null;
+    }
+
+    const fields = {};
+    modelDefinition.fields.forEach(f => fields[f.field] = f);
+
+    try {
+        return computedValueToSql(condition.expression, fields, field.type);
+    } catch(err) {
+        throw new Error(`computed field '${field.field}' can not be evaluated within the database, ${err.message}`);
+    }
+}
+
+
+exports.computedFieldQuery = computedFieldQuery;
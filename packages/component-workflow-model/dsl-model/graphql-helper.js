@@ -7,6 +7,15 @@ const TypeListingRestriction = {
     State: 'state'
 };
 
+// Listing filters for date and numeric fields accept a range/comparison input rather than a single value.
+const RangeFilterInputTypes = {
+    DateTime: 'DateTimeRangeFilterInput',
+    Date: 'DateRangeFilterInput',
+    Int: 'IntRangeFilterInput',
+    Integer: 'IntRangeFilterInput',
+    Float: 'FloatRangeFilterInput'
+};
+
 
 class GraphQLHelper {
 
@@ -18,6 +27,10 @@ class GraphQLHelper {
         return TypeListingRestriction;
     }
 
+    static isRangeFilterField(field) {
+        return RangeFilterInputTypes.hasOwnProperty(field.type) && field.listingFilterMultiple !== true && field.array !== true;
+    }
+
 
     // Given a listing of fields, we want to convert these into GraphQL field name to type pairings.
     // We can also apply some restrictions at the same time, ensuring only inputs are allowed, or only listing related
@@ -36,10 +49,28 @@ class GraphQLHelper {
                 return null;
             }
 
-            const type = (e.type === "File" && (e.fileLabels === true || e.fileTypes === true)) ? "ExtendedFile" : e.type;
+            // Computed fields are derived from other fields and are therefore never writable.
+            if((inputFilter || stateFilter) && e.computed) {
+                return null;
+            }
+
+            if(listingFilter && GraphQLHelper.isRangeFilterField(e)) {
+                return `${e.field}: ${RangeFilterInputTypes[e.type]}`;
+            }
+
+            // JSON fields declared with a schema are exposed as the object types derived from the schema (input remains JSON).
+
+            const schema = (restriction === TypeListingRestriction.All && e.jsonSchema && workflowDescription.schemas) ? workflowDescription.schemas[e.jsonSchema] : null;
+            if(schema && !e.array) {
+                return `${e.field}: ${schema.graphQLType()}`;
+            }
+
+            const type = (e.type === "File" && (e.fileLabels === true || e.fileTypes === true)) ? "ExtendedFile" : Model.graphQLTypeForType(e.type);
+
+            // Multi-valued fields are filtered on using a list of values (matching instances holding any of them).
 
             if(e.array || (listingFilter && e.listingFilterMultiple === true)) {
-                if(inputFilter && e.input !== true) {
+                if(inputFilter && e.input !== true && !Model.isMultiValuedField(e, workflowDescription.enums)) {
                     return null;
                 }
                 return `${e.field}: [${type}]`;
@@ -0,0 +1,103 @@
+const Ajv = require('ajv');
+
+// JSON Schema Validation
+// ---
+// JSON fields declared with a schema (e.g. "authors: JSON <schema:"authors">") have the values written to them
+// validated against the schema, on update of an instance and again on task completion (for the fields bound to by the
+// form). Values of typed fields are fetched by clients as GraphQL object types and so are returned with the type names
+// attached by the client cache, these are removed before validating and storing the values.
+
+const TypeNameKey = '__typename';
+
+const _ajv = new Ajv({allErrors:true});
+const _validators = new Map();
+
+
+function cleanSchemaFieldValues(modelDefinition, values) {
+
+    const cleaned = Object.assign({}, values);
+
+    modelDefinition.schemaFields().forEach(f => {
+        if(cleaned.hasOwnProperty(f.field)) {
+            cleaned[f.field] = _removeTypeNames(cleaned[f.field]);
+        }
+    });
+
+    return cleaned;
+}
+
+
+function schemaFieldViolations(modelDefinition, values, fields = null) {
+
+    // Fields that are not set (or have been cleared) are left to the validation sets of the description to enforce.
+
+    const violations = [];
+
+    modelDefinition.schemaFields().forEach(f => {
+
+        if((fields && fields.indexOf(f.field) === -1) || values[f.field] === null || values[f.field] === undefined) {
+            return;
+        }
+
+        const validate = _validatorForSchema(modelDefinition.fieldSchema(f.field));
+        if(!validate(values[f.field])) {
+            validate.errors.forEach(err => {
+                violations.push({field:f.field, message:`${f.field}${err.dataPath} ${err.message}`});
+            });
+        }
+    });
+
+    return violations;
+}
+
+
+function formSchemaFieldViolations(modelDefinition, values, formDefinition) {
+
+    // Only the fields bound to by the elements of a form (including nested elements) are checked when completing a
+    // task, values stored by other means don't prevent unrelated tasks from being completed.
+
+    return schemaFieldViolations(modelDefinition, values, _bindingsForFormElements(formDefinition.elements));
+}
+
+
+exports.cleanSchemaFieldValues = cleanSchemaFieldValues;
+exports.schemaFieldViolations = schemaFieldViolations;
+exports.formSchemaFieldViolations = formSchemaFieldViolations;
+
+
+function _bindingsForFormElements(elements, allBindings = {}) {
+
+    (elements || []).forEach(element => {
+        if(element.binding) {
+            allBindings[element.binding.split('.')[0]] = true;
+        }
+        _bindingsForFormElements(element.children, allBindings);
+    });
+
+    return Object.keys(allBindings);
+}
+
+function _validatorForSchema(schemaDefinition) {
+
+    if(!_validators.has(schemaDefinition)) {
+        _validators.set(schemaDefinition, _ajv.compile(schemaDefinition.schema));
+    }
+    return _validators.get(schemaDefinition);
+}
+
+function _removeTypeNames(value) {
+
+    if(value instanceof Array) {
+        return value.map(_removeTypeNames);
+    }
+
+    if(value && typeof(value) === 'object') {
+        const r = {};
+        Object.keys(value).filter(k => k !== TypeNameKey).forEach(k => {
+            r[k] = _removeTypeNames(value[k]);
+        });
+        return r;
+    }
+
+    return value;
+}
@@ -0,0 +1,41 @@
+// Listing Cursors
+// ---
+// Listings are paged using the values of the ordered columns (always ending with the instance id) of the last (or first)
+// instance of a page as the cursor. Paging from a cursor is a keyset condition over those columns, which must agree
+// with the ordering of the listing query (null values are ordered last).
+
+function listingCursorCondition(builder, ordering, values, isAfter) {
+
+    // Keyset condition for the rows following (or preceding) the cursor, given the ordering of the query, i.e. for
+    // ordering (a, b, id): (a beyond) OR (a equal AND b beyond) OR (a equal AND b equal AND id beyond). Null values
+    // are always ordered last.
+
+    ordering.forEach((o, index) => {
+
+        builder.orWhere(b => {
+
+            for(let i = 0; i < index; i++) {
+                const v = values[i];
+                if(v === null) {
+                    b.whereRaw(`${ordering[i].sql} IS NULL`, ordering[i].bindings);
+                } else {
+                    b.whereRaw(`${ordering[i].sql} = ?`, [...ordering[i].bindings, v]);
+                }
+            }
+
+            const v = values[index];
+            const op = (isAfter !== o.descending) ? '>' : '<';
+
+            if(v === null) {
+                b.whereRaw(isAfter ? 'false' : `${o.sql} IS NOT NULL`, isAfter ? [] : o.bindings);
+            } else if(isAfter) {
+                b.whereRaw(`(${o.sql} ${op} ? OR ${o.sql} IS NULL)`, [...o.bindings, v, ...o.bindings]);
+            } else {
+                b.whereRaw(`${o.sql} ${op} ?`, [...o.bindings, v]);
+            }
+        });
+    });
+}
+
+
+exports.listingCursorCondition = listingCursorCondition;
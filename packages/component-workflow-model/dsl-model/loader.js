@@ -73,6 +73,7 @@ function loadWorkflowDescription(desc) {
     const instanceUnion = 'union WorkflowInstance = ' + definedModelTypes.map(model => model.graphQLModelName).join(" | ");
 
     const gqlTypeDef = baseTypeDefs + '\n\n' + (shared.typeDefs || '') + '\n\n' + _enumsToTypeDefinition(workflowDescription.enums)
+        + '\n\n' + _schemasToTypeDefinition(workflowDescription.schemas)
         + '\n\n' + modelTypeDefs + (definedModelTypes.length ? '\n\n' + instanceUnion : "");
 
 
@@ -194,6 +195,26 @@ ${Object.keys(enumDef.values).map(v => _Tab + v).join("\n")}
 }
 
 
+function _schemasToTypeDefinition(schemas) {
+
+    // Object types derived from the JSON schemas of JSON fields, a type with the same name derived from more than one
+    // schema (e.g. a shared "Organisation" title) is only defined once.
+
+    const typeDefs = {};
+
+    Object.values(schemas || {}).forEach(schema => {
+        schema.graphQLTypeDefinitions(_Tab).forEach(typeDef => {
+            const name = typeDef.match(/^type\s+(\w+)/)[1];
+            if(!typeDefs.hasOwnProperty(name)) {
+                typeDefs[name] = typeDef;
+            }
+        });
+    });
+
+    return Object.values(typeDefs).join('\n\n');
+}
+
+
 function _enumsToResolvers(enums) {
 
     const resolvers = {};
@@ -0,0 +1,35 @@
+// Parent Instance Access
+// ---
+// Child instances can only be added to a parent instance by identities that have access to the parent and are allowed
+// to write to the field holding the child instances. The check only depends upon the parent's model class (its ACL set
+// and how an identity maps onto ACL targets), the reason for denying access is returned (null when allowed).
+
+const AclRule = require('client-workflow-model/AclRule');
+const AclActions = AclRule.Actions;
+
+
+function parentInstanceAccessDenial(parentModel, user, parent, relationField) {
+
+    if(!parentModel.aclSet) {
+        return null;
+    }
+
+    const [aclTargets, isOwner] = parentModel.userToAclTargets(user, parent);
+
+    const accessMatch = parentModel.aclSet.applyRules(aclTargets, AclActions.Access, parent, 'server');
+    parentModel._debugAclMatching(user, aclTargets, isOwner, AclActions.Access, accessMatch, `child-instance-create`);
+    if(!accessMatch.allow || !parentModel.restrictionsApplyToUser(accessMatch.allowedRestrictions, isOwner)) {
+        return "You do not have access to the parent instance.";
+    }
+
+    const writeMatch = parentModel.aclSet.applyRules(aclTargets, AclActions.Write, parent, 'server');
+    parentModel._debugAclMatching(user, aclTargets, isOwner, AclActions.Write, writeMatch, `child-instance-create`);
+    if(!writeMatch.allow || (writeMatch.allowedFields && writeMatch.allowedFields.indexOf(relationField.field) === -1)) {
+        return `You do not have write access on the following fields: ${relationField.field}`;
+    }
+
+    return null;
+}
+
+
+exports.parentInstanceAccessDenial = parentInstanceAccessDenial;
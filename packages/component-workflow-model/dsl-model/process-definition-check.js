@@ -0,0 +1,290 @@
+const sax = require('sax');
+const fs = require('fs');
+const path = require('path');
+
+// Process Definition Consistency
+// ---
+// A workflow description refers to parts of the BPMN process definition it is paired with: user task IDs within
+// acl task sets, form keys (via form names and the "tasks" listing of InlineTaskForm elements) and the process
+// key for each instance. The BPMN itself refers to external task topics which must be subscribed to by the
+// external task handlers. None of these are checked by either Camunda or the description compiler, so this module
+// cross-checks them and reports anything that exists on one side but not the other.
+//
+// The check operates on the raw (JSON) workflow description, so that it can be used from the description
+// compile step as well as at server startup.
+
+const CustomFormKeyPrefix = 'custom:';
+
+
+function parseProcessDefinition(bpmnXml) {
+
+    const processes = {};
+    const parser = sax.parser(true, {trim:true});
+    let currentProcess = null;
+
+    parser.onopentag = (node) => {
+
+        const name = _localName(node.name);
+        const attributes = {};
+        Object.keys(node.attributes).forEach(k => attributes[_localName(k)] = node.attributes[k]);
+
+        if(name === 'process') {
+            currentProcess = {id:attributes.id, name:attributes.name || null, userTasks:{}, topics:{}, externalTasks:{}, boundaryEvents:{}, sequenceFlows:[]};
+            processes[currentProcess.id] = currentProcess;
+            return;
+        }
+
+        if(!currentProcess) {
+            return;
+        }
+
+        if(name === 'userTask') {
+            currentProcess.userTasks[attributes.id] = {id:attributes.id, name:attributes.name || null, formKey:attributes.formKey || null};
+        }
+
+        // External tasks can be defined on service/send tasks, business rule tasks and message event definitions,
+        // in all cases the topic is defined as an attribute on the element itself.
+        if(attributes.topic && attributes.type === 'external') {
+            currentProcess.topics[attributes.topic] = true;
+            if(attributes.id) {
+                currentProcess.externalTasks[attributes.id] = attributes.topic;
+            }
+        }
+
+        if(name === 'boundaryEvent') {
+            currentProcess.boundaryEvents[attributes.id] = {id:attributes.id, attachedTo:attributes.attachedToRef || null};
+        }
+
+        if(name === 'sequenceFlow') {
+            currentProcess.sequenceFlows.push({id:attributes.id, source:attributes.sourceRef, target:attributes.targetRef});
+        }
+    };
+
+    parser.onclosetag = (tagName) => {
+        if(_localName(tagName) === 'process') {
+            currentProcess = null;
+        }
+    };
+
+    parser.write(bpmnXml).close();
+
+    Object.values(processes).forEach(p => p.topics = Object.keys(p.topics));
+    return {processes};
+}
+
+
+function boundaryEventTaskForTopic(processDefinition, processKey, topic) {
+
+    // Determines the activity that a boundary event (e.g. a timer) is attached to, where the boundary event flows
+    // directly into the external task with the supplied topic. This allows a task handler to know which task the
+    // process was interrupted at, without hardcoding task IDs from the BPMN. Returns null if there is no such event.
+
+    const process = (processDefinition.processes || {})[processKey];
+    if(!process) {
+        return null;
+    }
+
+    const externalTaskIds = Object.keys(process.externalTasks).filter(id => process.externalTasks[id] === topic);
+
+    const flow = process.sequenceFlows.find(f => externalTaskIds.indexOf(f.target) !== -1 && process.boundaryEvents[f.source]);
+    return flow ? process.boundaryEvents[flow.source].attachedTo : null;
+}
+
+
+function topicsSubscribedBySource(entryFile) {
+
+    // Statically determines the set of external task topics subscribed to by a set of task handler modules, starting at
+    // the supplied entry file and following any relative requires. Topics are identified from either a direct
+    // "client.subscribe('topic', ...)" call or an "externalTaskName = 'topic'" assignment (as used by handlers that are
+    // configured via a shared task class). This allows the check to be run without loading the task handlers, which
+    // require a configured database and workflow engine.
+
+    const visited = {};
+    const topics = {};
+
+    const visit = (file) => {
+
+        const resolved = _resolveSourceFile(file);
+        if(!resolved || visited[resolved]) {
+            return;
+        }
+        visited[resolved] = true;
+
+        const source = fs.readFileSync(resolved, 'utf8');
+
+        _allMatches(/\.subscribe\(\s*(['"`])([^'"`]+)\1/g, source).forEach(m => topics[m[2]] = true);
+        _allMatches(/externalTaskName\s*=\s*(['"`])([^'"`]+)\1/g, source).forEach(m => topics[m[2]] = true);
+        _allMatches(/require\(\s*(['"`])(\.{1,2}\/[^'"`]+)\1\s*\)/g, source).forEach(m => visit(path.resolve(path.dirname(resolved), m[2])));
+    };
+
+    visit(path.resolve(entryFile));
+    return Object.keys(topics);
+}
+
+
+function checkDescriptionAgainstProcessDefinition(description, processDefinition, subscribedTopics = null) {
+
+    const problems = [];
+    const processes = processDefinition.processes || {};
+
+    const report = (message) => problems.push({message});
+
+    const usedProcesses = [];
+
+    Object.values(description.tasks || {}).forEach(instance => {
+
+        const processKey = instance.options && instance.options.processKey;
+        if(!processKey) {
+            return;
+        }
+
+        const process = processes[processKey];
+        if(!process) {
+            report(`Instance '${instance.name}' uses process key '${processKey}' which is not defined within the BPMN process definition.`);
+            return;
+        }
+        usedProcesses.push(process);
+
+        const userTaskIds = Object.keys(process.userTasks);
+        const formKeys = {};
+        userTaskIds.forEach(id => {
+            const formKey = process.userTasks[id].formKey;
+            if(formKey && formKey.indexOf(CustomFormKeyPrefix) === 0) {
+                formKeys[formKey.substring(CustomFormKeyPrefix.length).toLowerCase()] = id;
+            }
+        });
+
+
+        // ACL task sets reference user task IDs directly.
+        const acl = instance.acl || {};
+        Object.values(acl.tasks || {}).forEach(taskSet => {
+            (taskSet.tasks || []).forEach(taskId => {
+                if(userTaskIds.indexOf(taskId) === -1) {
+                    report(`ACL task set '${taskSet.name}' (instance '${instance.name}') references user task '${taskId}' which does not exist within process '${processKey}'.`);
+                }
+            });
+        });
+
+
+        // Form keys can be satisfied by either a form with a matching name, or by being listed as one of the tasks
+        // within an InlineTaskForm element (which displays the named form for any of the listed task form keys).
+        const handledFormKeys = {};
+        const forms = instance.forms || [];
+
+        forms.forEach(form => {
+            const key = form.form.toLowerCase();
+            if(formKeys.hasOwnProperty(key)) {
+                handledFormKeys[key] = true;
+            }
+        });
+
+        const inlineForms = [];
+        [...forms, ...(instance.views || []), ...(instance.layouts || [])].forEach(container => {
+            _forEachElement(container.elements, element => {
+                if(element.element === 'InlineTaskForm' && element.options) {
+                    inlineForms.push(element.options);
+                }
+            });
+        });
+
+        inlineForms.forEach(options => {
+
+            if(options.form && formKeys.hasOwnProperty(options.form.toLowerCase())) {
+                handledFormKeys[options.form.toLowerCase()] = true;
+            }
+
+            (options.tasks || []).forEach(taskFormKey => {
+                const key = `${taskFormKey}`.toLowerCase();
+                if(!formKeys.hasOwnProperty(key)) {
+                    report(`InlineTaskForm for form '${options.form}' (instance '${instance.name}') lists task form key '${CustomFormKeyPrefix}${taskFormKey}' which is not used by any user task within process '${processKey}'.`);
+                } else {
+                    handledFormKeys[key] = true;
+                }
+            });
+        });
+
+        Object.keys(formKeys).forEach(key => {
+            if(!handledFormKeys[key]) {
+                report(`User task '${formKeys[key]}' within process '${processKey}' uses form key '${CustomFormKeyPrefix}${key}' which has no matching form or InlineTaskForm task within instance '${instance.name}'.`);
+            }
+        });
+
+        forms.forEach(form => {
+            const key = form.form.toLowerCase();
+            const usedInline = inlineForms.some(options => options.form && options.form.toLowerCase() === key);
+            if(!formKeys.hasOwnProperty(key) && !usedInline) {
+                report(`Form '${form.form}' (instance '${instance.name}') is not referenced by the form key of any user task within process '${processKey}' or by an InlineTaskForm.`);
+            }
+        });
+    });
+
+
+    // External task topics, only checked when the set of subscribed topics has been supplied.
+    if(subscribedTopics) {
+
+        const processTopics = {};
+        usedProcesses.forEach(process => {
+            process.topics.forEach(topic => processTopics[topic] = process.id);
+        });
+
+        Object.keys(processTopics).forEach(topic => {
+            if(subscribedTopics.indexOf(topic) === -1) {
+                report(`External task topic '${topic}' within process '${processTopics[topic]}' has no subscribed task handler.`);
+            }
+        });
+
+        subscribedTopics.forEach(topic => {
+            if(!processTopics.hasOwnProperty(topic)) {
+                report(`Task handler subscribes to external task topic '${topic}' which is not used within the BPMN process definition.`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+
+exports.parseProcessDefinition = parseProcessDefinition;
+exports.boundaryEventTaskForTopic = boundaryEventTaskForTopic;
+exports.topicsSubscribedBySource = topicsSubscribedBySource;
+exports.checkDescriptionAgainstProcessDefinition = checkDescriptionAgainstProcessDefinition;
+
+
+function _localName(name) {
+    const index = name.indexOf(':');
+    return index !== -1 ? name.substring(index + 1) : name;
+}
+
+function _allMatches(regex, source) {
+    const matches = [];
+    let m;
+    while((m = regex.exec(source)) !== null) {
+        matches.push(m);
+    }
+    return matches;
+}
+
+function _resolveSourceFile(file) {
+    const candidates = [file, `${file}.js`, path.join(file, 'index.js')];
+    return candidates.find(f => fs.existsSync(f) && fs.statSync(f).isFile()) || null;
+}
+
+function _forEachElement(elements, fn) {
+
+    if(!elements) {
+        return;
+    }
+
+    elements.forEach(element => {
+        fn(element);
+        _forEachElement(element.children, fn);
+
+        if(element.options) {
+            Object.values(element.options).forEach(value => {
+                if(Array.isArray(value) && value.length && value.every(v => v && v.element)) {
+                    _forEachElement(value, fn);
+                }
+            });
+        }
+    });
+}
@@ -1,12 +1,18 @@
 const WorkflowUpdatableModel = require('./workflow-updatable-model');
 const { processInstanceService, processDefinitionService, taskService } = require('camunda-workflow-service');
 const AclRule = require('client-workflow-model/AclRule');
+const { transaction } = require('objection');
 const _ = require("lodash");
 
 const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
 const { UserInputError } = require('apollo-server-express');
 
 const GraphQLHelper = require('./graphql-helper');
+const { formSchemaFieldViolations } = require('./json-schema-validation');
+const { AuditActions } = require('../shared-model/audit');
+const { InstanceSnapshot } = require('../shared-model/snapshot');
+const { TrashEntry } = require('../shared-model/trash');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/instance]');
 const _Tab = GraphQLHelper.Tab;
 const AclActions = AclRule.Actions;
 
@@ -47,6 +53,14 @@ class WorkflowInstance extends WorkflowUpdatableModel {
             return ModelClass.completeTaskMutationResolver(ctxt, input, context, info);
         };
 
+        Mutation[`bulkCompleteTaskFor${this.implementationName}`] = async function(ctxt, input, context, info) {
+            return ModelClass.bulkCompleteTaskMutationResolver(ctxt, input, context, info);
+        };
+
+        Mutation[`restore${this.implementationName}`] = async function(ctxt, input, context, info) {
+            return ModelClass.restoreMutationEndpoint(ctxt, input, context, info);
+        };
+
         const implementationName = this.implementationName;
         const fieldResolvers = resolvers[implementationName] || {};
 
@@ -70,9 +84,17 @@ class WorkflowInstance extends WorkflowUpdatableModel {
         });
 
 
-        // We need to check that the current user is allowed to create an instance of the defined type.
+        // We need to check that the current user is allowed to create an instance of the defined type. Child instances
+        // created as belonging to a parent instance are instead governed by write access to the parent's relation field.
         const user = await this.resolveUserForContext(context);
-        if(this.aclSet) {
+        const parentRelation = this.parentInstanceRelations.find(relation => input && input[relation.joinField]);
+        const parent = parentRelation ? await this.findParentInstanceForUser(user, parentRelation, input[parentRelation.joinField]) : null;
+
+        if(parent) {
+
+            newInstance[parentRelation.joinField] = parent.id;
+
+        } else if(this.aclSet) {
 
             const [aclTargets, _] = this.userToAclTargets(user, newInstance);
 
@@ -91,9 +113,14 @@ class WorkflowInstance extends WorkflowUpdatableModel {
         const modelDef = this.modelDefinition;
         const ownerFields = modelDef.ownerFields();
 
-        if(user && user.id && ownerFields && ownerFields.length) {
+        // Child instances declared with "inherit-owner" are instead owned by the owner of the parent instance.
+
+        const inheritedOwnerId = (parent && parentRelation.field.inheritOwner) ? _ownerIdForInstance(parent) : null;
+        const ownerId = inheritedOwnerId || (user ? user.id : null);
+
+        if(ownerId && ownerFields && ownerFields.length) {
             ownerFields.forEach(e => {
-                newInstance[e.joinField] = user.id;
+                newInstance[e.joinField] = ownerId;
             });
         }
 
@@ -136,6 +163,9 @@ class WorkflowInstance extends WorkflowUpdatableModel {
         return processDefinitionService.start(createProcessOpts).then(async data => {
 
             await this.publishWasCreated(newInstance);
+            if(parent) {
+                await parent.constructor.publishWasModified(parent.id, [parentRelation.field.field]);
+            }
             return newInstance;
         });
     }
@@ -183,6 +213,13 @@ class WorkflowInstance extends WorkflowUpdatableModel {
         const allowedKeys = (this.modelDefinition ? this.modelDefinition.stateFields() : []).map(e => e.field);
         const filteredState = (state && allowedKeys && allowedKeys.length) ? _.pick(state, allowedKeys) : null;
 
+        // The state prior to destruction, along with the task the process is currently waiting on, is retained within the
+        // trash entry so that the instance can later be restored.
+
+        const restoreState = _.pick(object, allowedKeys);
+        const activeTasks = await object.getTasks().catch(() => []);
+        const restoreTask = (activeTasks && activeTasks.length) ? activeTasks[0].taskDefinitionKey : null;
+
         // If we have a state update to apply then we can do this here and now to the object in question.
         if(filteredState && Object.keys(filteredState).length) {
 
@@ -202,54 +239,101 @@ class WorkflowInstance extends WorkflowUpdatableModel {
             }
         }
 
-        // Fetch a listing of process instances (should be only one) that has the business key set to the instance id.
-
         const { processKey } = this.instanceDefinition.options;
-        const listOpts = {
-            businessKey: input.id,
-            processDefinitionKey: processKey
-        };
 
-        return processInstanceService.list(listOpts).then((data) => {
+        return _deleteProcessInstanceForBusinessKey(processKey, input.id).then(async r => {
 
-            if(data && data.length) {
+            await object.recordAuditEntry(user, AuditActions.Destroy, `destroy${this.implementationName}`, true);
+            await TrashEntry.record(object, user, `destroy${this.implementationName}`, restoreTask, restoreState);
+            await this.publishWasModified(object);
+            return r;
 
-                const processInstance = data[0];
+        }).catch((err) => {
 
-                if(processInstance && processInstance.id && processInstance.businessKey && processInstance.businessKey.toLowerCase() === input.id.toLowerCase()) {
+            logger.error(`[InstanceResolver/Destroy] BPM engine request failed due to: ${err.toString()}`);
+            return Promise.reject(new Error("Unable to destroy instance due to business engine error."));
+        });
+    }
 
-                    this.logger.debug(`deleting workflow instance process [${processInstance.id}] from business process engine.`);
 
-                    return new Promise((resolve, reject) => {
+    static async restoreMutationEndpoint(ctxt, input, context, info) {
 
-                        processInstanceService.http.del(processInstanceService.path +'/' + processInstance.id, {
-                            done: function(err, result) {
-                                if (err) {
-                                    return reject(err);
-                                }
-                                return resolve(true);
-                            }
-                        });
-                    });
-                }
+        const [object, user, entry] = await Promise.all([
+            this.find(input.id),
+            this.resolveUserForContext(context),
+            TrashEntry.activeEntryForInstance(input.id)
+        ]);
+
+        // The state prior to the instance being trashed is re-applied, with restoring requiring the same destroy rights
+        // the user would have had against the instance at that point (e.g. an owner restoring a cancelled submission).
+        // Access is checked before the trash entry itself, so that whether an instance is restorable isn't disclosed
+        // to users without access to it.
+
+        const allowedKeys = (this.modelDefinition ? this.modelDefinition.stateFields() : []).map(e => e.field);
+        const restoreState = _.pick((entry && entry.restoreState) || {}, allowedKeys);
+        Object.assign(object, restoreState);
+
+        const [aclTargets, isOwner] = this.aclSet ? this.userToAclTargets(user, object) : [null, false];
+
+        if(this.aclSet) {
+
+            const accessMatch = this.aclSet.applyRules(aclTargets, AclActions.Access, object);
+            this._debugAclMatching(user, aclTargets, isOwner, AclActions.Access, accessMatch, `mutation-restore`);
+            if(!accessMatch.allow || !this.restrictionsApplyToUser(accessMatch.allowedRestrictions, isOwner)) {
+                throw new AuthorizationError("You do not have access to this workflow instance.");
             }
+        }
 
-            return false;
+        if(!entry || !entry.isRestorable) {
+            throw new NotFoundError("Workflow instance is not able to be restored from the trash.");
+        }
 
-        }).then(async r => {
+        if(this.aclSet) {
 
-            await this.publishWasModified(object);
-            return r;
+            const destroyAclMatch = this.aclSet.applyRules(aclTargets, AclActions.Destroy, object);
+            this._debugAclMatching(user, aclTargets, isOwner, AclActions.Destroy, destroyAclMatch, `mutation-restore`);
+            if(!destroyAclMatch.allow) {
+                throw new AuthorizationError("You do not have the rights allowed to restore this workflow instance.");
+            }
+        }
 
-        }).catch((err) => {
+        if(!entry.restoreTask) {
+            throw new Error("Workflow instance trash entry has no task to restore the business process at.");
+        }
 
-            logger.error(`[InstanceResolver/Destroy] BPM engine request failed due to: ${err.toString()}`);
-            return Promise.reject(new Error("Unable to destroy instance due to business engine error."));
-        });
+        // The business process is restarted first, the restored state and the trash entry are only persisted once it
+        // has been. If persisting fails, the new process instance is removed again leaving the instance in the trash.
+
+        const restarted = await object.restartWorkflowBeforeTask(entry.restoreTask);
+        const trx = await transaction.start(this.knex());
+
+        try {
+
+            const restoredFields = Object.keys(restoreState);
+            if(restoredFields.length) {
+                await object.patchFields(restoredFields, null, trx);
+            }
+
+            await entry.markRestored(trx);
+            await trx.commit();
+
+        } catch(err) {
+
+            await trx.rollback();
+            await _deleteProcessInstanceForBusinessKey(this.instanceDefinition.options.processKey, object.id).catch(deleteErr => {
+                this.logger.error(`[InstanceResolver/Restore] unable to remove restarted process instance due to: ${deleteErr.toString()}`);
+            });
+            throw err;
+        }
+
+        await object.recordAuditEntry(user, AuditActions.Restore, `restore${this.implementationName}`, true);
+        await this.publishWasModified(object);
+
+        return !!restarted;
     }
 
 
-    static async completeTaskMutationResolver(ctxt, {id, taskId, form, outcome, state}, context, info) {
+    static async completeTaskMutationResolver(ctxt, {id, taskId, form, outcome, state, expectedUpdated}, context, info) {
 
         if(!id || !taskId || !form || !outcome) {
             throw new UserInputError("Complete Task requires an instance id, task id, form and outcome to be supplied");
@@ -359,6 +443,15 @@ class WorkflowInstance extends WorkflowUpdatableModel {
             return CompleteTaskOutcome.ValidationFailed;
         }
 
+        // JSON fields declared with a schema that are edited by the form must conform to it, regardless of whether
+        // validations are skipped (see formSchemaFieldViolations). The violations are returned to the client for display.
+
+        const schemaViolations = formSchemaFieldViolations(this.modelDefinition, instance, formDefinition);
+        if(schemaViolations.length) {
+            logger.debug(`unable to complete task as instance fields do not conform to their schema (instanceId = ${id}, violations = ${schemaViolations.map(v => v.message).join(", ")})`);
+            throw new UserInputError(`Instance fields do not conform to their schema: ${schemaViolations.map(v => v.message).join(", ")}`, {violations:schemaViolations});
+        }
+
 
         // We can now overlay the forced state changes that maybe present within the outcome definition.
         // Any state changes that are mandated in the workflow definitions are applied over top of the front-end
@@ -402,7 +495,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
         // and find matching fields associated with the outcome. For each we determine if the instance is missing a value for field, and
         // of they are, we perform a raw SQL statement to generate a new ID from a defined sequence,
 
-        let didModify = false;
+        const modifiedFields = [];
         const idSequenceFields = modelDefinition.idSequenceFields();
 
         if(idSequenceFields && idSequenceFields.length && outcomeDefinition.sequenceAssignment && outcomeDefinition.sequenceAssignment.length) {
@@ -424,7 +517,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
                 r.forEach(a => {
                     instance[a.field] = a.value;
-                    didModify = true;
+                    modifiedFields.push(a.field);
                 });
             }
         }
@@ -444,7 +537,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
             dateFieldsToAssign.forEach(dateField => {
                 instance[dateField.field] = new Date();
-                didModify = true;
+                modifiedFields.push(dateField.field);
             });
         }
 
@@ -463,7 +556,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
                 if(instance[key] !== value) {
                     instance[key] = value;
-                    didModify = true;
+                    modifiedFields.push(key);
                 }
 
                 if(typeof(value) === "string" || typeof(value) === "number" || value === null) {
@@ -477,14 +570,31 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
         // Save any changes to the instance itself from the above processes (client state changes, overlaid forced
         // state changes and id sequence application).
+        // The task outcome was decided upon using the instance as last fetched by the user, so when that version is
+        // supplied a modification of any field by another identity since then rejects the completion as a conflict
+        // (even with nothing modified here), before the task itself is completed.
 
-        if(didModify) {
-            await instance.save();
+        if(modifiedFields.length || expectedUpdated) {
+            await this.saveWithUpdatePrecondition(instance, user, expectedUpdated, modifiedFields, {conflictFields:null});
         }
 
-        return taskService.complete(completeTaskOpts).then(data => {
+        // Outcomes can freeze the current values of an ACL field set as a snapshot (e.g. a revision round). The snapshot is
+        // recorded before the task is completed, so a failure to record it fails the completion, and is removed again if the
+        // business process engine fails to complete the task.
+
+        const snapshot = outcomeDefinition.snapshot ? await InstanceSnapshot.record(instance, user, outcomeDefinition.snapshot, form, outcome) : null;
 
-            return this.publishWasModified(instance);
+        return taskService.complete(completeTaskOpts).catch(async err => {
+
+            if(snapshot) {
+                await InstanceSnapshot.query().deleteById(snapshot.id);
+            }
+            throw err;
+
+        }).then(async data => {
+
+            await instance.recordAuditEntry(user, AuditActions.CompleteTask, `${tasks[0].taskDefinitionKey}: ${outcome}`, true);
+            return this.publishWasModified(instance, ['tasks']);
 
         }).then(data => {
 
@@ -498,6 +608,38 @@ class WorkflowInstance extends WorkflowUpdatableModel {
     }
 
 
+    static async bulkCompleteTaskMutationResolver(ctxt, {ids, taskDefinitionKey, form, outcome, state}, context, info) {
+
+        if(!form || !outcome) {
+            throw new UserInputError("Bulk Complete Task requires a form and outcome to be supplied");
+        }
+
+        // Each instance has the active task (matching the task definition key if supplied) completed with the outcome, with
+        // ACLs, preconditions and form validations applied per instance exactly as for a single task completion.
+
+        return this.applyBulkAction(ids, async (instanceId) => {
+
+            const data = await taskService.list({processInstanceBusinessKey:instanceId});
+            const tasks = ((data && data._embedded && (data._embedded.tasks || data._embedded.task)) || []).filter(t => {
+                return !taskDefinitionKey || t.taskDefinitionKey === taskDefinitionKey;
+            });
+
+            if(tasks.length !== 1) {
+                throw new Error(tasks.length ? "Multiple active tasks found for workflow instance." : "No matching active task found for workflow instance.");
+            }
+
+            const taskState = state ? Object.assign({}, state) : null;
+            const result = await this.completeTaskMutationResolver(ctxt, {id:instanceId, taskId:tasks[0].id, form, outcome, state:taskState}, context, info);
+
+            if(result !== CompleteTaskOutcome.Success) {
+                throw new Error(result === CompleteTaskOutcome.ValidationFailed ? "Validations failed for the task outcome." : "A validated email address is required for the task outcome.");
+            }
+
+            return result;
+        });
+    }
+
+
     static async tasksForInstanceResolver(ctxt, input, context, info) {
 
         if(!ctxt) {
@@ -605,7 +747,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
         return taskService.complete(completeTaskOpts).then(() => {
 
-            return this.publishWasModified();
+            return this.publishWasModified(['tasks']);
 
         }).catch((err) => {
 
@@ -616,6 +758,19 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
     async restartWorkflow(startAfterActivityId) {
 
+        return this._startWorkflowWithInstruction("startAfterActivity", startAfterActivityId);
+    }
+
+    async restartWorkflowBeforeTask(taskDefinitionKey) {
+
+        // Used when restoring a trashed instance, the new process instance starts waiting on the task that was active
+        // when the previous process instance was removed.
+
+        return this._startWorkflowWithInstruction("startBeforeActivity", taskDefinitionKey);
+    }
+
+    async _startWorkflowWithInstruction(type, activityId) {
+
         const ModelClass = this.constructor;
         const { processKey } = ModelClass.instanceDefinition.options;
         const createProcessOpts = {
@@ -623,8 +778,8 @@ class WorkflowInstance extends WorkflowUpdatableModel {
             businessKey: this.id,
             startInstructions:[
                 {
-                    type: "startAfterActivity",
-                    activityId: startAfterActivityId
+                    type,
+                    activityId
                 }
             ]
         };
@@ -652,7 +807,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
         return processDefinitionService.start(createProcessOpts).then(async data => {
 
-            await this.publishWasModified();
+            await this.publishWasModified(['tasks']);
             return data;
 
         }).catch((err) => {
@@ -680,7 +835,7 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
     static graphQLTypeDefinition() {
 
-        // Include the complete task endpoints for workflow instances.
+        // Include the complete task and restore endpoints for workflow instances.
 
         const baseTypeDef = super.graphQLTypeDefinition();
 
@@ -695,11 +850,15 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
 
         if(stateFields && stateFields.length) {
-            mutationStatements.push(`completeTaskFor${implementationName}(id:ID!, taskId:ID!, form:String!, outcome:String!, state:${stateInputTypeName}) : CompleteTaskOutcome`);
+            mutationStatements.push(`completeTaskFor${implementationName}(id:ID!, taskId:ID!, form:String!, outcome:String!, state:${stateInputTypeName}, expectedUpdated:DateTime) : CompleteTaskOutcome`);
+            mutationStatements.push(`bulkCompleteTaskFor${implementationName}(ids:[ID!]!, taskDefinitionKey:String, form:String!, outcome:String!, state:${stateInputTypeName}) : [BulkActionResult]`);
         } else {
-            mutationStatements.push(`completeTaskFor${implementationName}(id:ID!, taskId:ID!, form:String!, outcome:String!) : CompleteTaskOutcome`);
+            mutationStatements.push(`completeTaskFor${implementationName}(id:ID!, taskId:ID!, form:String!, outcome:String!, expectedUpdated:DateTime) : CompleteTaskOutcome`);
+            mutationStatements.push(`bulkCompleteTaskFor${implementationName}(ids:[ID!]!, taskDefinitionKey:String, form:String!, outcome:String!) : [BulkActionResult]`);
         }
 
+        mutationStatements.push(`restore${implementationName}(id:ID!) : Boolean`);
+
         return baseTypeDef + (mutationStatements.length ?  `\nextend type Mutation {\n${_Tab + mutationStatements.join('\n' + _Tab)}\n}` + '\n\n' : "");
     }
 
@@ -733,10 +892,55 @@ class WorkflowInstance extends WorkflowUpdatableModel {
 
 
 
+function _deleteProcessInstanceForBusinessKey(processKey, businessKey) {
+
+    // Fetch a listing of process instances (should be only one) that has the business key set to the instance id and
+    // delete it from the business process engine, resolving to whether a process instance was deleted.
+
+    const listOpts = {
+        businessKey,
+        processDefinitionKey: processKey
+    };
+
+    return processInstanceService.list(listOpts).then((data) => {
+
+        if(data && data.length) {
+
+            const processInstance = data[0];
+
+            if(processInstance && processInstance.id && processInstance.businessKey && processInstance.businessKey.toLowerCase() === businessKey.toLowerCase()) {
+
+                logger.debug(`deleting workflow instance process [${processInstance.id}] from business process engine.`);
+
+                return new Promise((resolve, reject) => {
+
+                    processInstanceService.http.del(processInstanceService.path +'/' + processInstance.id, {
+                        done: function(err, result) {
+                            if (err) {
+                                return reject(err);
+                            }
+                            return resolve(true);
+                        }
+                    });
+                });
+            }
+        }
+
+        return false;
+    });
+}
+
+function _ownerIdForInstance(instance) {
+
+    const ownerField = instance.constructor.modelDefinition.ownerFields().find(f => !!instance[f.joinField]);
+    return ownerField ? instance[ownerField.joinField] : null;
+}
+
 function _validationConditionSetEvaluate(validations, data) {
 
+    // Only validations with an error severity prevent a task from being completed, warnings are advisory.
     for(let i = 0; i < validations.length; i++) {
-        if(!validations[i].evaluateCondition(data, 'server')) {
+        if(!validations[i].isWarning && !validations[i].evaluateCondition(data, 'server')) {
             return false;
         }
     }
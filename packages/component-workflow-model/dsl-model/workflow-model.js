@@ -1,18 +1,30 @@
 const { BaseModel } = require('component-model');
+const { transaction } = require('objection');
 const { pubsubManager } = require("pubsweet-server");
 const GraphQLFields = require('graphql-fields');
 const AclRule = require('client-workflow-model/AclRule');
+const Model = require('client-workflow-model/Model');
 const config = require('config');
 const _ = require("lodash");
 
-const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const { AuthorizationError, ConflictError, NotFoundError } = require('@pubsweet/errors');
+const { UserInputError } = require('apollo-server-express');
 const LoggerWithPrefix = require('workflow-utils/logger-with-prefix');
 
 const GraphQLHelper = require('./graphql-helper');
 const { lookupModel } = require('./model-registry');
+const { computedFieldQuery } = require('./computed-field-query');
+const { parentInstanceAccessDenial } = require('./parent-instance-access');
+const { listingCursorCondition } = require('./listing-cursor');
 const { resolveUserForContext } = require('../shared-helpers/access');
+const { mappedAsyncIterator } = require('../shared-helpers/async-iterator');
+const { Identity } = require('../shared-model/identity');
+const { AuditEntry } = require('../shared-model/audit');
 
 const _AllowedAdditionalReadFields = ['id', 'created', 'updated', 'tasks', 'restrictedFields'];
+
+// Instances loaded for published change events, keyed by the event payload (shared by all subscribers to the event).
+const _ChangeEventInstances = new WeakMap();
 const _Tab = GraphQLHelper.Tab;
 const AclActions = AclRule.Actions;
 
@@ -100,6 +112,44 @@ class WorkflowModel extends BaseModel {
         return _AllowedAdditionalReadFields;
     }
 
+    static get computedFieldQueries() {
+
+        if(this._cachedComputedFieldQueries) {
+            return this._cachedComputedFieldQueries;
+        }
+
+        const queries = {};
+
+        // Computed fields that are not used for listing filters or sorting are evaluated as each instance is loaded
+        // when they can't be evaluated within the database. Listing fields must be translatable (which the description
+        // compiler enforces), otherwise listing queries fail rather than silently ignoring the filter or sorting.
+
+        this.modelDefinition.computedFields().forEach(f => {
+            try {
+                queries[f.field] = computedFieldQuery(f, this.modelDefinition);
+            } catch(err) {
+                if(f.listingFilter || f.listingSorting) {
+                    this.logger.error(err.toString());
+                    throw err;
+                }
+                queries[f.field] = null;
+            }
+        });
+
+        return (this._cachedComputedFieldQueries = queries);
+    }
+
+    static listingColumnForField(field) {
+
+        // Computed fields are evaluated within the database for listings (so that they can be filtered and sorted on),
+        // all other fields map directly onto a column.
+
+        const fieldName = field.field || field;
+        const computedQuery = this.computedFieldQueries[fieldName];
+
+        return computedQuery ? this.knex().raw(`(${computedQuery.sql})`, computedQuery.bindings) : fieldName;
+    }
+
 
 
     // Return the GraphQL resolvers.
@@ -127,6 +177,10 @@ class WorkflowModel extends BaseModel {
             });
         };
 
+        queries[`explainAcl${implementationName}`] = async function(ctxt, input, context, info) {
+            return ModelClass.explainAclQueryEndpoint(ctxt, input, context, info);
+        };
+
 
         // Field Resolvers
         // ---
@@ -153,6 +207,14 @@ class WorkflowModel extends BaseModel {
             subscription[`modified${implementationName}`] = {
                 subscribe: async (_, vars, context) => ModelClass.asyncIteratorModelWasModified()
             };
+            subscription[`changed${implementationName}`] = {
+                subscribe: async (_, vars, context) => ModelClass.asyncIteratorModelChangeEvents(context),
+                resolve: (event) => event
+            };
+            subscription[`instanceChanged${implementationName}`] = {
+                subscribe: async (_, { id }, context) => ModelClass.asyncIteratorModelChangeEvents(context, id),
+                resolve: (event) => event
+            };
         }
 
 
@@ -213,15 +275,55 @@ class WorkflowModel extends BaseModel {
     }
 
 
+    static async explainAclQueryEndpoint(ctxt, input, context, info) {
+
+        // Administrators can determine what any identity is allowed to do to an instance (the same evaluation that is
+        // otherwise only logged when debugging ACL rules).
+
+        const user = await this.resolveUserForContext(context);
+        if(!user || !user.isAdmin) {
+            throw new AuthorizationError("Explaining access control is restricted to administrators only.");
+        }
+
+        this.logger.debug(`explain acl (id: ${input.id}, identity: ${input.identityId || user.id})`);
+
+        const [object, identity] = await Promise.all([
+            this.find(input.id),
+            input.identityId ? Identity.find(input.identityId) : Promise.resolve(user)
+        ]);
+
+        return this.aclExplanationForUser(identity, object);
+    }
+
+
     static async listingQueryEndpoint(ctxt, input, context, info) {
 
         const fieldsWithoutTypeName = GraphQLFields(info, {}, { excludedFields: ['__typename'] });
-        const topLevelFields = (fieldsWithoutTypeName && fieldsWithoutTypeName.results) ? Object.keys(fieldsWithoutTypeName.results) : [];
-        const limit = input.first || 200;
-        const offset = input.offset || 0;
+        return this.listingQuery(input, fieldsWithoutTypeName || {}, context);
+    }
+
+    static async listingQuery(input, requestedFields, context) {
+
+        // Instances are requested either as a plain list of results, or as relay style edges (with a cursor per instance),
+        // the fields requested via either are merged together (requested fields are in the form returned by graphql-fields).
+
+        const resultFields = Object.assign({}, requestedFields.results || {}, (requestedFields.edges && requestedFields.edges.node) || {});
+        const topLevelFields = Object.keys(resultFields);
+
+        const requestedPageInfo = requestedFields.pageInfo || {};
+        const includeTotalCount = requestedPageInfo.hasOwnProperty('totalCount');
+
+        // Paging is either cursor based (after/first or before/last) or offset based (offset/first). Paging backwards
+        // reverses the ordering of the query, with the results then being reversed back into the requested order.
+
+        const afterCursor = input.after ? _decodeListingCursor(input.after) : null;
+        const beforeCursor = (!afterCursor && input.before) ? _decodeListingCursor(input.before) : null;
+        const isBackwards = !!beforeCursor || (!afterCursor && !input.first && !!input.last);
+        const limit = (isBackwards ? input.last : input.first) || input.first || 200;
+        const offset = (afterCursor || beforeCursor || isBackwards) ? 0 : (input.offset || 0);
 
         let eagerResolves = null;
-        if(this.relationFieldNames && this.relationFieldNames.length && fieldsWithoutTypeName) {
+        if(this.relationFieldNames && this.relationFieldNames.length) {
             eagerResolves = this._getEagerFieldsForQuery(topLevelFields);
         }
 
@@ -252,8 +354,7 @@ class WorkflowModel extends BaseModel {
         }
 
 
-        // We need to modify the select query. First, restrict the select to only top level fields the user is interested in.
-        // Second, we need to obtain the full count of results over the entire data set (not just the limited range).
+        // We need to modify the select query, restricting the select to only top level fields the user is interested in.
 
         const filter = input.filter;
         const knex = this.knex();
@@ -271,13 +372,30 @@ class WorkflowModel extends BaseModel {
         // Note: any belongs-to-one field requires the underlying ID field to be resolved as well,
         // this is required for loading via a relation resolver via the stored instance within the context.
 
-        query = query.select([...topLevelFieldsWithoutRelations, ...belongsToOneFields.map(m => m.join)])
-            .select(knex.raw('count(*) OVER() AS internal_full_count'))
-            .limit(limit)
-            .offset(offset);
+        // Computed fields are selected as their SQL expression where possible, otherwise the fields they are derived
+        // from are selected instead and the computed value is evaluated as each instance is loaded.
+
+        const model = this.modelDefinition;
+        const computedFieldQueries = this.computedFieldQueries;
+        const selectedColumns = _.uniq(_.flatMap(topLevelFieldsWithoutRelations, field => {
+            if(!model.isComputedField(field)) {
+                return [field];
+            }
+            if(computedFieldQueries[field]) {
+                return [];
+            }
+            return model.computedFieldBindings(field).map(b => b.split('.')[0]).filter(b => !relationFieldNames.hasOwnProperty(b));
+        }));
+
+        const selectedComputedColumns = topLevelFieldsWithoutRelations.filter(field => model.isComputedField(field) && computedFieldQueries[field]).map(field => {
+            const computedQuery = computedFieldQueries[field];
+            return knex.raw(`(${computedQuery.sql}) AS ??`, [...computedQuery.bindings, field]);
+        });
 
+        query = query.select([...selectedColumns, ...selectedComputedColumns, ...belongsToOneFields.map(m => m.join)]);
 
-        const listingFilterFields = this.modelDefinition.listingFilterFields();
+
+        const listingFilterFields = this.modelDefinition.listingFilterFields().filter(f => !f.computed || computedFieldQueries[f.field]);
 
         if(listingFilterFields && listingFilterFields.length && filter && Object.keys(filter).length) {
 
@@ -295,6 +413,7 @@ class WorkflowModel extends BaseModel {
                     }
 
                     const v = filter[f.field];
+                    const column = this.listingColumnForField(f);
 
                     // If there are any extensions that seek to modify the "where" statement produced for a specific field
                     // we can let them override it here. Extensions are performed on a first-in basis. Once one extension
@@ -313,19 +432,32 @@ class WorkflowModel extends BaseModel {
 
                     if (v !== null) {
 
-                        if (f.listingFilterMultiple) {
+                        if (GraphQLHelper.isRangeFilterField(f)) {
+
+                            builder = _applyListingRangeFilter(builder, column, v);
+                            addedWhereStatement = true;
+
+                        } else if (Model.isMultiValuedField(f, this.workflowDescription.enums)) {
+
+                            // Instances holding any of the supplied values are matched.
+                            if (v instanceof Array && v.length) {
+                                builder = builder.whereRaw('?? \\?| ?', [column, v.map(value => `${value}`)]);
+                                addedWhereStatement = true;
+                            }
+
+                        } else if (f.listingFilterMultiple) {
 
                             if (v instanceof Array) {
-                                builder = builder.whereIn(f.field, v);
+                                builder = builder.whereIn(column, v);
                                 addedWhereStatement = true;
                             }
 
                         } else {
 
                             if(v === false) {
-                                builder = builder.where(bb => bb.where(f.field, false).orWhereNull(f.field));
+                                builder = builder.where(bb => bb.where(column, false).orWhereNull(column));
                             } else {
-                                builder = builder.where(f.field, v);
+                                builder = builder.where(column, v);
                             }
                             addedWhereStatement = true;
 
@@ -333,7 +465,7 @@ class WorkflowModel extends BaseModel {
 
                     } else {
 
-                        builder = builder.whereNull(f.field);
+                        builder = builder.whereNull(column);
                         addedWhereStatement = true;
                     }
                 });
@@ -394,53 +526,57 @@ class WorkflowModel extends BaseModel {
         query = query.skipUndefined();
 
 
-        // Apply any sorting
-        const listingSortableFields = this.modelDefinition.listingSortableFields();
-        const sorting = input.sorting;
+        // Apply any extensions that wish to modify the listing query
+        if(this.specificModelExtensions.modifyListingQuery) {
+            this.specificModelExtensions.modifyListingQuery.forEach(ext => {
 
-        if(listingSortableFields && listingSortableFields.length && sorting && Object.keys(sorting).length) {
+                const newQuery = ext(query, this.modelClass, input, topLevelFields, eagerResolves);
+                if(newQuery) {
+                    query = newQuery;
+                }
+            });
+        }
 
-            const ordering = [];
 
-            listingSortableFields.forEach(f => {
+        // The total count is only computed when requested, it is determined over the entire filtered data set (not
+        // just the range for the requested page).
 
-                if(sorting[f.field] === undefined) {
-                    return;
-                }
+        const totalCountQuery = includeTotalCount ? query.clone() : null;
 
-                const v = sorting[f.field];
-                if(typeof(v) !== "boolean") {
-                    return;
-                }
 
-                if(v) {
-                    ordering.push({ column: f.field, order: 'desc' });
-                } else {
-                    ordering.push({ column: f.field });
-                }
-            });
+        // Apply any sorting, with the instance id always used as the final ordering so that the ordering is stable and
+        // each instance has a unique cursor. The values of the ordered columns are selected to form the cursor.
+
+        const ordering = this.listingOrderingForSorting(input.sorting);
+        const cursorValuesSql = ordering.map(o => o.sql).join(', ');
+        const cursorValuesBindings = _.flatMap(ordering, o => o.bindings);
 
-            if(ordering.length) {
-                query = query.orderBy(ordering);
+        query = query.select(knex.raw(`json_build_array(${cursorValuesSql}) AS internal_cursor_values`, cursorValuesBindings));
+
+        const cursor = afterCursor || beforeCursor;
+        if(cursor) {
+
+            if(cursor.length !== ordering.length) {
+                throw new UserInputError("Listing cursor does not match the requested sorting.");
             }
+
+            query = query.where(builder => listingCursorCondition(builder, ordering, cursor, !beforeCursor));
         }
 
+        ordering.forEach(o => {
+            const descending = isBackwards ? !o.descending : o.descending;
+            query = query.orderByRaw(`${o.sql} ${descending ? 'desc' : 'asc'} nulls ${isBackwards ? 'first' : 'last'}`, o.bindings);
+        });
 
-        // Apply any extensions that wish to modify the listing query
-        if(this.specificModelExtensions.modifyListingQuery) {
-            this.specificModelExtensions.modifyListingQuery.forEach(ext => {
+        // One additional instance is requested to determine if there is another page available.
 
-                const newQuery = ext(query, this.modelClass, input, topLevelFields, eagerResolves);
-                if(newQuery) {
-                    query = newQuery;
-                }
-            });
-        }
+        query = query.limit(limit + 1).offset(offset);
 
 
         // Eager resolve on any fields inside this request, we also restrict the fields returned down to those requested by the user.
         // If the eager resolve includes fields which happen to be another relation, then we automatically do a more expensive eager
-        // resolve onto that field as well (but we don't restrict the fields returned from that request).
+        // resolve onto that field as well (but we don't restrict the fields returned from that request). Child instances are
+        // never restricted, as their ACL rules are applied to them when resolved.
 
         if(eagerResolves) {
 
@@ -448,7 +584,7 @@ class WorkflowModel extends BaseModel {
 
             const eagerParts = eagerResolveFields.map(eagerField => {
 
-                const eagerFields = Object.keys(fieldsWithoutTypeName.results[eagerField.field]);
+                const eagerFields = Object.keys(resultFields[eagerField.field]);
                 if(!eagerFields.length) {
                     return null;
                 }
@@ -497,7 +633,7 @@ class WorkflowModel extends BaseModel {
 
 
             eagerParts.forEach(part => {
-                if(part.basic && part.basic.length) {
+                if(part.basic && part.basic.length && !part.field.childInstances) {
                     query = query.modifyEager(part.field.field, builder => builder.select(part.basic));
                 }
             });
@@ -505,27 +641,73 @@ class WorkflowModel extends BaseModel {
 
         this.logger.debug(`listing query: ${query.toSql()}`);
 
-        const r = await query;
+        const [fetched, totalCount] = await Promise.all([query, totalCountQuery ? totalCountQuery.resultSize() : null]);
+
+        const hasMore = fetched.length > limit;
+        const r = fetched.slice(0, limit);
+        if(isBackwards) {
+            r.reverse();
+        }
+
         this.addModelInstanceToGraphQLContext(context, r, this);
 
         // For each result, we then apply read ACL rules to it, ensuring only the allowed fields are returned for each instance.
-        const totalCount = (r && r.length ? r[0].internalFullCount : 0);
 
-        const results = r.map(object => {
+        const edges = r.map(object => {
             const [aclTargets, _] = this.userToAclTargets(user, object);
-            return object.copyAllowedFieldsAsObject(aclTargets, topLevelFields);
+            return {
+                cursor: _encodeListingCursor(object.internalCursorValues),
+                node: object.copyAllowedFieldsAsObject(aclTargets, topLevelFields)
+            };
         });
 
         return {
-            results,
+            results: edges.map(e => e.node),
+            edges,
             pageInfo: {
-                totalCount,
+                totalCount: includeTotalCount ? totalCount : null,
                 offset,
-                pageSize: limit
+                pageSize: limit,
+                hasNextPage: isBackwards ? !!beforeCursor : hasMore,
+                hasPreviousPage: isBackwards ? hasMore : (!!afterCursor || offset > 0),
+                startCursor: edges.length ? edges[0].cursor : null,
+                endCursor: edges.length ? edges[edges.length - 1].cursor : null
             }
         };
     }
 
+    static listingOrderingForSorting(sorting) {
+
+        // Ordering for a listing query as a set of SQL expressions (plain columns or computed field expressions) built
+        // from the requested sorting, restricted to the sortable fields.
+
+        const computedFieldQueries = this.computedFieldQueries;
+        const listingSortableFields = this.modelDefinition.listingSortableFields().filter(f => !f.computed || computedFieldQueries[f.field]);
+        const ordering = [];
+
+        if(listingSortableFields && listingSortableFields.length && sorting && Object.keys(sorting).length) {
+
+            listingSortableFields.forEach(f => {
+
+                const v = sorting[f.field];
+                if(typeof(v) !== "boolean") {
+                    return;
+                }
+
+                const computedQuery = computedFieldQueries[f.field];
+                ordering.push({
+                    field: f.field,
+                    sql: computedQuery ? `(${computedQuery.sql})` : '??',
+                    bindings: computedQuery ? computedQuery.bindings : [f.field],
+                    descending: v
+                });
+            });
+        }
+
+        ordering.push({ field: 'id', sql: '??', bindings: ['id'], descending: false });
+        return ordering;
+    }
+
 
     static async relationResolverImplementation(ctxt, input, context, info, field) {
 
@@ -556,16 +738,25 @@ class WorkflowModel extends BaseModel {
             const requestedRelationFields = targetRelationFieldNames.filter(f => fieldsWithoutTypeName.hasOwnProperty(f));
             const belongsToOneFields = (targetModel.belongsToOneRelationFields || []).filter(m => topLevelFields.indexOf(m.field.field) !== -1);
 
+            // Child instances have their own ACL rules applied, so the columns those rules depend upon (owners, the join
+            // to the parent and fields used within conditions) are also selected.
+
+            const selectedColumns = (fields) => {
+                const columns = field.childInstances ? targetModel.columnsForAclEvaluation(fields, field.joinToField) : [...fields, ...belongsToOneFields.map(m => m.join)];
+                return columns.map(v => `${targetModel.tableName}.${v}`);
+            };
+
             if(requestedRelationFields && requestedRelationFields.length) {
 
                 const basicFields = topLevelFields.filter(f => requestedRelationFields.indexOf(f) === -1);
-                query = query.select([...basicFields, ...belongsToOneFields.map(m => m.join)].map(v => `${targetModel.tableName}.${v}`)).eager('[' + requestedRelationFields.join(', ') + ']');
+                query = query.select(selectedColumns(basicFields));
+                query = query.eager('[' + requestedRelationFields.join(', ') + ']');
 
                 this.logger.debug(`relation resolve, field (${field.field}) not present in context, performing query (eager=[${requestedRelationFields.join(', ')}])`);
 
             } else {
 
-                query = query.select([...topLevelFields, ...belongsToOneFields.map(m => m.join)].map(v => `${targetModel.tableName}.${v}`));
+                query = query.select(selectedColumns(topLevelFields));
 
                 this.logger.debug(`relation resolve, field (${field.field}) not present in context, performing query (no eager fields)`);
             }
@@ -624,8 +815,11 @@ class WorkflowModel extends BaseModel {
 
                 const [aclTargets, isOwner] = targetModel.userToAclTargets(user, r);
 
-                if(targetModelAcl) {
-                    const accessMatch = targetModelAcl.applyRules(aclTargets, AclActions.Access, relation);
+                // Child instances declared with "inherit-access" are accessible to anyone with access to the parent
+                // instance (their read ACL rules still apply to the fields returned).
+
+                if(targetModelAcl && !field.inheritAccess) {
+                    const accessMatch = targetModelAcl.applyRules(aclTargets, AclActions.Access, r);
                     if(!accessMatch.allow) {
                         return null;
                     }
@@ -639,7 +833,12 @@ class WorkflowModel extends BaseModel {
             });
 
 
-            return (relation instanceof Array) ? result : result[0];
+            // Child instances the user has no access to are omitted from the listing entirely.
+
+            if(relation instanceof Array) {
+                return field.childInstances ? result.filter(r => !!r) : result;
+            }
+            return result[0];
         }
 
         return relation;
@@ -790,6 +989,39 @@ class WorkflowModel extends BaseModel {
         return [targets, isOwner];
     }
 
+    static columnsForAclEvaluation(requestedFields, joinToField = null) {
+
+        // Instances that have their ACL rules applied once loaded require the columns those rules depend upon (owners
+        // and the fields referenced by rule conditions) along with the requested fields stored on the instance. Computed
+        // fields are resolved into the fields they are derived from and belongs-to-one relations into their join column.
+
+        const model = this.modelDefinition;
+        const properties = this.schema.properties;
+        const belongsToOneJoins = {};
+        this.belongsToOneRelationFields.forEach(m => belongsToOneJoins[m.field.field] = m.join);
+
+        const ownerColumns = model.ownerFields().map(f => f.joinField);
+        const conditionBindings = this.aclSet ? _.flatMap(this.aclSet.rules.filter(rule => rule.condition), rule => rule.condition.bindings) : [];
+
+        const columnsForField = (binding) => {
+            const fieldName = binding.split('.')[0];
+            if(model.isComputedField(fieldName)) {
+                return _.flatMap(model.computedFieldBindings(fieldName), columnsForField);
+            }
+            if(belongsToOneJoins.hasOwnProperty(fieldName)) {
+                return [belongsToOneJoins[fieldName]];
+            }
+            return properties.hasOwnProperty(fieldName) ? [fieldName] : [];
+        };
+
+        return _.uniq([
+            'id',
+            ...ownerColumns,
+            ...(joinToField ? [joinToField] : []),
+            ..._.flatMap([...conditionBindings, ...requestedFields], columnsForField)
+        ]);
+    }
+
     static restrictionsApplyToUser(restrictions, isOwner) {
 
         if(!restrictions || !restrictions.length) {
@@ -803,6 +1035,38 @@ class WorkflowModel extends BaseModel {
         return (isOwner && restrictions.indexOf("own") !== -1);
     }
 
+    static aclExplanationForUser(user, object) {
+
+        const [aclTargets, isOwner] = this.userToAclTargets(user, object);
+
+        const actions = Object.values(AclActions).map(action => {
+
+            if(!this.aclSet) {
+                return {action, allow:true, restrictionsApply:true, matchingRules:[]};
+            }
+
+            // Rules are applied against the instance as loaded server-side, exactly as when they are enforced.
+            const match = this.aclSet.applyRules(aclTargets, action, object, 'server');
+
+            return {
+                action,
+                allow: match.allow,
+                restrictionsApply: match.allow && this.restrictionsApplyToUser(match.allowedRestrictions, isOwner),
+                matchingRules: (match.matchingRules || []).map(rule => rule.description),
+                allowedFields: match.allowedFields || null,
+                allowedTasks: match.allowedTasks || null,
+                allowedRestrictions: match.allowedRestrictions || null
+            };
+        });
+
+        return {
+            identityId: user ? user.id : null,
+            targets: aclTargets,
+            isOwner,
+            actions
+        };
+    }
+
     checkUserAccess(user, action) {
 
         const Model = this.constructor;
@@ -819,6 +1083,29 @@ class WorkflowModel extends BaseModel {
         return {aclTargets, isOwner, access:false, accessMatch:null};
     }
 
+    readableFieldsForUser(user) {
+
+        // Fields of the instance that the user is currently able to read (null when no ACL applies), used when exposing
+        // historical data recorded against the instance (e.g. the audit trail and revision snapshots).
+
+        const Model = this.constructor;
+        if(!Model.aclSet) {
+            return null;
+        }
+
+        const { aclTargets, access } = this.checkUserAccess(user, AclActions.Access);
+        if(!access) {
+            throw new AuthorizationError('You do not have access to this object.');
+        }
+
+        const readMatch = Model.aclSet.applyRules(aclTargets, AclActions.Read, this, 'server');
+        if(!readMatch.allow) {
+            throw new AuthorizationError('You do not have read access to this object.');
+        }
+
+        return this.allowedReadFieldsForReadAcl(readMatch, false);
+    }
+
 
 
     // PubSub related
@@ -838,13 +1125,101 @@ class WorkflowModel extends BaseModel {
 
 
 
+    static async asyncIteratorModelChangeEvents(context, instanceId = null) {
+
+        // Change events carry the names and new values of the fields that were changed, each event is resolved against
+        // the subscriber's read ACL before being delivered (events for instances they can't access are skipped).
+
+        const pubSub = await pubsubManager.getPubsub();
+        return mappedAsyncIterator(pubSub.asyncIterator(`${this.implementationName}.changed`), event => {
+            return this.changeEventForContext(event, context, instanceId);
+        });
+    }
+
+    static async changeEventForContext(event, context, instanceId = null) {
+
+        if(!event || (instanceId && event.id !== instanceId)) {
+            return null;
+        }
+
+        try {
+
+            const user = await this.resolveUserForContext(context);
+            if(!user) {
+                return null;
+            }
+
+            // Instances removed since the event was published can no longer be checked against the ACL, so the event
+            // isn't delivered.
+
+            const instance = await this.instanceForChangeEvent(event);
+            if(!instance) {
+                return null;
+            }
+
+            let readableFields;
+            try {
+                readableFields = instance.readableFieldsForUser(user);
+            } catch(err) {
+                if(err instanceof AuthorizationError) {
+                    return null;
+                }
+                throw err;
+            }
+
+            const isReadable = (f) => !readableFields || readableFields.hasOwnProperty(f) || _AllowedAdditionalReadFields.indexOf(f) !== -1;
+            const changedFields = event.changedFields ? event.changedFields.filter(isReadable) : null;
+            const auditedFields = this.auditedFields;
+            const values = {};
+
+            const enums = this.workflowDescription.enums || {};
+
+            // Values are only provided for fields stored directly on the instance, relations are listed as changed
+            // but must be re-queried by the subscriber. Enum values are provided as their GraphQL keys, as they would
+            // be returned by a query.
+
+            (changedFields || []).forEach(f => {
+                const fieldDef = this.modelDefinition.fields.find(fd => fd.field === f);
+                if(fieldDef && !fieldDef.joinField && auditedFields.hasOwnProperty(f)) {
+                    const value = _auditValue(instance[auditedFields[f]]);
+                    values[f] = enums.hasOwnProperty(fieldDef.type) ? _graphQLEnumValue(enums[fieldDef.type], value) : value;
+                }
+            });
+
+            return {id:instance.id, kind:event.kind, changedFields, values, updated:instance.updated || null};
+
+        } catch(err) {
+
+            this.logger.error(`unable to resolve change event for subscriber (instance = ${event.id}) due to: ${err.toString()}`);
+            return null;
+        }
+    }
+
+
+    static instanceForChangeEvent(event) {
+
+        // Each subscriber resolves the event against their own ACL, the instance itself is only loaded once per
+        // published event and is shared between the subscribers (it must not be modified by them).
+
+        let loading = _ChangeEventInstances.get(event);
+        if(!loading) {
+            // Query builders execute each time they are awaited, so the query is resolved into a single promise.
+            loading = Promise.resolve(this.query().findById(event.id));
+            _ChangeEventInstances.set(event, loading);
+        }
+        return loading;
+    }
+
+
     static async publishWasCreated(model) {
 
         const pubSub = await pubsubManager.getPubsub();
         if(pubSub) {
+            const id = _instanceIdForModel(model);
             const r = {};
-            r[`created${this.implementationName}`] = model.id;
+            r[`created${this.implementationName}`] = id;
             pubSub.publish(`${this.implementationName}.created`, r);
+            pubSub.publish(`${this.implementationName}.changed`, {id, kind:'created', changedFields:null});
         }
     }
 
@@ -852,18 +1227,24 @@ class WorkflowModel extends BaseModel {
         return this.constructor.publishWasCreated(this);
     }
 
-    static async publishWasModified(model) {
+    static async publishWasModified(model, changedFields = null) {
+
+        // The model can be provided as either an instance or an identifier. When given an instance, fields changed by
+        // audited updates since the last publish (and any changes not yet audited) are included in the change event.
+        // Callers can name additional changes (e.g. 'tasks' when the workflow state has moved on).
 
         const pubSub = await pubsubManager.getPubsub();
         if(pubSub) {
+            const id = _instanceIdForModel(model);
             const r = {};
-            r[`modified${this.implementationName}`] = model.id;
+            r[`modified${this.implementationName}`] = id;
             pubSub.publish(`${this.implementationName}.updated`, r);
+            pubSub.publish(`${this.implementationName}.changed`, {id, kind:'modified', changedFields:_consumeChangedFields(model, changedFields)});
         }
     }
 
-    async publishWasModified() {
-        return this.constructor.publishWasModified(this);
+    async publishWasModified(changedFields = null) {
+        return this.constructor.publishWasModified(this, changedFields);
     }
 
 
@@ -886,6 +1267,202 @@ class WorkflowModel extends BaseModel {
     // ORM helpers
     // ---
 
+    $afterGet(queryContext) {
+
+        // Computed fields not already evaluated by the query are evaluated once all the fields they are derived
+        // from have been loaded, allowing them to be used within ACL conditions and validations server-side.
+
+        const model = this.constructor.modelDefinition;
+
+        model.computedFields().forEach(f => {
+            if(this[f.field] !== undefined) {
+                return;
+            }
+            const bindings = model.computedFieldBindings(f.field);
+            if(bindings.every(b => this[b.split('.')[0]] !== undefined)) {
+                this[f.field] = model.evaluateComputedField(f.field, this, 'server');
+            }
+        });
+
+        this.resetAuditBaseline();
+
+        return super.$afterGet(queryContext);
+    }
+
+    $parseDatabaseJson(json) {
+
+        // Date fields (without a time component) are returned by the database driver as a Date at local midnight, these
+        // are normalised to an ISO 8601 date ("YYYY-MM-DD") as used by GraphQL and conditions.
+
+        const parsed = super.$parseDatabaseJson(json);
+
+        this.constructor.modelDefinition.dateFields().forEach(f => {
+            if(parsed[f.field] instanceof Date) {
+                parsed[f.field] = _isoDateString(parsed[f.field]);
+            }
+        });
+
+        return parsed;
+    }
+
+    $formatDatabaseJson(json) {
+
+        // Computed fields have no storage and must never be written back to the database.
+        const computedFields = this.constructor.modelDefinition.computedFields();
+        const formatted = super.$formatDatabaseJson(json);
+
+        return computedFields.length ? _.omit(formatted, computedFields.map(f => f.field)) : formatted;
+    }
+
+
+    // Audit Trail
+    // ---
+
+    static get auditedFields() {
+
+        // Stored fields that are tracked within audit entries, mapping the model field name (as used by ACL field sets)
+        // to the property it is stored under (belongs-to-one relations are stored using their join field).
+
+        if(this._cachedAuditedFields) {
+            return this._cachedAuditedFields;
+        }
+
+        const schemaProperties = this.schema.properties;
+        const auditedFields = {};
+
+        this.modelDefinition.fields.forEach(f => {
+            if(f.computed) {
+                return;
+            }
+            const property = (f.array !== true && f.joinField) ? f.joinField : f.field;
+            if(schemaProperties.hasOwnProperty(property)) {
+                auditedFields[f.field] = property;
+            }
+        });
+
+        return this._cachedAuditedFields = auditedFields;
+    }
+
+    resetAuditBaseline() {
+
+        const baseline = {};
+        Object.entries(this.constructor.auditedFields).forEach(([field, property]) => {
+            if(this[property] !== undefined) {
+                baseline[field] = _auditValue(this[property]);
+            }
+        });
+
+        Object.defineProperty(this, '_auditBaseline', {value:baseline, writable:true, configurable:true, enumerable:false});
+    }
+
+    auditChanges() {
+
+        const baseline = this._auditBaseline || {};
+        const changes = [];
+
+        Object.entries(this.constructor.auditedFields).forEach(([field, property]) => {
+            if(this[property] === undefined) {
+                return;
+            }
+            const before = baseline.hasOwnProperty(field) ? baseline[field] : null;
+            const after = _auditValue(this[property]);
+            if(!_.isEqual(before, after)) {
+                changes.push({field, before, after});
+            }
+        });
+
+        return changes;
+    }
+
+    async recordAuditEntry(actor, action, detail = null, always = false, trx = null) {
+
+        // Audit entries are recorded after the changes have been persisted, a failure to record an entry is logged
+        // but does not fail the change that has already been made. When recorded within the transaction making the
+        // changes, a failure fails the transaction.
+
+        const changes = this.auditChanges();
+        if(!changes.length && !always) {
+            return null;
+        }
+
+        let entry = null;
+        try {
+            entry = await AuditEntry.record(this, this.constructor.implementationName, actor, action, detail, changes, trx);
+        } catch(err) {
+            if(trx) {
+                throw err;
+            }
+            this.constructor.logger.error(`unable to record audit entry (action = ${action}, instance = ${this.id}) due to: ${err.toString()}`);
+        }
+
+        // Changed fields are retained until the next change event is published for the instance.
+        const pendingChangedFields = (this._pendingChangedFields || []).concat(changes.map(c => c.field));
+        Object.defineProperty(this, '_pendingChangedFields', {value:pendingChangedFields, writable:true, configurable:true, enumerable:false});
+
+        this.resetAuditBaseline();
+        return entry;
+    }
+
+
+    // Update Preconditions
+    // ---
+
+    static async conflictingFieldsSince(instanceId, expectedUpdated, user, fields = null, trx = null) {
+
+        // The audit trail is used to determine which fields were changed by other identities (or system tasks) since
+        // the instance was at the expected version. Changes made by the user themselves are never treated as conflicts.
+
+        const entries = await AuditEntry.entriesSince(instanceId, expectedUpdated, trx);
+        const changedFields = new Set();
+
+        entries.filter(entry => !user || entry.actorId !== user.id).forEach(entry => {
+            (entry.changes || []).forEach(change => changedFields.add(change.field));
+        });
+
+        return fields ? fields.filter(f => changedFields.has(f)) : Array.from(changedFields);
+    }
+
+    static async saveWithUpdatePrecondition(object, user, expectedUpdated, fields, {conflictFields = fields, audit = null} = {}) {
+
+        // When the user supplies the updated timestamp of the instance as they last fetched it, the save is rejected if
+        // another identity has since changed any of the conflict fields (by default the fields being written, null for
+        // any field). The instance row is locked while checking and saving, and the audit entry that later checks rely
+        // upon is recorded within the same transaction, so concurrent writers are checked against each other's changes.
+
+        if(!expectedUpdated) {
+            await object.save();
+            return audit ? object.recordAuditEntry(user, audit.action, audit.detail) : null;
+        }
+
+        const trx = await transaction.start(this.knex());
+
+        try {
+
+            const current = await this.query(trx).findById(object.id).select('updated').forUpdate();
+            if(current && current.updated && new Date(current.updated).getTime() > new Date(expectedUpdated).getTime()) {
+
+                const conflictingFields = await this.conflictingFieldsSince(object.id, expectedUpdated, user, conflictFields, trx);
+                if(conflictingFields.length) {
+                    throw new ConflictError(`This ${this.implementationName.toLowerCase()} has been modified by another user since it was loaded, the following fields are in conflict: ${conflictingFields.join(", ")}`);
+                }
+            }
+
+            if(fields.length) {
+                await object.patchFields(fields, null, trx);
+            }
+
+            if(audit) {
+                await object.recordAuditEntry(user, audit.action, audit.detail, false, trx);
+            }
+
+            await trx.commit();
+
+        } catch(err) {
+            await trx.rollback();
+            throw err;
+        }
+    }
+
     static get tableName() {
         return this.tableNameForEntityName(this.implementationName);
     }
@@ -905,12 +1482,23 @@ class WorkflowModel extends BaseModel {
 
         const props = model.fields.map(element => {
 
+            // Multi-valued fields (e.g. "[String]" or a list of enum values) are stored as a JSON array.
+
+            if(Model.isMultiValuedField(element, enums)) {
+                const items = enums.hasOwnProperty(element.type) ? {type:'string', enum:Object.values(enums[element.type].values)} : {type:'string'};
+                return {key:element.field, value:{type:['array', 'null'], items}};
+            }
+
             // FIXME: this should be more generalised into a generic lookup table or something of that sort of nature (this current impl smells a little)
 
             if(element.type === "String") {
                 return {key:element.field, value:{type:['string', 'null']}};
-            } else if(element.type === "Integer") {
+            } else if(element.type === "Int" || element.type === "Integer") {
                 return {key:element.field, value:{type:['integer', 'null']}};
+            } else if(element.type === "Float") {
+                return {key:element.field, value:{type:['number', 'null']}};
+            } else if(element.type === "Date") {
+                return {key:element.field, value:{type:['string', 'object', 'null'], format:'date'}}; // 'object' allows the Date type
             } else if(element.type === "ID") {
                 return {key:element.field, value:{type:['string', 'null'], format:'uuid'}};
             } else if(element.type === "DateTime") {
@@ -953,6 +1541,14 @@ class WorkflowModel extends BaseModel {
             properties[p.key] = p.value;
         });
 
+        // Child instances hold the join to the parent instance they belong to.
+
+        this.parentInstanceRelations.forEach(relation => {
+            if(!properties.hasOwnProperty(relation.joinField)) {
+                properties[relation.joinField] = {type:['string', 'null'], format:'uuid'};
+            }
+        });
+
         this._cachedSchema = {
             type:'object',
             properties,
@@ -1118,6 +1714,43 @@ class WorkflowModel extends BaseModel {
         return this._cachedRelationFieldNames = (this.relationFields || []).map(f => f.field);
     }
 
+    static get parentInstanceRelations() {
+
+        // Relations from other instance types that declare instances of this type as their children (via "join-to"),
+        // along with the field on this instance that holds the join to the parent.
+
+        if(this._cachedParentInstanceRelations) {
+            return this._cachedParentInstanceRelations;
+        }
+
+        const relations = [];
+        const instanceTypes = this.workflowDescription ? Object.values(this.workflowDescription.instanceTypes) : [];
+
+        instanceTypes.filter(instanceType => instanceType.model).forEach(instanceType => {
+            instanceType.model.childInstanceFields().filter(f => f.type === this.implementationName).forEach(field => {
+                relations.push({parentType:instanceType.name, field, joinField:field.joinToField});
+            });
+        });
+
+        return this._cachedParentInstanceRelations = relations;
+    }
+
+    static async findParentInstanceForUser(user, relation, parentId) {
+
+        // Child instances can only be added to a parent instance by identities that have access to the parent and are
+        // allowed to write to the field holding the child instances (see parent-instance-access).
+
+        const parentModel = lookupModel(relation.parentType);
+        const parent = await parentModel.find(parentId);
+
+        const denial = parentInstanceAccessDenial(parentModel, user, parent, relation.field);
+        if(denial) {
+            throw new AuthorizationError(denial);
+        }
+
+        return parent;
+    }
+
 
     // GraphQL TypeDef generation
     // ---
@@ -1138,6 +1771,7 @@ class WorkflowModel extends BaseModel {
     static get graphQLModelInputBaseTypes() {
         return [
             `id: ID!`,
+            `expectedUpdated: DateTime`
         ];
     }
 
@@ -1163,6 +1797,7 @@ class WorkflowModel extends BaseModel {
         const listingSortingInputTypeName = `${modelName}ListingSortingInput`;
 
         queryStatements.push(`get${implementationName}(id:ID): ${modelName}`);
+        queryStatements.push(`explainAcl${implementationName}(id:ID!, identityId:ID): AclExplanation`);
 
         if((listingFilterFields && listingFilterFields.length) || (listingSortableFields && listingSortableFields.length)) {
 
@@ -1192,6 +1827,8 @@ class WorkflowModel extends BaseModel {
         if(this.allowsSubscriptions) {
             subscriptionStatements.push(`created${implementationName} : ID!`);
             subscriptionStatements.push(`modified${implementationName} : ID!`);
+            subscriptionStatements.push(`changed${implementationName} : InstanceChangeEvent`);
+            subscriptionStatements.push(`instanceChanged${implementationName}(id:ID!) : InstanceChangeEvent`);
         }
 
         return (
@@ -1222,6 +1859,9 @@ class WorkflowModel extends BaseModel {
         const f = [];
         f.push(`first:Int`);
         f.push(`offset:Int`);
+        f.push(`after:String`);
+        f.push(`last:Int`);
+        f.push(`before:String`);
 
         if(listingFilterFields && listingFilterFields.length) {
             f.push(`filter:${listingFilterInputTypeName}`);
@@ -1297,6 +1937,38 @@ class WorkflowModel extends BaseModel {
 
 
 
+const ListingRangeFilterOperators = {
+    eq: '=',
+    from: '>=',
+    to: '<=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+function _applyListingRangeFilter(builder, column, range) {
+
+    // Each supplied comparison is combined (e.g. from and to producing a range), with isNull matching either the instances
+    // without a value or only those with a value.
+
+    return builder.where(b => {
+
+        Object.keys(ListingRangeFilterOperators).forEach(key => {
+            if(range[key] !== undefined && range[key] !== null) {
+                b.where(column, ListingRangeFilterOperators[key], range[key]);
+            }
+        });
+
+        if(range.isNull === true) {
+            b.whereNull(column);
+        } else if(range.isNull === false) {
+            b.whereNotNull(column);
+        }
+    });
+}
+
+
 function _gqlListingFilterInput(inputName, workflowDescription, fields) {
 
     const typeListing = GraphQLHelper.gqlTypeListingForFields(fields, workflowDescription, GraphQLHelper.TypeListingRestriction.Listing);
@@ -1320,7 +1992,13 @@ function _gqlListingOutputType(modelName, resultName, pageInfoName) {
 
     return `type ${resultName} {
 ${_Tab}results: [${modelName}]
+${_Tab}edges: [${modelName}ListingEdge]
 ${_Tab}pageInfo: ${pageInfoName}
+}
+
+type ${modelName}ListingEdge {
+${_Tab}cursor: String!
+${_Tab}node: ${modelName}
 }`;
 }
 
@@ -1330,8 +2008,87 @@ function _gqlListingPageInfo(pageInfoName) {
 ${_Tab}totalCount: Int
 ${_Tab}offset: Int
 ${_Tab}pageSize: Int
+${_Tab}hasNextPage: Boolean
+${_Tab}hasPreviousPage: Boolean
+${_Tab}startCursor: String
+${_Tab}endCursor: String
 }`;
 }
 
 
+function _encodeListingCursor(values) {
+    return Buffer.from(JSON.stringify(values || [])).toString('base64');
+}
+
+function _decodeListingCursor(cursor) {
+
+    let values = null;
+    try {
+        values = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch(e) {
+        values = null;
+    }
+
+    if(!(values instanceof Array)) {
+        throw new UserInputError("Invalid listing cursor supplied.");
+    }
+    return values;
+}
+
+function _auditValue(value) {
+
+    // Values are normalised into their JSON representation so that they can be compared and stored (e.g. dates are
+    // stored as ISO strings).
+
+    if(value === undefined || value === null) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+function _graphQLEnumValue(enumDef, value) {
+
+    // Maps a stored enum value (or list of values) back onto the key that GraphQL exposes the value as.
+
+    if(value === null) {
+        return null;
+    }
+
+    if(Array.isArray(value)) {
+        return value.map(v => _graphQLEnumValue(enumDef, v));
+    }
+
+    const key = Object.keys(enumDef.values).find(k => enumDef.values[k] === value);
+    return key !== undefined ? key : null;
+}
+
+function _isoDateString(date) {
+    const pad = (n) => (n < 10 ? '0' : '') + n;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function _instanceIdForModel(model) {
+    return (model && typeof(model) === "object") ? model.id : model;
+}
+
+function _consumeChangedFields(model, changedFields) {
+
+    // An empty set of changed fields is published as null, indicating to subscribers that the changes are unknown.
+
+    const fields = new Set(changedFields || []);
+
+    if(model && typeof(model) === "object") {
+        (model._pendingChangedFields || []).forEach(f => fields.add(f));
+        if(model.auditChanges) {
+            model.auditChanges().forEach(c => fields.add(c.field));
+        }
+        if(model._pendingChangedFields) {
+            model._pendingChangedFields = [];
+        }
+    }
+
+    return fields.size ? Array.from(fields) : null;
+}
+
+
 module.exports = WorkflowModel;
\ No newline at end of file
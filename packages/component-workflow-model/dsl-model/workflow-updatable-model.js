@@ -7,9 +7,12 @@ const { UserInputError } = require('apollo-server-express');
 const { transaction } = require('objection');
 
 const GraphQLHelper = require('./graphql-helper');
+const { cleanSchemaFieldValues, schemaFieldViolations } = require('./json-schema-validation');
+const { AuditActions } = require('../shared-model/audit');
 const _Tab = GraphQLHelper.Tab;
 const AclActions = AclRule.Actions;
 
+const BulkActionLimit = 100;
 
 
 class WorkflowUpdatableModel extends WorkflowModel {
@@ -36,7 +39,7 @@ class WorkflowUpdatableModel extends WorkflowModel {
         const allowedInputFields = {};
 
         this.modelDefinition.fields.forEach(e => {
-            if(e.field && e.input !== false) {
+            if(e.field && e.input !== false && !e.computed) {
                 allowedInputFields[e.field] = e;
             }
         });
@@ -76,6 +79,12 @@ class WorkflowUpdatableModel extends WorkflowModel {
             };
         }
 
+        if(this.allowsUpdate && this.graphQLModelBulkInputDefinition()) {
+            Mutation[`bulkUpdate${implementationName}`] = async function(ctxt, input, context, info) {
+                return ModelClass.bulkUpdateMutationEndpoint(ctxt, input, context, info);
+            };
+        }
+
 
         // Field resolvers
         // ---
@@ -122,6 +131,65 @@ class WorkflowUpdatableModel extends WorkflowModel {
             this.resolveUserForContext(context)
         ]);
 
+        const expectedUpdated = input.expectedUpdated;
+        delete input.id;
+        delete input.expectedUpdated;
+
+        await this.applyInstanceUpdate(object, user, input, expectedUpdated, `update${this.implementationName}`);
+        await this.publishWasModified(object);
+        return true;
+    }
+
+
+    static async bulkUpdateMutationEndpoint(ctxt, {ids, input}, context, info) {
+
+        if(!this.allowsUpdate) {
+            throw new Error("Model is not defined as an allowing updates.");
+        }
+
+        const user = await this.resolveUserForContext(context);
+
+        // The same update is applied to each instance in turn, with ACLs evaluated against each instance. Failures are
+        // reported per instance rather than aborting the remaining updates.
+
+        return this.applyBulkAction(ids, async (instanceId) => {
+
+            const object = await this.find(instanceId);
+            await this.applyInstanceUpdate(object, user, Object.assign({}, input), null, `bulkUpdate${this.implementationName}`);
+            await this.publishWasModified(object);
+            return null;
+        });
+    }
+
+
+    static async applyBulkAction(ids, action) {
+
+        if(!ids || !ids.length) {
+            throw new UserInputError("Bulk action requires at least one instance id to be supplied");
+        }
+
+        if(ids.length > BulkActionLimit) {
+            throw new UserInputError(`Bulk actions are limited to ${BulkActionLimit} instances at a time`);
+        }
+
+        const results = [];
+
+        for(const id of _.uniq(ids)) {
+
+            try {
+                const outcome = await action(id);
+                results.push({id, success:true, outcome:outcome || null, error:null});
+            } catch(err) {
+                this.logger.warn(`bulk action failed for instance (id = ${id}) due to: ${err.toString()}`);
+                results.push({id, success:false, outcome:null, error:err.message || err.toString()});
+            }
+        }
+
+        return results;
+    }
+
+
+    static async applyInstanceUpdate(object, user, input, expectedUpdated, source) {
 
         let aclWriteMatch = null;
 
@@ -148,19 +216,32 @@ class WorkflowUpdatableModel extends WorkflowModel {
             }
         }
 
-        const instanceId = input.id;
-        delete input.id;
-
-
         // Create a listing of fields that can be updated, then we apply the update to the model object
         // provided that it is within the list of allowed fields.
 
         const allowedFields = (aclWriteMatch && aclWriteMatch.allowedFields) ? _.pick(this.allowedInputFields, aclWriteMatch.allowedFields) : this.allowedInputFields;
         const restrictedFields = [];
+        const modifiedFields = [];
+
+        // JSON fields declared with a schema must conform to it before being applied to the object.
+
+        input = cleanSchemaFieldValues(this.modelDefinition, input);
+
+        const violations = schemaFieldViolations(this.modelDefinition, input);
+        if(violations.length) {
+            throw new UserInputError(`Supplied values do not conform to their schema: ${violations.map(v => v.message).join(", ")}`, {violations});
+        }
 
         Object.keys(input).forEach(key => {
             if(allowedFields.hasOwnProperty(key)) {
-                object[key] = input[key];
+                const field = allowedFields[key];
+                if(field.type === 'Identity' && field.array !== true && field.joinField) {
+                    object[field.joinField] = input[key];      // Identity relations (bulk updates only) are assigned by id.
+                    modifiedFields.push(field.joinField);
+                } else {
+                    object[key] = input[key];
+                    modifiedFields.push(key);
+                }
             } else {
                 restrictedFields.push(key);
             }
@@ -170,9 +251,11 @@ class WorkflowUpdatableModel extends WorkflowModel {
             throw new AuthorizationError(`You do not have write access on the following fields: ${restrictedFields.join(", ")}`);
         }
 
-        await object.save();
-        await this.publishWasModified(instanceId);
-        return true;
+        // Stale updates (the instance was modified by someone else since the user fetched it) are rejected only when
+        // they would overwrite one of the fields modified in the meantime.
+
+        await this.saveWithUpdatePrecondition(object, user, expectedUpdated, modifiedFields, {audit:{action:AuditActions.Update, detail:source}});
+        return object;
     }
 
 
@@ -283,7 +366,7 @@ class WorkflowUpdatableModel extends WorkflowModel {
             return new Error(`Unable to set workflow model relation for field ${element.field}`);
         }
 
-        await this.publishWasModified(id);
+        await this.publishWasModified(id, [element.field]);
         return true;
     }
 
@@ -310,13 +393,24 @@ class WorkflowUpdatableModel extends WorkflowModel {
 
 
         if(this.allowsCreate) {
-            mutationStatements.push(`create${implementationName}: ${modelName}`);
+
+            // Child instances can be created as belonging to a parent instance, identified by the join field.
+
+            const parentJoinFields = _.uniq(this.parentInstanceRelations.map(relation => relation.joinField));
+            const createParameters = parentJoinFields.length ? `(${parentJoinFields.map(f => `${f}:ID`).join(', ')})` : "";
+            mutationStatements.push(`create${implementationName}${createParameters}: ${modelName}`);
         }
 
         if(this.allowsUpdate) {
             mutationStatements.push(`update${implementationName}(input:${modelInputTypeName}) : Boolean`);
         }
 
+        const bulkInputDefinition = this.allowsUpdate ? this.graphQLModelBulkInputDefinition() : null;
+        if(bulkInputDefinition) {
+            mutationStatements.push(`bulkUpdate${implementationName}(ids:[ID!]!, input:${modelName}BulkInput!) : [BulkActionResult]`);
+            typeStatements.push(bulkInputDefinition);
+        }
+
         if(stateFields && stateFields.length) {
             mutationStatements.push(`destroy${implementationName}(id:ID, state:${stateInputTypeName}) : Boolean`);
             typeStatements.push(this.graphQLStateInputDefinition());
@@ -369,6 +463,27 @@ class WorkflowUpdatableModel extends WorkflowModel {
     }
 
 
+    static graphQLModelBulkInputDefinition() {
+
+        // Bulk updates accept the same fields as a single update, along with singular identity relations (assigned using
+        // the identity id, e.g. reassigning the curator of several instances).
+
+        const model = this.modelDefinition;
+        const bulkInputTypeName = `${this.graphQLModelName}BulkInput`;
+
+        const typeListings = [
+            ...GraphQLHelper.gqlTypeListingForFields(model.fields, this.workflowDescription, GraphQLHelper.TypeListingRestriction.Input),
+            ...model.fields.filter(f => f.type === 'Identity' && f.array !== true && f.joinField && f.input !== false).map(f => `${f.field}: ID`)
+        ];
+
+        if(!typeListings.length) {
+            return null;
+        }
+
+        return `input ${bulkInputTypeName} {\n${typeListings.map(v => _Tab + v).join("\n")}\n}`;
+    }
+
+
     static graphQLStateInputDefinition() {
 
         const model = this.modelDefinition;
@@ -0,0 +1,17 @@
+CREATE TABLE "audit-entry" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "instance_id" uuid NOT NULL,
+    "instance_type" text NOT NULL,
+
+    "actor_id" uuid REFERENCES "identity",
+
+    "action" text NOT NULL,
+    "detail" text,
+
+    "changes" JSONB
+);
+
+CREATE INDEX audit_entry_instance_id_indx ON "audit-entry" (instance_id, created);
@@ -0,0 +1,4 @@
+ALTER TABLE "audit-entry" ADD COLUMN
+    instance_updated timestamptz;
+
+CREATE INDEX audit_entry_instance_updated_indx ON "audit-entry" (instance_id, instance_updated);
@@ -0,0 +1,19 @@
+CREATE TABLE "instance-snapshot" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "instance_id" uuid NOT NULL,
+    "instance_type" text NOT NULL,
+
+    "round" int NOT NULL,
+    "form" text,
+    "outcome" text,
+    "field_set" text NOT NULL,
+
+    "actor_id" uuid REFERENCES "identity",
+
+    "data" JSONB,
+
+    UNIQUE("instance_id", "round")
+);
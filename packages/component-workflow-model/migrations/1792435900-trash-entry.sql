@@ -0,0 +1,21 @@
+CREATE TABLE "trash-entry" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "instance_id" uuid NOT NULL,
+    "instance_type" text NOT NULL,
+
+    "actor_id" uuid REFERENCES "identity",
+    "reason" text,
+
+    "restore_task" text,
+    "restore_state" JSONB,
+
+    "expires" timestamptz NOT NULL,
+    "restored" timestamptz,
+    "purged" timestamptz
+);
+
+CREATE INDEX trash_entry_instance_id_indx ON "trash-entry" (instance_id, created);
+CREATE INDEX trash_entry_expires_indx ON "trash-entry" (expires) WHERE restored IS NULL AND purged IS NULL;
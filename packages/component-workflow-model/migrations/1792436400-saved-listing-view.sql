@@ -0,0 +1,19 @@
+CREATE TABLE "saved-listing-view" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "owner_id" uuid NOT NULL REFERENCES "identity",
+    "listing" text NOT NULL,
+    "name" text NOT NULL,
+
+    "filter" JSONB,
+    "sorting" JSONB,
+    "search_text" text,
+    "columns" JSONB,
+
+    "shared_group" text
+);
+
+CREATE INDEX saved_listing_view_owner_indx ON "saved-listing-view" (listing, owner_id);
+CREATE INDEX saved_listing_view_shared_indx ON "saved-listing-view" (listing, shared_group) WHERE shared_group IS NOT NULL;
@@ -0,0 +1,19 @@
+CREATE TABLE "comment" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "instance_id" uuid NOT NULL,
+    "instance_type" text NOT NULL,
+    "thread_id" uuid REFERENCES "comment",
+
+    "author_id" uuid NOT NULL REFERENCES "identity",
+    "audience" text NOT NULL,
+    "body" text NOT NULL,
+    "mention_ids" JSONB,
+
+    "edits" JSONB,
+    "edited" timestamptz
+);
+
+CREATE INDEX comment_instance_indx ON "comment" (instance_id, created);
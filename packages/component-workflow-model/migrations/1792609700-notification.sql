@@ -0,0 +1,18 @@
+CREATE TABLE "notification" (
+    "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    "created" timestamptz NOT NULL DEFAULT current_timestamp,
+    "updated" timestamptz NOT NULL DEFAULT current_timestamp,
+
+    "recipient_id" uuid NOT NULL REFERENCES "identity",
+    "instance_id" uuid,
+    "instance_type" text,
+
+    "kind" text NOT NULL,
+    "message" text NOT NULL,
+    "actor_id" uuid REFERENCES "identity",
+
+    "read" timestamptz
+);
+
+CREATE INDEX notification_recipient_indx ON "notification" (recipient_id, created);
+CREATE INDEX notification_unread_indx ON "notification" (recipient_id) WHERE read IS NULL;
@@ -8,6 +8,7 @@ function configureModelsAndGraphQLDescriptions() {
 
     return {
         models,
+        description: workflowDesc,
         ...r
     };
 }
@@ -1,4 +1,6 @@
 const { Identity } = require('../shared-model/identity');
+const jwt = require('jsonwebtoken');
+const config = require('config');
 
 
 function userIdentityIdForContext(context) {
@@ -24,5 +26,22 @@ async function resolveUserForContext(context) {
 }
 
 
+function verifyFileAccessToken(fileAccessToken) {
+
+    // File access tokens are stored as a cookie on login, allowing direct browser requests (e.g. file downloads and
+    // listing exports) to be authenticated.
+
+    return new Promise((resolve, reject) => {
+        jwt.verify(fileAccessToken, config.get('pubsweet-server.secret'), (err, decoded) => {
+            if (err) {
+                return reject(err);
+            }
+            return resolve(decoded);
+        });
+    });
+}
+
+
 exports.userIdentityIdForContext = userIdentityIdForContext;
-exports.resolveUserForContext = resolveUserForContext;
\ No newline at end of file
+exports.resolveUserForContext = resolveUserForContext;
+exports.verifyFileAccessToken = verifyFileAccessToken;
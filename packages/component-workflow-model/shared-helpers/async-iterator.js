@@ -0,0 +1,32 @@
+function mappedAsyncIterator(iterator, mapFn) {
+
+    // Wraps a pubsub async iterator so that each payload is transformed for the subscriber, payloads mapped to null
+    // are skipped.
+
+    return {
+        next: async () => {
+            for(;;) {
+                const result = await iterator.next();
+                if(result.done) {
+                    return result;
+                }
+                const value = await mapFn(result.value);
+                if(value !== null && value !== undefined) {
+                    return {value, done:false};
+                }
+            }
+        },
+        return: () => {
+            return iterator.return ? iterator.return() : Promise.resolve({value:undefined, done:true});
+        },
+        throw: (err) => {
+            return iterator.throw ? iterator.throw(err) : Promise.reject(err);
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+}
+
+
+exports.mappedAsyncIterator = mappedAsyncIterator;
@@ -0,0 +1,326 @@
+const { lookupInstanceByUrlMapping } = require('./../dsl-model/instance-registry');
+const { verifyFileAccessToken } = require('./access');
+
+const { AuthorizationError } = require('@pubsweet/errors');
+const ExcelJS = require('exceljs');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/listing-export]');
+
+
+// Listing Export
+// ---
+// Exports an instance listing as CSV or XLSX, taking the same filter, sorting and additional listing parameters (e.g.
+// searchText) as the GraphQL listing query. The listing is read in batches (using the listing cursors) and streamed out,
+// with read ACLs applied per instance and field. Enum values are exported using their display mapping (if defined) and
+// identities, files and JSON lists are flattened into readable values.
+
+const ExportFormats = ['csv', 'xlsx'];
+const ExportBatchSize = 200;
+const ReservedParameters = ['fields', 'filter', 'sorting', 'first', 'last', 'offset', 'after', 'before'];
+
+
+function listingExportHandler(app) {
+
+    app.get("/listings/export/:instance_type.:format", (request, response, next) => {
+
+        const fileAccessToken = request.cookies ? request.cookies["file_token"] : null;
+        if(!fileAccessToken) {
+            return response.status(401).send("Login required");
+        }
+
+        verifyFileAccessToken(fileAccessToken).then(async decodedToken => {
+
+            const { id:identityId, fileAccess } = decodedToken;
+            if(!identityId || fileAccess !== true) {
+                return response.status(401).send("Login required");
+            }
+
+            const format = (request.params.format || "").toLowerCase();
+            const InstanceModel = lookupInstanceByUrlMapping(request.params.instance_type);
+            if(!InstanceModel || ExportFormats.indexOf(format) === -1) {
+                return response.status(400).send("Invalid parameters");
+            }
+
+            let input;
+            let columns;
+            try {
+                input = _listingInputForRequest(InstanceModel, request.query);
+                columns = _exportColumns(InstanceModel, request.query.fields);
+            } catch(err) {
+                return response.status(400).send(err.message);
+            }
+
+            return _exportListing(InstanceModel, identityId, input, columns, format, response);
+
+        }).catch(err => {
+
+            if(response.headersSent) {
+                logger.error(`listing export failed during streaming due to: ${err.toString()}`);
+                return response.end();
+            }
+
+            if(err instanceof AuthorizationError) {
+                return response.status(403).send("Listing access not allowed");
+            }
+
+            if(err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+                return response.status(401).send("Login required");
+            }
+
+            return next(err);
+        });
+    });
+}
+
+
+async function _exportListing(InstanceModel, identityId, input, columns, format, response) {
+
+    const context = {user:identityId};
+    const requestedFields = {results:{}};
+    columns.forEach(c => requestedFields.results[c.field] = c.requestedFields);
+
+    // The first batch is fetched before any output is written, so that access errors are reported as such.
+
+    let result = await InstanceModel.listingQuery(Object.assign({}, input, {first:ExportBatchSize}), requestedFields, context);
+
+    const fileName = `${InstanceModel.listingAccessorName || InstanceModel.urlMapping}-${new Date().toISOString().substring(0, 10)}.${format}`;
+    const writer = (format === 'xlsx') ? _xlsxWriter(response, fileName, InstanceModel.implementationName) : _csvWriter(response, fileName);
+
+    await writer.writeRow(columns.map(c => c.header));
+
+    while(result) {
+
+        for(const row of (result.results || [])) {
+            await writer.writeRow(columns.map(c => _exportValue(InstanceModel, c.fieldDefinition, row[c.field])));
+        }
+
+        const { pageInfo } = result;
+        result = (pageInfo && pageInfo.hasNextPage && pageInfo.endCursor)
+            ? await InstanceModel.listingQuery(Object.assign({}, input, {first:ExportBatchSize, after:pageInfo.endCursor}), requestedFields, context)
+            : null;
+    }
+
+    return writer.end();
+}
+
+
+function _listingInputForRequest(InstanceModel, query) {
+
+    const input = {};
+
+    // Additional listing parameters (added by model extensions) are passed through as is.
+
+    Object.keys(query).forEach(key => {
+        if(ReservedParameters.indexOf(key) === -1) {
+            input[key] = query[key];
+        }
+    });
+
+    input.filter = query.filter ? _filterWithEnumValues(InstanceModel, _parseJsonParameter(query.filter, 'filter')) : null;
+    input.sorting = query.sorting ? _parseJsonParameter(query.sorting, 'sorting') : null;
+
+    return input;
+}
+
+
+function _parseJsonParameter(value, name) {
+
+    try {
+        return JSON.parse(value);
+    } catch(e) {
+        throw new Error(`Invalid ${name} parameter`);
+    }
+}
+
+
+function _filterWithEnumValues(InstanceModel, filter) {
+
+    // Filters supplied to the GraphQL listing use enum keys (mapped to their values by the enum resolvers), the same
+    // mapping needs to be applied here.
+
+    const { enums } = InstanceModel.workflowDescription;
+    const r = Object.assign({}, filter);
+
+    InstanceModel.modelDefinition.listingFilterFields().forEach(f => {
+
+        const enumDef = enums[f.type];
+        const v = r[f.field];
+        if(!enumDef || v === undefined || v === null) {
+            return;
+        }
+
+        const lookup = key => enumDef.lookup(key) || key;
+        r[f.field] = (v instanceof Array) ? v.map(lookup) : lookup(v);
+    });
+
+    return r;
+}
+
+
+function _exportColumns(InstanceModel, fieldsParameter) {
+
+    const modelFields = InstanceModel.modelDefinition.fields;
+    const fieldDefinitions = {};
+    modelFields.forEach(f => fieldDefinitions[f.field] = f);
+
+    const fields = fieldsParameter ? `${fieldsParameter}`.split(',').map(f => f.trim()).filter(f => f.length)
+        : ['id', ...modelFields.filter(f => f.type !== 'File').map(f => f.field)];
+
+    return fields.map(field => {
+
+        const fieldDefinition = fieldDefinitions[field] || null;
+        if(!fieldDefinition && field !== 'id') {
+            throw new Error(`Unknown field '${field}' requested`);
+        }
+
+        let requestedFields = {};
+        if(fieldDefinition && fieldDefinition.type === 'Identity') {
+            requestedFields = {id:{}, displayName:{}};
+        } else if(fieldDefinition && fieldDefinition.type === 'File') {
+            requestedFields = {id:{}, fileName:{}, fileDisplayName:{}};
+        }
+
+        return {
+            field,
+            fieldDefinition,
+            requestedFields,
+            header: _fieldHeader(field)
+        };
+    });
+}
+
+
+function _fieldHeader(field) {
+
+    const s = field.replace(/([a-z])([A-Z])/g, '$1 $2');
+    return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+
+function _exportValue(InstanceModel, fieldDefinition, value) {
+
+    if(value === null || value === undefined) {
+        return "";
+    }
+
+    const type = fieldDefinition ? fieldDefinition.type : null;
+    const { enums } = InstanceModel.workflowDescription;
+
+    if(type && enums[type]) {
+        const mapping = _displayMappingForEnum(InstanceModel.workflowDescription, type);
+        const display = v => (mapping && mapping.internalValueMapping[v]) || enums[type].inverse(v) || `${v}`;
+        return (value instanceof Array) ? value.map(display).join("; ") : display(value);
+    }
+
+    if(type === 'Identity') {
+        return value.displayName || value.id || "";
+    }
+
+    if(type === 'File') {
+        return (value instanceof Array ? value : [value]).filter(f => f.removed !== true).map(f => f.fileDisplayName || f.fileName).join("; ");
+    }
+
+    if(type === 'DateTime' || value instanceof Date) {
+        return new Date(value).toISOString();
+    }
+
+    if(typeof(value) === 'boolean') {
+        return value ? "Yes" : "No";
+    }
+
+    if(typeof(value) === 'object') {
+        return _flattenJsonValue(value);
+    }
+
+    return value;
+}
+
+
+function _flattenJsonValue(value) {
+
+    // Lists within JSON fields (e.g. authors, funding, keywords) are flattened into a list of names.
+
+    if(value instanceof Array) {
+        return value.map(item => {
+            if(item && typeof(item) === 'object') {
+                return item.name || (item.organization && item.organization.name) || item.title || JSON.stringify(item);
+            }
+            return `${item}`;
+        }).join("; ");
+    }
+
+    return JSON.stringify(value);
+}
+
+
+function _displayMappingForEnum(workflowDescription, enumName) {
+
+    const mappings = workflowDescription.mappings || {};
+    return Object.values(mappings).find(m => m.enum === enumName) || null;
+}
+
+
+function _csvWriter(response, fileName) {
+
+    response.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    // Byte order mark, so that spreadsheet applications detect the encoding correctly.
+    response.write('﻿');
+
+    return {
+        writeRow: values => _writeWithBackpressure(response, values.map(_csvEscape).join(',') + '\r\n'),
+        end: () => response.end()
+    };
+}
+
+
+function _csvEscape(value) {
+
+    let s = (value === null || value === undefined) ? "" : `${value}`;
+
+    // Values that spreadsheet applications would otherwise interpret as formulas are prefixed.
+    if(/^[=+\-@\t\r]/.test(s)) {
+        s = `'${s}`;
+    }
+
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+
+function _writeWithBackpressure(stream, data) {
+
+    if(stream.write(data)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => stream.once('drain', resolve));
+}
+
+
+function _xlsxWriter(response, fileName, sheetName) {
+
+    response.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({stream:response, useStyles:false, useSharedStrings:false});
+    const sheet = workbook.addWorksheet(sheetName);
+
+    return {
+        writeRow: values => {
+            sheet.addRow(values).commit();
+            return Promise.resolve();
+        },
+        end: () => {
+            sheet.commit();
+            return workbook.commit();
+        }
+    };
+}
+
+
+exports.serverSetup = function serverSetup(app) {
+    return listingExportHandler(app);
+};
@@ -0,0 +1,157 @@
+const { BaseModel } = require('component-model');
+const { Identity } = require('./identity');
+
+const { lookupInstance } = require('./../dsl-model/instance-registry');
+const { resolveUserForContext } = require('../shared-helpers/access');
+
+const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/audit]');
+
+
+// Audit Trail
+// ---
+// Every change made to a workflow instance (through update mutations, task completions, destroys, claims and system
+// task handlers) is recorded as an audit entry, containing the field level before/after values of the change along
+// with the identity that made the change (none for system tasks), the action and the mutation/outcome involved.
+
+const AuditActions = {
+    Update: "update",
+    CompleteTask: "complete-task",
+    Destroy: "destroy",
+    Restore: "restore",
+    Claim: "claim",
+    System: "system"
+};
+
+
+class AuditEntry extends BaseModel {
+
+    static get tableName() {
+        return 'audit-entry';
+    }
+
+    static get Actions() {
+        return AuditActions;
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                instanceId: { type:['string'], format:'uuid' },
+                instanceType: { type:['string'] },
+                instanceUpdated: { type:['string', 'object', 'null'], format:'date-time' },
+
+                actorId: { type:['string', 'null'], format:'uuid' },
+
+                action: { type:['string'] },
+                detail: { type:['string', 'null'] },
+
+                changes: { type:['array', 'null'] }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            actor: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.actorId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+
+    static async record(instance, instanceType, actor, action, detail, changes, trx = null) {
+
+        const entry = new AuditEntry({
+            instanceId: instance.id,
+            instanceType,
+            instanceUpdated: instance.updated || null,
+            actorId: actor ? actor.id : null,
+            action,
+            detail: detail || null,
+            changes
+        });
+
+        return trx ? AuditEntry.query(trx).insert(entry) : entry.save();
+    }
+
+    static async entriesSince(instanceId, since, trx = null) {
+
+        // Entries recorded against changes made after the instance was last updated at the supplied timestamp.
+
+        return AuditEntry.query(trx).where('instanceId', instanceId).where('instanceUpdated', '>', new Date(since).toISOString()).orderBy('created', 'asc');
+    }
+}
+
+
+async function getAuditTrail(instanceId, context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+
+    const entries = await AuditEntry.query().where('instanceId', instanceId).orderBy('created', 'asc').eager('actor');
+    if(!entries.length) {
+        return [];
+    }
+
+    const InstanceModel = lookupInstance(entries[0].instanceType);
+    if(!InstanceModel) {
+        throw new NotFoundError('Unknown instance type for audit trail.');
+    }
+
+    const object = await InstanceModel.find(instanceId);
+
+
+    // The audit trail is restricted to users with access to the instance, with changes filtered down to only those
+    // fields the user can currently read. Field updates where every change is hidden are omitted completely.
+
+    const allowedFields = object.readableFieldsForUser(user);
+
+    return entries.map(entry => {
+
+        const changes = entry.changes || [];
+        const allowedChanges = allowedFields ? changes.filter(c => allowedFields.hasOwnProperty(c.field)) : changes;
+
+        if(changes.length && !allowedChanges.length && entry.action !== AuditActions.CompleteTask && entry.action !== AuditActions.Destroy && entry.action !== AuditActions.Restore) {
+            return null;
+        }
+
+        return {
+            id: entry.id,
+            created: entry.created,
+            instanceId: entry.instanceId,
+            instanceType: entry.instanceType,
+            actor: entry.actor ? {id:entry.actor.id, displayName:entry.actor.displayName} : null,
+            action: entry.action,
+            detail: entry.detail,
+            changes: allowedChanges
+        };
+
+    }).filter(entry => !!entry);
+}
+
+
+exports.resolvers = {
+
+    Query: {
+        auditTrail: async (ctxt, { instanceId }, context, info) => {
+            return getAuditTrail(instanceId, context).catch(err => {
+                logger.error(`unable to fetch audit trail (instanceId = ${instanceId}) due to: ${err.toString()}`);
+                throw err;
+            });
+        }
+    }
+};
+
+
+exports.model = exports.AuditEntry = AuditEntry;
+exports.AuditActions = AuditActions;
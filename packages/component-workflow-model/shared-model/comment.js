@@ -0,0 +1,409 @@
+const { BaseModel } = require('component-model');
+const { pubsubManager } = require("pubsweet-server");
+const { Identity } = require('./identity');
+const { Notification, NotificationKind } = require('./notification');
+
+const { lookupInstance } = require('./../dsl-model/instance-registry');
+const { resolveUserForContext } = require('../shared-helpers/access');
+const { mappedAsyncIterator } = require('../shared-helpers/async-iterator');
+
+const AclRule = require('client-workflow-model/AclRule');
+const AclActions = AclRule.Actions;
+
+const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const { UserInputError } = require('apollo-server-express');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/comment]');
+
+
+// Comments
+// ---
+// Threaded comments attached to an instance. Each thread has an audience, internal threads are only visible to
+// administrators (curators) while shared threads are visible to anyone with access to the instance (e.g. the submitter).
+// Replies always take the audience of the thread they belong to. Comments can only be edited by their author, with
+// previous revisions of the body retained, and can mention administrators (who are notified of the comment).
+
+const CommentAudience = {
+    Internal: "internal",
+    Shared: "shared"
+};
+
+const CommentChangedTopic = 'comment.changed';
+
+
+class Comment extends BaseModel {
+
+    static get tableName() {
+        return 'comment';
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                instanceId: { type:['string'], format:'uuid' },
+                instanceType: { type:['string'] },
+                threadId: { type:['string', 'null'], format:'uuid' },
+
+                authorId: { type:['string'], format:'uuid' },
+                audience: { type:['string'] },
+                body: { type:['string'] },
+                mentionIds: { type:['array', 'null'] },
+
+                edits: { type:['array', 'null'] },
+                edited: { type:['string', 'object', 'null'], format:'date-time' }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            author: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.authorId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+
+    get isInternal() {
+        return this.audience !== CommentAudience.Shared;
+    }
+
+    isVisibleToUser(user) {
+        return !this.isInternal || user.isAdmin;
+    }
+
+
+    async publishCommentChanged(kind) {
+
+        const pubSub = await pubsubManager.getPubsub();
+        if(pubSub) {
+            pubSub.publish(CommentChangedTopic, {
+                kind,
+                commentId: this.id,
+                instanceId: this.instanceId,
+                instanceType: this.instanceType,
+                threadId: this.threadId,
+                audience: this.audience,
+                authorId: this.authorId,
+                mentionIds: this.mentionIds || []
+            });
+        }
+    }
+
+    static async asyncIteratorCommentChanged() {
+
+        const pubSub = await pubsubManager.getPubsub();
+        return pubSub.asyncIterator(CommentChangedTopic);
+    }
+}
+
+
+async function _requireUser(context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+    return user;
+}
+
+
+async function _instanceForUser(user, instanceType, instanceId) {
+
+    // Comments are only available to identities with access to the instance they are attached to.
+
+    const InstanceModel = lookupInstance(instanceType);
+    if(!InstanceModel) {
+        throw new NotFoundError('Unknown instance type for comments.');
+    }
+
+    const object = await InstanceModel.find(instanceId);
+
+    const { access } = object.checkUserAccess(user, AclActions.Access);
+    if(!access) {
+        throw new AuthorizationError('You do not have access to this object.');
+    }
+
+    return object;
+}
+
+
+async function _validatedMentionIds(mentions) {
+
+    const ids = Array.from(new Set(mentions || []));
+    if(!ids.length) {
+        return [];
+    }
+
+    const identities = await Identity.query().findByIds(ids);
+    if(identities.length !== ids.length || identities.find(identity => !identity.isAdmin)) {
+        throw new UserInputError('Only administrators can be mentioned within comments.');
+    }
+
+    return ids;
+}
+
+
+async function _commentsToOutput(comments) {
+
+    const mentionIds = new Set();
+    comments.forEach(comment => (comment.mentionIds || []).forEach(id => mentionIds.add(id)));
+
+    const mentioned = {};
+    if(mentionIds.size) {
+        const identities = await Identity.query().findByIds(Array.from(mentionIds));
+        identities.forEach(identity => mentioned[identity.id] = {id:identity.id, displayName:identity.displayName});
+    }
+
+    return comments.map(comment => {
+        return {
+            id: comment.id,
+            created: comment.created,
+            instanceId: comment.instanceId,
+            threadId: comment.threadId,
+            audience: comment.audience,
+            author: comment.author ? {id:comment.author.id, displayName:comment.author.displayName} : null,
+            body: comment.body,
+            mentions: (comment.mentionIds || []).map(id => mentioned[id]).filter(m => !!m),
+            edited: comment.edited,
+            edits: comment.edits || []
+        };
+    });
+}
+
+
+async function _notifyCommentCreated(comment, object, user) {
+
+    // Mentioned administrators are notified of the mention, other participants in the thread (and for shared threads
+    // the owner of the instance) are notified of the new comment.
+
+    const label = _instanceLabel(object);
+    const mentionIds = comment.mentionIds || [];
+
+    const participants = await Comment.query().where(builder => {
+        builder.where('id', comment.threadId || comment.id).orWhere('threadId', comment.threadId || comment.id);
+    }).select('authorId');
+
+    const recipientIds = participants.map(p => p.authorId);
+    if(!comment.isInternal) {
+        recipientIds.push(..._ownerIdsForInstance(object));
+    }
+
+    const mentionMessage = `${user.displayName} mentioned you in a comment on ${label}.`;
+    await Notification.notify(mentionIds, {instance:object, kind:NotificationKind.Mention, actor:user, message:mentionMessage});
+
+    const commentMessage = `${user.displayName} commented on ${label}.`;
+    await Notification.notify(recipientIds.filter(id => mentionIds.indexOf(id) === -1), {instance:object, kind:NotificationKind.Comment, actor:user, message:commentMessage});
+}
+
+
+function _instanceLabel(object) {
+
+    // Instances are labelled by their type and any sequence assigned identifier (e.g. "Submission S000012").
+
+    const Model = object.constructor;
+    const idField = Model.modelDefinition.idSequenceFields().find(f => !!object[f.field]);
+
+    return idField ? `${Model.implementationName} ${object[idField.field]}` : Model.implementationName;
+}
+
+
+function _ownerIdsForInstance(object) {
+
+    return object.constructor.modelDefinition.ownerFields().map(f => object[f.joinField]).filter(id => !!id);
+}
+
+
+async function getComments(instanceId, context) {
+
+    const user = await _requireUser(context);
+
+    const comments = await Comment.query().where('instanceId', instanceId).eager('author').orderBy('created');
+    if(!comments.length) {
+        return [];
+    }
+
+    await _instanceForUser(user, comments[0].instanceType, instanceId);
+
+    return _commentsToOutput(comments.filter(comment => comment.isVisibleToUser(user)));
+}
+
+
+async function getCommentMentionables(instanceId, instanceType, context) {
+
+    const user = await _requireUser(context);
+    await _instanceForUser(user, instanceType, instanceId);
+
+    const admins = await Identity.findAdministrators();
+    return admins.map(identity => ({id:identity.id, displayName:identity.displayName}));
+}
+
+
+async function createComment(input, context) {
+
+    const user = await _requireUser(context);
+    const body = (input.body || "").trim();
+
+    if(!body.length) {
+        throw new UserInputError('A comment requires a body.');
+    }
+
+    const object = await _instanceForUser(user, input.instanceType, input.instanceId);
+
+    let threadId = null;
+    let audience = input.audience || CommentAudience.Internal;
+
+    if(input.threadId) {
+
+        // Replies are attached to the root comment of the thread and share its audience.
+
+        const root = await Comment.query().findById(input.threadId);
+        if(!root || root.instanceId !== input.instanceId || root.threadId) {
+            throw new NotFoundError('Comment thread not found.');
+        }
+
+        threadId = root.id;
+        audience = root.audience;
+    }
+
+    if(audience !== CommentAudience.Shared && !user.isAdmin) {
+        throw new AuthorizationError('Only administrators can comment within internal threads.');
+    }
+
+    const comment = await new Comment({
+        instanceId: input.instanceId,
+        instanceType: input.instanceType,
+        threadId,
+        authorId: user.id,
+        audience,
+        body,
+        mentionIds: await _validatedMentionIds(input.mentions),
+        edits: []
+    }).save();
+
+    comment.author = user;
+    await comment.publishCommentChanged('created');
+
+    await _notifyCommentCreated(comment, object, user).catch(err => {
+        logger.error(`unable to create notifications for comment (commentId = ${comment.id}) due to: ${err.toString()}`);
+    });
+
+    return (await _commentsToOutput([comment]))[0];
+}
+
+
+async function editComment(id, body, context) {
+
+    const user = await _requireUser(context);
+    const comment = await Comment.query().findById(id);
+
+    if(!comment) {
+        throw new NotFoundError('Comment not found.');
+    }
+
+    if(comment.authorId !== user.id) {
+        throw new AuthorizationError('Only the author of a comment can edit it.');
+    }
+
+    body = (body || "").trim();
+    if(!body.length) {
+        throw new UserInputError('A comment requires a body.');
+    }
+
+    await _instanceForUser(user, comment.instanceType, comment.instanceId);
+
+    if(body !== comment.body) {
+
+        // The replaced body is kept within the edit history, alongside when it was written.
+
+        comment.edits = (comment.edits || []).concat([{body:comment.body, edited:comment.edited || comment.created}]);
+        comment.body = body;
+        comment.edited = new Date().toISOString();
+
+        await comment.patchFields(['body', 'edits', 'edited']);
+        await comment.publishCommentChanged('edited');
+    }
+
+    comment.author = user;
+    return (await _commentsToOutput([comment]))[0];
+}
+
+
+async function commentEventForContext(event, context, instanceId) {
+
+    if(!event || event.instanceId !== instanceId) {
+        return null;
+    }
+
+    try {
+
+        const user = await resolveUserForContext(context);
+        if(!user) {
+            return null;
+        }
+
+        const comment = await Comment.query().findById(event.commentId).eager('author');
+        if(!comment || !comment.isVisibleToUser(user)) {
+            return null;
+        }
+
+        await _instanceForUser(user, comment.instanceType, comment.instanceId);
+        return (await _commentsToOutput([comment]))[0];
+
+    } catch(err) {
+
+        if(!(err instanceof AuthorizationError) && !(err instanceof NotFoundError)) {
+            logger.error(`unable to resolve comment event (commentId = ${event.commentId}) due to: ${err.toString()}`);
+        }
+        return null;
+    }
+}
+
+
+exports.resolvers = {
+
+    CommentAudience,
+
+    Query: {
+        comments: async (ctxt, { instanceId }, context, info) => {
+            return getComments(instanceId, context).catch(err => {
+                logger.error(`unable to fetch comments (instanceId = ${instanceId}) due to: ${err.toString()}`);
+                throw err;
+            });
+        },
+
+        commentMentionables: async (ctxt, { instanceId, instanceType }, context, info) => {
+            return getCommentMentionables(instanceId, instanceType, context);
+        }
+    },
+
+    Mutation: {
+        createComment: async (ctxt, { input }, context, info) => {
+            return createComment(input, context);
+        },
+
+        editComment: async (ctxt, { id, body }, context, info) => {
+            return editComment(id, body, context);
+        }
+    },
+
+    Subscription: {
+        commentChanged: {
+            subscribe: async (_, { instanceId }, context) => {
+                return mappedAsyncIterator(await Comment.asyncIteratorCommentChanged(), event => commentEventForContext(event, context, instanceId));
+            },
+            resolve: (comment) => comment
+        }
+    }
+};
+
+
+exports.CommentAudience = CommentAudience;
+exports.CommentChangedTopic = CommentChangedTopic;
+exports.model = exports.Comment = Comment;
@@ -5,10 +5,9 @@ const AclRule = require('client-workflow-model/AclRule');
 const AclActions = AclRule.Actions;
 
 const { lookupInstanceByUrlMapping, lookupInstance } = require('./../dsl-model/instance-registry');
-const { resolveUserForContext, userIdentityIdForContext } = require('../shared-helpers/access');
+const { resolveUserForContext, userIdentityIdForContext, verifyFileAccessToken } = require('../shared-helpers/access');
 
 const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
-const jwt = require('jsonwebtoken');
 const AWS = require('aws-sdk');
 const uuid = require('uuid/v5');
 const _ = require('lodash');
@@ -295,19 +294,6 @@ function _forwardS3Object(s3Object, response, next) {
 }
 
 
-function _verifyFileToken(fileAccessToken) {
-
-    return new Promise((resolve, reject) => {
-        jwt.verify(fileAccessToken, config.get('pubsweet-server.secret'), (err, decoded) => {
-            if (err) {
-                return reject(err);
-            }
-            return resolve(decoded);
-        });
-    });
-}
-
-
 function clientDownloadFileHandler(app) {
 
     app.get("/files/download/:owner_type/:owner_id/:file_id/:name", (request, response, next) => {
@@ -317,7 +303,7 @@ function clientDownloadFileHandler(app) {
             return response.status(200).send("Redirect for login");
         }
 
-        _verifyFileToken(fileAccessToken).then(async decodedToken => {
+        verifyFileAccessToken(fileAccessToken).then(async decodedToken => {
 
             const { id:identityId, fileAccess } = decodedToken;
             if(!identityId || fileAccess !== true) {
@@ -62,6 +62,22 @@ class Identity extends BaseModel {
     get isAdmin() {
         return this.finalisedAccessGroups.indexOf("administrator") !== -1;
     }
+
+    static whereInGroup(builder, group) {
+
+        // Administrators may also be defined by their ORCID identity within the configuration (rather than groups).
+
+        builder.whereRaw('groups @> ?::jsonb', [JSON.stringify([group])]);
+        if(group === "administrator" && AdminORCIDIdentities && AdminORCIDIdentities.length) {
+            builder.orWhereIn('identityId', AdminORCIDIdentities);
+        }
+    }
+
+    static async findAdministrators() {
+
+        const identities = await Identity.query().where(builder => Identity.whereInGroup(builder, "administrator")).orderBy('displayName');
+        return identities.filter(identity => identity.isAdmin);
+    }
 }
 
 async function asyncIteratorWasModified(user) {
@@ -101,8 +117,8 @@ async function getIdentities(input, context, info) {
 
     query = query.select(topLevelFields).select(knex.raw('count(*) OVER() AS internal_full_count')).limit(limit).offset(offset);
 
-    if(filter) {
-        // correctly apply filtering !!!
+    if(filter && filter.group) {
+        query = query.where(builder => Identity.whereInGroup(builder, filter.group));
     }
 
     query = query.skipUndefined();
@@ -1,5 +1,12 @@
 const ModelFile = require('./file');
 const ModelIdentity = require('./identity');
+const ModelAudit = require('./audit');
+const ModelSnapshot = require('./snapshot');
+const ModelTrash = require('./trash');
+const ModelSavedView = require('./saved-view');
+const ModelComment = require('./comment');
+const ModelNotification = require('./notification');
+const ListingExport = require('./../shared-helpers/listing-export');
 
 const fs = require('fs');
 const path = require('path');
@@ -11,18 +18,32 @@ module.exports = function loaderSupport() {
 
     return {
         serverSetups: [
-            ModelFile.serverSetup
+            ModelFile.serverSetup,
+            ModelTrash.serverSetup,
+            ListingExport.serverSetup
         ],
 
         resolvers: [
             ModelFile.resolvers,
-            ModelIdentity.resolvers
+            ModelIdentity.resolvers,
+            ModelAudit.resolvers,
+            ModelSnapshot.resolvers,
+            ModelTrash.resolvers,
+            ModelSavedView.resolvers,
+            ModelComment.resolvers,
+            ModelNotification.resolvers
         ],
 
         models: {
             File: ModelFile.model,
             ExtendedFile: ModelFile.model,
-            Identity: ModelIdentity.model
+            Identity: ModelIdentity.model,
+            AuditEntry: ModelAudit.model,
+            InstanceSnapshot: ModelSnapshot.model,
+            TrashEntry: ModelTrash.model,
+            SavedListingView: ModelSavedView.model,
+            Comment: ModelComment.model,
+            Notification: ModelNotification.model
         },
 
         typeDefs
@@ -0,0 +1,209 @@
+const { BaseModel } = require('component-model');
+const { pubsubManager } = require("pubsweet-server");
+const { Identity } = require('./identity');
+
+const { resolveUserForContext } = require('../shared-helpers/access');
+
+const { AuthorizationError } = require('@pubsweet/errors');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/notification]');
+
+
+// Notifications
+// ---
+// In-app notifications held per identity, each relating to an instance (e.g. a phase change of a submission, a task
+// requiring their attention, a curator claim or a comment). Notifications are created by the server (see notify) and
+// are delivered live to the recipient, remaining unread until marked as read by them.
+
+const NotificationKind = {
+    Phase: "phase",
+    Task: "task",
+    Claim: "claim",
+    Comment: "comment",
+    Mention: "mention"
+};
+
+const DefaultPageSize = 20;
+
+
+class Notification extends BaseModel {
+
+    static get tableName() {
+        return 'notification';
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                recipientId: { type:['string'], format:'uuid' },
+                instanceId: { type:['string', 'null'], format:'uuid' },
+                instanceType: { type:['string', 'null'] },
+
+                kind: { type:['string'] },
+                message: { type:['string'] },
+                actorId: { type:['string', 'null'], format:'uuid' },
+
+                read: { type:['string', 'object', 'null'], format:'date-time' }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            actor: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.actorId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+
+    static async notify(recipientIds, {instance = null, instanceId = null, instanceType = null, kind, message, actor = null}) {
+
+        // The identity causing the notification (if any) is never notified of their own actions.
+
+        const recipients = Array.from(new Set((recipientIds || []).filter(id => !!id && (!actor || id !== actor.id))));
+        if(!recipients.length) {
+            return [];
+        }
+
+        const notifications = [];
+
+        for(const recipientId of recipients) {
+
+            const notification = await new Notification({
+                recipientId,
+                instanceId: instance ? instance.id : instanceId,
+                instanceType: instance ? instance.constructor.implementationName : instanceType,
+                kind,
+                message,
+                actorId: actor ? actor.id : null,
+                read: null
+            }).save();
+
+            notification.actor = actor;
+            notifications.push(notification);
+        }
+
+        const pubSub = await pubsubManager.getPubsub();
+        if(pubSub) {
+            notifications.forEach(notification => {
+                pubSub.publish(`notification.created.${notification.recipientId}`, _notificationToOutput(notification));
+            });
+        }
+
+        logger.debug(`created notifications (kind = ${kind}, recipients = ${recipients.length})`);
+        return notifications;
+    }
+
+
+    static async asyncIteratorNotificationReceived(user) {
+
+        if(!user) {
+            return null;
+        }
+
+        const pubSub = await pubsubManager.getPubsub();
+        return pubSub.asyncIterator(`notification.created.${user}`);
+    }
+}
+
+
+async function _requireUser(context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+    return user;
+}
+
+
+function _notificationToOutput(notification) {
+
+    return {
+        id: notification.id,
+        created: notification.created,
+        instanceId: notification.instanceId,
+        instanceType: notification.instanceType,
+        kind: notification.kind,
+        message: notification.message,
+        actor: notification.actor ? {id:notification.actor.id, displayName:notification.actor.displayName} : null,
+        read: notification.read
+    };
+}
+
+
+async function getNotifications(unreadOnly, first, context) {
+
+    const user = await _requireUser(context);
+
+    const unreadQuery = () => Notification.query().where('recipientId', user.id).whereNull('read');
+
+    let query = (unreadOnly ? unreadQuery() : Notification.query().where('recipientId', user.id));
+    query = query.eager('actor').orderBy('created', 'desc').limit(first || DefaultPageSize);
+
+    const [notifications, unreadCount] = await Promise.all([
+        query,
+        unreadQuery().resultSize()
+    ]);
+
+    return {
+        results: notifications.map(_notificationToOutput),
+        unreadCount
+    };
+}
+
+
+async function markNotificationsRead(ids, context) {
+
+    const user = await _requireUser(context);
+
+    let query = Notification.query().patch({read:new Date().toISOString()}).where('recipientId', user.id).whereNull('read');
+    if(ids) {
+        query = query.whereIn('id', ids);
+    }
+
+    return query;
+}
+
+
+exports.resolvers = {
+
+    NotificationKind,
+
+    Query: {
+        notifications: async (ctxt, { unreadOnly = false, first }, context, info) => {
+            return getNotifications(unreadOnly, first, context).catch(err => {
+                logger.error(`unable to fetch notifications due to: ${err.toString()}`);
+                throw err;
+            });
+        }
+    },
+
+    Mutation: {
+        markNotificationsRead: async (ctxt, { ids }, context, info) => {
+            return markNotificationsRead(ids, context);
+        },
+
+        markAllNotificationsRead: async (ctxt, input, context, info) => {
+            return markNotificationsRead(null, context);
+        }
+    },
+
+    Subscription: {
+        notificationReceived: {
+            subscribe: async (_, input, context) => Notification.asyncIteratorNotificationReceived(context.user),
+            resolve: (notification) => notification
+        }
+    }
+};
+
+
+exports.NotificationKind = NotificationKind;
+exports.model = exports.Notification = Notification;
@@ -0,0 +1,200 @@
+const { BaseModel } = require('component-model');
+const { Identity } = require('./identity');
+
+const { resolveUserForContext } = require('../shared-helpers/access');
+
+const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const { UserInputError } = require('apollo-server-express');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/saved-view]');
+
+
+// Saved Listing Views
+// ---
+// Named listing configurations (filter, sorting, search text and visible columns) saved by an identity against a
+// specific listing (e.g. the active submissions dashboard). Views are private to the owner unless shared with one of the
+// groups the owner belongs to (e.g. all administrators).
+
+class SavedListingView extends BaseModel {
+
+    static get tableName() {
+        return 'saved-listing-view';
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                ownerId: { type:['string'], format:'uuid' },
+                listing: { type:['string'] },
+                name: { type:['string'] },
+
+                filter: { type:['object', 'null'] },
+                sorting: { type:['object', 'null'] },
+                searchText: { type:['string', 'null'] },
+                columns: { type:['array', 'null'] },
+
+                sharedGroup: { type:['string', 'null'] }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            owner: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.ownerId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+
+    static async viewsForUser(user, listing) {
+
+        const groups = user.finalisedAccessGroups;
+
+        return SavedListingView.query().where('listing', listing).where(builder => {
+            builder.where('ownerId', user.id);
+            if(groups.length) {
+                builder.orWhereIn('sharedGroup', groups);
+            }
+        }).eager('owner').orderBy('name');
+    }
+
+    static async findOwnedView(user, id) {
+
+        const view = await SavedListingView.query().findById(id);
+        if(!view) {
+            throw new NotFoundError('Saved listing view not found.');
+        }
+
+        if(view.ownerId !== user.id) {
+            throw new AuthorizationError('Only the owner of a saved listing view can modify it.');
+        }
+
+        return view;
+    }
+}
+
+
+async function _requireUser(context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+    return user;
+}
+
+
+function _viewToOutput(view, user) {
+
+    return {
+        id: view.id,
+        created: view.created,
+        updated: view.updated,
+        listing: view.listing,
+        name: view.name,
+        filter: view.filter,
+        sorting: view.sorting,
+        searchText: view.searchText,
+        columns: view.columns,
+        sharedGroup: view.sharedGroup,
+        owner: view.owner ? {id:view.owner.id, displayName:view.owner.displayName} : null,
+        isOwner: view.ownerId === user.id
+    };
+}
+
+
+async function getSavedListingViews(listing, context) {
+
+    const user = await _requireUser(context);
+    const views = await SavedListingView.viewsForUser(user, listing);
+    return views.map(view => _viewToOutput(view, user));
+}
+
+
+async function createSavedListingView(input, context) {
+
+    const user = await _requireUser(context);
+
+    const name = (input.name || "").trim();
+    if(!input.listing || !name.length) {
+        throw new UserInputError('A saved listing view requires a listing and name.');
+    }
+
+    const view = await new SavedListingView({
+        ownerId: user.id,
+        listing: input.listing,
+        name: name,
+        filter: input.filter || null,
+        sorting: input.sorting || null,
+        searchText: input.searchText || null,
+        columns: input.columns || null,
+        sharedGroup: null
+    }).save();
+
+    view.owner = user;
+    return _viewToOutput(view, user);
+}
+
+
+async function shareSavedListingView(id, group, context) {
+
+    const user = await _requireUser(context);
+    const view = await SavedListingView.findOwnedView(user, id);
+
+    // Views can only be shared with a group the owner is themselves a member of.
+
+    if(group && user.finalisedAccessGroups.indexOf(group) === -1) {
+        throw new AuthorizationError('Saved listing views can only be shared with groups you belong to.');
+    }
+
+    view.sharedGroup = group || null;
+    await view.patchFields(['sharedGroup']);
+    return true;
+}
+
+
+async function deleteSavedListingView(id, context) {
+
+    const user = await _requireUser(context);
+    const view = await SavedListingView.findOwnedView(user, id);
+
+    await SavedListingView.query().deleteById(view.id);
+    return true;
+}
+
+
+exports.resolvers = {
+
+    Query: {
+        savedListingViews: async (ctxt, { listing }, context, info) => {
+            return getSavedListingViews(listing, context).catch(err => {
+                logger.error(`unable to fetch saved listing views (listing = ${listing}) due to: ${err.toString()}`);
+                throw err;
+            });
+        }
+    },
+
+    Mutation: {
+        createSavedListingView: async (ctxt, { input }, context, info) => {
+            return createSavedListingView(input, context);
+        },
+
+        shareSavedListingView: async (ctxt, { id, group }, context, info) => {
+            return shareSavedListingView(id, group, context);
+        },
+
+        deleteSavedListingView: async (ctxt, { id }, context, info) => {
+            return deleteSavedListingView(id, context);
+        }
+    }
+};
+
+
+exports.model = exports.SavedListingView = SavedListingView;
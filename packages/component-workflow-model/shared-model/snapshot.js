@@ -0,0 +1,189 @@
+const { BaseModel, UniqueViolationError } = require('component-model');
+const { Identity } = require('./identity');
+
+const { lookupInstance } = require('./../dsl-model/instance-registry');
+const { resolveUserForContext } = require('../shared-helpers/access');
+
+const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/snapshot]');
+
+
+// Instance Snapshots
+// ---
+// Form outcomes can specify an ACL field set to be snapshotted when the outcome completes a task (e.g. each time a
+// submission is submitted or re-submitted after revisions). Each snapshot freezes the values of the fields within the
+// field set (including the files linked to file set fields) as a numbered round, allowing rounds to be compared.
+
+const SnapshotFileFields = ['id', 'fileName', 'fileDisplayName', 'fileMimeType', 'fileByteSize', 'label', 'type'];
+const MaxRoundAttempts = 5;
+
+
+class InstanceSnapshot extends BaseModel {
+
+    static get tableName() {
+        return 'instance-snapshot';
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                instanceId: { type:['string'], format:'uuid' },
+                instanceType: { type:['string'] },
+
+                round: { type:['integer'] },
+                form: { type:['string', 'null'] },
+                outcome: { type:['string', 'null'] },
+                fieldSet: { type:['string'] },
+
+                actorId: { type:['string', 'null'], format:'uuid' },
+
+                data: { type:['object', 'null'] }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            actor: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.actorId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+
+    static async record(instance, actor, fieldSetName, form, outcome) {
+
+        const Model = instance.constructor;
+        const fieldSet = Model.aclSet ? Model.aclSet.fieldSets[fieldSetName] : null;
+        if(!fieldSet) {
+            throw new Error(`Unable to snapshot instance, field set '${fieldSetName}' is not defined.`);
+        }
+
+        const relationFields = {};
+        (Model.relationFields || []).forEach(f => relationFields[f.field] = f);
+
+        const data = {};
+
+        await Promise.all(fieldSet.values.map(async field => {
+
+            const relation = relationFields[field];
+
+            if(!relation) {
+                data[field] = (instance[field] !== undefined) ? instance[field] : null;
+            } else if(relation.array === true && relation.type === "File") {
+                const files = await instance.$relatedQuery(field);
+                data[field] = files.filter(f => f.removed !== true).sort((a, b) => (a.order || 0) - (b.order || 0)).map(_snapshotFile);
+            } else if(relation.array !== true && relation.joinField) {
+                data[field] = instance[relation.joinField] ? {id:instance[relation.joinField]} : null;
+            }
+        }));
+
+        // Concurrent snapshots of the same instance can determine the same next round, the unique constraint on
+        // (instance, round) only lets one of them be inserted and the others are retried against the new latest round.
+
+        for(let attempt = 1; ; attempt++) {
+
+            const previous = await InstanceSnapshot.query().where('instanceId', instance.id).max('round as round').first();
+
+            const snapshot = new InstanceSnapshot({
+                instanceId: instance.id,
+                instanceType: Model.implementationName,
+                round: ((previous && previous.round) || 0) + 1,
+                form: form || null,
+                outcome: outcome || null,
+                fieldSet: fieldSetName,
+                actorId: actor ? actor.id : null,
+                data: JSON.parse(JSON.stringify(data))
+            });
+
+            try {
+                return await InstanceSnapshot.query().insert(snapshot);
+            } catch(err) {
+                if(!(err instanceof UniqueViolationError) || attempt >= MaxRoundAttempts) {
+                    throw err;
+                }
+                logger.debug(`snapshot round ${snapshot.round} already recorded for instance (instanceId = ${instance.id}), retrying`);
+            }
+        }
+    }
+}
+
+
+async function getInstanceSnapshots(instanceId, context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+
+    const snapshots = await InstanceSnapshot.query().where('instanceId', instanceId).orderBy('round', 'asc').eager('actor');
+    if(!snapshots.length) {
+        return [];
+    }
+
+    const InstanceModel = lookupInstance(snapshots[0].instanceType);
+    if(!InstanceModel) {
+        throw new NotFoundError('Unknown instance type for snapshots.');
+    }
+
+    const object = await InstanceModel.find(instanceId);
+
+    // Snapshot data is restricted to those fields the user is currently able to read on the instance.
+
+    const allowedFields = object.readableFieldsForUser(user);
+
+    return snapshots.map(snapshot => {
+
+        const data = {};
+        Object.keys(snapshot.data || {}).forEach(field => {
+            if(!allowedFields || allowedFields.hasOwnProperty(field)) {
+                data[field] = snapshot.data[field];
+            }
+        });
+
+        return {
+            id: snapshot.id,
+            created: snapshot.created,
+            round: snapshot.round,
+            form: snapshot.form,
+            outcome: snapshot.outcome,
+            actor: snapshot.actor ? {id:snapshot.actor.id, displayName:snapshot.actor.displayName} : null,
+            data
+        };
+    });
+}
+
+
+function _snapshotFile(file) {
+
+    const r = {};
+    SnapshotFileFields.forEach(f => {
+        if(file[f] !== undefined) {
+            r[f] = file[f];
+        }
+    });
+    return r;
+}
+
+
+exports.resolvers = {
+
+    Query: {
+        instanceSnapshots: async (ctxt, { instanceId }, context, info) => {
+            return getInstanceSnapshots(instanceId, context).catch(err => {
+                logger.error(`unable to fetch instance snapshots (instanceId = ${instanceId}) due to: ${err.toString()}`);
+                throw err;
+            });
+        }
+    }
+};
+
+
+exports.model = exports.InstanceSnapshot = InstanceSnapshot;
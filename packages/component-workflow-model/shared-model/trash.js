@@ -0,0 +1,283 @@
+const { BaseModel } = require('component-model');
+const { transaction } = require('objection');
+const { Identity } = require('./identity');
+const { AuditEntry } = require('./audit');
+const { InstanceSnapshot } = require('./snapshot');
+const { Comment } = require('./comment');
+const { Notification } = require('./notification');
+
+const { lookupInstance } = require('./../dsl-model/instance-registry');
+const { resolveUserForContext } = require('../shared-helpers/access');
+
+const AclRule = require('client-workflow-model/AclRule');
+const AclActions = AclRule.Actions;
+
+const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
+const logger = require('workflow-utils/logger-with-prefix')('[workflow-model/trash]');
+const config = require('config');
+
+
+// Instance Trash
+// ---
+// Destroying an instance (or having a system task cancel it) moves it into the trash instead of losing it outright. The
+// trash entry records the task the business process was waiting on and the state field values prior to the instance
+// being cancelled, allowing the instance to be restored up until the retention window expires, after which the
+// instance is permanently purged.
+
+const WorkflowTrashConfig = config.has('workflow-trash') ? config.get('workflow-trash') : {};
+const RetentionDays = WorkflowTrashConfig.retentionDays || 30;
+const PurgeIntervalMinutes = WorkflowTrashConfig.purgeIntervalMinutes || 60;
+const PurgeLockName = 'workflow-trash-purge';
+
+// Records held against an instance (by instance id) that are removed along with it when it is purged.
+const InstanceDependentModels = [AuditEntry, InstanceSnapshot, Comment, Notification];
+
+
+class TrashEntry extends BaseModel {
+
+    static get tableName() {
+        return 'trash-entry';
+    }
+
+    static get schema() {
+        return {
+            type:'object',
+            properties: {
+                instanceId: { type:['string'], format:'uuid' },
+                instanceType: { type:['string'] },
+
+                actorId: { type:['string', 'null'], format:'uuid' },
+                reason: { type:['string', 'null'] },
+
+                restoreTask: { type:['string', 'null'] },
+                restoreState: { type:['object', 'null'] },
+
+                expires: { type:['string', 'object'], format:'date-time' },
+                restored: { type:['string', 'object', 'null'], format:'date-time' },
+                purged: { type:['string', 'object', 'null'], format:'date-time' }
+            }
+        };
+    }
+
+    static get relationMappings() {
+
+        return {
+            actor: {
+                relation: BaseModel.BelongsToOneRelation,
+                modelClass: Identity,
+                join: {
+                    from: `${this.tableName}.actorId`,
+                    to: `${Identity.tableName}.id`
+                }
+            }
+        };
+    }
+
+    static get retentionDays() {
+        return RetentionDays;
+    }
+
+
+    static async record(instance, actor, reason, restoreTask, restoreState) {
+
+        const expires = new Date(Date.now() + RetentionDays * 24 * 60 * 60 * 1000);
+
+        const entry = new TrashEntry({
+            instanceId: instance.id,
+            instanceType: instance.constructor.implementationName,
+            actorId: actor ? actor.id : null,
+            reason: reason || null,
+            restoreTask: restoreTask || null,
+            restoreState: restoreState || null,
+            expires: expires.toISOString()
+        });
+
+        return entry.save();
+    }
+
+    static async activeEntryForInstance(instanceId) {
+
+        // The most recent entry that has been neither restored nor purged (expired entries awaiting the next purge are
+        // returned, but are no longer restorable).
+
+        return TrashEntry.query().where('instanceId', instanceId).whereNull('restored').whereNull('purged').orderBy('created', 'desc').first();
+    }
+
+    get isRestorable() {
+        return !this.restored && !this.purged && new Date(this.expires).getTime() > Date.now();
+    }
+
+    async markRestored(trx = null) {
+        this.restored = new Date().toISOString();
+        return this.patchFields(['restored'], null, trx);
+    }
+
+
+    static async purgeExpired() {
+
+        // Every server process runs the periodic purge, a transaction level advisory lock ensures that only one process
+        // purges at a time (the others skip their run). Each instance is purged within its own savepoint, so a failure to
+        // purge one instance leaves it untouched without preventing the remaining instances from being purged.
+
+        const trx = await transaction.start(TrashEntry.knex());
+        let purged = 0;
+
+        try {
+
+            const lock = await trx.raw(`SELECT pg_try_advisory_xact_lock(hashtext(?)) AS acquired`, [PurgeLockName]);
+            if(!lock.rows[0].acquired) {
+                logger.debug(`skipping purge of expired trash entries, purge is already running within another process`);
+                await trx.rollback();
+                return 0;
+            }
+
+            const entries = await TrashEntry.query(trx).whereNull('restored').whereNull('purged').where('expires', '<=', new Date().toISOString());
+
+            for(const entry of entries) {
+
+                const entryTrx = await transaction.start(trx);
+
+                try {
+                    await entry._purgeInstance(entryTrx);
+                    await entryTrx.commit();
+                    purged++;
+                } catch(err) {
+                    await entryTrx.rollback();
+                    logger.error(`unable to purge trashed instance (instanceId = ${entry.instanceId}) due to: ${err.toString()}`);
+                }
+            }
+
+            await trx.commit();
+
+        } catch(err) {
+            await trx.rollback();
+            throw err;
+        }
+
+        return purged;
+    }
+
+    async _purgeInstance(trx) {
+
+        const InstanceModel = lookupInstance(this.instanceType);
+        const instance = InstanceModel ? await InstanceModel.query(trx).findById(this.instanceId) : null;
+
+        if(instance) {
+            await _deleteInstance(InstanceModel, instance, trx);
+            logger.debug(`purged trashed instance (instanceId = ${this.instanceId}, instanceType = ${this.instanceType})`);
+        }
+
+        this.purged = new Date().toISOString();
+        return this.patchFields(['purged'], null, trx);
+    }
+}
+
+
+async function _deleteInstance(InstanceModel, instance, trx) {
+
+    // Child instances (instances joined back to this instance via "join-to") are deleted along with their parent,
+    // including any trash entries of their own.
+
+    const childRelations = (InstanceModel.relationFields || []).filter(f => f.joinToField && lookupInstance(f.type));
+
+    for(const relation of childRelations) {
+
+        const ChildModel = lookupInstance(relation.type);
+        const children = await ChildModel.query(trx).where(relation.joinToField, instance.id);
+
+        for(const child of children) {
+            await _deleteInstance(ChildModel, child, trx);
+            await TrashEntry.query(trx).where('instanceId', child.id).whereNull('purged').patch({purged:new Date().toISOString()});
+        }
+    }
+
+    // Join table rows (e.g. linked files) and records held against the instance need removing before the instance
+    // itself can be deleted.
+
+    const joinedRelations = (InstanceModel.relationFields || []).filter(f => f.array === true && !f.joinToField);
+    for(const relation of joinedRelations) {
+        await instance.$relatedQuery(relation.field, trx).unrelate();
+    }
+
+    for(const DependentModel of InstanceDependentModels) {
+        await DependentModel.query(trx).where('instanceId', instance.id).delete();
+    }
+
+    await InstanceModel.query(trx).deleteById(instance.id);
+}
+
+
+async function getTrashEntry(instanceId, context) {
+
+    const user = await resolveUserForContext(context);
+    if(!user) {
+        throw new AuthorizationError('Logged in user required.');
+    }
+
+    const entry = await TrashEntry.activeEntryForInstance(instanceId);
+    if(!entry) {
+        return null;
+    }
+
+    const InstanceModel = lookupInstance(entry.instanceType);
+    if(!InstanceModel) {
+        throw new NotFoundError('Unknown instance type for trash entry.');
+    }
+
+    const object = await InstanceModel.find(instanceId);
+
+    const { access } = object.checkUserAccess(user, AclActions.Access);
+    if(!access) {
+        throw new AuthorizationError('You do not have access to this object.');
+    }
+
+    await entry.$loadRelated('actor');
+
+    return {
+        id: entry.id,
+        created: entry.created,
+        reason: entry.reason,
+        actor: entry.actor ? {id:entry.actor.id, displayName:entry.actor.displayName} : null,
+        expires: entry.expires,
+        restorable: entry.isRestorable
+    };
+}
+
+
+exports.resolvers = {
+
+    Query: {
+        trashEntry: async (ctxt, { instanceId }, context, info) => {
+            return getTrashEntry(instanceId, context).catch(err => {
+                logger.error(`unable to fetch trash entry (instanceId = ${instanceId}) due to: ${err.toString()}`);
+                throw err;
+            });
+        }
+    }
+};
+
+
+exports.serverSetup = function serverSetup(app) {
+
+    // Expired trash entries are purged periodically by the server process.
+
+    const purge = () => {
+        TrashEntry.purgeExpired().then(count => {
+            if(count) {
+                logger.info(`purged ${count} expired trashed instance(s)`);
+            }
+        }).catch(err => {
+            logger.error(`unable to purge expired trashed instances due to: ${err.toString()}`);
+        });
+    };
+
+    const timer = setInterval(purge, PurgeIntervalMinutes * 60 * 1000);
+    if(timer.unref) {
+        timer.unref();
+    }
+
+    return Promise.resolve();
+};
+
+
+exports.model = exports.TrashEntry = TrashEntry;
@@ -37,5 +37,9 @@ const SmallValidationIssueList = styled(_ValidationIssueList)`
   font-size: ${th('validationIssueList.small.fontSize')};
 `;
 
+const ValidationWarningList = styled(ValidationIssueList)`
+  color: ${th('validationIssueList.warningTextColor')};
+`;
+
 export default ValidationIssueList;
-export { ValidationIssueList, SmallValidationIssueList };
+export { ValidationIssueList, SmallValidationIssueList, ValidationWarningList };
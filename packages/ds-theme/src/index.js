@@ -218,6 +218,7 @@ const DSAwardsTheme = {
     validationIssueList: {
         fontFamily: ThemeBaseDefaults.LabelFontFamily,
         textColor: '#a90c00',
+        warningTextColor: '#9a6200',
 
         default: {
             fontSize: ThemeBaseDefaults.FontSizeDefault
@@ -18,6 +18,7 @@ registerFormFieldType('PMRWorkspaceDetails', FormFieldPMRWorkspaceDetails);
 import PageDashboardActiveSubmissions from './pages/dashboard-active-submissions';
 import PageDashboardPublishedSubmissions from './pages/dashboard-published-submissions';
 import PageDashboardRejectedSubmissions from './pages/dashboard-rejected-submissions';
+import PageDashboardCancelledSubmissions from './pages/dashboard-cancelled-submissions';
 import PageDashboardSubmitterSubmissions from './pages/dashboard-submitter-submissions';
 
 import PageSubmissionForm from './pages/submission-form';
@@ -28,6 +29,7 @@ export {
     PageDashboardActiveSubmissions,
     PageDashboardPublishedSubmissions,
     PageDashboardRejectedSubmissions,
+    PageDashboardCancelledSubmissions,
     PageDashboardSubmitterSubmissions,
 
     PageSubmissionForm,
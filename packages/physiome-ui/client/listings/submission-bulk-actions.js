@@ -0,0 +1,70 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+
+import { useBulkUpdateMutation, useBulkCompleteTaskMutation } from 'component-task-listing/client';
+import useGetCurators from '../queries/getCurators';
+
+import { InlineButton } from 'ds-theme/components/inline-button';
+import { SmallSelect } from 'ds-theme/components/select-input';
+
+
+const ChecksTaskDefinitionKey = "UserTask_PerformChecks";
+
+
+/* Bulk actions available to curators for the selected submissions (placing them on hold, reassigning the curator and
+ * completing the quality checks). Each submission is updated individually server-side, with the listing displaying a
+ * report of any that could not be updated.
+ * */
+
+const _SubmissionBulkActions = ({className, instanceType, selectedIds, runBulkAction, isRunning}) => {
+
+    const bulkUpdate = useBulkUpdateMutation(instanceType);
+    const bulkCompleteTask = useBulkCompleteTaskMutation(instanceType, true);
+
+    const { curators } = useGetCurators();
+    const [curatorId, setCuratorId] = useState("");
+
+    const curatorOptions = useMemo(() => {
+        return (curators || []).map(c => ({value:c.id, display:c.displayName || c.id}));
+    }, [curators]);
+
+    const putOnHold = () => runBulkAction("Put On Hold", ids => bulkUpdate(ids, {hidden:true}));
+    const releaseHold = () => runBulkAction("Release Hold", ids => bulkUpdate(ids, {hidden:false}));
+    const assignCurator = () => runBulkAction("Assign Curator", ids => bulkUpdate(ids, {curator:curatorId}));
+    const completeChecks = () => runBulkAction("Checks Completed", ids => bulkCompleteTask(ids, "decisions", "checked", ChecksTaskDefinitionKey));
+
+    return (
+        <span className={className}>
+            <InlineButton bordered={true} disabled={isRunning} onClick={putOnHold}>Put On Hold</InlineButton>
+            <InlineButton bordered={true} disabled={isRunning} onClick={releaseHold}>Release Hold</InlineButton>
+            <InlineButton bordered={true} disabled={isRunning} onClick={completeChecks}>Checks Completed</InlineButton>
+
+            <span className="assign">
+                <SmallSelect options={curatorOptions} value={curatorId} placeholder="Select curator…" onChange={e => setCuratorId(e.target.value)} />
+                <InlineButton bordered={true} disabled={isRunning || !curatorId} onClick={assignCurator}>Assign Curator</InlineButton>
+            </span>
+        </span>
+    );
+};
+
+
+const SubmissionBulkActions = styled(_SubmissionBulkActions)`
+    display: inline-flex;
+    align-items: center;
+
+    & > ${InlineButton}, & .assign > ${InlineButton} {
+        margin-right: 6px;
+    }
+
+    & .assign {
+        display: inline-flex;
+        align-items: center;
+    }
+
+    & .assign > select {
+        width: auto;
+        margin-right: 6px;
+    }
+`;
+
+export default SubmissionBulkActions;
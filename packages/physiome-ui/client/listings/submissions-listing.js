@@ -1,17 +1,24 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo } from 'react';
 import styled from 'styled-components';
 
 import { WorkflowDescriptionContext } from 'client-workflow-model';
 
-import { TaskListing, TaskListingHeader } from 'component-task-listing/client';
+import { TaskListing, TaskListingHeader, TaskListingSavedViews } from 'component-task-listing/client';
 import { createDateColumn, createIdentifierColumn, createIdentityColumn, createStatusColumn } from 'component-task-listing/client';
 import { createSubmissionTitleColumn, createCuratorClaimableIdentityColumn, linkSubmissionElement, linkSubmissionElementForSubmitter } from './column-types';
 
 import { HeaderHolder } from 'component-task-listing/client/components/task-listing-header';
 
 import SubmissionStatusPill from "../components/submission-status-pill";
+import SubmissionBulkActions from "./submission-bulk-actions";
 
-const EditorsMailingListAddress = require('config').email.help;
+const config = require('config');
+const EditorsMailingListAddress = config.email.help;
+const BaseUrl = config['pubsweet-client'] ? (config['pubsweet-client'].baseUrl || "/") : "/";
+
+const DefaultSubmissionSorting = {submissionDate:true};
+
+const SubmissionExportFields = ["manuscriptId", "title", "kind", "phase", "submissionDate", "publishDate", "submitter", "curator", "authors", "keywords"];
 
 const SubmissionListingColumns = [
 
@@ -46,15 +53,18 @@ const SimpleSubmissionListingColumns = [
 
 const _SubmissionsListing = ({className, history, heading, allFilterPhases=[], defaultActiveFilterPhases=[], pageSize=10,
                               showSearch=true, showFilter=true, columns=SubmissionListingColumns, renderAdditionalFilters=null,
-                              showOnHoldSubmissions=undefined, searchPlaceholder='Search submissions…', renderNoSubmissions=null, children=null}) => {
+                              showOnHoldSubmissions=undefined, searchPlaceholder='Search submissions…', renderNoSubmissions=null, showExport=true,
+                              exportFields=SubmissionExportFields, showBulkActions=false, dateRangeField='submissionDate', dateRangeLabel='Submitted',
+                              savedViewsListing=null, children=null}) => {
 
     const workflowDescription = useContext(WorkflowDescriptionContext);
     const instanceType = workflowDescription.findInstanceType('Submission');
 
     const [phases, setPhases] = useState(defaultActiveFilterPhases.slice(0));
+    const [dateRange, setDateRange] = useState(null);
     const [searchText, setSearchText] = useState("");
     const [filter, setFilter] = useState({phase:phases});
-    const [sorting, setSorting] = useState({submissionDate:true});
+    const [sorting, setSorting] = useState(DefaultSubmissionSorting);
 
     const additionalQueryFields = {searchText: 'String'};
     const [additionalQueryValues, setAdditionalQueryValues] = useState({searchText:null});
@@ -70,37 +80,93 @@ const _SubmissionsListing = ({className, history, heading, allFilterPhases=[], d
     useEffect(() => {
 
         const newFilter = {phase:phases};
+        if(dateRangeField && dateRange) {
+            newFilter[dateRangeField] = dateRange;
+        }
 
         if(showOnHoldSubmissions !== undefined && showOnHoldSubmissions === true) {
             filter.hidden = showOnHoldSubmissions;
         }
 
-        if(filter.phase !== phases || filter.hidden !== showOnHoldSubmissions) {
+        if(filter.phase !== phases || filter.hidden !== showOnHoldSubmissions || (dateRangeField && filter[dateRangeField] !== (dateRange || undefined))) {
             setFilter(newFilter);
         }
-    }, [phases, showOnHoldSubmissions]);
+    }, [phases, showOnHoldSubmissions, dateRange]);
 
     useEffect(() => {
         setAdditionalQueryValues({searchText:(searchText && searchText.length ? searchText : null)});
     }, [searchText]);
 
 
+    const exportUrl = (format) => {
+
+        // The export endpoint accepts the same filter, sorting and search parameters as the listing being displayed.
+
+        const params = [
+            `filter=${encodeURIComponent(JSON.stringify(filter))}`,
+            `sorting=${encodeURIComponent(JSON.stringify(sorting))}`,
+            `fields=${encodeURIComponent(exportFields.join(','))}`
+        ];
+
+        if(additionalQueryValues.searchText) {
+            params.push(`searchText=${encodeURIComponent(additionalQueryValues.searchText)}`);
+        }
+
+        return `${BaseUrl}/listings/export/${instanceType.urlName}.${format}?${params.join('&')}`;
+    };
+
+    // Saved views store the active filter, sorting, search text and visible columns (identified by their heading). Applying
+    // a view is passed through to the listing header, which owns the phase, search and date range controls.
+
+    const [visibleColumns, setVisibleColumns] = useState(null);
+    const [appliedView, setAppliedView] = useState(null);
+
+    const displayedColumns = useMemo(() => {
+        return visibleColumns ? columns.filter(c => visibleColumns.indexOf(c.columnHeading) !== -1) : columns;
+    }, [columns, visibleColumns]);
+
+    const applySavedView = (view) => {
+        const viewFilter = view.filter || {};
+        setAppliedView({phases:viewFilter.phase || null, searchText:view.searchText, dateRange:dateRangeField ? viewFilter[dateRangeField] : null});
+        setSorting(view.sorting || DefaultSubmissionSorting);
+        setVisibleColumns(view.columns || null);
+    };
+
+    const renderSavedViews = savedViewsListing ? () => {
+        const currentView = {filter, sorting, searchText:additionalQueryValues.searchText, columns:visibleColumns};
+        return (
+            <TaskListingSavedViews listing={savedViewsListing} currentView={currentView} applyView={applySavedView}
+                allColumns={columns.map(c => c.columnHeading)} visibleColumns={visibleColumns} setVisibleColumns={setVisibleColumns}
+                shareGroup="administrator" shareGroupLabel="all curators" />
+        );
+    } : null;
+
+    const renderBulkActions = showBulkActions ? (props) => <SubmissionBulkActions instanceType={instanceType} {...props} /> : null;
+    const bulkActionItemLabel = (submission) => submission.manuscriptId || submission.title || submission.id;
+
     const renderHeading = ({header}) => {
         return (
             <HeaderHolder>
                 {header}
+                {showExport ?
+                    <ExportLinks>
+                        Export: <a href={exportUrl('csv')} download>CSV</a> <a href={exportUrl('xlsx')} download>XLSX</a>
+                    </ExportLinks>
+                    : null}
                 <TaskListingHeader showSearch={showSearch} showFilter={showFilter} setFilteredPhases={setFilteredPhases} searchTextDidChange={searchTextDidChange}
                     allFilterPhases={allFilterPhases} defaultActiveFilterPhases={defaultActiveFilterPhases} searchPlaceholder={searchPlaceholder}
-                    renderAdditionalFilters={renderAdditionalFilters} />
+                    renderAdditionalFilters={renderAdditionalFilters} showDateRange={!!dateRangeField} dateRangeLabel={dateRangeLabel}
+                    dateRangeDidChange={setDateRange} appliedView={appliedView} renderAdditionalControls={renderSavedViews} />
             </HeaderHolder>
         );
     };
 
     return (
         <div className={className}>
-            <TaskListing heading={heading} columns={columns} workflowDescription={workflowDescription} instanceType={instanceType}
+            <TaskListing heading={heading} columns={displayedColumns} workflowDescription={workflowDescription} instanceType={instanceType}
                 history={history} renderHeading={renderHeading} pageSize={pageSize} filter={filter} sorting={sorting} additionalQueryFields={additionalQueryFields}
-                additionalQueryValues={additionalQueryValues} renderEmptyResults={renderNoSubmissions}>
+                additionalQueryValues={additionalQueryValues} renderEmptyResults={renderNoSubmissions} renderBulkActions={renderBulkActions}
+                bulkActionItemLabel={bulkActionItemLabel}>
 
                 {children}
 
@@ -112,6 +178,16 @@ const _SubmissionsListing = ({className, history, heading, allFilterPhases=[], d
     );
 };
 
+const ExportLinks = styled.div`
+    font-size: 13px;
+    margin-left: 12px;
+    white-space: nowrap;
+
+    & a {
+        margin-left: 4px;
+    }
+`;
+
 const SubmissionsListing = styled(_SubmissionsListing)`
     display: flex;
     flex-direction: column;
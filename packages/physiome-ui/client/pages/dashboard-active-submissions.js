@@ -77,7 +77,8 @@ const _DashboardActiveSubmissions = ({className, history, children}) => {
 
     return (
         <SubmissionsListing history={history} heading='Active Submissions' allFilterPhases={AllPhases} defaultActiveFilterPhases={ActivePhases}
-            showOnHoldSubmissions={showOnHoldSubmissions} renderAdditionalFilters={renderAdditionalFilters}>
+            showOnHoldSubmissions={showOnHoldSubmissions} renderAdditionalFilters={renderAdditionalFilters} showBulkActions={true}
+            savedViewsListing="active-submissions">
 
             <PrimaryInlineButton icon={<FaPlus />} bordered={true} onClick={handleCreateNewSubmission}>
                 Create New Submission
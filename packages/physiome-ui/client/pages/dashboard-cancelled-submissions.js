@@ -0,0 +1,26 @@
+import React from 'react';
+import styled from 'styled-components';
+import SubmissionsListing from '../listings/submissions-listing';
+
+
+const CancelledSubmissionsPhases = [
+    "Cancelled"
+];
+
+const _DashboardCancelledSubmissions = ({className, history, children}) => {
+
+    return (
+        <div className={className}>
+            <SubmissionsListing history={history} heading='Cancelled Submissions' showFilter={false} allFilterPhases={CancelledSubmissionsPhases} defaultActiveFilterPhases={CancelledSubmissionsPhases}>
+                {children}
+            </SubmissionsListing>
+        </div>
+    );
+};
+
+const DashboardCancelledSubmissions = styled(_DashboardCancelledSubmissions)`
+`;
+
+export default DashboardCancelledSubmissions;
+
+
@@ -12,7 +12,7 @@ const _DashboardPublishedSubmissions = ({className, history, children}) => {
 
     return (
         <div className={className}>
-            <SubmissionsListing history={history} heading='Published Submissions' showFilter={false} allFilterPhases={PublishedSubmissionsPhases} defaultActiveFilterPhases={PublishedSubmissionsPhases}>
+            <SubmissionsListing history={history} heading='Published Submissions' showFilter={false} dateRangeField='publishDate' dateRangeLabel='Published' allFilterPhases={PublishedSubmissionsPhases} defaultActiveFilterPhases={PublishedSubmissionsPhases}>
                 {children}
             </SubmissionsListing>
         </div>
@@ -21,7 +21,8 @@ const AllPhases = [
     "Paid",
     "Publish",
     "Published",
-    "Reject"
+    "Reject",
+    "Cancelled"
 ];
 
 const ActivePhases = [
@@ -93,7 +94,7 @@ const _DashboardSubmitterSubmissions = ({className, history, children}) => {
     return (
         <SubmissionsListing history={history} columns={SimpleSubmissionListingColumns} heading='Submissions'
             allFilterPhases={AllPhases} defaultActiveFilterPhases={ActivePhases} showFilter={false}
-            showOnHoldSubmissions={null} renderNoSubmissions={renderNoSubmissions}>
+            showOnHoldSubmissions={null} renderNoSubmissions={renderNoSubmissions} showExport={false} dateRangeField={null}>
 
             <PrimaryInlineButton icon={<FaPlus />} bordered={true} onClick={handleCreateNewSubmission}>
                 Create New Submission
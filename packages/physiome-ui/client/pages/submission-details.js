@@ -5,7 +5,7 @@ import styled from 'styled-components';
 import { Redirect } from 'react-router';
 
 import { instanceViewTypeForViewDefinition } from 'component-task-form/client'
-import { useSubmissionPublishedSubscription } from '../subscriptions/submissionPublished';
+import { useSingleInstanceChangeEventSubscription } from 'component-task-listing/client';
 import debounce from "lodash/debounce";
 
 const SubmissionInstanceType = 'Submission';
@@ -35,9 +35,9 @@ function SubmissionDetails({match, children}) {
 
     const instanceViewProps = {instanceId, instanceType, layoutDefinition:viewDefinition, workflowDescription};
 
-    // Subscribe to changes in the published status of an submission and refresh the data when it changes.
-    // Note: the dataContextRef is provided by the instance view type implementation and provides methods
-    // to refetch data, save data, current data etc.
+    // Subscribe to changes made to the submission being displayed (including its published status) and refresh the
+    // data when it changes. Note: the dataContextRef is provided by the instance view type implementation and provides
+    // methods to refetch data, save data, current data etc.
 
     const dataContextRef = useRef(null);
     const throttledRefetch = debounce(() => {
@@ -50,14 +50,9 @@ function SubmissionDetails({match, children}) {
         }
     }, 2000, { leading: true, trailing: true, maxWait:2000 });
 
-    useSubmissionPublishedSubscription(submissionId => {
+    useSingleInstanceChangeEventSubscription(instanceType, instanceId, event => {
 
-        if(!dataContextRef.current) {
-            return;
-        }
-
-        const { instanceId } = dataContextRef.current;
-        if(submissionId === instanceId) {
+        if(dataContextRef.current && event.id === dataContextRef.current.instanceId) {
             return throttledRefetch();
         }
     });
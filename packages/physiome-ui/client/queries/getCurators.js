@@ -0,0 +1,31 @@
+import { useMemo } from 'react';
+import gql from 'graphql-tag';
+import { useQuery } from 'react-apollo-hooks';
+
+
+const getCuratorsQuery = gql`
+    query GetCurators {
+        result:identities(first:200, filter:{group:"administrator"}) {
+            results {
+                id
+                displayName
+            }
+        }
+    }
+`;
+
+
+export default (opts = {}) => {
+
+    const queryOptions = useMemo(() => {
+        return Object.assign({
+            ssr: false,
+            suspend: false,
+            fetchPolicy: 'network-only'
+        }, opts);
+    }, [opts]);
+
+    const {data, loading, error} = useQuery(getCuratorsQuery, queryOptions);
+
+    return {curators:(data && data.result && data.result.results) || null, loading, error};
+};
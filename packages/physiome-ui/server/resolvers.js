@@ -2,6 +2,8 @@ const WorkflowModel = require('component-workflow-model/model');
 const { Submission } = WorkflowModel.models;
 
 const { resolveUserForContext } = require('component-workflow-model/shared-helpers/access');
+const { AuditActions } = require('component-workflow-model/shared-model/audit');
+const { Notification, NotificationKind } = require('component-workflow-model/shared-model/notification');
 const { AuthorizationError, NotFoundError } = require('@pubsweet/errors');
 const { pubsubManager } = require("pubsweet-server");
 
@@ -48,10 +50,22 @@ module.exports = {
                 return new AuthorizationError(`Modification of submission curator not allowed.`);
             }
 
+            const previousCuratorId = submission.curatorId;
+
             submission.curatorId = user.id;
             await submission.save();
+            await submission.recordAuditEntry(user, AuditActions.Claim, "claimSubmission");
             await submission.publishWasModified();
 
+            // A curator who has had a submission claimed away from them is notified of the change.
+
+            if(previousCuratorId && previousCuratorId !== user.id) {
+                const message = `${user.displayName} has assigned themselves as curator of submission ${submission.manuscriptId}.`;
+                await Notification.notify([previousCuratorId], {instance:submission, kind:NotificationKind.Claim, actor:user, message}).catch(err => {
+                    logger.error(`claim submission - unable to notify previous curator due to: ${err.toString()}`);
+                });
+            }
+
             return true;
         },
 
@@ -91,6 +105,7 @@ module.exports = {
             if(submission.curatorId === user.id) {
                 submission.curatorId = null;
                 await submission.save();
+                await submission.recordAuditEntry(user, AuditActions.Claim, "unclaimSubmission");
                 await submission.publishWasModified();
             }
 
@@ -133,6 +148,7 @@ module.exports = {
 
             submission.phase = "submitted";
             await submission.save();
+            await submission.recordAuditEntry(user, AuditActions.Update, "restartRejectedSubmission");
 
             return !!(await submission.restartWorkflow("StartEvent_ResumeRejected"));
         },
@@ -173,6 +189,7 @@ module.exports = {
 
             submission.phase = "publish";
             await submission.save();
+            await submission.recordAuditEntry(user, AuditActions.Update, "republishSubmission");
 
             return !!(await submission.restartWorkflow("StartEvent_RepublishArticle"));
         }
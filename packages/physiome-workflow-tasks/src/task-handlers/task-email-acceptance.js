@@ -1,4 +1,5 @@
 const TaskSendEmail = require('./util-task-send-email');
+const { NotificationKind } = require('component-workflow-model/shared-model/notification');
 const logger = require('workflow-utils/logger-with-prefix')('external-task/email-manuscript-acceptance');
 
 class TaskSendAcceptanceEmail extends TaskSendEmail {
@@ -10,6 +11,14 @@ class TaskSendAcceptanceEmail extends TaskSendEmail {
     async formatEmailSubject(submission) {
         return `acceptance of submission ${submission.manuscriptId}, request for payment`;
     }
+
+    async formatNotificationMessage(submission) {
+        return `Submission ${submission.manuscriptId} has been accepted, payment is now required.`;
+    }
+
+    notificationKind() {
+        return NotificationKind.Task;
+    }
 }
 
 module.exports = function _setupEmailAcceptanceTask(client) {
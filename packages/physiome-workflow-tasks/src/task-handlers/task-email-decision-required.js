@@ -1,4 +1,6 @@
 const TaskSendEmail = require('./util-task-send-email');
+const { NotificationKind } = require('component-workflow-model/shared-model/notification');
+const { Identity } = require('component-workflow-model/shared-model/identity');
 const logger = require('workflow-utils/logger-with-prefix')('PhysiomeWorkflowTasks/Email-EditorManuscriptDecision');
 
 const config = require('config');
@@ -26,6 +28,26 @@ class TaskSendDecisionRequiredEmail extends TaskSendEmail {
         };
     }
 
+    async formatNotificationMessage(submission) {
+        return `An editorial decision is required for submission ${submission.manuscriptId}.`;
+    }
+
+    notificationKind() {
+        return NotificationKind.Task;
+    }
+
+    async submissionToNotificationRecipientIds(submission) {
+
+        // The assigned curator is notified, or all administrators when no curator has yet claimed the submission.
+
+        if(submission.curatorId) {
+            return [submission.curatorId];
+        }
+
+        const administrators = await Identity.findAdministrators();
+        return administrators.map(identity => identity.id);
+    }
+
     skipTaskWithoutSendingEmail() {
         return !EditorsMailingListAddress;
     }
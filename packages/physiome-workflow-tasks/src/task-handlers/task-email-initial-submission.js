@@ -10,6 +10,10 @@ class TaskSendInitialSubmissionEmail extends TaskSendEmail {
     async formatEmailSubject(submission) {
         return `submission ${submission.manuscriptId}`;
     }
+
+    async formatNotificationMessage(submission) {
+        return `Submission ${submission.manuscriptId} has been received and is awaiting curation.`;
+    }
 }
 
 module.exports = function _setupEmailInitialSubmissionTask(client) {
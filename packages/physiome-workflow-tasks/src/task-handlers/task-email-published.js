@@ -10,6 +10,10 @@ class TaskSendPublishedEmail extends TaskSendEmail {
     async formatEmailSubject(submission) {
         return `published ${submission.manuscriptId}`;
     }
+
+    async formatNotificationMessage(submission) {
+        return `Submission ${submission.manuscriptId} has been published.`;
+    }
 }
 
 module.exports = function _setupEmailPublishedTask(client) {
@@ -10,6 +10,10 @@ class TaskSendRejectionEmail extends TaskSendEmail {
     async formatEmailSubject(submission) {
         return `rejection of submission ${submission.manuscriptId}`;
     }
+
+    async formatNotificationMessage(submission) {
+        return `Submission ${submission.manuscriptId} has been rejected.`;
+    }
 }
 
 module.exports = function _setupEmailRejectionTask(client) {
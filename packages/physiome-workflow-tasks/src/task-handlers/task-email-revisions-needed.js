@@ -1,4 +1,5 @@
 const TaskSendEmail = require('./util-task-send-email');
+const { NotificationKind } = require('component-workflow-model/shared-model/notification');
 const logger = require('workflow-utils/logger-with-prefix')('PhysiomeWorkflowTasks/Email-ManuscriptRevisions');
 
 class TaskSendRevisionsEmail extends TaskSendEmail {
@@ -10,6 +11,14 @@ class TaskSendRevisionsEmail extends TaskSendEmail {
     async formatEmailSubject(submission) {
         return `revisions needed for submission ${submission.manuscriptId}`;
     }
+
+    async formatNotificationMessage(submission) {
+        return `Revisions have been requested for submission ${submission.manuscriptId}.`;
+    }
+
+    notificationKind() {
+        return NotificationKind.Task;
+    }
 }
 
 module.exports = function _setupEmailRevisionsTask(client) {
@@ -1,6 +1,7 @@
 const FigshareArticlePublisher = require('./util-figshare-article-publisher');
 const { models } = require('component-workflow-model/model');
 const { Submission } = models;
+const { AuditActions } = require('component-workflow-model/shared-model/audit');
 
 const TaskLockExtender = require('./util-lock-extender');
 const logger = require("workflow-utils/logger-with-prefix")('PhysiomeWorkflowTasks/PublishArticle');
@@ -57,7 +58,9 @@ module.exports = function _setupPublishArticleTask(client) {
                 });
             }
 
-            return submission.patchFields(fieldsList);
+            return submission.patchFields(fieldsList).then(() => {
+                return submission.recordAuditEntry(null, AuditActions.System, 'publish-article');
+            });
 
         }).then(async () => {
 
@@ -1,5 +1,6 @@
 const { models } = require('component-workflow-model/model');
 const { Submission } = models;
+const { AuditActions } = require('component-workflow-model/shared-model/audit');
 const logger = require('workflow-utils/logger-with-prefix')('PhysiomeWorkflowTasks/RejectionCleanup');
 const { transaction } = require('objection');
 const fs = require('fs');
@@ -83,7 +84,7 @@ async function _cleanupForRejectedSubmission(submission) {
 
         submission.figshareArticleId = null;
         submission.figshareArticleDoi = null;
-        return submission.patchFields(['figshareArticleId', 'figshareArticleDoi'], builder => builder.where('figshareArticleId', articleId));
+        return _patchCleanedUpArticleFields(submission, articleId);
 
     }).catch(error => {
 
@@ -95,6 +96,13 @@ async function _cleanupForRejectedSubmission(submission) {
 
         submission.figshareArticleId = null;
         submission.figshareArticleDoi = null;
-        return submission.patchFields(['figshareArticleId', 'figshareArticleDoi'], builder => builder.where('figshareArticleId', articleId));
+        return _patchCleanedUpArticleFields(submission, articleId);
+    });
+}
+
+function _patchCleanedUpArticleFields(submission, articleId) {
+
+    return submission.patchFields(['figshareArticleId', 'figshareArticleDoi'], builder => builder.where('figshareArticleId', articleId)).then(saved => {
+        return saved ? submission.recordAuditEntry(null, AuditActions.System, 'rejection-cleanup') : null;
     });
 }
@@ -1,5 +1,6 @@
 const { models } = require('component-workflow-model/model');
 const { Submission } = models;
+const { AuditActions } = require('component-workflow-model/shared-model/audit');
 const logger = require('workflow-utils/logger-with-prefix')('PhysiomeWorkflowTasks/ReserveDOI');
 const { transaction } = require('objection');
 
@@ -34,6 +35,7 @@ module.exports = function _setupReserveDoiTask(client) {
             submission.figshareArticleDoi = article.doi;
 
             await submission.patchFields(['figshareArticleDoi']);
+            await submission.recordAuditEntry(null, AuditActions.System, 'reserve-doi');
             await submission.publishWasModified();
 
             logger.debug(`reserve doi completed, completing external task`);
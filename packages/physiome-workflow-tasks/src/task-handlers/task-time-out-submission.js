@@ -1,6 +1,29 @@
 const { models } = require('component-workflow-model/model');
 const { Submission } = models;
+const { AuditActions } = require('component-workflow-model/shared-model/audit');
+const { TrashEntry } = require('component-workflow-model/shared-model/trash');
+const { Notification, NotificationKind } = require('component-workflow-model/shared-model/notification');
+const ProcessDefinitionCheck = require('component-workflow-model/dsl-model/process-definition-check');
 const logger = require('workflow-utils/logger-with-prefix')('PhysiomeWorkflowTasks/TimeoutSubmission');
+const config = require('config');
+const fs = require('fs');
+
+// The submission timeout is a boundary event attached to the task the process was waiting on, restoring a timed out
+// submission from the trash resumes the process at that same task. The task is determined from the process definition.
+
+let processDefinition = null;
+
+function _restoreTaskKey(task) {
+
+    if(!processDefinition) {
+        if(!config.has('workflow.processDefinitionFile')) {
+            return null;
+        }
+        processDefinition = ProcessDefinitionCheck.parseProcessDefinition(fs.readFileSync(config.get('workflow.processDefinitionFile'), 'utf8'));
+    }
+
+    return ProcessDefinitionCheck.boundaryEventTaskForTopic(processDefinition, task.processDefinitionKey, task.topicName);
+}
 
 
 module.exports = function _setupTimeoutSubmissionTask(client) {
@@ -21,10 +44,23 @@ module.exports = function _setupTimeoutSubmissionTask(client) {
             return taskService.complete(task);
         }
 
+        const restoreState = {phase:submission.phase};
+        const restoreTask = _restoreTaskKey(task);
+        if(!restoreTask) {
+            logger.warn(`unable to determine the task timed out submission would be restored to (processDefinitionKey="${task.processDefinitionKey}"), submission will not be restorable`);
+        }
+
         submission.phase = "cancelled";
         await submission.save();
+        await submission.recordAuditEntry(null, AuditActions.System, 'time-out-submission');
+        await TrashEntry.record(submission, null, 'time-out-submission', restoreTask, restoreState);
         await submission.publishWasModified();
 
+        const message = `Submission "${submission.title || 'untitled'}" has been cancelled as it was not submitted in time.`;
+        await Notification.notify([submission.submitterId], {instance:submission, kind:NotificationKind.Phase, message}).catch(err => {
+            logger.error(`unable to notify submitter of timed out submission due to: ${err.toString()}`);
+        });
+
         logger.debug(`timeout submission completed, completing external task`);
         return taskService.complete(task);
     });
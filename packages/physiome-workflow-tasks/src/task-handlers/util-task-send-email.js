@@ -3,6 +3,7 @@ const config = require('config');
 
 const { models } = require('component-workflow-model/model');
 const { Submission } = models;
+const { Notification, NotificationKind } = require('component-workflow-model/shared-model/notification');
 
 const BaseUrl = config.get('pubsweet-client.baseUrl');
 const EmailSignature = config.get('workflow-send-email.signature');
@@ -59,6 +60,35 @@ class TaskSendEmail {
         };
     }
 
+    // In-app notifications are created alongside the email, for the submitter by default. Tasks that don't provide a
+    // notification message only send the email.
+
+    async formatNotificationMessage(submission) {
+        return null;
+    }
+
+    notificationKind() {
+        return NotificationKind.Phase;
+    }
+
+    async submissionToNotificationRecipientIds(submission) {
+        return submission.submitterId ? [submission.submitterId] : [];
+    }
+
+    async sendNotification(submission) {
+
+        const message = await this.formatNotificationMessage(submission);
+        if(!message) {
+            return;
+        }
+
+        const recipientIds = await this.submissionToNotificationRecipientIds(submission);
+
+        return Notification.notify(recipientIds, {instance:submission, kind:this.notificationKind(), message}).catch(err => {
+            this.logger.error(`unable to create notification for submission (${submission.id}) due to: ${err.toString()}`);
+        });
+    }
+
     sendEmail(subject, recipientName, recipientEmail, data, submission) {
 
         const text = this.emailTemplate.template(data);
@@ -78,12 +108,21 @@ class TaskSendEmail {
         const logger = this.logger;
         logger.debug(`process task is starting`);
 
+        const submissionId = task.businessKey;
+
         if(this.skipTaskWithoutSendingEmail()) {
+
+            // Recipients of the in-app notification are still notified when no email is to be sent.
+
+            const submission = submissionId ? await this.resolveSubmission(submissionId).catch(() => null) : null;
+            if(submission) {
+                await this.sendNotification(submission);
+            }
+
             logger.debug(`process task has been skipped without sending email, completing external task`);
             return taskService.complete(task);
         }
 
-        const submissionId = task.businessKey;
         if(!submissionId) {
             logger.error(`failed to process email for submission due to missing business key (processInstanceId="${task.processInstanceId}")`);
             return;
@@ -97,7 +136,9 @@ class TaskSendEmail {
 
         const {subject, recipientName, recipientEmail, data} = await this.submissionToEmailData(submission);
 
-        return this.sendEmail(subject, recipientName, recipientEmail, data, submission).then(result => {
+        return this.sendEmail(subject, recipientName, recipientEmail, data, submission).then(async result => {
+
+            await this.sendNotification(submission);
 
             logger.debug(`process task has successfully finished, completing external task`);
             return taskService.complete(task);
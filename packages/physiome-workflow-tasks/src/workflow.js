@@ -2,6 +2,10 @@ const TaskHandlers = require('./task-handlers/index');
 const { Client } = require('camunda-external-task-client-js');
 const config = require('config');
 const logger = require('@pubsweet/logger');
+const fs = require('fs');
+
+const { description } = require('component-workflow-model/model');
+const ProcessDefinitionCheck = require('component-workflow-model/dsl-model/process-definition-check');
 
 exports.server = function setupWorkflow(app) {
 
@@ -10,4 +14,30 @@ exports.server = function setupWorkflow(app) {
 
     logger.info("Workflow - setup external task handlers");
     TaskHandlers(client);
+
+    _checkProcessDefinitionConsistency();
 };
+
+
+function _checkProcessDefinitionConsistency() {
+
+    // Inconsistencies between the workflow description, BPMN process definition and the subscribed external
+    // task topics are reported but do not prevent the server from starting.
+
+    if(!config.has('workflow.processDefinitionFile')) {
+        return;
+    }
+
+    const processDefinitionFile = config.get('workflow.processDefinitionFile');
+
+    try {
+        const processDefinition = ProcessDefinitionCheck.parseProcessDefinition(fs.readFileSync(processDefinitionFile, 'utf8'));
+        const subscribedTopics = ProcessDefinitionCheck.topicsSubscribedBySource(require.resolve('./task-handlers/index'));
+        const problems = ProcessDefinitionCheck.checkDescriptionAgainstProcessDefinition(description, processDefinition, subscribedTopics);
+
+        problems.forEach(p => logger.warn(`Workflow - process definition check: ${p.message}`));
+
+    } catch(e) {
+        logger.error(`Workflow - unable to check process definition (${processDefinitionFile}) due to: ${e.toString()}`);
+    }
+}